@@ -7,9 +7,23 @@ CREATE TABLE historical_events (
     description TEXT,
     start_date TIMESTAMPTZ NOT NULL,
     end_date TIMESTAMPTZ NOT NULL,
+    -- Dates may be partial ('1450-03'), approximate ('circa 1450') or BCE. start_date and end_date bound the widest
+    -- period the event may cover; start_date_latest and end_date_earliest narrow it to the period it certainly
+    -- covers, and are NULL when the date is exact. duration_minutes spans start_date to end_date.
+    start_date_latest TIMESTAMPTZ,
+    end_date_earliest TIMESTAMPTZ,
+    start_date_precision VARCHAR(5) NOT NULL DEFAULT 'exact' CHECK (start_date_precision IN ('year', 'month', 'day', 'exact')),
+    end_date_precision VARCHAR(5) NOT NULL DEFAULT 'exact' CHECK (end_date_precision IN ('year', 'month', 'day', 'exact')),
     duration_minutes INTEGER,
     parent_event_id UUID,
     metadata JSONB,
+    -- The ingestion job that inserted the event, so a bad load can be rolled back
+    ingestion_job_id UUID,
+    -- Full-text index of the name (weighted higher) and description
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(event_name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+    ) STORED,
     CONSTRAINT fk_parent_event
         FOREIGN KEY(parent_event_id)
         REFERENCES historical_events(event_id)
@@ -20,29 +34,179 @@ CREATE TABLE historical_events (
 CREATE INDEX idx_start_date_historical ON historical_events(start_date);
 CREATE INDEX idx_end_date_historical ON historical_events(end_date);
 CREATE INDEX idx_parent_event_id_historical ON historical_events(parent_event_id);
+CREATE INDEX idx_ingestion_job_id_historical ON historical_events(ingestion_job_id);
+CREATE INDEX idx_search_vector_historical ON historical_events USING GIN (search_vector);
+CREATE INDEX idx_source_file_historical ON historical_events((metadata->>'originalSourceFile'));
+CREATE INDEX idx_duration_minutes_historical ON historical_events(duration_minutes);
+
+-- Previous versions of events, saved whenever an event is overwritten. There is no foreign key to
+-- historical_events so that the history of deleted events is kept.
+CREATE TABLE event_revisions (
+    revision_id BIGSERIAL PRIMARY KEY,
+    event_id UUID NOT NULL,
+    event_name VARCHAR(255) NOT NULL,
+    description TEXT,
+    start_date TIMESTAMPTZ NOT NULL,
+    end_date TIMESTAMPTZ NOT NULL,
+    start_date_latest TIMESTAMPTZ,
+    end_date_earliest TIMESTAMPTZ,
+    start_date_precision VARCHAR(5) NOT NULL DEFAULT 'exact',
+    end_date_precision VARCHAR(5) NOT NULL DEFAULT 'exact',
+    duration_minutes INTEGER,
+    parent_event_id UUID,
+    metadata JSONB,
+    ingestion_job_id UUID,
+    -- What replaced this version: INGESTION (a re-ingested line), ROLLBACK (a rolled-back job's overwrite being undone),
+    -- UPDATE (an edit through the API, or a parent change after its parent was deleted), DELETE, AUDIT (a repair by the integrity audit),
+    -- MERGE (a duplicate merged into another event, or a change caused by it) or UNMERGE (a merge being undone)
+    change_type VARCHAR(20) NOT NULL,
+    changed_by_job_id UUID,
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_event_id_event_revisions ON event_revisions(event_id, revision_id);
+CREATE INDEX idx_changed_by_job_id_event_revisions ON event_revisions(changed_by_job_id);
+
+-- Typed, directed links between events, across hierarchies (the hierarchy itself is parent_event_id).
+-- A link disappears with either of its events.
+CREATE TABLE event_links (
+    link_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_event_id UUID NOT NULL,
+    target_event_id UUID NOT NULL,
+    link_type VARCHAR(20) NOT NULL CHECK (link_type IN ('caused', 'preceded', 'references')),
+    description TEXT,
+    metadata JSONB,
+    -- The ingestion job that loaded the link from a link file, if any
+    ingestion_job_id UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT fk_link_source_event
+        FOREIGN KEY(source_event_id)
+        REFERENCES historical_events(event_id)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_link_target_event
+        FOREIGN KEY(target_event_id)
+        REFERENCES historical_events(event_id)
+        ON DELETE CASCADE,
+    CONSTRAINT uq_event_link UNIQUE (source_event_id, target_event_id, link_type),
+    CONSTRAINT chk_event_link_not_self CHECK (source_event_id <> target_event_id)
+);
+
+CREATE INDEX idx_target_event_id_event_links ON event_links(target_event_id);
+CREATE INDEX idx_ingestion_job_id_event_links ON event_links(ingestion_job_id);
+
+-- Duplicate events merged into another event, with what the merge changed so that it can be undone.
+-- There are no foreign keys: the merged event is gone, and the surviving event may be deleted later.
+CREATE TABLE event_merges (
+    merge_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    survivor_event_id UUID NOT NULL,
+    merged_event_id UUID NOT NULL,
+    -- The merged event's row as it was deleted
+    merged_event JSONB NOT NULL,
+    -- The merged event's children, moved under the surviving event
+    reparented_child_ids UUID[] NOT NULL DEFAULT '{}',
+    -- The merged event's links as they were, and which of them were moved to the surviving event (the others,
+    -- which would have duplicated a link of the surviving event or linked it to itself, were deleted)
+    links JSONB NOT NULL DEFAULT '[]',
+    repointed_link_ids UUID[] NOT NULL DEFAULT '{}',
+    merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    undone_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_survivor_event_id_event_merges ON event_merges(survivor_event_id);
+CREATE INDEX idx_merged_event_id_event_merges ON event_merges(merged_event_id);
 
 -- NEW: Create the ingestion_jobs table to store job status
 CREATE TABLE ingestion_jobs (
     job_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    status VARCHAR(20) NOT NULL CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED')),
     file_path TEXT NOT NULL,
     total_lines INTEGER DEFAULT 0,
     processed_lines INTEGER DEFAULT 0,
     error_lines INTEGER DEFAULT 0,
+    orphan_lines INTEGER DEFAULT 0,
+    -- Job-level errors (e.g. fatal errors); per-line errors are in ingestion_job_errors
     errors JSONB DEFAULT '[]'::jsonb,
+    -- Last line whose effects are committed; a resumed or retried job continues after it
+    checkpoint_line INTEGER NOT NULL DEFAULT 0,
+    -- Header line of the source file, if it had one; prepended to rejected-lines downloads
+    header_line TEXT,
+    options JSONB NOT NULL DEFAULT '{}'::jsonb,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    worker_id TEXT,
+    lease_expires_at TIMESTAMPTZ,
+    rolled_back_at TIMESTAMPTZ,
     start_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     end_time TIMESTAMPTZ
 );
 
+-- Workers claim the oldest PENDING job, or a PROCESSING job whose lease has expired
+CREATE INDEX idx_status_ingestion_jobs ON ingestion_jobs(status, start_time);
+
+-- Per-line errors of ingestion jobs, with the raw line so rejected lines can be fixed and re-ingested
+CREATE TABLE ingestion_job_errors (
+    error_id BIGSERIAL PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES ingestion_jobs(job_id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    error_code VARCHAR(50) NOT NULL,
+    field VARCHAR(100),
+    message TEXT NOT NULL,
+    raw_line TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_job_id_line_number_ingestion_job_errors ON ingestion_job_errors(job_id, line_number, error_id);
+
+-- Endpoints notified when ingestion jobs finish; every payload is signed with the webhook's secret (HMAC-SHA256)
+CREATE TABLE ingestion_webhooks (
+    webhook_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url TEXT NOT NULL,
+    -- 'plain:' and the secret, or 'aes-256-gcm:' and the secret encrypted with WEBHOOK_SECRET_KEY (see webhookDelivery.js)
+    secret TEXT NOT NULL,
+    -- The job outcomes that are delivered: 'job.completed', 'job.failed'
+    events TEXT[] NOT NULL,
+    description TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Outbox of webhook calls, queued in the same statement that finishes the job and retried with backoff until they succeed
+CREATE TABLE webhook_deliveries (
+    delivery_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES ingestion_webhooks(webhook_id) ON DELETE CASCADE,
+    job_id UUID NOT NULL REFERENCES ingestion_jobs(job_id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL,
+    -- The job as it was when it finished
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERED', 'FAILED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    -- When the next attempt is due; a claimed delivery is leased by pushing it into the future
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_response_status INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_status_next_attempt_at_webhook_deliveries ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX idx_webhook_id_webhook_deliveries ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX idx_job_id_webhook_deliveries ON webhook_deliveries(job_id);
+
 CREATE TABLE staging_events (
     event_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     event_name VARCHAR(255) NOT NULL,
     description TEXT,
     start_date TIMESTAMPTZ NOT NULL,
     end_date TIMESTAMPTZ NOT NULL,
+    start_date_latest TIMESTAMPTZ,
+    end_date_earliest TIMESTAMPTZ,
+    start_date_precision VARCHAR(5) NOT NULL DEFAULT 'exact',
+    end_date_precision VARCHAR(5) NOT NULL DEFAULT 'exact',
     duration_minutes INTEGER,
     parent_event_id UUID,
-    metadata JSONB
+    metadata JSONB,
+    ingestion_job_id UUID,
+    raw_line TEXT
 );
 
-CREATE INDEX idx_parent_event_id_staging ON staging_events(parent_event_id);
\ No newline at end of file
+CREATE INDEX idx_parent_event_id_staging ON staging_events(parent_event_id);
+CREATE INDEX idx_ingestion_job_id_staging ON staging_events(ingestion_job_id);
\ No newline at end of file
@@ -1,5 +1,118 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const eventService = require('./event.service');
-const fs = require('fs');
+const { INGESTION_MODES, CONFLICT_POLICIES } = require('../../jobs/ingestionProcessor');
+const {
+  UUID_REGEX, INPUT_FORMATS, INGESTION_TARGETS, LINK_TYPES, validateColumnMapping,
+} = require('../../jobs/inputFormats');
+const { readSearchFilters } = require('./searchFilters');
+const { AUDIT_CHECKS } = require('../../jobs/integrityAudit');
+const { EXPORT_FORMATS } = require('../../jobs/outputFormats');
+
+const EXPORT_FORMAT_NAMES = Object.keys(EXPORT_FORMATS);
+
+/**
+ * Validates the processing options shared by both ingestion endpoints and fills in defaults.
+ * @param {object} source The raw options.
+ * @returns {{options?: object, error?: string}} The validated options, or an error message.
+ */
+function validateIngestionOptions(source) {
+  const {
+    mode = 'standard', batchSize, progressInterval, format = 'pipe', columnMapping, hasHeader, conflictPolicy = 'skip', dryRun = false,
+    target = 'events',
+  } = source;
+
+  if (!INGESTION_TARGETS.includes(target)) {
+    return { error: `target must be one of: ${INGESTION_TARGETS.join(', ')}.` };
+  }
+
+  if (!INGESTION_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${INGESTION_MODES.join(', ')}.` };
+  }
+
+  for (const [name, value] of Object.entries({ batchSize, progressInterval })) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      return { error: `${name} must be a positive integer.` };
+    }
+  }
+
+  if (!INPUT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${INPUT_FORMATS.join(', ')}.` };
+  }
+
+  const mappingError = validateColumnMapping(columnMapping, target);
+  if (mappingError) {
+    return { error: mappingError };
+  }
+
+  if (hasHeader !== undefined && typeof hasHeader !== 'boolean') {
+    return { error: 'hasHeader must be a boolean.' };
+  }
+
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    return { error: `conflictPolicy must be one of: ${CONFLICT_POLICIES.join(', ')}.` };
+  }
+
+  if (typeof dryRun !== 'boolean') {
+    return { error: 'dryRun must be a boolean.' };
+  }
+
+  // Links are written line by line, and a link that already exists has nothing to overwrite
+  if (target === 'links' && (mode !== 'standard' || conflictPolicy !== 'skip')) {
+    return { error: "Link files are always ingested in 'standard' mode with the 'skip' conflict policy." };
+  }
+
+  return {
+    options: {
+      mode, batchSize, progressInterval, format, columnMapping, hasHeader, conflictPolicy, dryRun, target,
+    },
+  };
+}
+
+/**
+ * Converts ingestion options passed as query string values into their JSON body equivalents.
+ * @param {object} query The request query.
+ * @returns {object} The options, with numbers, booleans and the column mapping decoded.
+ */
+function readQueryIngestionOptions(query) {
+  const toNumber = (value) => (value === undefined ? undefined : Number(value));
+  const toBoolean = (value) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+  };
+
+  let columnMapping = query.columnMapping;
+  if (columnMapping !== undefined) {
+    try {
+      columnMapping = JSON.parse(columnMapping);
+    } catch (error) {
+      columnMapping = null;
+    }
+  }
+
+  return {
+    mode: query.mode,
+    batchSize: toNumber(query.batchSize),
+    progressInterval: toNumber(query.progressInterval),
+    format: query.format,
+    columnMapping,
+    hasHeader: toBoolean(query.hasHeader),
+    conflictPolicy: query.conflictPolicy,
+    dryRun: query.dryRun === undefined ? undefined : toBoolean(query.dryRun),
+    target: query.target,
+  };
+}
+
+function sendIngestionAccepted(res, jobId) {
+  // Immediately respond to the client, confirming the job has been initiated.
+  // The client can use the jobId to check the status later.
+  res.status(202).json({
+    status: 'Ingestion initiated',
+    jobId: jobId,
+    message: `Check /api/events/ingestion-status/${jobId} for updates.`,
+  });
+}
 
 async function ingestEvents(req, res) {
   const { filePath } = req.body;
@@ -9,31 +122,72 @@ async function ingestEvents(req, res) {
     return res.status(400).json({ message: 'filePath is required.' });
   }
 
-  // Check if the file actually exists before starting the job
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ message: `File not found at path: ${filePath}` });
+  const { options, error: optionsError } = validateIngestionOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ message: optionsError });
   }
 
   try {
+    // Confine the path to the allow-listed directory and check that the file exists
+    const resolvedPath = await eventService.resolveIngestionPath(filePath);
+
+    if (options.dryRun) {
+      const report = await eventService.dryRunFile(resolvedPath, options);
+      return res.status(200).json(report);
+    }
+
     // Call the service to start the ingestion job in the background
-    const jobId = await eventService.startIngestionJob(filePath);
-    // Immediately respond to the client, confirming the job has been initiated.
-    // The client can use the jobId to check the status later.
-    res.status(202).json({
-      status: 'Ingestion initiated',
-      jobId: jobId,
-      message: `Check /api/events/ingestion-status/${jobId} for updates.`,
-    });
+    const jobId = await eventService.startIngestionJob(resolvedPath, options);
+    sendIngestionAccepted(res, jobId);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error initiating ingestion job:', error);
     res.status(500).json({ message: 'Failed to initiate ingestion job.' });
   }
 }
 
+async function uploadAndIngestEvents(req, res) {
+  const { options, error: optionsError } = validateIngestionOptions(readQueryIngestionOptions(req.query));
+  if (optionsError) {
+    return res.status(400).json({ message: optionsError });
+  }
+
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+  const gzip = req.headers['content-encoding'] === 'gzip'
+    || contentType.startsWith('application/gzip')
+    || contentType.startsWith('application/x-gzip');
+
+  const uploadOptions = { gzip, declaredBytes: parseInt(req.headers['content-length'], 10) };
+  const sourceName = [req.query.fileName, req.headers['x-file-name']].find((name) => typeof name === 'string' && name);
+
+  try {
+    if (options.dryRun) {
+      const report = await eventService.dryRunUpload(req, uploadOptions, { ...options, sourceName });
+      return res.status(200).json(report);
+    }
+
+    const storedPath = await eventService.saveUploadedFile(req, uploadOptions);
+    const jobId = await eventService.startIngestionJob(storedPath, { ...options, sourceName });
+    sendIngestionAccepted(res, jobId);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error receiving uploaded ingestion file:', error);
+    res.status(500).json({ message: 'Failed to initiate ingestion job.' });
+  }
+}
+
 
 async function getIngestionStatus(req, res) {
+  const { jobId } = req.params;
+  if (!UUID_REGEX.test(jobId)) {
+    return res.status(400).json({ message: 'jobId must be a UUID.' });
+  }
+
   try {
-    const { jobId } = req.params;
     const jobStatus = await eventService.getJobStatus(jobId);
 
     if (!jobStatus) {
@@ -42,15 +196,495 @@ async function getIngestionStatus(req, res) {
 
     res.status(200).json(jobStatus);
   } catch (error) {
-    console.error(`Error fetching status for job ${req.params.jobId}:`, error);
+    console.error(`Error fetching status for job ${jobId}:`, error);
     res.status(500).json({ message: 'Failed to retrieve job status' });
   }
 }
 
+/**
+ * Formats a message of a job's live progress stream as a Server-Sent Event.
+ * @param {{event?: string, id?: string, data?: object, comment?: string}} message The message.
+ * @returns {string} The event text.
+ */
+function toServerSentEvent({ event, id, data, comment }) {
+  if (comment) {
+    return `: ${comment}\n\n`;
+  }
+  return `${id === undefined ? '' : `id: ${id}\n`}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+async function streamIngestionStatus(req, res) {
+  const { jobId } = req.params;
+  if (!UUID_REGEX.test(jobId)) {
+    return res.status(400).json({ message: 'jobId must be a UUID.' });
+  }
+  // Sent back by EventSource when it reconnects: the ID of the last batch of rejected lines it received
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId !== undefined && !/^\d{1,19}$/.test(lastEventId)) {
+    return res.status(400).json({ message: 'Last-Event-ID must be an error ID from this stream.' });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  let messages;
+  try {
+    messages = await eventService.watchIngestionJob(jobId, { afterErrorId: lastEventId, signal: controller.signal });
+  } catch (error) {
+    console.error(`Error streaming status for job ${jobId}:`, error);
+    return res.status(500).json({ message: 'Failed to stream job status' });
+  }
+  if (!messages) {
+    return res.status(404).json({ message: 'Job not found' });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  // Stops nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  async function* toText() {
+    for await (const message of messages) {
+      yield toServerSentEvent(message);
+    }
+  }
+
+  try {
+    await pipeline(Readable.from(toText()), res);
+  } catch (error) {
+    // The client disconnecting ends the stream too; only other failures are worth logging
+    if (!controller.signal.aborted) {
+      console.error(`Error streaming status for job ${jobId}:`, error);
+    }
+    res.destroy();
+  }
+}
+
+const JOB_STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reads `page` and `limit` query parameters, capping the page size.
+ * @param {object} query The request query.
+ * @param {number} defaultLimit The page size when none is given.
+ * @returns {{page: number, limit: number}} The pagination parameters.
+ */
+function readPagination(query, defaultLimit) {
+  return {
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE),
+  };
+}
+
+async function listIngestionJobs(req, res) {
+  const { status, started_after: startedAfter, started_before: startedBefore } = req.query;
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${JOB_STATUSES.join(', ')}.` });
+  }
+
+  for (const [name, value] of Object.entries({ started_after: startedAfter, started_before: startedBefore })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ message: `${name} must be an ISO 8601 date.` });
+    }
+  }
+
+  try {
+    const result = await eventService.listIngestionJobs({
+      status,
+      startedAfter,
+      startedBefore,
+      ...readPagination(req.query, 20),
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error listing ingestion jobs:', error);
+    res.status(500).json({ message: 'Failed to list ingestion jobs' });
+  }
+}
+
+async function getIngestionErrors(req, res) {
+  const { jobId } = req.params;
+  if (!UUID_REGEX.test(jobId)) {
+    return res.status(400).json({ message: 'jobId must be a UUID.' });
+  }
+
+  try {
+    const result = await eventService.getJobErrors(jobId, {
+      errorCode: req.query.code,
+      ...readPagination(req.query, 50),
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(`Error fetching errors for job ${req.params.jobId}:`, error);
+    res.status(500).json({ message: 'Failed to retrieve job errors' });
+  }
+}
+
+async function downloadRejectedLines(req, res) {
+  const { jobId } = req.params;
+  if (!UUID_REGEX.test(jobId)) {
+    return res.status(400).json({ message: 'jobId must be a UUID.' });
+  }
+
+  let download;
+  try {
+    download = await eventService.getRejectedLinesExport(jobId);
+  } catch (error) {
+    console.error(`Error preparing rejected lines for job ${jobId}:`, error);
+    return res.status(500).json({ message: 'Failed to download rejected lines' });
+  }
+
+  if (!download) {
+    return res.status(404).json({ message: 'Job not found' });
+  }
+
+  await sendDownload(res, download, `Error streaming rejected lines for job ${req.params.jobId}:`);
+}
+
+/**
+ * Streams a download prepared by the event service as an attachment.
+ * @param {import('express').Response} res The response.
+ * @param {{fileName: string, contentType: string, lines: AsyncIterable<string>}} download The download.
+ * @param {string} logMessage Logged with the error if the stream fails.
+ * @returns {Promise<void>}
+ */
+async function sendDownload(res, download, logMessage) {
+  res.status(200);
+  res.setHeader('Content-Type', download.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${download.fileName}"`);
+
+  try {
+    await pipeline(Readable.from(download.lines), res);
+  } catch (error) {
+    // Headers are already sent at this point, so the client sees a truncated download
+    console.error(logMessage, error);
+    res.destroy(error);
+  }
+}
+
+async function cancelIngestion(req, res) {
+  const { jobId } = req.params;
+  if (!UUID_REGEX.test(jobId)) {
+    return res.status(400).json({ message: 'jobId must be a UUID.' });
+  }
+
+  try {
+    const jobStatus = await eventService.cancelIngestionJob(jobId);
+
+    if (!jobStatus) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(200).json(jobStatus);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`Error cancelling job ${req.params.jobId}:`, error);
+    res.status(500).json({ message: 'Failed to cancel job' });
+  }
+}
+
+async function retryIngestion(req, res) {
+  const { jobId } = req.params;
+  if (!UUID_REGEX.test(jobId)) {
+    return res.status(400).json({ message: 'jobId must be a UUID.' });
+  }
+  const fromStart = req.body ? req.body.fromStart : undefined;
+  if (fromStart !== undefined && typeof fromStart !== 'boolean') {
+    return res.status(400).json({ message: 'fromStart must be a boolean.' });
+  }
+
+  try {
+    const jobStatus = await eventService.retryIngestionJob(jobId, fromStart === true);
+
+    if (!jobStatus) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(202).json(jobStatus);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error(`Error retrying job ${req.params.jobId}:`, error);
+    res.status(500).json({ message: 'Failed to retry job' });
+  }
+}
+
+async function rollbackIngestion(req, res) {
+  const { jobId } = req.params;
+  if (!UUID_REGEX.test(jobId)) {
+    return res.status(400).json({ message: 'jobId must be a UUID.' });
+  }
+  const { children = 'detach', preview } = req.query;
+
+  if (!eventService.CHILD_STRATEGIES.includes(children)) {
+    return res.status(400).json({ message: `children must be one of: ${eventService.CHILD_STRATEGIES.join(', ')}.` });
+  }
+  if (preview !== undefined && !['true', 'false'].includes(preview)) {
+    return res.status(400).json({ message: 'preview must be true or false.' });
+  }
+
+  try {
+    const report = await eventService.rollbackIngestionJob(jobId, { children, preview: preview === 'true' });
+
+    if (!report) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(200).json(report);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error(`Error rolling back job ${req.params.jobId}:`, error);
+    res.status(500).json({ message: 'Failed to roll back job' });
+  }
+}
+
+async function createWebhook(req, res) {
+  try {
+    const webhook = await eventService.createWebhook(req.body);
+    res.status(201).location(`${req.baseUrl}/ingestion/webhooks/${webhook.webhook_id}`).json(webhook);
+  } catch (error) {
+    sendEventError(res, error, 'Error creating webhook:', 'Failed to create webhook');
+  }
+}
+
+async function listWebhooks(req, res) {
+  try {
+    const webhooks = await eventService.listWebhooks();
+    res.status(200).json({ webhooks });
+  } catch (error) {
+    sendEventError(res, error, 'Error listing webhooks:', 'Failed to list webhooks');
+  }
+}
+
+async function getWebhook(req, res) {
+  const { webhookId } = req.params;
+  if (!UUID_REGEX.test(webhookId)) {
+    return res.status(400).json({ message: 'webhookId must be a UUID.' });
+  }
+
+  try {
+    const webhook = await eventService.getWebhook(webhookId);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    sendEventError(res, error, `Error fetching webhook ${webhookId}:`, 'Failed to retrieve webhook');
+  }
+}
+
+async function deleteWebhook(req, res) {
+  const { webhookId } = req.params;
+  if (!UUID_REGEX.test(webhookId)) {
+    return res.status(400).json({ message: 'webhookId must be a UUID.' });
+  }
+
+  try {
+    const deleted = await eventService.deleteWebhook(webhookId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendEventError(res, error, `Error deleting webhook ${webhookId}:`, 'Failed to delete webhook');
+  }
+}
+
+async function getEventRevisions(req, res) {
+  const { eventId } = req.params;
+  if (!UUID_REGEX.test(eventId)) {
+    return res.status(400).json({ message: 'eventId must be a UUID.' });
+  }
+
+  try {
+    const history = await eventService.getEventRevisions(eventId, readPagination(req.query, 20));
+
+    if (!history) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.status(200).json(history);
+  } catch (error) {
+    console.error(`Error fetching revisions for event ${eventId}:`, error);
+    res.status(500).json({ message: 'Failed to retrieve event revisions' });
+  }
+}
+
+/**
+ * Sends the response for a failed single-event request.
+ * @param {object} res The response.
+ * @param {Error} error The error raised by the service.
+ * @param {string} logMessage What was being done, for the log.
+ * @param {string} clientMessage The message sent with a 500.
+ */
+function sendEventError(res, error, logMessage, clientMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({ message: clientMessage });
+}
+
+async function getEvent(req, res) {
+  const { eventId } = req.params;
+  if (!UUID_REGEX.test(eventId)) {
+    return res.status(400).json({ message: 'eventId must be a UUID.' });
+  }
+
+  try {
+    const event = await eventService.getEvent(eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.status(200).json(event);
+  } catch (error) {
+    sendEventError(res, error, `Error fetching event ${eventId}:`, 'Failed to retrieve event');
+  }
+}
+
+async function createEvent(req, res) {
+  try {
+    const event = await eventService.createEvent(req.body);
+    res.status(201).location(`${req.baseUrl}/${event.event_id}`).json(event);
+  } catch (error) {
+    sendEventError(res, error, 'Error creating event:', 'Failed to create event');
+  }
+}
+
+async function updateEvent(req, res) {
+  const { eventId } = req.params;
+  if (!UUID_REGEX.test(eventId)) {
+    return res.status(400).json({ message: 'eventId must be a UUID.' });
+  }
+
+  try {
+    const event = await eventService.updateEvent(eventId, req.body);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.status(200).json(event);
+  } catch (error) {
+    sendEventError(res, error, `Error updating event ${eventId}:`, 'Failed to update event');
+  }
+}
+
+async function deleteEvent(req, res) {
+  const { eventId } = req.params;
+  const { children = 'detach' } = req.query;
+
+  if (!UUID_REGEX.test(eventId)) {
+    return res.status(400).json({ message: 'eventId must be a UUID.' });
+  }
+  if (!eventService.CHILD_STRATEGIES.includes(children)) {
+    return res.status(400).json({ message: `children must be one of: ${eventService.CHILD_STRATEGIES.join(', ')}.` });
+  }
+
+  try {
+    const report = await eventService.deleteEvent(eventId, children);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.status(200).json(report);
+  } catch (error) {
+    sendEventError(res, error, `Error deleting event ${eventId}:`, 'Failed to delete event');
+  }
+}
+
+async function mergeEvents(req, res) {
+  try {
+    const result = await eventService.mergeEvents(req.body);
+    res.status(201).location(`${req.baseUrl}/merges/${result.merge.merge_id}`).json(result);
+  } catch (error) {
+    sendEventError(res, error, 'Error merging events:', 'Failed to merge events');
+  }
+}
+
+async function getEventMerge(req, res) {
+  const { mergeId } = req.params;
+  if (!UUID_REGEX.test(mergeId)) {
+    return res.status(400).json({ message: 'mergeId must be a UUID.' });
+  }
+
+  try {
+    const merge = await eventService.getEventMerge(mergeId);
+
+    if (!merge) {
+      return res.status(404).json({ message: 'Event merge not found' });
+    }
+
+    res.status(200).json(merge);
+  } catch (error) {
+    sendEventError(res, error, `Error fetching event merge ${mergeId}:`, 'Failed to retrieve event merge');
+  }
+}
+
+async function undoEventMerge(req, res) {
+  const { mergeId } = req.params;
+  if (!UUID_REGEX.test(mergeId)) {
+    return res.status(400).json({ message: 'mergeId must be a UUID.' });
+  }
+
+  try {
+    const result = await eventService.undoEventMerge(mergeId);
+
+    if (!result) {
+      return res.status(404).json({ message: 'Event merge not found' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendEventError(res, error, `Error undoing event merge ${mergeId}:`, 'Failed to undo event merge');
+  }
+}
+
 async function getTimeline(req, res) {
+  const { rootEventId } = req.params;
+  const { depth, siblings = 'false', format = 'nested' } = req.query;
+
+  if (!UUID_REGEX.test(rootEventId)) {
+    return res.status(400).json({ message: 'rootEventId must be a UUID.' });
+  }
+
+  const maxDepth = depth === undefined ? null : Number(depth);
+  if (maxDepth !== null && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+    return res.status(400).json({ message: 'depth must be a non-negative integer.' });
+  }
+  if (!['true', 'false'].includes(siblings)) {
+    return res.status(400).json({ message: 'siblings must be true or false.' });
+  }
+  if (!eventService.TIMELINE_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${eventService.TIMELINE_FORMATS.join(', ')}.` });
+  }
+
   try {
-    const { rootEventId } = req.params;
-    const timeline = await eventService.getTimelineByRootEventId(rootEventId);
+    const timeline = await eventService.getTimelineByRootEventId(rootEventId, {
+      maxDepth,
+      siblings: siblings === 'true',
+      format,
+    });
 
     if (!timeline) {
       return res.status(404).json({ message: 'Timeline not found for the given root event ID' });
@@ -58,36 +692,321 @@ async function getTimeline(req, res) {
 
     res.status(200).json(timeline);
   } catch (error) {
-    console.error(`Error fetching timeline for root event ${req.params.rootEventId}:`, error);
+    console.error(`Error fetching timeline for root event ${rootEventId}:`, error);
     res.status(500).json({ message: 'Failed to retrieve timeline' });
   }
 }
 
+async function exportTimeline(req, res) {
+  const { rootEventId } = req.params;
+  const { depth, format = 'jsonl' } = req.query;
+
+  if (!UUID_REGEX.test(rootEventId)) {
+    return res.status(400).json({ message: 'rootEventId must be a UUID.' });
+  }
+  const maxDepth = depth === undefined ? null : Number(depth);
+  if (maxDepth !== null && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+    return res.status(400).json({ message: 'depth must be a non-negative integer.' });
+  }
+  if (!EXPORT_FORMAT_NAMES.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMAT_NAMES.join(', ')}.` });
+  }
+
+  let download;
+  try {
+    download = await eventService.getTimelineExport(rootEventId, { maxDepth, format });
+  } catch (error) {
+    console.error(`Error preparing timeline export for root event ${rootEventId}:`, error);
+    return res.status(500).json({ message: 'Failed to export timeline' });
+  }
+  if (!download) {
+    return res.status(404).json({ message: 'Event not found' });
+  }
+
+  await sendDownload(res, download, `Error streaming timeline export for root event ${rootEventId}:`);
+}
+
+async function createEventLink(req, res) {
+  try {
+    const link = await eventService.createEventLink(req.body);
+    res.status(201).location(`${req.baseUrl}/links/${link.link_id}`).json(link);
+  } catch (error) {
+    sendEventError(res, error, 'Error creating event link:', 'Failed to create event link');
+  }
+}
+
+async function getEventLink(req, res) {
+  const { linkId } = req.params;
+  if (!UUID_REGEX.test(linkId)) {
+    return res.status(400).json({ message: 'linkId must be a UUID.' });
+  }
+
+  try {
+    const link = await eventService.getEventLink(linkId);
+
+    if (!link) {
+      return res.status(404).json({ message: 'Event link not found' });
+    }
+
+    res.status(200).json(link);
+  } catch (error) {
+    sendEventError(res, error, `Error fetching event link ${linkId}:`, 'Failed to retrieve event link');
+  }
+}
+
+async function updateEventLink(req, res) {
+  const { linkId } = req.params;
+  if (!UUID_REGEX.test(linkId)) {
+    return res.status(400).json({ message: 'linkId must be a UUID.' });
+  }
+
+  try {
+    const link = await eventService.updateEventLink(linkId, req.body);
+
+    if (!link) {
+      return res.status(404).json({ message: 'Event link not found' });
+    }
+
+    res.status(200).json(link);
+  } catch (error) {
+    sendEventError(res, error, `Error updating event link ${linkId}:`, 'Failed to update event link');
+  }
+}
+
+async function deleteEventLink(req, res) {
+  const { linkId } = req.params;
+  if (!UUID_REGEX.test(linkId)) {
+    return res.status(400).json({ message: 'linkId must be a UUID.' });
+  }
+
+  try {
+    const deleted = await eventService.deleteEventLink(linkId);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Event link not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendEventError(res, error, `Error deleting event link ${linkId}:`, 'Failed to delete event link');
+  }
+}
+
+async function getEventLinks(req, res) {
+  const { eventId } = req.params;
+  const { direction = 'both', type: linkType } = req.query;
+
+  if (!UUID_REGEX.test(eventId)) {
+    return res.status(400).json({ message: 'eventId must be a UUID.' });
+  }
+  if (!['outgoing', 'incoming', 'both'].includes(direction)) {
+    return res.status(400).json({ message: 'direction must be one of: outgoing, incoming, both.' });
+  }
+  if (linkType !== undefined && !LINK_TYPES.includes(linkType)) {
+    return res.status(400).json({ message: `type must be one of: ${LINK_TYPES.join(', ')}.` });
+  }
+
+  try {
+    const links = await eventService.getEventLinks(eventId, { direction, linkType });
+
+    if (!links) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.status(200).json({ eventId: eventId.toLowerCase(), links });
+  } catch (error) {
+    sendEventError(res, error, `Error listing links of event ${eventId}:`, 'Failed to list event links');
+  }
+}
+
+const MAX_AUDIT_SAMPLE_SIZE = 1000;
+
+/**
+ * Reads the audit options from a query string or a request body: `checks` as a comma-separated list, and `sampleSize`.
+ * @param {object} source The request query or body.
+ * @returns {{checks: Array<string>, sampleSize: number}|{error: string}} The options, or a validation error.
+ */
+function readAuditOptions(source) {
+  const checks = source.checks === undefined ? AUDIT_CHECKS : String(source.checks).split(',').map((check) => check.trim());
+  const unknown = checks.find((check) => !AUDIT_CHECKS.includes(check));
+  if (unknown !== undefined) {
+    return { error: `Unknown check '${unknown}'. Available checks: ${AUDIT_CHECKS.join(', ')}.` };
+  }
+
+  const sampleSize = source.sampleSize === undefined ? 100 : Number(source.sampleSize);
+  if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > MAX_AUDIT_SAMPLE_SIZE) {
+    return { error: `sampleSize must be an integer between 1 and ${MAX_AUDIT_SAMPLE_SIZE}.` };
+  }
+
+  return { checks, sampleSize };
+}
+
+async function auditIntegrity(req, res) {
+  const options = readAuditOptions(req.query);
+  if (options.error) {
+    return res.status(400).json({ message: options.error });
+  }
+
+  try {
+    const report = await eventService.auditIntegrity({ ...options, fix: false });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error auditing event integrity:', error);
+    res.status(500).json({ message: 'Failed to audit event integrity' });
+  }
+}
+
+async function fixIntegrity(req, res) {
+  const options = readAuditOptions(req.body || {});
+  if (options.error) {
+    return res.status(400).json({ message: options.error });
+  }
+
+  try {
+    const report = await eventService.auditIntegrity({ ...options, fix: true });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Error repairing event integrity:', error);
+    res.status(500).json({ message: 'Failed to repair event integrity' });
+  }
+}
+
+const SEARCH_SORT_FIELDS = ['start_date', 'end_date', 'event_name', 'duration_minutes', 'relevance'];
+const SEARCH_COUNT_MODES = ['none', 'estimate', 'exact'];
+
+/**
+ * Reads the search sort: `sort=key[:asc|desc],...`, or the single-key `sortBy` and `sortOrder`.
+ * Directions are case-insensitive. Keys default to ascending, except relevance (best matches first); without any
+ * sort, results are ordered by relevance for a full-text query and by start_date otherwise.
+ * @param {object} query The request query.
+ * @returns {{sort?: Array<{key: string, direction: string}>, error?: string}} The sort keys, or a validation error.
+ */
+function readSearchSort(query) {
+  let terms;
+  if (query.sort !== undefined) {
+    terms = String(query.sort).split(',').map((term) => term.trim().split(':'));
+  } else {
+    terms = [[query.sortBy || (query.q ? 'relevance' : 'start_date'), query.sortOrder]];
+  }
+
+  const sort = [];
+  for (const [key, rawDirection, ...rest] of terms) {
+    if (!SEARCH_SORT_FIELDS.includes(key) || rest.length > 0) {
+      return { error: `Invalid sort key '${key}'. Allowed keys: ${SEARCH_SORT_FIELDS.join(', ')}.` };
+    }
+    if (key === 'relevance' && !query.q) {
+      return { error: 'Sorting by relevance requires a full-text query (q).' };
+    }
+    const direction = rawDirection === undefined ? undefined : String(rawDirection).toLowerCase();
+    if (direction !== undefined && !['asc', 'desc'].includes(direction)) {
+      return { error: `Invalid sort direction '${rawDirection}' for '${key}'; use asc or desc.` };
+    }
+    if (sort.some((term) => term.key === key)) {
+      return { error: `Sort key '${key}' is given more than once.` };
+    }
+    sort.push({ key, direction: direction || (key === 'relevance' ? 'desc' : 'asc') });
+  }
+
+  return { sort };
+}
+
 async function searchEvents(req, res) {
+  const { filters, error: filterError } = readSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ message: filterError });
+  }
+
+  const { sort, error: sortError } = readSearchSort(req.query);
+  if (sortError) {
+    return res.status(400).json({ message: sortError });
+  }
+
+  // Offset pages were replaced by cursors; the first page is still the first page
+  if (req.query.page !== undefined && req.query.page !== '1') {
+    return res.status(400).json({ message: 'page is not supported; follow nextCursor with the cursor parameter to read further pages.' });
+  }
+
+  const count = req.query.count || 'exact';
+  if (!SEARCH_COUNT_MODES.includes(count)) {
+    return res.status(400).json({ message: `count must be one of: ${SEARCH_COUNT_MODES.join(', ')}.` });
+  }
+
   try {
     // Extract and provide default values for query parameters
     const params = {
-      name: req.query.name,
-      startDateAfter: req.query.start_date_after,
-      endDateBefore: req.query.end_date_before,
-      sortBy: req.query.sortBy || 'start_date',
-      sortOrder: req.query.sortOrder || 'asc',
-      page: parseInt(req.query.page, 10) || 1,
-      limit: parseInt(req.query.limit, 10) || 10,
+      ...filters,
+      sort,
+      cursor: req.query.cursor,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_PAGE_SIZE),
+      count,
     };
 
     const result = await eventService.searchEvents(params);
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error searching events:', error);
-    res.status(500).json({ message: 'Failed to search events' });
+    sendEventError(res, error, 'Error searching events:', 'Failed to search events');
   }
 }
 
+async function exportEvents(req, res) {
+  const { filters, error: filterError } = readSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ message: filterError });
+  }
+
+  const { sort, error: sortError } = readSearchSort(req.query);
+  if (sortError) {
+    return res.status(400).json({ message: sortError });
+  }
+
+  const { format = 'jsonl' } = req.query;
+  if (!EXPORT_FORMAT_NAMES.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMAT_NAMES.join(', ')}.` });
+  }
+
+  let download;
+  try {
+    download = await eventService.getSearchExport({ ...filters, sort }, format);
+  } catch (error) {
+    return sendEventError(res, error, 'Error preparing event export:', 'Failed to export events');
+  }
+
+  await sendDownload(res, download, 'Error streaming event export:');
+}
+
 
 module.exports = {
   ingestEvents,
+  uploadAndIngestEvents,
   getIngestionStatus,
+  streamIngestionStatus,
+  listIngestionJobs,
+  getIngestionErrors,
+  downloadRejectedLines,
+  exportEvents,
+  exportTimeline,
+  cancelIngestion,
+  retryIngestion,
+  rollbackIngestion,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  getEventRevisions,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  mergeEvents,
+  getEventMerge,
+  undoEventMerge,
+  createEventLink,
+  getEventLink,
+  updateEventLink,
+  deleteEventLink,
+  getEventLinks,
   getTimeline,
+  auditIntegrity,
+  fixIntegrity,
   searchEvents,
 };
\ No newline at end of file
@@ -4,8 +4,38 @@ const eventController = require('./event.controller');
 const router = express.Router();
 
 router.post('/ingest', eventController.ingestEvents);
+router.post('/ingest/upload', eventController.uploadAndIngestEvents);
 router.get('/ingestion-status/:jobId', eventController.getIngestionStatus);
+router.get('/ingestion-status/:jobId/stream', eventController.streamIngestionStatus);
+router.get('/ingestion', eventController.listIngestionJobs);
+router.post('/ingestion/webhooks', eventController.createWebhook);
+router.get('/ingestion/webhooks', eventController.listWebhooks);
+router.get('/ingestion/webhooks/:webhookId', eventController.getWebhook);
+router.delete('/ingestion/webhooks/:webhookId', eventController.deleteWebhook);
+router.get('/ingestion/:jobId/errors', eventController.getIngestionErrors);
+router.get('/ingestion/:jobId/rejected-lines', eventController.downloadRejectedLines);
+router.post('/ingestion/:jobId/cancel', eventController.cancelIngestion);
+router.post('/ingestion/:jobId/retry', eventController.retryIngestion);
+router.delete('/ingestion/:jobId', eventController.rollbackIngestion);
 router.get('/timeline/:rootEventId', eventController.getTimeline);
+router.get('/timeline/:rootEventId/export', eventController.exportTimeline);
 router.get('/search', eventController.searchEvents);
+router.get('/export', eventController.exportEvents);
+router.get('/audit', eventController.auditIntegrity);
+router.post('/audit/fix', eventController.fixIntegrity);
+router.get('/:eventId/revisions', eventController.getEventRevisions);
+router.get('/:eventId/links', eventController.getEventLinks);
+router.post('/links', eventController.createEventLink);
+router.get('/links/:linkId', eventController.getEventLink);
+router.patch('/links/:linkId', eventController.updateEventLink);
+router.delete('/links/:linkId', eventController.deleteEventLink);
+router.post('/merges', eventController.mergeEvents);
+router.get('/merges/:mergeId', eventController.getEventMerge);
+router.post('/merges/:mergeId/undo', eventController.undoEventMerge);
+// Single events; registered last so that the fixed paths above take precedence
+router.post('/', eventController.createEvent);
+router.get('/:eventId', eventController.getEvent);
+router.patch('/:eventId', eventController.updateEvent);
+router.delete('/:eventId', eventController.deleteEvent);
 
 module.exports = router;
\ No newline at end of file
@@ -1,25 +1,286 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { setTimeout: sleep } = require('timers/promises');
 const { v4: uuidv4 } = require('uuid');
-const { processFile } = require('../../jobs/ingestionProcessor');
+const ingestionWorker = require('../../jobs/ingestionWorker');
+const { dryRunIngestion } = require('../../jobs/ingestionDryRun');
+const { runIntegrityAudit } = require('../../jobs/integrityAudit');
+const { sealWebhookSecret } = require('../../jobs/webhookDelivery');
+const { checkWebhookTarget } = require('../../jobs/webhookTargets');
+const { isUploadedFile } = require('../../jobs/uploadRetention');
+const { parseHistoricalDate, toStoredDateRange, toEventDateColumns } = require('../../jobs/historicalDates');
+const { EXPORT_FORMATS, createEventWriter } = require('../../jobs/outputFormats');
 const databaseService = require('../../database/database.service');
+const { WEBHOOK_EVENTS } = require('../../database/jobWebhooks');
+const { UUID_REGEX, LINK_TYPES } = require('../../jobs/inputFormats');
+const ingestionConfig = require('../../configs/ingestion');
+
+/**
+ * Creates an error that the controller reports with the given HTTP status instead of a 500.
+ * @param {number} statusCode The HTTP status code.
+ * @param {string} message The client-facing message.
+ * @returns {Error} The error.
+ */
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Checks that a path lies inside a directory (after resolution).
+ * @param {string} directory The containing directory.
+ * @param {string} candidate The path to check.
+ * @returns {boolean} True if the candidate is the directory itself or inside it.
+ */
+function isInsideDirectory(directory, candidate) {
+  const relative = path.relative(directory, candidate);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolves a server-side file path for ingestion, confining it to the configured allow-listed directory.
+ * Relative paths are resolved against that directory; symlinks pointing outside of it are rejected.
+ * @param {string} filePath The path supplied by the client.
+ * @returns {Promise<string>} The real path of the file.
+ * @throws {Error} With a statusCode of 403 if filePath ingestion is disabled or the path escapes the directory, 404 if it does not exist.
+ */
+async function resolveIngestionPath(filePath) {
+  const { allowedDir } = ingestionConfig;
+  if (!allowedDir) {
+    throw createHttpError(403, 'filePath ingestion is disabled. Upload the file to /api/events/ingest/upload instead.');
+  }
+
+  const requestedPath = path.resolve(allowedDir, filePath);
+  if (!isInsideDirectory(allowedDir, requestedPath)) {
+    throw createHttpError(403, 'filePath must be inside the allowed ingestion directory.');
+  }
+
+  let realPath;
+  let stats;
+  try {
+    realPath = await fs.promises.realpath(requestedPath);
+    stats = await fs.promises.stat(realPath);
+  } catch (error) {
+    throw createHttpError(404, `File not found at path: ${filePath}`);
+  }
+
+  // Re-check after following symlinks
+  const realAllowedDir = await fs.promises.realpath(allowedDir);
+  if (!isInsideDirectory(realAllowedDir, realPath)) {
+    throw createHttpError(403, 'filePath must be inside the allowed ingestion directory.');
+  }
+
+  if (!stats.isFile()) {
+    throw createHttpError(404, `File not found at path: ${filePath}`);
+  }
+
+  return realPath;
+}
+
+/**
+ * Creates a pass-through stream that fails once more than `maxBytes` have gone through it.
+ * @param {number} maxBytes The byte limit.
+ * @param {string} description What is being limited, for the error message.
+ * @returns {Transform} The limiting stream.
+ */
+function createByteLimit(maxBytes, description) {
+  let seenBytes = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seenBytes += chunk.length;
+      if (seenBytes > maxBytes) {
+        callback(createHttpError(413, `${description} exceeds the limit of ${maxBytes} bytes.`));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Wraps a request body in the upload size limits, decompressing gzip bodies on the fly.
+ * @param {import('stream').Readable} input The request body stream.
+ * @param {object} options The upload options.
+ * @param {boolean} options.gzip Whether the body is gzip-compressed.
+ * @param {number} [options.declaredBytes] The Content-Length, used to reject oversized uploads early.
+ * @returns {import('stream').Readable} The (decompressed) upload contents.
+ * @throws {Error} With a statusCode of 413 if the declared size exceeds the limit.
+ */
+function openUploadStream(input, { gzip, declaredBytes }) {
+  const { maxUploadBytes, maxUncompressedBytes } = ingestionConfig;
+
+  if (declaredBytes > maxUploadBytes) {
+    throw createHttpError(413, `Upload exceeds the limit of ${maxUploadBytes} bytes.`);
+  }
+
+  const output = new PassThrough();
+  const stages = [input, createByteLimit(maxUploadBytes, 'Upload')];
+  if (gzip) {
+    stages.push(zlib.createGunzip(), createByteLimit(maxUncompressedBytes, 'Decompressed upload'));
+  }
+  stages.push(output);
+
+  // Errors in any stage destroy the output with the same error, which the consumer then sees
+  pipeline(stages).catch(() => {});
+  return output;
+}
+
+/**
+ * Maps errors raised while reading an upload to client errors where they are the client's fault.
+ * @param {Error} error The error.
+ * @returns {Error} The error to report.
+ */
+function toUploadError(error) {
+  if (error.code && error.code.startsWith('Z_')) {
+    return createHttpError(400, `Invalid gzip upload: ${error.message}`);
+  }
+  return error;
+}
+
+/**
+ * Streams an uploaded file to the upload directory, decompressing gzip uploads on the fly.
+ * The body is never buffered in memory; size limits apply to both the raw and the decompressed stream.
+ * @param {import('stream').Readable} input The request body stream.
+ * @param {object} options The upload options (see openUploadStream).
+ * @returns {Promise<string>} The path of the stored (decompressed) file.
+ * @throws {Error} With a statusCode of 403 if uploads are disabled, 413 if a size limit is exceeded, 400 if the gzip
+ *   stream is invalid.
+ */
+async function saveUploadedFile(input, options) {
+  if (!ingestionConfig.uploadsEnabled) {
+    throw createHttpError(403, 'Uploads are disabled. Ingest a file from the server with filePath instead.');
+  }
+
+  const upload = openUploadStream(input, options);
+
+  await fs.promises.mkdir(ingestionConfig.uploadDir, { recursive: true });
+  const storedPath = path.join(ingestionConfig.uploadDir, `${uuidv4()}.upload`);
+
+  try {
+    await pipeline(upload, fs.createWriteStream(storedPath));
+  } catch (error) {
+    await fs.promises.rm(storedPath, { force: true });
+    throw toUploadError(error);
+  }
+
+  return storedPath;
+}
+
+/**
+ * Validates a server-side file without ingesting it.
+ * @param {string} filePath The resolved path of the file.
+ * @param {object} options The format options (format, columnMapping, hasHeader).
+ * @returns {Promise<object>} The dry-run report.
+ */
+async function dryRunFile(filePath, options) {
+  const fileStream = fs.createReadStream(filePath);
+  try {
+    return await dryRunIngestion(fileStream, filePath, options);
+  } finally {
+    fileStream.destroy();
+  }
+}
+
+/**
+ * Validates an uploaded file as it streams in, without storing or ingesting it.
+ * @param {import('stream').Readable} input The request body stream.
+ * @param {object} uploadOptions The upload options (see openUploadStream).
+ * @param {object} options The format options (format, columnMapping, hasHeader) and optional sourceName.
+ * @returns {Promise<object>} The dry-run report.
+ * @throws {Error} With a statusCode of 413 if a size limit is exceeded, 400 if the gzip stream is invalid.
+ */
+async function dryRunUpload(input, uploadOptions, options) {
+  const upload = openUploadStream(input, uploadOptions);
+  try {
+    return await dryRunIngestion(upload, options.sourceName || 'upload', options);
+  } catch (error) {
+    throw toUploadError(error);
+  } finally {
+    upload.destroy();
+  }
+}
 
 /**
  * Initiates an ingestion job.
- * It creates a job record in the database and then starts the file processing in the background.
+ * It queues a job record in the database; an ingestion worker picks it up and processes the file.
  * @param {string} filePath The path to the file to be ingested.
+ * @param {object} [options] Processing options passed through to processFile (mode, batch sizes, input format, source name).
  * @returns {Promise<string>} The ID of the initiated job.
  */
-async function startIngestionJob(filePath) {
+async function startIngestionJob(filePath, options = {}) {
   // Use the database service to create the job record
-  const jobId = await databaseService.createIngestionJob(filePath);
+  const jobId = await databaseService.createIngestionJob(filePath, options);
 
-  // Start the background processing job
-  processFile(jobId, filePath);
+  // Let a local worker claim it straight away rather than on its next poll
+  ingestionWorker.wakeUp();
 
   return jobId;
 }
 
+const ERROR_PREVIEW_LIMIT = 20;
+const REJECTED_LINES_CHUNK_SIZE = 1000;
+
+// File extension and content type of rejected-lines downloads, per input format
+const REJECTED_LINES_FORMATS = {
+  pipe: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+};
+
 /**
- * Retrieves the status of a specific ingestion job.
+ * Maps an ingestion_jobs record to the API's job status format.
+ * @param {object} job The database record.
+ * @returns {object} The job status.
+ */
+function formatJobStatus(job) {
+  const response = {
+    jobId: job.job_id,
+    status: job.status,
+    filePath: job.file_path,
+    sourceName: job.options.sourceName || job.file_path,
+    format: job.options.format || 'pipe',
+    processedLines: job.processed_lines,
+    errorLines: job.error_lines,
+    orphanLines: job.orphan_lines,
+    totalLines: job.total_lines,
+    checkpointLine: job.checkpoint_line,
+    attempts: job.attempts,
+    jobErrors: job.errors,
+    startTime: job.start_time,
+  };
+
+  if (['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status)) {
+    response.endTime = job.end_time;
+  }
+  if (job.rolled_back_at) {
+    response.rolledBackAt = job.rolled_back_at;
+  }
+
+  return response;
+}
+
+/**
+ * Maps an ingestion_job_errors record to the API's error format.
+ * @param {object} error The database record.
+ * @returns {object} The structured error.
+ */
+function formatLineError(error) {
+  return {
+    lineNumber: error.line_number,
+    code: error.error_code,
+    field: error.field,
+    message: error.message,
+    rawLine: error.raw_line,
+  };
+}
+
+/**
+ * Retrieves the status of a specific ingestion job, with a preview of its first per-line errors.
  * @param {string} jobId The ID of the job to check.
  * @returns {Promise<object|null>} The formatted job status object, or null if not found.
  */
@@ -31,54 +292,789 @@ async function getJobStatus(jobId) {
     return null;
   }
 
-  // Map the database record to the required API response format
-  const response = {
-    jobId: job.job_id,
-    status: job.status,
-    processedLines: job.processed_lines,
-    errorLines: job.error_lines,
-    totalLines: job.total_lines,
-    errors: job.errors,
+  const { errors } = await databaseService.getIngestionJobErrors(jobId, { page: 1, limit: ERROR_PREVIEW_LIMIT });
+
+  return {
+    ...formatJobStatus(job),
+    errors: errors.map(formatLineError),
   };
+}
 
-  if (job.status === 'COMPLETED' || job.status === 'FAILED') {
-    response.startTime = job.start_time;
-    response.endTime = job.end_time;
+/**
+ * Lists ingestion jobs, most recent first.
+ * @param {object} params The filter and pagination parameters (status, startedAfter, startedBefore, page, limit).
+ * @returns {Promise<object>} The paginated job list.
+ */
+async function listIngestionJobs(params) {
+  const { totalJobs, jobs } = await databaseService.listIngestionJobs(params);
+  return {
+    totalJobs,
+    page: params.page,
+    limit: params.limit,
+    jobs: jobs.map(formatJobStatus),
+  };
+}
+
+/**
+ * Retrieves a page of a job's structured per-line errors.
+ * @param {string} jobId The ID of the job.
+ * @param {object} params The pagination parameters (page, limit) and optional errorCode filter.
+ * @returns {Promise<object|null>} The paginated errors, or null if the job does not exist.
+ */
+async function getJobErrors(jobId, params) {
+  const job = await databaseService.getIngestionJob(jobId);
+  if (!job) {
+    return null;
   }
 
-  return response;
+  const { totalErrors, errors } = await databaseService.getIngestionJobErrors(jobId, params);
+  return {
+    jobId,
+    totalErrors,
+    page: params.page,
+    limit: params.limit,
+    errors: errors.map(formatLineError),
+  };
 }
 
 /**
- * Constructs a full hierarchical timeline, including all ancestors and descendants, for a given event.
- * @param {string} rootEventId The UUID of the event to start the timeline from.
- * @returns {Promise<object|null>} A nested object representing the full timeline, or null if the event is not found.
+ * Prepares a download of a job's rejected lines in the source format: the header line (if the source had one)
+ * followed by each rejected line as it appeared in the file, so they can be fixed and re-ingested.
+ * The lines are read from the database in chunks as the download is consumed.
+ * @param {string} jobId The ID of the job.
+ * @returns {Promise<{fileName: string, contentType: string, lines: AsyncIterable<string>}|null>} The download, or null if the job does not exist.
  */
-async function getTimelineByRootEventId(rootEventId) {
-  // Fetch the entire family (ancestors and descendants) in a flat list
-  const flatList = await databaseService.getEventFamily(rootEventId);
+async function getRejectedLinesExport(jobId) {
+  const job = await databaseService.getIngestionJob(jobId);
+  if (!job) {
+    return null;
+  }
 
-  if (flatList.length === 0) {
-    return null; 
+  const format = job.options.format || 'pipe';
+  const { extension, contentType } = REJECTED_LINES_FORMATS[format];
+
+  async function* generateLines() {
+    if (job.header_line !== null) {
+      yield `${job.header_line}\n`;
+    }
+
+    let afterLineNumber = 0;
+    while (true) {
+      const rows = await databaseService.getRejectedLines(jobId, afterLineNumber, REJECTED_LINES_CHUNK_SIZE);
+      for (const row of rows) {
+        yield `${row.raw_line}\n`;
+      }
+      if (rows.length < REJECTED_LINES_CHUNK_SIZE) {
+        return;
+      }
+      afterLineNumber = rows[rows.length - 1].line_number;
+    }
   }
 
+  return {
+    fileName: `rejected-${jobId}.${extension}`,
+    contentType,
+    lines: generateLines(),
+  };
+}
+
+/**
+ * Cancels a queued or running ingestion job.
+ * @param {string} jobId The ID of the job.
+ * @returns {Promise<object|null>} The job status, or null if the job does not exist.
+ * @throws {Error} With a statusCode of 409 if the job already finished.
+ */
+async function cancelIngestionJob(jobId) {
+  const job = await databaseService.cancelIngestionJob(jobId);
+  if (!job) {
+    return assertJobInStatus(jobId, 'cancelled', ['PENDING', 'PROCESSING']);
+  }
+
+  ingestionWorker.abortJob(jobId, 'Job was cancelled');
+  return getJobStatus(jobId);
+}
+
+/**
+ * Re-queues a failed or cancelled ingestion job, resuming from its last checkpoint unless `fromStart` is set.
+ * @param {string} jobId The ID of the job.
+ * @param {boolean} [fromStart=false] Whether to reprocess the whole file.
+ * @returns {Promise<object|null>} The job status, or null if the job does not exist.
+ * @throws {Error} With a statusCode of 409 if the job is not FAILED or CANCELLED, or its upload was already deleted.
+ */
+async function retryIngestionJob(jobId, fromStart = false) {
+  const current = await databaseService.getIngestionJob(jobId);
+  if (current && isUploadedFile(current.file_path) && !fs.existsSync(current.file_path)) {
+    throw createHttpError(409, `The uploaded file of job ${jobId} was deleted after ${ingestionConfig.uploadRetentionHours} hours; upload it again as a new job.`);
+  }
+
+  const job = await databaseService.retryIngestionJob(jobId, fromStart);
+  if (!job) {
+    return assertJobInStatus(jobId, 'retried', ['FAILED', 'CANCELLED']);
+  }
+
+  ingestionWorker.wakeUp();
+  return getJobStatus(jobId);
+}
+
+const JOB_FINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+const PROGRESS_ERRORS_CHUNK_SIZE = 100;
+// Proxies tend to close connections that stay silent for a minute
+const PROGRESS_KEEP_ALIVE_MS = 15000;
+
+/**
+ * Follows an ingestion job live, as the messages of a Server-Sent Events stream. The job is polled every
+ * `progressPollIntervalMs`, so the stream works wherever the worker runs. A `line-errors` message carries each new
+ * batch of rejected lines, with the last error's ID as the message ID; `progress` follows whenever the job status
+ * changes, and `complete` ends the stream once the job is COMPLETED, FAILED or CANCELLED.
+ * @param {string} jobId The ID of the job.
+ * @param {object} [options] The stream options.
+ * @param {string} [options.afterErrorId='0'] Only send the rejected lines after this error, e.g. the Last-Event-ID of a dropped stream.
+ * @param {AbortSignal} [options.signal] Stops following the job, e.g. when the client disconnects.
+ * @returns {Promise<AsyncGenerator<{event?: string, id?: string, data?: object, comment?: string}>|null>} The
+ *   messages, or null if the job does not exist.
+ */
+async function watchIngestionJob(jobId, { afterErrorId = '0', signal } = {}) {
+  const job = await databaseService.getIngestionJob(jobId);
+  if (!job) {
+    return null;
+  }
+
+  async function* generateMessages() {
+    let current = job;
+    let errorCursor = afterErrorId;
+    let lastProgress = null;
+    let lastMessageAt = Date.now();
+
+    while (true) {
+      // Rejected lines first, so that a progress message never counts errors the client has not been sent
+      let errors;
+      do {
+        errors = await databaseService.getIngestionJobErrorsAfter(jobId, errorCursor, PROGRESS_ERRORS_CHUNK_SIZE);
+        if (errors.length > 0) {
+          errorCursor = errors[errors.length - 1].error_id;
+          lastMessageAt = Date.now();
+          yield { event: 'line-errors', id: errorCursor, data: { jobId, errors: errors.map(formatLineError) } };
+        }
+      } while (errors.length === PROGRESS_ERRORS_CHUNK_SIZE);
+
+      const status = formatJobStatus(current);
+      if (JOB_FINAL_STATUSES.includes(current.status)) {
+        yield { event: 'complete', data: status };
+        return;
+      }
+      const progress = JSON.stringify(status);
+      if (progress !== lastProgress) {
+        lastProgress = progress;
+        lastMessageAt = Date.now();
+        yield { event: 'progress', data: status };
+      } else if (Date.now() - lastMessageAt >= PROGRESS_KEEP_ALIVE_MS) {
+        lastMessageAt = Date.now();
+        yield { comment: 'keep-alive' };
+      }
+
+      try {
+        await sleep(ingestionConfig.progressPollIntervalMs, undefined, { signal });
+      } catch (error) {
+        return;
+      }
+      current = await databaseService.getIngestionJob(jobId);
+      if (!current) {
+        return;
+      }
+    }
+  }
+
+  return generateMessages();
+}
+
+// Fields accepted when registering a webhook
+const WEBHOOK_BODY_FIELDS = ['url', 'events', 'secret', 'description'];
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+const MAX_WEBHOOK_SECRET_LENGTH = 256;
+const WEBHOOK_DELIVERY_PREVIEW_LIMIT = 20;
+
+/**
+ * Registers a webhook that is POSTed a signed payload whenever an ingestion job completes or fails.
+ * @param {object} body The request body: url, and optionally events (defaults to all of WEBHOOK_EVENTS), secret
+ *   (generated when missing) and description.
+ * @returns {Promise<object>} The stored webhook. This is the only response that includes the secret.
+ * @throws {Error} With a statusCode of 400 if the body is invalid, or the url points to a private, loopback or reserved
+ *   address (see webhookTargets) or does not resolve.
+ */
+async function createWebhook(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createHttpError(400, 'Request body must be a JSON object.');
+  }
+  const unknownField = Object.keys(body).find((field) => !WEBHOOK_BODY_FIELDS.includes(field));
+  if (unknownField) {
+    throw createHttpError(400, `Unknown field '${unknownField}'. Allowed fields: ${WEBHOOK_BODY_FIELDS.join(', ')}.`);
+  }
+
+  let url = null;
+  if (typeof body.url === 'string') {
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      url = null;
+    }
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw createHttpError(400, 'url must be an absolute http or https URL.');
+  }
+  const targetError = await checkWebhookTarget(url);
+  if (targetError) {
+    throw createHttpError(400, `url must point to a public host: ${targetError}`);
+  }
+
+  const events = body.events === undefined ? WEBHOOK_EVENTS : body.events;
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+    throw createHttpError(400, `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}.`);
+  }
+
+  const { secret = crypto.randomBytes(32).toString('hex'), description = null } = body;
+  if (typeof secret !== 'string' || secret.length < MIN_WEBHOOK_SECRET_LENGTH || secret.length > MAX_WEBHOOK_SECRET_LENGTH) {
+    throw createHttpError(400, `secret must be a string of ${MIN_WEBHOOK_SECRET_LENGTH} to ${MAX_WEBHOOK_SECRET_LENGTH} characters.`);
+  }
+  if (description !== null && typeof description !== 'string') {
+    throw createHttpError(400, 'description must be a string.');
+  }
+
+  const webhook = await databaseService.createWebhook({ url: url.href, secret: sealWebhookSecret(secret), events: [...new Set(events)], description });
+  return { ...webhook, secret };
+}
+
+/**
+ * Lists the registered webhooks.
+ * @returns {Promise<Array<object>>} The webhooks, without their secrets.
+ */
+async function listWebhooks() {
+  return databaseService.listWebhooks();
+}
+
+/**
+ * Retrieves a webhook with its most recent deliveries.
+ * @param {string} webhookId The UUID of the webhook.
+ * @returns {Promise<object|null>} The webhook, without its secret, or null if it does not exist.
+ */
+async function getWebhook(webhookId) {
+  return databaseService.getWebhook(webhookId.toLowerCase(), WEBHOOK_DELIVERY_PREVIEW_LIMIT);
+}
+
+/**
+ * Deletes a webhook; its pending deliveries are dropped.
+ * @param {string} webhookId The UUID of the webhook.
+ * @returns {Promise<boolean>} True if the webhook existed.
+ */
+async function deleteWebhook(webhookId) {
+  return databaseService.deleteWebhook(webhookId.toLowerCase());
+}
+
+// What happens to the children of deleted events (on job rollback or single-event delete)
+const CHILD_STRATEGIES = ['detach', 'reparent', 'cascade', 'restrict'];
+const ROLLBACK_SAMPLE_LIMIT = 1000;
+
+/**
+ * Shapes an event affected by the deletion of its parent (a rollback or a single-event delete), with what the deletion does (or would do) to it.
+ * @param {object} child The affected event, with its surviving_ancestor_id.
+ * @param {string} childStrategy The child strategy of the deletion.
+ * @returns {object} The formatted child.
+ */
+function formatAffectedChild(child, childStrategy) {
+  const actions = { detach: 'DETACHED', reparent: 'REPARENTED', cascade: 'DELETED', restrict: 'BLOCKING' };
+  return {
+    eventId: child.event_id,
+    eventName: child.event_name,
+    parentEventId: child.parent_event_id,
+    ingestionJobId: child.ingestion_job_id,
+    action: actions[childStrategy],
+    newParentEventId: childStrategy === 'reparent' ? child.surviving_ancestor_id : null,
+  };
+}
+
+/**
+ * Removes every event an ingestion job inserted and restores the events it overwrote, or previews what would change.
+ * Only finished (COMPLETED, FAILED or CANCELLED) jobs can be rolled back; a running job must be cancelled first.
+ * @param {string} jobId The ID of the job.
+ * @param {object} [options] The rollback options.
+ * @param {string} [options.children='detach'] How events of other jobs under the job's events are handled, one of CHILD_STRATEGIES.
+ * @param {boolean} [options.preview=false] Whether to only report what would be removed.
+ * @returns {Promise<object|null>} The rollback report, or null if the job does not exist.
+ * @throws {Error} With a statusCode of 409 if the job is still running, or if `children` is 'restrict' and other jobs' events depend on the job's events.
+ */
+async function rollbackIngestionJob(jobId, { children = 'detach', preview = false } = {}) {
+  const job = await databaseService.getIngestionJob(jobId);
+  if (!job) {
+    return null;
+  }
+  if (['PENDING', 'PROCESSING'].includes(job.status)) {
+    throw createHttpError(409, `Job is ${job.status} and cannot be rolled back; cancel it first.`);
+  }
+
+  const plan = await databaseService.getIngestionJobRollbackPlan(jobId, children, ROLLBACK_SAMPLE_LIMIT);
+  const report = {
+    jobId,
+    preview,
+    children,
+    eventCount: plan.eventCount,
+    events: plan.events.map((event) => ({
+      eventId: event.event_id,
+      eventName: event.event_name,
+      startDate: event.start_date,
+      endDate: event.end_date,
+      parentEventId: event.parent_event_id,
+    })),
+    eventsTruncated: plan.eventCount > plan.events.length,
+    affectedChildren: plan.affectedChildren.map((child) => formatAffectedChild(child, children)),
+    restoredEventCount: plan.restoredEventCount,
+    linkCount: plan.linkCount,
+    rolledBackAt: job.rolled_back_at,
+  };
+
+  const restricted = (affectedChildren) => {
+    const error = createHttpError(409, `${affectedChildren.length} event(s) from other sources are attached under this job's events.`);
+    error.details = { affectedChildren: affectedChildren.map((child) => formatAffectedChild(child, children)) };
+    return error;
+  };
+
+  if (preview) {
+    return report;
+  }
+  if (children === 'restrict' && plan.affectedChildren.length > 0) {
+    throw restricted(plan.affectedChildren);
+  }
+
+  const result = await databaseService.rollbackIngestionJob(jobId, children);
+  if (result.blocked) {
+    throw restricted(result.affectedChildren);
+  }
+  const rolledBackJob = await databaseService.getIngestionJob(jobId);
+  return {
+    ...report,
+    eventCount: result.deletedEvents,
+    restoredEventCount: result.restoredEvents,
+    linkCount: result.deletedLinks,
+    affectedChildren: result.affectedChildren.map((child) => formatAffectedChild(child, children)),
+    rolledBackAt: rolledBackJob.rolled_back_at,
+  };
+}
+
+/**
+ * Explains why a job transition did not apply: the job is missing (null) or in the wrong status (409).
+ * @param {string} jobId The ID of the job.
+ * @param {string} action The attempted action, for the error message.
+ * @param {Array<string>} allowedStatuses The statuses the action applies to.
+ * @returns {Promise<null>} Null if the job does not exist.
+ */
+async function assertJobInStatus(jobId, action, allowedStatuses) {
+  const job = await databaseService.getIngestionJob(jobId);
+  if (!job) {
+    return null;
+  }
+  throw createHttpError(409, `Job is ${job.status} and cannot be ${action}; only ${allowedStatuses.join(' or ')} jobs can.`);
+}
+
+const FK_VIOLATION_CODE = '23503';
+
+// Request body fields of a single event; eventId is only accepted on creation
+const EVENT_BODY_FIELDS = ['eventId', 'eventName', 'description', 'startDate', 'endDate', 'parentId', 'researchValue', 'metadata'];
+
+/**
+ * Validates a single-event request body and converts it into column values.
+ * @param {object} body The request body.
+ * @param {boolean} isCreate Whether the event is being created (eventName, startDate and endDate are then required).
+ * @returns {object} The columns present in the body (event_id, event_name, description, start_date, end_date,
+ *   parent_event_id, metadata), plus research_value if given. start_date and end_date are date ranges (see parseHistoricalDate).
+ * @throws {Error} With a statusCode of 400 if a field is unknown or invalid.
+ */
+function readEventBody(body, isCreate) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createHttpError(400, 'Request body must be a JSON object.');
+  }
+
+  const allowedFields = isCreate ? EVENT_BODY_FIELDS : EVENT_BODY_FIELDS.filter((field) => field !== 'eventId');
+  const unknownField = Object.keys(body).find((field) => !allowedFields.includes(field));
+  if (unknownField) {
+    throw createHttpError(400, `Unknown field '${unknownField}'. Allowed fields: ${allowedFields.join(', ')}.`);
+  }
+
+  if (isCreate) {
+    const missing = ['eventName', 'startDate', 'endDate'].filter((field) => body[field] === undefined);
+    if (missing.length > 0) {
+      throw createHttpError(400, `Missing required field(s): ${missing.join(', ')}.`);
+    }
+  }
+
+  const columns = {};
+  const isUuid = (value) => typeof value === 'string' && UUID_REGEX.test(value);
+
+  if (body.eventId !== undefined) {
+    if (!isUuid(body.eventId)) {
+      throw createHttpError(400, 'eventId must be a UUID.');
+    }
+    columns.event_id = body.eventId.toLowerCase();
+  }
+
+  if (body.parentId !== undefined) {
+    if (body.parentId !== null && !isUuid(body.parentId)) {
+      throw createHttpError(400, 'parentId must be a UUID or null.');
+    }
+    columns.parent_event_id = body.parentId === null ? null : body.parentId.toLowerCase();
+  }
+
+  if (body.eventName !== undefined) {
+    if (typeof body.eventName !== 'string' || body.eventName.trim() === '' || body.eventName.length > 255) {
+      throw createHttpError(400, 'eventName must be a non-empty string of at most 255 characters.');
+    }
+    columns.event_name = body.eventName;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      throw createHttpError(400, 'description must be a string or null.');
+    }
+    columns.description = body.description;
+  }
+
+  for (const [field, column] of [['startDate', 'start_date'], ['endDate', 'end_date']]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    const range = typeof body[field] === 'string' || Number.isInteger(body[field]) ? parseHistoricalDate(body[field]) : null;
+    if (!range) {
+      throw createHttpError(400, `${field} must be an ISO 8601 date, a year, month or day (e.g. '1450-03'), optionally approximate ('circa 1450') or BCE ('300 BCE').`);
+    }
+    columns[column] = range;
+  }
+
+  if (body.metadata !== undefined) {
+    if (body.metadata !== null && (typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+      throw createHttpError(400, 'metadata must be an object or null.');
+    }
+    columns.metadata = body.metadata;
+  }
+
+  if (body.researchValue !== undefined) {
+    columns.research_value = body.researchValue;
+  }
+
+  return columns;
+}
+
+/**
+ * Completes an event version: merges researchValue into the metadata and recomputes the date columns and duration_minutes.
+ * @param {object} event The event columns, with an optional research_value. start_date and end_date are either date
+ *   ranges from the request body or the stored dates, which are then read together with their bounds and precision.
+ * @returns {object} The columns to store.
+ * @throws {Error} With a statusCode of 400 if start_date is after end_date, the event spans too long, or the event is its own parent.
+ */
+function toStoredEvent({ research_value: researchValue, ...event }) {
+  const dates = toEventDateColumns(
+    event.start_date instanceof Date ? toStoredDateRange(event, 'start') : event.start_date,
+    event.end_date instanceof Date ? toStoredDateRange(event, 'end') : event.end_date
+  );
+  if (dates.code === 'DATE_ORDER') {
+    throw createHttpError(400, 'startDate cannot be after endDate.');
+  }
+  if (dates.error) {
+    throw createHttpError(400, dates.error);
+  }
+  if (event.parent_event_id && event.parent_event_id === event.event_id) {
+    throw createHttpError(400, 'An event cannot be its own parent.');
+  }
+
+  let metadata = event.metadata || null;
+  if (researchValue !== undefined) {
+    metadata = { ...metadata, researchValue };
+  }
+
+  return {
+    ...event,
+    ...dates.columns,
+    metadata,
+  };
+}
+
+/**
+ * Fetches a single event.
+ * @param {string} eventId The UUID of the event.
+ * @returns {Promise<object|null>} The event, or null if it does not exist.
+ */
+async function getEvent(eventId) {
+  return databaseService.getEventById(eventId.toLowerCase());
+}
+
+/**
+ * Creates a single event. The event ID is generated unless the body supplies one.
+ * @param {object} body The request body (see EVENT_BODY_FIELDS).
+ * @returns {Promise<object>} The stored event.
+ * @throws {Error} With a statusCode of 400 if the body is invalid or the parent does not exist, 409 if the event ID is taken.
+ */
+async function createEvent(body) {
+  const columns = readEventBody(body, true);
+  const event = toStoredEvent({ event_id: uuidv4(), description: null, parent_event_id: null, ...columns });
+
+  let created;
+  try {
+    created = await databaseService.createEvent(event);
+  } catch (error) {
+    if (error.code === FK_VIOLATION_CODE) {
+      throw createHttpError(400, `Parent event '${event.parent_event_id}' does not exist.`);
+    }
+    throw error;
+  }
+
+  if (!created) {
+    throw createHttpError(409, `Event '${event.event_id}' already exists.`);
+  }
+  return created;
+}
+
+/**
+ * Applies a partial update to a single event. duration_minutes is recomputed, and the previous version is saved to the revision history.
+ * @param {string} eventId The UUID of the event.
+ * @param {object} body The fields to change (see EVENT_BODY_FIELDS; eventId cannot be changed).
+ * @returns {Promise<object|null>} The updated event, or null if the event does not exist.
+ * @throws {Error} With a statusCode of 400 if the body is invalid or the new parent does not exist, 409 if the new parent is the event itself or one of its descendants.
+ */
+async function updateEvent(eventId, body) {
+  const changes = readEventBody(body, false);
+
+  const result = await databaseService.updateEvent(eventId.toLowerCase(), (current) => toStoredEvent({ ...current, ...changes }));
+
+  if (!result) {
+    return null;
+  }
+  if (result.rejected === 'PARENT_NOT_FOUND') {
+    throw createHttpError(400, `Parent event '${changes.parent_event_id}' does not exist.`);
+  }
+  if (result.rejected === 'CYCLE') {
+    throw createHttpError(409, `Moving the event under '${changes.parent_event_id}' would create a cycle: ${result.chain.join(' -> ')}.`);
+  }
+  return result.event;
+}
+
+/**
+ * Deletes a single event, saving its last version to the revision history.
+ * @param {string} eventId The UUID of the event.
+ * @param {string} [children='detach'] What happens to the event's children, one of CHILD_STRATEGIES; 'reparent'
+ *   moves them under the event's own parent, 'cascade' deletes all its descendants.
+ * @returns {Promise<object|null>} The deletion report, or null if the event does not exist.
+ * @throws {Error} With a statusCode of 409 if `children` is 'restrict' and the event has children.
+ */
+async function deleteEvent(eventId, children = 'detach') {
+  const result = await databaseService.deleteEvent(eventId.toLowerCase(), children);
+  if (!result) {
+    return null;
+  }
+
+  const affectedChildren = result.affectedChildren.map((child) => formatAffectedChild(child, children));
+  if (result.blocked) {
+    const error = createHttpError(409, `The event has ${affectedChildren.length} child event(s).`);
+    error.details = { affectedChildren };
+    throw error;
+  }
+
+  return {
+    eventId: eventId.toLowerCase(),
+    children,
+    deletedEvents: result.deletedEvents,
+    affectedChildren,
+  };
+}
+
+/**
+ * Returns the revision history of an event: its current version and the versions it replaced, most recent first.
+ * @param {string} eventId The UUID of the event.
+ * @param {{page: number, limit: number}} params The pagination parameters.
+ * @returns {Promise<object|null>} The history, or null if the event neither exists nor ever existed with revisions.
+ */
+async function getEventRevisions(eventId, params) {
+  const [current, { totalRevisions, revisions }] = await Promise.all([
+    databaseService.getEventById(eventId),
+    databaseService.getEventRevisions(eventId, params),
+  ]);
+
+  if (!current && totalRevisions === 0) {
+    return null;
+  }
+
+  return {
+    eventId,
+    current,
+    totalRevisions,
+    page: params.page,
+    limit: params.limit,
+    revisions: revisions.map(formatRevision),
+  };
+}
+
+/**
+ * Shapes an event_revisions row: what changed, and the event version that the change replaced.
+ * @param {object} revision The event_revisions row.
+ * @returns {object} The formatted revision.
+ */
+function formatRevision(revision) {
+  const {
+    revision_id: revisionId, change_type: changeType, changed_by_job_id: changedByJobId,
+    changed_fields: changedFields, changed_at: changedAt, ...previousVersion
+  } = revision;
+
+  return {
+    revisionId,
+    changeType,
+    changedByJobId,
+    changedFields,
+    changedAt,
+    previousVersion,
+  };
+}
+
+/**
+ * Returns a copy of an event's metadata object (an empty one if it has none or it is not an object).
+ * @param {object} event The event row.
+ * @returns {object} The metadata.
+ */
+function copyMetadata(event) {
+  const { metadata } = event;
+  return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? { ...metadata } : {};
+}
+
+/**
+ * Merges a duplicate event into another, typically one found by the duplicates insight. The duplicate's children and
+ * links move to the surviving event and the duplicate is deleted. The survivor's metadata.mergedEvents records where
+ * the duplicate came from (its name, dates and source file), alongside the survivor's own source.
+ * @param {object} body The request body: survivorId and duplicateId.
+ * @returns {Promise<{merge: object, event: object}>} The merge record and the updated survivor.
+ * @throws {Error} With a statusCode of 400 if the body is invalid, 404 if either event does not exist, 409 if the duplicate is an ancestor of the survivor.
+ */
+async function mergeEvents(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createHttpError(400, 'Request body must be a JSON object.');
+  }
+  const unknownField = Object.keys(body).find((field) => !['survivorId', 'duplicateId'].includes(field));
+  if (unknownField) {
+    throw createHttpError(400, `Unknown field '${unknownField}'. Allowed fields: survivorId, duplicateId.`);
+  }
+  for (const field of ['survivorId', 'duplicateId']) {
+    if (typeof body[field] !== 'string' || !UUID_REGEX.test(body[field])) {
+      throw createHttpError(400, `${field} must be a UUID.`);
+    }
+  }
+  const survivorId = body.survivorId.toLowerCase();
+  const duplicateId = body.duplicateId.toLowerCase();
+  if (survivorId === duplicateId) {
+    throw createHttpError(400, 'An event cannot be merged into itself.');
+  }
+
+  const result = await databaseService.mergeEvents(survivorId, duplicateId, (survivor, duplicate, merge) => {
+    const metadata = copyMetadata(survivor);
+    const duplicateMetadata = copyMetadata(duplicate);
+    const mergedEvents = Array.isArray(metadata.mergedEvents) ? metadata.mergedEvents : [];
+    metadata.mergedEvents = [...mergedEvents, {
+      mergeId: merge.merge_id,
+      eventId: duplicate.event_id,
+      eventName: duplicate.event_name,
+      startDate: duplicate.start_date,
+      endDate: duplicate.end_date,
+      originalSourceFile: duplicateMetadata.originalSourceFile || null,
+      lineNumber: duplicateMetadata.lineNumber || null,
+      ingestionJobId: duplicate.ingestion_job_id,
+      mergedAt: merge.merged_at,
+    }];
+    return metadata;
+  });
+
+  if (result.rejected === 'NOT_FOUND') {
+    throw createHttpError(404, `Event '${result.missingId}' not found.`);
+  }
+  if (result.rejected === 'ANCESTOR') {
+    throw createHttpError(409, `Event '${duplicateId}' is an ancestor of '${survivorId}' and cannot be merged into it.`);
+  }
+  return result;
+}
+
+/**
+ * Retrieves a merge record.
+ * @param {string} mergeId The UUID of the merge.
+ * @returns {Promise<object|null>} The merge, or null if it does not exist.
+ */
+async function getEventMerge(mergeId) {
+  return databaseService.getEventMerge(mergeId.toLowerCase());
+}
+
+/**
+ * Undoes a merge: the duplicate is restored with its children and links, and its entry is removed from the
+ * survivor's metadata.mergedEvents.
+ * @param {string} mergeId The UUID of the merge.
+ * @returns {Promise<object|null>} The merge record, the restored event and the number of children and links moved back; null if the merge does not exist.
+ * @throws {Error} With a statusCode of 409 if the merge has already been undone or the duplicate's event ID has been taken since.
+ */
+async function undoEventMerge(mergeId) {
+  const result = await databaseService.undoEventMerge(mergeId.toLowerCase(), (survivor, merge) => {
+    const metadata = copyMetadata(survivor);
+    const mergedEvents = (Array.isArray(metadata.mergedEvents) ? metadata.mergedEvents : [])
+      .filter((entry) => !entry || entry.mergeId !== merge.merge_id);
+    if (mergedEvents.length > 0) {
+      metadata.mergedEvents = mergedEvents;
+    } else {
+      delete metadata.mergedEvents;
+    }
+    return metadata;
+  });
+
+  if (!result) {
+    return null;
+  }
+  if (result.rejected === 'ALREADY_UNDONE') {
+    throw createHttpError(409, 'The merge has already been undone.');
+  }
+  if (result.rejected === 'EVENT_EXISTS') {
+    throw createHttpError(409, 'An event with the merged event\'s ID has been created since the merge.');
+  }
+  return result;
+}
+
+const TIMELINE_FORMATS = ['nested', 'gantt'];
+
+/**
+ * Nests the family of an event under it, with its ancestor chain attached through `parent`.
+ * @param {Array<object>} flatList The family rows, ordered by depth and start date (see databaseService.getEventFamily).
+ * @param {string} rootEventId The starting event's UUID.
+ * @param {boolean} withSiblings Whether the rows include siblings, which go in a `siblings` array of the chain node they sit beside.
+ * @returns {object|null} The starting event's node.
+ */
+function buildNestedTimeline(flatList, rootEventId, withSiblings) {
   const nodeMap = new Map();
+  // The starting event and its ancestors, by depth
+  const chainByDepth = new Map();
 
-  for (const item of flatList) {
-      const id = item.event_id;
-      nodeMap.set(id, {
-          id: id,
+  for (const { depth, relation, ...item } of flatList) {
+      const node = {
+          id: item.event_id,
           ...item,
           children: []
-      });
+      };
+      if (relation === 'sibling') {
+          delete node.children;
+      } else {
+          nodeMap.set(item.event_id, node);
+      }
+      if (relation === 'root' || relation === 'ancestor') {
+          chainByDepth.set(depth, node);
+          if (withSiblings) {
+              node.siblings = [];
+          }
+      }
   }
 
-  for (const item of flatList) {
+  for (const { depth, relation, ...item } of flatList) {
+      if (relation === 'sibling') {
+          chainByDepth.get(depth).siblings.push({ id: item.event_id, ...item });
+          continue;
+      }
       const parentId = item.parent_event_id;
-      if (parentId && nodeMap.has(parentId)) {
-          const node = nodeMap.get(item.event_id);
-          const parentNode = nodeMap.get(parentId);
-          parentNode.children.push(node);
+      if (relation === 'descendant' && parentId && nodeMap.has(parentId)) {
+          nodeMap.get(parentId).children.push(nodeMap.get(item.event_id));
       }
   }
 
@@ -104,20 +1100,462 @@ async function getTimelineByRootEventId(rootEventId) {
 }
 
 /**
- * Searches for events based on a set of filter, sort, and pagination parameters.
- * @param {object} params The search parameters.
- * @returns {Promise<object>} The paginated search results.
+ * Flattens the family of an event into Gantt chart rows, in depth-first order with children by start date.
+ * @param {Array<object>} flatList The family rows, ordered by depth and start date (see databaseService.getEventFamily).
+ * @param {string} rootEventId The starting event's UUID.
+ * @returns {Array<object>} The rows, each with its depth relative to the starting event, its path of event IDs from the top
+ *   of the hierarchy, and its start and end as minutes from the starting event's start. Uncertain dates also get the offsets
+ *   of the latest start and earliest end, so a chart can shade the uncertain part of the bar.
+ */
+function buildGanttRows(flatList, rootEventId) {
+  const rootStart = new Date(flatList.find((item) => item.event_id === rootEventId).start_date).getTime();
+  const childrenOf = new Map();
+  for (const item of flatList) {
+    if (!childrenOf.has(item.parent_event_id)) {
+      childrenOf.set(item.parent_event_id, []);
+    }
+    childrenOf.get(item.parent_event_id).push(item);
+  }
+
+  const toOffset = (date) => (!date ? null : Math.round((new Date(date).getTime() - rootStart) / 60000));
+  const rows = [];
+  // The top of the fetched hierarchy is the shallowest row; the list is ordered by depth
+  const stack = [{ item: flatList[0], path: [] }];
+  while (stack.length > 0) {
+    const { item, path } = stack.pop();
+    const rowPath = [...path, item.event_id];
+    rows.push({
+      event_id: item.event_id,
+      event_name: item.event_name,
+      parent_event_id: item.parent_event_id,
+      start_date: item.start_date,
+      start_date_latest: item.start_date_latest,
+      start_date_precision: item.start_date_precision,
+      end_date: item.end_date,
+      end_date_earliest: item.end_date_earliest,
+      end_date_precision: item.end_date_precision,
+      duration_minutes: item.duration_minutes,
+      relation: item.relation,
+      depth: item.depth,
+      path: rowPath,
+      start_offset_minutes: toOffset(item.start_date),
+      start_latest_offset_minutes: toOffset(item.start_date_latest),
+      end_earliest_offset_minutes: toOffset(item.end_date_earliest),
+      end_offset_minutes: toOffset(item.end_date),
+      child_count: item.child_count,
+    });
+
+    const children = childrenOf.get(item.event_id) || [];
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ item: children[i], path: rowPath });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Constructs the hierarchical timeline of an event: its ancestors and its descendants, optionally limited in depth.
+ * @param {string} rootEventId The UUID of the event to start the timeline from.
+ * @param {object} [options]
+ * @param {number|null} [options.maxDepth=null] The deepest descendant level to include (1 = children only); null for all.
+ * @param {boolean} [options.siblings=false] Whether to include the siblings of the event and of each ancestor.
+ * @param {string} [options.format='nested'] 'nested' for a tree, 'gantt' for flat rows (see TIMELINE_FORMATS).
+ * @returns {Promise<object|null>} The nested timeline or the Gantt rows, or null if the event is not found.
+ *   Every event carries its number of children (`child_count`), so nodes cut off by the depth limit can be expanded later.
+ */
+async function getTimelineByRootEventId(rootEventId, { maxDepth = null, siblings = false, format = 'nested' } = {}) {
+  const eventId = rootEventId.toLowerCase();
+  // Fetch the family (ancestors, descendants and siblings) in a flat list
+  const flatList = await databaseService.getEventFamily(eventId, { maxDepth, withSiblings: siblings });
+
+  if (flatList.length === 0) {
+    return null;
+  }
+
+  if (format === 'gantt') {
+    return {
+      rootEventId: eventId,
+      maxDepth,
+      siblings,
+      rows: buildGanttRows(flatList, eventId),
+    };
+  }
+  return buildNestedTimeline(flatList, eventId, siblings);
+}
+
+/**
+ * Audits the hierarchy and the staging table for integrity violations, optionally repairing the mechanical ones.
+ * @param {{checks: Array<string>, fix: boolean, sampleSize: number}} options The audit options (see runIntegrityAudit).
+ * @returns {Promise<object>} The audit report.
+ */
+async function auditIntegrity(options) {
+  return runIntegrityAudit(options);
+}
+
+const UNIQUE_VIOLATION_CODE = '23505';
+
+// Request body fields of an event link; the linked events are only accepted on creation
+const LINK_BODY_FIELDS = ['sourceEventId', 'targetEventId', 'linkType', 'description', 'metadata'];
+
+/**
+ * Validates an event-link request body and converts it into column values.
+ * @param {object} body The request body.
+ * @param {boolean} isCreate Whether the link is being created (all of sourceEventId, targetEventId and linkType are required).
+ * @returns {object} The column values present in the body.
+ */
+function readLinkBody(body, isCreate) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createHttpError(400, 'Request body must be a JSON object.');
+  }
+
+  const allowedFields = isCreate ? LINK_BODY_FIELDS : ['linkType', 'description', 'metadata'];
+  const unknownField = Object.keys(body).find((field) => !allowedFields.includes(field));
+  if (unknownField) {
+    throw createHttpError(400, `Unknown field '${unknownField}'. Allowed fields: ${allowedFields.join(', ')}.`);
+  }
+
+  const columns = {};
+  if (isCreate) {
+    const missing = ['sourceEventId', 'targetEventId', 'linkType'].filter((field) => body[field] === undefined);
+    if (missing.length > 0) {
+      throw createHttpError(400, `Missing required field(s): ${missing.join(', ')}.`);
+    }
+    for (const [field, column] of [['sourceEventId', 'source_event_id'], ['targetEventId', 'target_event_id']]) {
+      if (typeof body[field] !== 'string' || !UUID_REGEX.test(body[field])) {
+        throw createHttpError(400, `${field} must be a UUID.`);
+      }
+      columns[column] = body[field].toLowerCase();
+    }
+    if (columns.source_event_id === columns.target_event_id) {
+      throw createHttpError(400, 'An event cannot be linked to itself.');
+    }
+  }
+
+  if (body.linkType !== undefined) {
+    if (!LINK_TYPES.includes(body.linkType)) {
+      throw createHttpError(400, `linkType must be one of: ${LINK_TYPES.join(', ')}.`);
+    }
+    columns.link_type = body.linkType;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      throw createHttpError(400, 'description must be a string or null.');
+    }
+    columns.description = body.description;
+  }
+
+  if (body.metadata !== undefined) {
+    if (body.metadata !== null && (typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+      throw createHttpError(400, 'metadata must be an object or null.');
+    }
+    columns.metadata = body.metadata;
+  }
+
+  return columns;
+}
+
+/**
+ * Creates a typed link from one event to another.
+ * @param {object} body The request body: sourceEventId, targetEventId, linkType and optionally description and metadata.
+ * @returns {Promise<object>} The stored link.
+ */
+async function createEventLink(body) {
+  const link = { description: null, metadata: null, ...readLinkBody(body, true) };
+
+  let created;
+  try {
+    created = await databaseService.createEventLink(link);
+  } catch (error) {
+    if (error.code === FK_VIOLATION_CODE) {
+      const field = error.constraint === 'fk_link_source_event' ? 'source_event_id' : 'target_event_id';
+      throw createHttpError(400, `Linked event '${link[field]}' does not exist.`);
+    }
+    throw error;
+  }
+
+  if (!created) {
+    throw createHttpError(409, `Event '${link.source_event_id}' is already linked to '${link.target_event_id}' as '${link.link_type}'.`);
+  }
+  return created;
+}
+
+/**
+ * Retrieves a single event link.
+ * @param {string} linkId The link's UUID.
+ * @returns {Promise<object|null>} The link, or null if it does not exist.
+ */
+async function getEventLink(linkId) {
+  return databaseService.getEventLink(linkId.toLowerCase());
+}
+
+/**
+ * Changes the type, description or metadata of an event link.
+ * @param {string} linkId The link's UUID.
+ * @param {object} body The request body: any of linkType, description and metadata.
+ * @returns {Promise<object|null>} The updated link, or null if it does not exist.
+ */
+async function updateEventLink(linkId, body) {
+  const changes = readLinkBody(body, false);
+  try {
+    return await databaseService.updateEventLink(linkId.toLowerCase(), changes);
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION_CODE) {
+      throw createHttpError(409, `The linked events already have a '${changes.link_type}' link.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes an event link.
+ * @param {string} linkId The link's UUID.
+ * @returns {Promise<boolean>} True if the link existed.
+ */
+async function deleteEventLink(linkId) {
+  return databaseService.deleteEventLink(linkId.toLowerCase());
+}
+
+/**
+ * Lists the links of an event.
+ * @param {string} eventId The event's UUID.
+ * @param {{direction: string, linkType: (string|undefined)}} params Which links to list (see databaseService.getEventLinks).
+ * @returns {Promise<Array<object>|null>} The links, or null if the event does not exist.
+ */
+async function getEventLinks(eventId, params) {
+  const event = await databaseService.getEventById(eventId.toLowerCase());
+  if (!event) {
+    return null;
+  }
+  return databaseService.getEventLinks(event.event_id, params);
+}
+
+/**
+ * Encodes a search cursor: the sort it belongs to and the sort values of the row it points past.
+ * @param {string} sortSpec The canonical sort, e.g. 'start_date:desc,event_name:asc'.
+ * @param {Array<*>} values The row's sort values, ending with its event_id.
+ * @param {string} direction 'next' or 'prev'.
+ * @returns {string} The opaque cursor.
+ */
+function encodeSearchCursor(sortSpec, values, direction) {
+  return Buffer.from(JSON.stringify({ s: sortSpec, v: values, d: direction })).toString('base64url');
+}
+
+// A timestamp as PostgreSQL writes it in JSON, e.g. '2023-01-05T12:00:00.123+00:00' or '0300-01-01T00:00:00+00:00 BC'
+const CURSOR_TIMESTAMP = /^(\d{4,6})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.\d{1,6})?(?:Z|[+-]\d{2}(?::\d{2}){0,2})?( BC)?$/;
+
+/**
+ * Checks that a cursor value is a timestamp PostgreSQL can read back: a real calendar date between 4713 BC and 294276 AD.
+ * @param {*} value The cursor value.
+ * @returns {boolean} True if the value is such a timestamp.
+ */
+function isCursorTimestamp(value) {
+  const match = typeof value === 'string' ? value.match(CURSOR_TIMESTAMP) : null;
+  if (!match) {
+    return false;
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const isBc = match[7] !== undefined;
+  if (year < 1 || year > (isBc ? 4713 : 294276) || hour > 23 || minute > 59 || second > 59) {
+    return false;
+  }
+
+  // Years BC are counted from 1, so 1 BC is the leap year 0
+  const date = new Date(0);
+  date.setUTCFullYear(isBc ? 1 - year : year, month - 1, day);
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// What a cursor value must be for each sort key, so that it casts to the key's SQL type (see SEARCH_SORT_KEYS)
+const SEARCH_CURSOR_VALUE_CHECKS = {
+  start_date: isCursorTimestamp,
+  end_date: isCursorTimestamp,
+  event_name: (value) => typeof value === 'string' && !value.includes('\u0000'),
+  duration_minutes: (value) => Number.isInteger(value) && Math.abs(value) <= 2147483647,
+  relevance: (value) => typeof value === 'number' && Number.isFinite(value),
+};
+
+/**
+ * Decodes a search cursor, rejecting cursors that are malformed, hold values of the wrong type or were issued for a different sort.
+ * @param {string} cursor The opaque cursor.
+ * @param {string} sortSpec The canonical sort of the current request.
+ * @param {Array<string>} sortKeys The sort keys of the current request; the cursor holds a value for each, then the event_id.
+ * @returns {{values: Array<*>, backward: boolean}} The position to continue from.
+ */
+function decodeSearchCursor(cursor, sortSpec, sortKeys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createHttpError(400, 'Invalid cursor.');
+  }
+
+  if (!decoded || typeof decoded.s !== 'string') {
+    throw createHttpError(400, 'Invalid cursor.');
+  }
+  if (decoded.s !== sortSpec) {
+    throw createHttpError(400, 'The cursor belongs to a different sort order; restart from the first page.');
+  }
+  if (!Array.isArray(decoded.v) || decoded.v.length !== sortKeys.length + 1 || !['next', 'prev'].includes(decoded.d)) {
+    throw createHttpError(400, 'Invalid cursor.');
+  }
+  const eventId = decoded.v[sortKeys.length];
+  if (typeof eventId !== 'string' || !UUID_REGEX.test(eventId)) {
+    throw createHttpError(400, 'Invalid cursor.');
+  }
+  if (sortKeys.some((key, index) => !SEARCH_CURSOR_VALUE_CHECKS[key](decoded.v[index]))) {
+    throw createHttpError(400, 'Invalid cursor.');
+  }
+
+  return { values: decoded.v, backward: decoded.d === 'prev' };
+}
+
+/**
+ * Searches events, one keyset page at a time.
+ * @param {object} params The search parameters of databaseService.searchEvents, with `cursor` as the opaque string
+ *   from a previous page's nextCursor or prevCursor.
+ * @returns {Promise<object>} The events, the cursors of the neighbouring pages (null at either end) and the total, if counted.
  */
 async function searchEvents(params) {
-  // This function now acts as a pass-through to the database service,
-  // which handles all the query building and execution logic.
-  return databaseService.searchEvents(params);
+  const sortSpec = params.sort.map(({ key, direction }) => `${key}:${direction}`).join(',');
+  const cursor = params.cursor
+    ? decodeSearchCursor(params.cursor, sortSpec, params.sort.map(({ key }) => key))
+    : undefined;
+
+  const { events, hasMore, ...counts } = await databaseService.searchEvents({ ...params, cursor });
+
+  // Going forward, a previous page exists whenever we started from a cursor; going backward, a next page always does
+  const backward = Boolean(cursor && cursor.backward);
+  const hasNext = backward || hasMore;
+  const hasPrev = backward ? hasMore : Boolean(cursor);
+  const first = events[0];
+  const last = events[events.length - 1];
+
+  return {
+    ...counts,
+    events: events.map(({ sort_values: sortValues, ...event }) => event),
+    nextCursor: hasNext && last ? encodeSearchCursor(sortSpec, last.sort_values, 'next') : null,
+    prevCursor: hasPrev && first ? encodeSearchCursor(sortSpec, first.sort_values, 'prev') : null,
+  };
+}
+
+const EXPORT_CHUNK_SIZE = 1000;
+
+/**
+ * Writes events out in an export format as they are read.
+ * @param {string} format One of the keys of EXPORT_FORMATS.
+ * @param {AsyncIterable<Array<object>>} chunks The events, a chunk at a time.
+ * @returns {AsyncIterable<string>} The lines of the file.
+ */
+async function* generateExportLines(format, chunks) {
+  const writer = createEventWriter(format);
+  if (writer.header !== null) {
+    yield writer.header;
+  }
+  for await (const events of chunks) {
+    for (const event of events) {
+      const text = writer.write(event);
+      if (text !== null) {
+        yield text;
+      }
+    }
+  }
+  if (writer.footer !== null) {
+    yield writer.footer;
+  }
+}
+
+/**
+ * Prepares a download of every event matching a search, in the search's sort order. The events are read in
+ * keyset pages as the download is consumed, so the result is never held in memory. The first page is read
+ * before the download starts, so a failing search is reported as an error instead of an empty file.
+ * @param {object} params The filters and sort of databaseService.searchEvents.
+ * @param {string} format One of the keys of EXPORT_FORMATS.
+ * @returns {Promise<{fileName: string, contentType: string, lines: AsyncIterable<string>}>} The download.
+ */
+async function getSearchExport(params, format) {
+  const readPage = (cursor) => databaseService.searchEvents({ ...params, cursor, limit: EXPORT_CHUNK_SIZE, count: 'none' });
+  const firstPage = await readPage(undefined);
+
+  async function* readChunks() {
+    let page = firstPage;
+    while (true) {
+      yield page.events;
+      if (!page.hasMore) {
+        return;
+      }
+      page = await readPage({ values: page.events[page.events.length - 1].sort_values, backward: false });
+    }
+  }
+
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  return {
+    fileName: `events.${extension}`,
+    contentType,
+    lines: generateExportLines(format, readChunks()),
+  };
+}
+
+/**
+ * Prepares a download of an event and its descendants, parents before their children, so that a re-ingested
+ * export never has to wait for a parent in staging.
+ * @param {string} rootEventId The UUID of the top event.
+ * @param {object} [options]
+ * @param {number|null} [options.maxDepth=null] The deepest descendant level to include (1 = children only); null for all.
+ * @param {string} [options.format='jsonl'] One of the keys of EXPORT_FORMATS.
+ * @returns {Promise<{fileName: string, contentType: string, lines: AsyncIterable<string>}|null>} The download, or null if the event does not exist.
+ */
+async function getTimelineExport(rootEventId, { maxDepth = null, format = 'jsonl' } = {}) {
+  const eventId = rootEventId.toLowerCase();
+  if (!(await databaseService.getEventById(eventId))) {
+    return null;
+  }
+
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  return {
+    fileName: `timeline-${eventId}.${extension}`,
+    contentType,
+    lines: generateExportLines(format, databaseService.readEventSubtree(eventId, { maxDepth, chunkSize: EXPORT_CHUNK_SIZE })),
+  };
 }
 
 module.exports = {
+  CHILD_STRATEGIES,
+  TIMELINE_FORMATS,
+  resolveIngestionPath,
+  saveUploadedFile,
+  dryRunFile,
+  dryRunUpload,
   startIngestionJob,
   getJobStatus,
+  listIngestionJobs,
+  getJobErrors,
+  getRejectedLinesExport,
+  cancelIngestionJob,
+  retryIngestionJob,
+  watchIngestionJob,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  rollbackIngestionJob,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  getEventRevisions,
+  mergeEvents,
+  getEventMerge,
+  undoEventMerge,
+  createEventLink,
+  getEventLink,
+  updateEventLink,
+  deleteEventLink,
+  getEventLinks,
   getTimelineByRootEventId,
+  auditIntegrity,
   searchEvents,
+  getSearchExport,
+  getTimelineExport,
 };
 
@@ -0,0 +1,107 @@
+const { UUID_REGEX } = require('../../jobs/inputFormats');
+const { DATE_SPANS, parseDateBound } = require('../../jobs/historicalDates');
+
+const METADATA_FILTER_REGEX = /^([A-Za-z0-9_.-]+)(>=|<=|!=|>|<|=)(.*)$/;
+
+/**
+ * Parses `meta` query parameters such as `researchValue>=7` or `site=Giza` into metadata filters.
+ * @param {string|Array<string>|undefined} meta The raw parameter value(s).
+ * @returns {{filters?: Array<{key: string, operator: string, value: (string|number)}>, error?: string}} The filters, or an error message.
+ */
+function readMetadataFilters(meta) {
+  const filters = [];
+  for (const expression of [].concat(meta || [])) {
+    const match = typeof expression === 'string' ? expression.match(METADATA_FILTER_REGEX) : null;
+    if (!match) {
+      return { error: `Invalid meta filter '${expression}'. Use key=value, key!=value, or key<, <=, >, >= a number.` };
+    }
+
+    const [, key, operator, value] = match;
+    if (operator === '=' || operator === '!=') {
+      filters.push({ key, operator, value });
+    } else if (value.trim() === '' || isNaN(Number(value))) {
+      return { error: `meta filter '${expression}' compares with ${operator}, so its value must be a number.` };
+    } else {
+      filters.push({ key, operator, value: Number(value) });
+    }
+  }
+  return { filters };
+}
+
+/**
+ * Reads the event filters of the search endpoint from a request query, so every endpoint that filters events
+ * accepts the same parameters: q, name, start_date_after, end_date_before, span, meta, source_file, parent_id, root_id,
+ * min_duration, max_duration and has_children. The date bounds may be partial, approximate or BCE (see parseHistoricalDate)
+ * and cover their whole period: start_date_after=1450 means from 1 January 1450, end_date_before=1450 until the end of 1450.
+ * @param {object} query The request query.
+ * @returns {{filters?: object, error?: string}} The filters for databaseService.searchEvents, or a validation error.
+ */
+function readSearchFilters(query) {
+  const { filters: metadataFilters, error: metadataError } = readMetadataFilters(query.meta);
+  if (metadataError) {
+    return { error: metadataError };
+  }
+
+  // A repeated parameter arrives as an array
+  for (const name of ['q', 'name', 'source_file']) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      return { error: `${name} must be given once.` };
+    }
+  }
+
+  for (const name of ['parent_id', 'root_id']) {
+    if (query[name] !== undefined && !UUID_REGEX.test(query[name])) {
+      return { error: `${name} must be a UUID.` };
+    }
+  }
+
+  const dateBounds = {};
+  for (const [name, bound] of [['start_date_after', 'start'], ['end_date_before', 'end']]) {
+    if (query[name] !== undefined) {
+      dateBounds[name] = parseDateBound(query[name], bound);
+      if (!dateBounds[name]) {
+        return { error: `${name} must be a date, e.g. '2023-01-05T12:00:00Z', '1450-03' or '300 BCE'.` };
+      }
+    }
+  }
+  const { span = 'possible' } = query;
+  if (!DATE_SPANS.includes(span)) {
+    return { error: `span must be one of: ${DATE_SPANS.join(', ')}.` };
+  }
+
+  const durations = {};
+  for (const name of ['min_duration', 'max_duration']) {
+    if (query[name] !== undefined) {
+      durations[name] = Number(query[name]);
+      if (!Number.isInteger(durations[name]) || durations[name] < 0) {
+        return { error: `${name} must be a non-negative integer (minutes).` };
+      }
+    }
+  }
+
+  const { has_children: hasChildren } = query;
+  if (hasChildren !== undefined && !['true', 'false'].includes(hasChildren)) {
+    return { error: 'has_children must be true or false.' };
+  }
+
+  return {
+    filters: {
+      name: query.name,
+      text: query.q,
+      startDateAfter: dateBounds.start_date_after,
+      endDateBefore: dateBounds.end_date_before,
+      span,
+      metadataFilters,
+      sourceFile: query.source_file,
+      parentId: query.parent_id,
+      rootId: query.root_id,
+      minDuration: durations.min_duration,
+      maxDuration: durations.max_duration,
+      hasChildren: hasChildren === undefined ? undefined : hasChildren === 'true',
+    },
+  };
+}
+
+module.exports = {
+  readSearchFilters,
+};
\ No newline at end of file
@@ -1,16 +1,94 @@
 const insightService = require('./insight.service');
+const { readSearchFilters } = require('../events/searchFilters');
+const { UUID_REGEX, LINK_TYPES } = require('../../jobs/inputFormats');
+const { DATE_SPANS, parseDateBound } = require('../../jobs/historicalDates');
+
+const HISTOGRAM_INTERVALS = ['hour', 'day', 'week', 'month', 'year'];
+// Approximate bucket lengths, only used to bound the number of buckets a request can produce
+const HISTOGRAM_INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 28 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+const MAX_HISTOGRAM_BUCKETS = 1000;
+const MAX_HISTOGRAM_GROUPS = 50;
+
+const MAX_OVERLAP_PAGE_SIZE = 1000;
+const MAX_PEAK_PERIODS = 100;
+
+// One week either side of the instant
+const MAX_SNAPSHOT_WINDOW_MINUTES = 7 * 24 * 60;
+
+// Duplicates are looked for among events at most 30 days apart
+const MAX_DUPLICATE_TIME_GAP_MINUTES = 30 * 24 * 60;
+const MAX_DUPLICATE_PAIRS = 1000;
+
+// Reads startDate, endDate and span; partial dates widen the range to the whole period ('1066' to '1067' covers both years)
+function readDateRange(query) {
+  const { startDate, endDate, span = 'possible' } = query;
+  if (!startDate || !endDate) {
+    return { error: 'Both startDate and endDate query parameters are required.' };
+  }
+  const start = parseDateBound(startDate, 'start');
+  const end = parseDateBound(endDate, 'end');
+  if (!start || !end || start > end) {
+    return { error: 'startDate and endDate must be valid dates, with startDate before endDate.' };
+  }
+  if (!DATE_SPANS.includes(span)) {
+    return { error: `span must be one of: ${DATE_SPANS.join(', ')}.` };
+  }
+  return { start, end, span };
+}
 
 async function getOverlappingEvents(req, res) {
   try {
-    const { startDate, endDate } = req.query;
-    if (!startDate || !endDate) {
-      return res.status(400).json({ message: 'Both startDate and endDate query parameters are required.' });
+    const { mode = 'pairs', scope = 'all', excludeAncestors, cursor } = req.query;
+    const { start, end, span, error: rangeError } = readDateRange(req.query);
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+    if (!['pairs', 'peak'].includes(mode)) {
+      return res.status(400).json({ message: "mode must be 'pairs' or 'peak'." });
     }
 
-    const result = await insightService.findOverlappingEvents(startDate, endDate);
+    const maxLimit = mode === 'peak' ? MAX_PEAK_PERIODS : MAX_OVERLAP_PAGE_SIZE;
+    const limit = req.query.limit === undefined ? (mode === 'peak' ? 10 : 100) : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      return res.status(400).json({ message: `limit must be an integer between 1 and ${maxLimit}.` });
+    }
+
+    if (mode === 'peak') {
+      const result = await insightService.findPeakConcurrency(start, end, { limit, span });
+      return res.status(200).json(result);
+    }
+
+    const minOverlapMinutes = req.query.minOverlap === undefined ? 1 : Number(req.query.minOverlap);
+    if (!Number.isInteger(minOverlapMinutes) || minOverlapMinutes < 1) {
+      return res.status(400).json({ message: 'minOverlap must be a positive integer (minutes).' });
+    }
+    if (!insightService.OVERLAP_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `scope must be one of: ${insightService.OVERLAP_SCOPES.join(', ')}.` });
+    }
+    if (excludeAncestors !== undefined && !['true', 'false'].includes(excludeAncestors)) {
+      return res.status(400).json({ message: 'excludeAncestors must be true or false.' });
+    }
+
+    const result = await insightService.findOverlappingEvents(start, end, {
+      minOverlapMinutes,
+      scope,
+      excludeAncestors: excludeAncestors === 'true',
+      limit,
+      cursor,
+      span,
+    });
 
     res.status(200).json(result);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error finding overlapping events:', error);
     res.status(500).json({ message: 'Failed to find overlapping events' });
   }
@@ -18,13 +96,25 @@ async function getOverlappingEvents(req, res) {
 
 async function getTemporalGaps(req, res) {
   try {
-    const { startDate, endDate } = req.query;
-    if (!startDate || !endDate) {
-      return res.status(400).json({ message: 'Both startDate and endDate query parameters are required.' });
+    const { minDuration, rootEventId } = req.query;
+    const { start, end, span, error: rangeError } = readDateRange(req.query);
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+
+    const minDurationMinutes = minDuration === undefined ? 0 : Number(minDuration);
+    if (!Number.isInteger(minDurationMinutes) || minDurationMinutes < 0) {
+      return res.status(400).json({ message: 'minDuration must be a non-negative integer (minutes).' });
+    }
+    if (rootEventId !== undefined && !UUID_REGEX.test(rootEventId)) {
+      return res.status(400).json({ message: 'rootEventId must be a UUID.' });
+    }
+
+    const result = await insightService.findTemporalGaps(start, end, { minDurationMinutes, rootEventId, span });
+    if (!result) {
+      return res.status(404).json({ message: 'Root event not found.' });
     }
 
-    const result = await insightService.findTemporalGaps(startDate, endDate);
-    
     res.status(200).json(result);
   } catch (error) {
     console.error('Error finding temporal gaps:', error);
@@ -34,11 +124,38 @@ async function getTemporalGaps(req, res) {
 
 async function getEventInfluence(req, res) {
   try {
-    const { sourceEventId, targetEventId } = req.query;
+    const { sourceEventId, targetEventId, weight = 'duration', direction = 'any' } = req.query;
     if (!sourceEventId || !targetEventId) {
       return res.status(400).json({ message: 'Both sourceEventId and targetEventId query parameters are required.' });
     }
-    const result = await insightService.findEventInfluencePath(sourceEventId, targetEventId);
+    if (!UUID_REGEX.test(sourceEventId) || !UUID_REGEX.test(targetEventId)) {
+      return res.status(400).json({ message: 'sourceEventId and targetEventId must be UUIDs.' });
+    }
+    if (!insightService.INFLUENCE_WEIGHTS.includes(weight)) {
+      return res.status(400).json({ message: `weight must be one of: ${insightService.INFLUENCE_WEIGHTS.join(', ')}.` });
+    }
+    if (!insightService.INFLUENCE_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ message: `direction must be one of: ${insightService.INFLUENCE_DIRECTIONS.join(', ')}.` });
+    }
+    // linkTypes=caused,preceded follows only those link types; linkTypes=none stays within the hierarchy
+    let linkTypes = LINK_TYPES;
+    if (req.query.linkTypes !== undefined) {
+      linkTypes = req.query.linkTypes === 'none' ? [] : String(req.query.linkTypes).split(',').map((type) => type.trim());
+      const unknown = linkTypes.find((type) => !LINK_TYPES.includes(type));
+      if (unknown !== undefined) {
+        return res.status(400).json({ message: `Unknown link type '${unknown}'. Use 'none' or a comma-separated list of: ${LINK_TYPES.join(', ')}.` });
+      }
+    }
+    const k = req.query.k === undefined ? 1 : Number(req.query.k);
+    if (!Number.isInteger(k) || k < 1 || k > insightService.MAX_INFLUENCE_PATHS) {
+      return res.status(400).json({ message: `k must be an integer between 1 and ${insightService.MAX_INFLUENCE_PATHS}.` });
+    }
+
+    const result = await insightService.findEventInfluencePath(sourceEventId, targetEventId, { weight, direction, linkTypes, k });
+    if (!result) {
+      return res.status(404).json({ message: 'Source event not found.' });
+    }
+
     res.status(200).json(result);
   } catch (error) {
     console.error('Error finding event influence path:', error);
@@ -46,8 +163,141 @@ async function getEventInfluence(req, res) {
   }
 }
 
+async function getEventHistogram(req, res) {
+  const { startDate, endDate, interval = 'day', groupBy } = req.query;
+  if (!startDate || !endDate) {
+    return res.status(400).json({ message: 'Both startDate and endDate query parameters are required.' });
+  }
+  const start = parseDateBound(startDate, 'start');
+  const end = parseDateBound(endDate, 'end');
+  if (!start || !end || start > end) {
+    return res.status(400).json({ message: 'startDate and endDate must be valid dates, with startDate before endDate.' });
+  }
+  if (!HISTOGRAM_INTERVALS.includes(interval)) {
+    return res.status(400).json({ message: `interval must be one of: ${HISTOGRAM_INTERVALS.join(', ')}.` });
+  }
+  if ((end - start) / HISTOGRAM_INTERVAL_MS[interval] > MAX_HISTOGRAM_BUCKETS) {
+    return res.status(400).json({ message: `The range spans more than ${MAX_HISTOGRAM_BUCKETS} ${interval} buckets; use a larger interval or a shorter range.` });
+  }
+
+  // groupBy=root, or groupBy=meta:<key>
+  let grouping = {};
+  if (groupBy === 'root') {
+    grouping = { groupBy: 'root' };
+  } else if (typeof groupBy === 'string' && /^meta:[A-Za-z0-9_.-]+$/.test(groupBy)) {
+    grouping = { groupBy: 'metadata', metadataKey: groupBy.slice('meta:'.length) };
+  } else if (groupBy !== undefined) {
+    return res.status(400).json({ message: "groupBy must be 'root' or 'meta:<key>'." });
+  }
+
+  const groupLimit = req.query.groupLimit === undefined ? 10 : Number(req.query.groupLimit);
+  if (!Number.isInteger(groupLimit) || groupLimit < 1 || groupLimit > MAX_HISTOGRAM_GROUPS) {
+    return res.status(400).json({ message: `groupLimit must be an integer between 1 and ${MAX_HISTOGRAM_GROUPS}.` });
+  }
+
+  const { filters, error: filterError } = readSearchFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ message: filterError });
+  }
+
+  try {
+    const result = await insightService.getEventHistogram({
+      startDate: start,
+      endDate: end,
+      interval,
+      ...grouping,
+      groupLimit,
+      filters,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error building event histogram:', error);
+    res.status(500).json({ message: 'Failed to build event histogram.' });
+  }
+}
+
+async function getSnapshot(req, res) {
+  const { at, windowMinutes: window, deepestOnly = 'false', span = 'possible' } = req.query;
+  if (!at) {
+    return res.status(400).json({ message: 'The at query parameter is required.' });
+  }
+  // A partial date is the start of its period: at=1066 is midnight on 1 January 1066
+  const instant = parseDateBound(at, 'start');
+  if (!instant) {
+    return res.status(400).json({ message: 'at must be a valid date.' });
+  }
+  if (!DATE_SPANS.includes(span)) {
+    return res.status(400).json({ message: `span must be one of: ${DATE_SPANS.join(', ')}.` });
+  }
+
+  const windowMinutes = window === undefined ? 0 : Number(window);
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 0 || windowMinutes > MAX_SNAPSHOT_WINDOW_MINUTES) {
+    return res.status(400).json({ message: `windowMinutes must be an integer between 0 and ${MAX_SNAPSHOT_WINDOW_MINUTES}.` });
+  }
+  if (!['true', 'false'].includes(deepestOnly)) {
+    return res.status(400).json({ message: 'deepestOnly must be true or false.' });
+  }
+
+  try {
+    const result = await insightService.getSnapshot(instant, { windowMinutes, deepestOnly: deepestOnly === 'true', span });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error building event snapshot:', error);
+    res.status(500).json({ message: 'Failed to build event snapshot.' });
+  }
+}
+
+async function getDuplicates(req, res) {
+  try {
+    const { crossSourceOnly = 'false', rootEventId } = req.query;
+    const { start, end, span, error: rangeError } = readDateRange(req.query);
+    if (rangeError) {
+      return res.status(400).json({ message: rangeError });
+    }
+
+    const minScore = req.query.minScore === undefined ? 0.6 : Number(req.query.minScore);
+    if (req.query.minScore === '' || !Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+      return res.status(400).json({ message: 'minScore must be a number between 0 and 1.' });
+    }
+    const maxTimeGapMinutes = req.query.maxTimeGap === undefined ? 1440 : Number(req.query.maxTimeGap);
+    if (!Number.isInteger(maxTimeGapMinutes) || maxTimeGapMinutes < 0 || maxTimeGapMinutes > MAX_DUPLICATE_TIME_GAP_MINUTES) {
+      return res.status(400).json({ message: `maxTimeGap must be an integer between 0 and ${MAX_DUPLICATE_TIME_GAP_MINUTES} (minutes).` });
+    }
+    if (!['true', 'false'].includes(crossSourceOnly)) {
+      return res.status(400).json({ message: 'crossSourceOnly must be true or false.' });
+    }
+    if (rootEventId !== undefined && !UUID_REGEX.test(rootEventId)) {
+      return res.status(400).json({ message: 'rootEventId must be a UUID.' });
+    }
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DUPLICATE_PAIRS) {
+      return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_DUPLICATE_PAIRS}.` });
+    }
+
+    const result = await insightService.findDuplicateEvents(start, end, {
+      minScore,
+      maxTimeGapMinutes,
+      crossSourceOnly: crossSourceOnly === 'true',
+      rootEventId,
+      limit,
+      span,
+    });
+    if (!result) {
+      return res.status(404).json({ message: 'Root event not found.' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error finding duplicate events:', error);
+    res.status(500).json({ message: 'Failed to find duplicate events.' });
+  }
+}
+
 module.exports = {
     getOverlappingEvents,
     getTemporalGaps,
     getEventInfluence,
+    getEventHistogram,
+    getSnapshot,
+    getDuplicates,
 }
\ No newline at end of file
@@ -6,5 +6,8 @@ const router = express.Router();
 router.get('/overlapping-events', eventController.getOverlappingEvents);
 router.get('/temporal-gaps', eventController.getTemporalGaps);
 router.get('/event-influence', eventController.getEventInfluence);
+router.get('/event-histogram', eventController.getEventHistogram);
+router.get('/snapshot', eventController.getSnapshot);
+router.get('/duplicates', eventController.getDuplicates);
 
 module.exports = router;
\ No newline at end of file
@@ -1,239 +1,894 @@
 const databaseService = require('../../database/database.service');
+const MinHeap = require('./minHeap');
+const { LINK_TYPES } = require('../../jobs/inputFormats');
+
+const OVERLAP_SCOPES = ['all', 'same_hierarchy', 'cross_hierarchy'];
 
 /**
- * Finds all pairs of events that have overlapping timeframes within a given date range.
- * Uses an efficient O(n log n) sweep-line algorithm.
- * @param {string} startDate The start of the date range (ISO 8601).
- * @param {string} endDate The end of the date range (ISO 8601).
- * @returns {Promise<Array<object>>} An array of objects, each representing an overlapping pair and their overlap duration.
+ * Creates an error that the controller reports with the given HTTP status instead of a 500.
+ * @param {number} statusCode The HTTP status code.
+ * @param {string} message The client-facing message.
+ * @returns {Error} The error.
  */
-async function findOverlappingEvents(startDate, endDate) {
-  const events = await databaseService.getEventsInRange(startDate, endDate);
-
-  if (events.length < 2) {
-    return [];
-  }
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
 
+/**
+ * Orders the start and end points of events for a sweep: by time, starts before ends unless `endsFirst` (so events
+ * that touch are seen together), then by event ID, so that repeated sweeps over the same events visit them in the same order.
+ * @param {Array<object>} events The events, with start_date and end_date.
+ * @param {boolean} [endsFirst=false] Order ends before starts at the same time.
+ * @returns {Array<{time: number, type: string, event: object}>} The sorted points.
+ */
+function toSweepPoints(events, endsFirst = false) {
   const points = [];
   for (const event of events) {
     points.push({ time: event.start_date.getTime(), type: 'start', event: event });
     points.push({ time: event.end_date.getTime(), type: 'end', event: event });
   }
 
-  points.sort((a, b) => a.time - b.time || (a.type === 'start' ? -1 : 1));
+  points.sort((a, b) => a.time - b.time
+    || (a.type === b.type ? 0 : (a.type === 'start') !== endsFirst ? -1 : 1)
+    || a.event.event_id.localeCompare(b.event.event_id));
+  return points;
+}
+
+/**
+ * Finds the pairs of events that have overlapping timeframes within a given date range, one page at a time.
+ * Uses an O(n log n) sweep-line: each pair is found once, when the later of its two events starts, so no pair
+ * needs to be remembered and the sweep stops as soon as the page is full. A cursor records the sweep position
+ * (the start point and the number of pairs already returned for it), and the next page resumes from there.
+ * @param {Date|string} startDate The start of the date range (ISO 8601).
+ * @param {Date|string} endDate The end of the date range (ISO 8601).
+ * @param {object} [options] The filter and paging options.
+ * @param {number} [options.minOverlapMinutes=1] Only pairs that overlap at least this long.
+ * @param {string} [options.scope='all'] One of OVERLAP_SCOPES: 'same_hierarchy' keeps pairs with the same root event, 'cross_hierarchy' pairs with different roots.
+ * @param {boolean} [options.excludeAncestors=false] Leave out pairs where one event is an ancestor of the other.
+ * @param {number} [options.limit=100] The page size.
+ * @param {string} [options.cursor] The nextCursor of the previous page.
+ * @param {string} [options.span='possible'] One of DATE_SPANS.
+ * @returns {Promise<object>} The pairs, each with their overlap duration, and the cursor of the next page (null on the last page).
+ */
+async function findOverlappingEvents(startDate, endDate, options = {}) {
+  const { minOverlapMinutes = 1, scope = 'all', excludeAncestors = false, limit = 100, span = 'possible' } = options;
+  const signature = [new Date(startDate).toISOString(), new Date(endDate).toISOString(), minOverlapMinutes, scope, excludeAncestors, span].join('|');
 
+  let resumeAt = { point: 0, skip: 0 };
+  if (options.cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(options.cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw createHttpError(400, 'Invalid cursor.');
+    }
+    if (!decoded || decoded.s !== signature || !Number.isInteger(decoded.p) || !Number.isInteger(decoded.k)) {
+      throw createHttpError(400, 'Invalid cursor, or it was issued for different parameters; restart from the first page.');
+    }
+    resumeAt = { point: decoded.p, skip: decoded.k };
+  }
+
+  const withAncestors = scope !== 'all' || excludeAncestors;
+  const events = await databaseService.getEventsInRange(startDate, endDate, { withAncestors, span });
+  if (withAncestors) {
+    for (const event of events) {
+      event.root_id = event.ancestor_ids.length > 0 ? event.ancestor_ids[event.ancestor_ids.length - 1] : event.event_id;
+      event.ancestors = new Set(event.ancestor_ids);
+    }
+  }
+
+  const isReported = (a, b, overlapDurationMinutes) => {
+    if (overlapDurationMinutes < minOverlapMinutes) {
+      return false;
+    }
+    if (scope === 'same_hierarchy' && a.root_id !== b.root_id) {
+      return false;
+    }
+    if (scope === 'cross_hierarchy' && a.root_id === b.root_id) {
+      return false;
+    }
+    return !(excludeAncestors && (a.ancestors.has(b.event_id) || b.ancestors.has(a.event_id)));
+  };
+
+  const points = toSweepPoints(events);
   const overlappingPairs = [];
   const activeEvents = new Set();
-  const reportedPairs = new Set(); 
+  let nextCursor = null;
+
+  for (let index = 0; index < points.length && !nextCursor; index++) {
+    const point = points[index];
+    if (point.type === 'end') {
+      activeEvents.delete(point.event);
+      continue;
+    }
 
-  for (const point of points) {
-    if (point.type === 'start') {
+    if (index >= resumeAt.point) {
+      let reportedAtPoint = 0;
       for (const activeEvent of activeEvents) {
-        const pairKey = [point.event.event_id, activeEvent.event_id].sort().join('|');
-
-        if (!reportedPairs.has(pairKey)) {
-          const overlapStart = new Date(Math.max(point.event.start_date.getTime(), activeEvent.start_date.getTime()));
-          const overlapEnd = new Date(Math.min(point.event.end_date.getTime(), activeEvent.end_date.getTime()));
-          const overlapDurationMinutes = Math.floor((overlapEnd - overlapStart) / (1000 * 60));
-
-          if (overlapDurationMinutes > 0) {
-            overlappingPairs.push({
-              overlappingEventPairs: [
-                {
-                  event_id: point.event.event_id,
-                  event_name: point.event.event_name,
-                  start_date: point.event.start_date,
-                  end_date: point.event.end_date,
-                },
-                {
-                  event_id: activeEvent.event_id,
-                  event_name: activeEvent.event_name,
-                  start_date: activeEvent.start_date,
-                  end_date: activeEvent.end_date,
-                }
-              ],
-              overlap_duration_minutes: overlapDurationMinutes,
-            });
-            reportedPairs.add(pairKey);
-          }
+        const overlapStart = new Date(Math.max(point.event.start_date.getTime(), activeEvent.start_date.getTime()));
+        const overlapEnd = new Date(Math.min(point.event.end_date.getTime(), activeEvent.end_date.getTime()));
+        const overlapDurationMinutes = Math.floor((overlapEnd - overlapStart) / (1000 * 60));
+
+        if (!isReported(point.event, activeEvent, overlapDurationMinutes)) {
+          continue;
         }
+        reportedAtPoint++;
+        if (index === resumeAt.point && reportedAtPoint <= resumeAt.skip) {
+          continue;
+        }
+        if (overlappingPairs.length === limit) {
+          // Resume at this start point, skipping the pairs it already produced
+          nextCursor = Buffer.from(JSON.stringify({ s: signature, p: index, k: reportedAtPoint - 1 })).toString('base64url');
+          break;
+        }
+
+        overlappingPairs.push({
+          overlappingEventPairs: [
+            {
+              event_id: point.event.event_id,
+              event_name: point.event.event_name,
+              start_date: point.event.start_date,
+              end_date: point.event.end_date,
+            },
+            {
+              event_id: activeEvent.event_id,
+              event_name: activeEvent.event_name,
+              start_date: activeEvent.start_date,
+              end_date: activeEvent.end_date,
+            }
+          ],
+          overlap_duration_minutes: overlapDurationMinutes,
+        });
       }
-      activeEvents.add(point.event);
-    } else {
-      activeEvents.delete(point.event);
     }
+    activeEvents.add(point.event);
   }
 
-  return overlappingPairs;
+  return {
+    startDate,
+    endDate,
+    span,
+    pairs: overlappingPairs,
+    nextCursor,
+  };
 }
 
 /**
- * Finds the largest continuous time gap between events within a specified date range.
- * @param {string} startDate The start of the date range (ISO 8601).
- * @param {string} endDate The end of the date range (ISO 8601).
- * @returns {Promise<object>} An object containing details of the largest gap, or a message if no gap is found.
+ * Finds the periods within a date range when the most events were going on at once. The range is cut at every
+ * event start and end; each resulting period has a constant set of ongoing events.
+ * @param {Date|string} startDate The start of the date range (ISO 8601).
+ * @param {Date|string} endDate The end of the date range (ISO 8601).
+ * @param {object} [options] The report options.
+ * @param {number} [options.limit=10] The number of periods to return.
+ * @param {string} [options.span='possible'] One of DATE_SPANS.
+ * @returns {Promise<object>} The peak concurrency and the busiest periods (clipped to the range), most concurrent events first,
+ *   then longest first, each with the events ongoing during it.
  */
-async function findTemporalGaps(startDate, endDate) {
-  const events = await databaseService.getSortedEventsInRange(startDate, endDate);
+async function findPeakConcurrency(startDate, endDate, { limit = 10, span = 'possible' } = {}) {
+  const events = await databaseService.getEventsInRange(startDate, endDate, { span });
+  const windowStart = new Date(startDate).getTime();
+  const windowEnd = new Date(endDate).getTime();
+  // Ends first here, so an event that ends as another starts is not counted as concurrent with it
+  const points = toSweepPoints(events, true);
 
-  if (events.length < 2) {
-    return {
-      largestGap: null,
-      message: "No significant temporal gaps found within the specified range, or too few events."
-    };
-  }
+  // Visits each period between consecutive distinct points with its ongoing events
+  const sweep = (visit) => {
+    const activeEvents = new Set();
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
+      if (point.type === 'start') {
+        activeEvents.add(point.event);
+      } else {
+        activeEvents.delete(point.event);
+      }
+
+      const next = points[i + 1];
+      if (next && next.time > point.time && activeEvents.size > 0) {
+        const start = Math.max(point.time, windowStart);
+        const end = Math.min(next.time, windowEnd);
+        if (end > start) {
+          visit(start, end, activeEvents);
+        }
+      }
+    }
+  };
 
-  // Step 3: Iterate through the sorted events to find the largest gap.
-  let largestGap = {
-    durationMinutes: 0,
-    startOfGap: null,
-    endOfGap: null,
-    precedingEvent: null,
-    succeedingEvent: null,
+  const periods = [];
+  sweep((start, end, activeEvents) => periods.push({ start, end, concurrentEvents: activeEvents.size }));
+  periods.sort((a, b) => b.concurrentEvents - a.concurrentEvents || (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const busiest = periods.slice(0, limit);
+
+  // Only the returned periods list their events, collected in a second sweep
+  const byStart = new Map(busiest.map((period) => [period.start, period]));
+  sweep((start, end, activeEvents) => {
+    const period = byStart.get(start);
+    if (period && period.end === end) {
+      period.events = [...activeEvents].map((event) => ({ event_id: event.event_id, event_name: event.event_name }));
+    }
+  });
+
+  return {
+    startDate,
+    endDate,
+    span,
+    peakConcurrency: busiest.length > 0 ? busiest[0].concurrentEvents : 0,
+    periods: busiest.map((period) => ({
+      start: new Date(period.start),
+      end: new Date(period.end),
+      durationMinutes: Math.floor((period.end - period.start) / (1000 * 60)),
+      concurrentEvents: period.concurrentEvents,
+      events: period.events,
+    })),
   };
+}
+
+/**
+ * Finds every gap in the coverage of a date range by events: overlapping and touching events are merged into
+ * continuous covered intervals first, so a long event hides the gaps between the shorter events it spans. Events
+ * and gaps are clipped to the range, which means the time before the first and after the last covered interval
+ * counts as a gap too.
+ * @param {Date|string} startDate The start of the date range (ISO 8601).
+ * @param {Date|string} endDate The end of the date range (ISO 8601).
+ * @param {object} [options] The report options.
+ * @param {number} [options.minDurationMinutes=0] Only report gaps at least this long (gaps shorter than a minute are never reported).
+ * @param {string} [options.rootEventId] Only consider this event and its descendants.
+ * @param {string} [options.span='possible'] One of DATE_SPANS; with 'certain', time an event only may have covered counts as a gap.
+ * @returns {Promise<object|null>} The gaps, longest first, the largest gap and the coverage of the range; null if the root event does not exist.
+ */
+async function findTemporalGaps(startDate, endDate, { minDurationMinutes = 0, rootEventId = null, span = 'possible' } = {}) {
+  if (rootEventId && !(await databaseService.getEventById(rootEventId))) {
+    return null;
+  }
+
+  const events = await databaseService.getSortedEventsInRange(startDate, endDate, rootEventId, span);
+  const windowStart = new Date(startDate).getTime();
+  const windowEnd = new Date(endDate).getTime();
+
+  // Sweep the events in start order, extending the current covered interval while the next event starts within it
+  const covered = [];
+  for (const event of events) {
+    const start = Math.max(event.start_date.getTime(), windowStart);
+    const end = Math.min(event.end_date.getTime(), windowEnd);
+    const current = covered[covered.length - 1];
 
-  for (let i = 0; i < events.length - 1; i++) {
-    const precedingEvent = events[i];
-    const succeedingEvent = events[i+1];
-
-    const gapStart = precedingEvent.end_date;
-    const gapEnd = succeedingEvent.start_date;
-    
-    // Calculate the duration of the gap in milliseconds
-    const gapDurationMs = gapEnd.getTime() - gapStart.getTime();
-
-    if (gapDurationMs > largestGap.durationMinutes * 60 * 1000) {
-      largestGap = {
-        durationMinutes: Math.floor(gapDurationMs / (1000 * 60)),
-        startOfGap: gapStart,
-        endOfGap: gapEnd,
-        precedingEvent: {
+    if (current && start <= current.end) {
+      if (end > current.end) {
+        current.end = end;
+        current.lastEvent = event;
+      }
+    } else {
+      covered.push({ start, end, firstEvent: event, lastEvent: event });
+    }
+  }
+
+  const gaps = [];
+  let coveredMs = 0;
+  let gapStart = windowStart;
+  let precedingEvent = null;
+  for (const interval of [...covered, { start: windowEnd, end: windowEnd, firstEvent: null, lastEvent: null }]) {
+    if (interval.start > gapStart) {
+      gaps.push({
+        durationMinutes: Math.floor((interval.start - gapStart) / (1000 * 60)),
+        startOfGap: new Date(gapStart),
+        endOfGap: new Date(interval.start),
+        precedingEvent: precedingEvent && {
           event_id: precedingEvent.event_id,
           event_name: precedingEvent.event_name,
           end_date: precedingEvent.end_date,
         },
-        succeedingEvent: {
-          event_id: succeedingEvent.event_id,
-          event_name: succeedingEvent.event_name,
-          start_date: succeedingEvent.start_date,
+        succeedingEvent: interval.firstEvent && {
+          event_id: interval.firstEvent.event_id,
+          event_name: interval.firstEvent.event_name,
+          start_date: interval.firstEvent.start_date,
         },
-      };
+      });
     }
+    coveredMs += interval.end - interval.start;
+    gapStart = Math.max(gapStart, interval.end);
+    precedingEvent = interval.lastEvent;
   }
 
-  if (largestGap.durationMinutes > 0) {
-    return {
-      largestGap,
-      message: "Largest temporal gap identified."
-    };
-  } else {
-    return {
-      largestGap: null,
-      message: "No significant temporal gaps found within the specified range, or too few events."
-    };
+  const reportedGaps = gaps
+    .filter((gap) => gap.durationMinutes > 0 && gap.durationMinutes >= minDurationMinutes)
+    .sort((a, b) => b.durationMinutes - a.durationMinutes || a.startOfGap - b.startOfGap)
+    .map((gap, index) => ({ rank: index + 1, ...gap }));
+
+  const windowMs = windowEnd - windowStart;
+  return {
+    startDate,
+    endDate,
+    rootEventId,
+    minDurationMinutes,
+    span,
+    coverage: {
+      eventCount: events.length,
+      windowMinutes: Math.floor(windowMs / (1000 * 60)),
+      coveredMinutes: Math.floor(coveredMs / (1000 * 60)),
+      uncoveredMinutes: Math.floor((windowMs - coveredMs) / (1000 * 60)),
+      coveragePercent: windowMs > 0 ? Math.round((coveredMs / windowMs) * 10000) / 100 : 100,
+    },
+    largestGap: reportedGaps.length > 0 ? reportedGaps[0] : null,
+    gaps: reportedGaps,
+    message: reportedGaps.length > 0
+      ? `Found ${reportedGaps.length} temporal gap(s) in the specified range.`
+      : "No significant temporal gaps found within the specified range."
+  };
+}
+
+const INFLUENCE_WEIGHTS = ['duration', 'hops', 'gap'];
+const INFLUENCE_DIRECTIONS = ['any', 'down'];
+const MAX_INFLUENCE_PATHS = 10;
+
+// The cost of stepping from one event to the next, per weight
+const INFLUENCE_EDGE_WEIGHTS = {
+  // The duration of the event stepped into (the source's own duration is added once, up front)
+  duration: (from, to) => to.duration_minutes || 0,
+  hops: () => 1,
+  // The time between the two events, in minutes; zero if they overlap
+  gap: (from, to) => Math.max(
+    0,
+    Math.max(from.start_date.getTime(), to.start_date.getTime()) - Math.min(from.end_date.getTime(), to.end_date.getTime()),
+  ) / (1000 * 60),
+};
+
+/**
+ * Builds the graph the influence paths run through: an edge from each parent to its children and from the source
+ * of each event link to its target. With direction 'any', every edge can also be taken backwards, so a path may
+ * climb to a common ancestor or follow a link against its direction.
+ * @param {Array<object>} events The reachable events.
+ * @param {Array<object>} links The event links between them.
+ * @param {string} direction One of INFLUENCE_DIRECTIONS.
+ * @returns {{events: Map<string, object>, edges: Map<string, Array<{to: string, step: string, linkType?: string}>>}} The graph.
+ */
+function buildInfluenceGraph(events, links, direction) {
+  const eventMap = new Map();
+  const edges = new Map();
+  const addEdge = (from, to, step, linkType) => {
+    if (!edges.has(from)) {
+      edges.set(from, []);
+    }
+    edges.get(from).push(linkType ? { to, step, linkType } : { to, step });
+  };
+
+  for (const event of events) {
+    eventMap.set(event.event_id, event);
   }
+  for (const event of events) {
+    if (event.parent_event_id && eventMap.has(event.parent_event_id)) {
+      addEdge(event.parent_event_id, event.event_id, 'down');
+      if (direction === 'any') {
+        addEdge(event.event_id, event.parent_event_id, 'up');
+      }
+    }
+  }
+  for (const link of links) {
+    if (eventMap.has(link.source_event_id) && eventMap.has(link.target_event_id)) {
+      addEdge(link.source_event_id, link.target_event_id, 'link', link.link_type);
+      if (direction === 'any') {
+        addEdge(link.target_event_id, link.source_event_id, 'link_reverse', link.link_type);
+      }
+    }
+  }
+
+  return { events: eventMap, edges };
 }
+
 /**
- * Finds the shortest path (by cumulative duration) between a source and target event using Dijkstra's algorithm.
- * @param {string} sourceEventId The UUID of the starting event.
- * @param {string} targetEventId The UUID of the destination event.
- * @returns {Promise<object>} An object containing the shortest path and total duration.
+ * Finds the cheapest path between two events with Dijkstra's algorithm, on a binary heap.
+ * @param {object} graph The graph from buildInfluenceGraph.
+ * @param {string} sourceId The start of the path.
+ * @param {string} targetId The end of the path.
+ * @param {function(object, object): number} edgeWeight The cost of a step.
+ * @param {Set<string>} [bannedNodes] Events the path may not pass through.
+ * @param {Set<string>} [bannedEdges] Steps ('from>to') the path may not take.
+ * @returns {{nodes: Array<string>, steps: Array<object|null>, costs: Array<number>}|null} The events on the path, the edge
+ *   taken into each of them and the cost up to each of them; null if the target is unreachable.
  */
-async function findEventInfluencePath(sourceEventId, targetEventId) {
-  const events = await databaseService.getEventDescendants(sourceEventId);
+function findCheapestPath(graph, sourceId, targetId, edgeWeight, bannedNodes = new Set(), bannedEdges = new Set()) {
+  const distances = new Map([[sourceId, 0]]);
+  const previous = new Map();
+  const settled = new Set();
+  const queue = new MinHeap();
+  queue.push(sourceId, 0);
 
-  if (events.length === 0) {
-    return { message: "Source event not found." };
+  while (queue.size > 0) {
+    const { value: u, priority } = queue.pop();
+    if (settled.has(u) || priority > distances.get(u)) {
+      continue;
+    }
+    settled.add(u);
+    if (u === targetId) {
+      break;
+    }
+
+    for (const edge of graph.edges.get(u) || []) {
+      const v = edge.to;
+      if (settled.has(v) || bannedNodes.has(v) || bannedEdges.has(`${u}>${v}`)) {
+        continue;
+      }
+      const alt = priority + edgeWeight(graph.events.get(u), graph.events.get(v));
+      if (!distances.has(v) || alt < distances.get(v)) {
+        distances.set(v, alt);
+        previous.set(v, { from: u, step: edge });
+        queue.push(v, alt);
+      }
+    }
   }
 
-  const eventMap = new Map();
-  const childrenMap = new Map();
-  for (const event of events) {
-    eventMap.set(event.event_id, {
-      event_id: event.event_id,
-      event_name: event.event_name,
-      duration_minutes: event.duration_minutes,
-    });
-    if (event.parent_event_id) {
-      if (!childrenMap.has(event.parent_event_id)) {
-        childrenMap.set(event.parent_event_id, []);
+  if (!settled.has(targetId)) {
+    return null;
+  }
+
+  const nodes = [];
+  const steps = [];
+  const costs = [];
+  for (let current = targetId; current !== undefined; current = previous.has(current) ? previous.get(current).from : undefined) {
+    nodes.unshift(current);
+    steps.unshift(previous.has(current) ? previous.get(current).step : null);
+    costs.unshift(distances.get(current));
+  }
+  return { nodes, steps, costs };
+}
+
+/**
+ * Finds the k cheapest loopless paths between two events with Yen's algorithm: each further path deviates from
+ * an earlier one at some event (the spur), and is the cheapest way from there that avoids the earlier paths.
+ * @param {object} graph The graph from buildInfluenceGraph.
+ * @param {string} sourceId The start of the paths.
+ * @param {string} targetId The end of the paths.
+ * @param {function(object, object): number} edgeWeight The cost of a step.
+ * @param {number} k The number of paths wanted.
+ * @returns {Array<object>} Up to k paths, cheapest first, in the shape returned by findCheapestPath.
+ */
+function findCheapestPaths(graph, sourceId, targetId, edgeWeight, k) {
+  const first = findCheapestPath(graph, sourceId, targetId, edgeWeight);
+  if (!first) {
+    return [];
+  }
+
+  const paths = [first];
+  const candidates = new MinHeap();
+  const seen = new Set([first.nodes.join('>')]);
+
+  while (paths.length < k) {
+    const last = paths[paths.length - 1];
+
+    for (let i = 0; i < last.nodes.length - 1; i++) {
+      const spurId = last.nodes[i];
+      const rootNodes = last.nodes.slice(0, i + 1);
+      const rootKey = rootNodes.join('>');
+
+      // Block the next step of every known path sharing this root, and the root itself, to keep the path loopless
+      const bannedEdges = new Set();
+      for (const path of paths) {
+        if (path.nodes.length > i + 1 && path.nodes.slice(0, i + 1).join('>') === rootKey) {
+          bannedEdges.add(`${path.nodes[i]}>${path.nodes[i + 1]}`);
+        }
       }
-      childrenMap.get(event.parent_event_id).push(event.event_id);
+      const bannedNodes = new Set(rootNodes.slice(0, i));
+
+      const spur = findCheapestPath(graph, spurId, targetId, edgeWeight, bannedNodes, bannedEdges);
+      if (!spur) {
+        continue;
+      }
+
+      const candidate = {
+        nodes: [...rootNodes, ...spur.nodes.slice(1)],
+        steps: [...last.steps.slice(0, i + 1), ...spur.steps.slice(1)],
+        costs: [...last.costs.slice(0, i + 1), ...spur.costs.slice(1).map((cost) => last.costs[i] + cost)],
+      };
+      const key = candidate.nodes.join('>');
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push(candidate, candidate.costs[candidate.costs.length - 1]);
+      }
+    }
+
+    if (candidates.size === 0) {
+      break;
     }
+    paths.push(candidates.pop().value);
   }
 
-  if (!eventMap.has(targetEventId)) {
+  return paths;
+}
+
+/**
+ * Finds the cheapest paths between a source and target event through the event hierarchy and the event links.
+ * Links can form cycles; the paths stay loopless since Dijkstra's algorithm settles every event once.
+ * @param {string} sourceEventId The UUID of the starting event.
+ * @param {string} targetEventId The UUID of the destination event.
+ * @param {object} [options] The search options.
+ * @param {string} [options.weight='duration'] One of INFLUENCE_WEIGHTS: the cumulative duration of the events on the path,
+ *   the number of steps, or the cumulative time between consecutive events.
+ * @param {string} [options.direction='any'] One of INFLUENCE_DIRECTIONS: 'down' only follows parent-to-child links from the
+ *   source and links from source to target, 'any' may also climb to a common ancestor and follow links backwards.
+ * @param {Array<string>} [options.linkTypes=LINK_TYPES] The event link types a path may follow; none to stay within the hierarchy.
+ * @param {number} [options.k=1] The number of alternative paths to return.
+ * @returns {Promise<object|null>} The cheapest path (shortestPath) and up to k paths, cheapest first, or null if the
+ *   source event does not exist.
+ */
+async function findEventInfluencePath(sourceEventId, targetEventId, {
+  weight = 'duration', direction = 'any', linkTypes = LINK_TYPES, k = 1,
+} = {}) {
+  const { events, links } = await databaseService.getEventGraph(sourceEventId, { direction, linkTypes });
+
+  if (events.length === 0) {
+    return null;
+  }
+
+  const graph = buildInfluenceGraph(events, links, direction);
+  const edgeWeight = INFLUENCE_EDGE_WEIGHTS[weight];
+  const paths = graph.events.has(targetEventId)
+    ? findCheapestPaths(graph, sourceEventId, targetEventId, edgeWeight, k)
+    : [];
+
+  if (paths.length === 0) {
     return {
       sourceEventId,
       targetEventId,
+      weight,
+      direction,
+      linkTypes,
       shortestPath: [],
       totalDurationMinutes: 0,
+      paths: [],
       message: "No temporal path found from source to target event."
     };
   }
 
-  // Use Dijkstra's algorithm to find the shortest path.
-  const distances = new Map();
-  const previousNodes = new Map();
-  const pq = new Set([sourceEventId]); 
+  // With the duration weight, the source's own duration counts too
+  const startCost = weight === 'duration' ? graph.events.get(sourceEventId).duration_minutes || 0 : 0;
+  const formattedPaths = paths.map((path, index) => ({
+    rank: index + 1,
+    events: path.nodes.map((eventId, position) => {
+      const event = graph.events.get(eventId);
+      return {
+        event_id: event.event_id,
+        event_name: event.event_name,
+        duration_minutes: event.duration_minutes,
+        ...(position > 0 ? { step: path.steps[position].step } : {}),
+        ...(position > 0 && path.steps[position].linkType ? { linkType: path.steps[position].linkType } : {}),
+      };
+    }),
+    hops: path.nodes.length - 1,
+    totalWeight: startCost + path.costs[path.costs.length - 1],
+    totalDurationMinutes: path.nodes.reduce((sum, eventId) => sum + (graph.events.get(eventId).duration_minutes || 0), 0),
+  }));
 
-  for (const eventId of eventMap.keys()) {
-    distances.set(eventId, Infinity);
+  return {
+    sourceEventId,
+    targetEventId,
+    weight,
+    direction,
+    linkTypes,
+    shortestPath: formattedPaths[0].events,
+    totalDurationMinutes: formattedPaths[0].totalDurationMinutes,
+    paths: formattedPaths,
+    message: "Shortest temporal path found from source to target event."
+  };
+}
+
+/**
+ * Sums a set of aggregate rows into counts and durations, with the average over the events that have a duration.
+ * @param {Array<object>} rows Rows of databaseService.getEventHistogram.
+ * @returns {{eventCount: number, totalDurationMinutes: number, averageDurationMinutes: (number|null)}} The summary.
+ */
+function summarizeHistogramRows(rows) {
+  let eventCount = 0;
+  let totalDurationMinutes = 0;
+  let timedEventCount = 0;
+  for (const row of rows) {
+    eventCount += row.event_count;
+    // SUM of an integer column comes back as a bigint string
+    totalDurationMinutes += Number(row.total_duration_minutes);
+    timedEventCount += row.timed_event_count;
   }
-  distances.set(sourceEventId, eventMap.get(sourceEventId).duration_minutes);
 
-  while (pq.size > 0) {
-    let u = null;
-    for (const eventId of pq) {
-      if (u === null || distances.get(eventId) < distances.get(u)) {
-        u = eventId;
-      }
+  return {
+    eventCount,
+    totalDurationMinutes,
+    averageDurationMinutes: timedEventCount > 0 ? Math.round((totalDurationMinutes / timedEventCount) * 100) / 100 : null,
+  };
+}
+
+/**
+ * Builds a time histogram of the events overlapping a date range: event counts and total/average durations per
+ * bucket, optionally broken down by root hierarchy or by a metadata value. Only the `groupLimit` largest groups
+ * are listed by name; the rest are folded into a single 'other' group.
+ * @param {object} params The histogram parameters.
+ * @param {Date|string} params.startDate The start of the date range (ISO 8601).
+ * @param {Date|string} params.endDate The end of the date range (ISO 8601).
+ * @param {string} params.interval The bucket size: 'hour', 'day', 'week', 'month' or 'year'.
+ * @param {string} [params.groupBy] 'root' or 'metadata'.
+ * @param {string} [params.metadataKey] The metadata key to group by.
+ * @param {number} [params.groupLimit=10] The number of groups to list by name.
+ * @param {object} [params.filters] The search filters to apply.
+ * @returns {Promise<object>} The totals, the groups (facets) with their totals, and the buckets.
+ */
+async function getEventHistogram(params) {
+  const { startDate, endDate, interval, groupBy = null, metadataKey, groupLimit = 10 } = params;
+  const rows = await databaseService.getEventHistogram(params);
+  const countedRows = rows.filter((row) => row.event_count > 0);
+
+  const bucketRows = new Map();
+  for (const row of rows) {
+    const start = row.bucket_start.toISOString();
+    if (!bucketRows.has(start)) {
+      bucketRows.set(start, []);
     }
-    pq.delete(u);
+    bucketRows.get(start).push(row);
+  }
 
-    if (u === targetEventId) break; 
-    const children = childrenMap.get(u) || [];
-    for (const v of children) {
-      const alt = distances.get(u) + eventMap.get(v).duration_minutes;
-      if (alt < distances.get(v)) {
-        distances.set(v, alt);
-        previousNodes.set(v, u);
-        pq.add(v);
-      }
+  const result = {
+    startDate,
+    endDate,
+    interval,
+    groupBy,
+    ...(groupBy === 'metadata' ? { metadataKey } : {}),
+    totals: summarizeHistogramRows(countedRows),
+  };
+
+  if (!groupBy) {
+    result.buckets = [...bucketRows].map(([start, bucket]) => ({ start, ...summarizeHistogramRows(bucket) }));
+    return result;
+  }
+
+  // Rank the groups by their event count over the whole range
+  const groupRows = new Map();
+  for (const row of countedRows) {
+    if (!groupRows.has(row.group_key)) {
+      groupRows.set(row.group_key, []);
     }
+    groupRows.get(row.group_key).push(row);
   }
+  const groups = [...groupRows]
+    .map(([key, groupedRows]) => ({ key, label: groupedRows[0].group_label, ...summarizeHistogramRows(groupedRows) }))
+    .sort((a, b) => b.eventCount - a.eventCount || String(a.key).localeCompare(String(b.key)));
+  const listedKeys = new Set(groups.slice(0, groupLimit).map((group) => group.key));
+
+  const otherGroup = (groupedRows) => ({ key: null, label: null, other: true, ...summarizeHistogramRows(groupedRows) });
+  const breakDown = (groupedRows) => {
+    const listed = groupedRows
+      .filter((row) => listedKeys.has(row.group_key))
+      .map((row) => ({ key: row.group_key, label: row.group_label, ...summarizeHistogramRows([row]) }));
+    const others = groupedRows.filter((row) => !listedKeys.has(row.group_key));
+    return others.length > 0 ? [...listed, otherGroup(others)] : listed;
+  };
 
-  const path = [];
-  let currentId = targetEventId;
-  if (previousNodes.has(currentId) || currentId === sourceEventId) {
-    while (currentId) {
-      path.unshift(eventMap.get(currentId));
-      currentId = previousNodes.get(currentId);
+  const hidden = groups.slice(groupLimit);
+  result.groups = groups.slice(0, groupLimit);
+  if (hidden.length > 0) {
+    result.groups.push({ ...otherGroup(hidden.flatMap((group) => groupRows.get(group.key))), groupCount: hidden.length });
+  }
+  result.buckets = [...bucketRows].map(([start, bucket]) => {
+    const counted = bucket.filter((row) => row.event_count > 0);
+    return { start, ...summarizeHistogramRows(counted), groups: breakDown(counted) };
+  });
+
+  return result;
+}
+
+// How much each signal counts towards a duplicate score, which is between 0 and 1
+const DUPLICATE_SCORE_WEIGHTS = { name: 0.6, time: 0.3, parent: 0.1 };
+
+/**
+ * Splits a name into trigrams the way PostgreSQL's pg_trgm does: each lower-case word of letters and digits,
+ * padded with two spaces in front and one behind.
+ * @param {string} name The name.
+ * @returns {Set<string>} The trigrams.
+ */
+function toTrigrams(name) {
+  const trigrams = new Set();
+  for (const word of name.toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+    if (word === '') {
+      continue;
+    }
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      trigrams.add(padded.slice(i, i + 3));
     }
   }
-  
-  if (path.length > 0 && path[0].event_id === sourceEventId) {
-    return {
-      sourceEventId,
-      targetEventId,
-      shortestPath: path,
-      totalDurationMinutes: distances.get(targetEventId),
-      message: "Shortest temporal path found from source to target event."
-    };
-  } else {
-    return {
-      sourceEventId,
-      targetEventId,
-      shortestPath: [],
-      totalDurationMinutes: 0,
-      message: "No temporal path found from source to target event."
-    };
+  return trigrams;
+}
+
+/**
+ * The share of trigrams two names have in common (0 to 1), as pg_trgm's similarity().
+ * @param {Set<string>} a The trigrams of one name.
+ * @param {Set<string>} b The trigrams of the other.
+ * @returns {number} The similarity.
+ */
+function trigramSimilarity(a, b) {
+  let shared = 0;
+  for (const trigram of a) {
+    if (b.has(trigram)) {
+      shared++;
+    }
+  }
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Finds pairs of events that probably describe the same thing, such as one event ingested from two archives under
+ * different IDs. Events are swept in start order, and each is compared with those that start and end within
+ * `maxTimeGapMinutes` of it, so the work grows with the number of such neighbours rather than with every pair.
+ * A pair's score weighs the similarity of the names (DUPLICATE_SCORE_WEIGHTS.name), how close the dates are
+ * (time, 1 for equal dates down to 0 at the time gap limit) and whether the events have the same parent (parent).
+ * An event and its own parent are never a pair.
+ * @param {Date|string} startDate The start of the date range (ISO 8601).
+ * @param {Date|string} endDate The end of the date range (ISO 8601).
+ * @param {object} [options] The report options.
+ * @param {number} [options.minScore=0.6] Only pairs scoring at least this much.
+ * @param {number} [options.maxTimeGapMinutes=1440] How far apart the starts, and the ends, of a pair may be.
+ * @param {boolean} [options.crossSourceOnly=false] Leave out pairs ingested from the same source file.
+ * @param {string} [options.rootEventId] Only consider this event and its descendants.
+ * @param {number} [options.limit=100] The number of pairs to return.
+ * @param {string} [options.span='possible'] One of DATE_SPANS.
+ * @returns {Promise<object|null>} The best-scoring pairs, highest first, with the score of each signal; null if the root event does not exist.
+ */
+async function findDuplicateEvents(startDate, endDate, {
+  minScore = 0.6, maxTimeGapMinutes = 1440, crossSourceOnly = false, rootEventId = null, limit = 100, span = 'possible',
+} = {}) {
+  if (rootEventId && !(await databaseService.getEventById(rootEventId))) {
+    return null;
+  }
+
+  const events = await databaseService.getDuplicateCandidates(startDate, endDate, rootEventId, span);
+  const maxGapMs = maxTimeGapMinutes * 60 * 1000;
+  const starts = events.map((event) => new Date(event.start_date).getTime());
+  const ends = events.map((event) => new Date(event.end_date).getTime());
+  const trigrams = events.map((event) => toTrigrams(event.event_name));
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  // The lowest-scoring of the best pairs so far is on top, to be dropped when a better pair turns up
+  const best = new MinHeap();
+  let comparedPairs = 0;
+  let matchingPairs = 0;
+  for (let i = 0; i < events.length; i++) {
+    for (let j = i + 1; j < events.length && starts[j] - starts[i] <= maxGapMs; j++) {
+      const [a, b] = [events[i], events[j]];
+      const endGapMs = Math.abs(ends[j] - ends[i]);
+      if (endGapMs > maxGapMs || a.parent_event_id === b.event_id || b.parent_event_id === a.event_id) {
+        continue;
+      }
+      if (crossSourceOnly && a.source_file !== null && a.source_file === b.source_file) {
+        continue;
+      }
+      comparedPairs++;
+
+      const nameSimilarity = trigramSimilarity(trigrams[i], trigrams[j]);
+      const timeProximity = maxGapMs > 0 ? 1 - Math.max(starts[j] - starts[i], endGapMs) / maxGapMs : 1;
+      const sharedParent = a.parent_event_id !== null && a.parent_event_id === b.parent_event_id;
+      const score = DUPLICATE_SCORE_WEIGHTS.name * nameSimilarity
+        + DUPLICATE_SCORE_WEIGHTS.time * timeProximity
+        + (sharedParent ? DUPLICATE_SCORE_WEIGHTS.parent : 0);
+      if (score < minScore) {
+        continue;
+      }
+
+      matchingPairs++;
+      best.push({
+        score: round(score),
+        nameSimilarity: round(nameSimilarity),
+        timeProximity: round(timeProximity),
+        sharedParent,
+        startGapMinutes: Math.round((starts[j] - starts[i]) / (1000 * 60)),
+        endGapMinutes: Math.round(endGapMs / (1000 * 60)),
+        events: [a, b],
+      }, score);
+      if (best.size > limit) {
+        best.pop();
+      }
+    }
+  }
+
+  const pairs = [];
+  while (best.size > 0) {
+    pairs.push(best.pop().value);
+  }
+  pairs.reverse();
+
+  return {
+    startDate,
+    endDate,
+    rootEventId,
+    minScore,
+    maxTimeGapMinutes,
+    crossSourceOnly,
+    span,
+    eventCount: events.length,
+    comparedPairs,
+    matchingPairs,
+    pairs,
+  };
+}
+
+/**
+ * Lists the events that were happening at an instant, or within a window around it, grouped by their root event.
+ * @param {Date|string} at The instant (ISO 8601).
+ * @param {object} [options]
+ * @param {number} [options.windowMinutes=0] Also include events active up to this many minutes before or after the instant.
+ * @param {boolean} [options.deepestOnly=false] Leave out events that have an active descendant, keeping the most specific ones.
+ * @param {string} [options.span='possible'] One of DATE_SPANS.
+ * @returns {Promise<object>} The window and the hierarchies, each with its active events and their ancestor chains (root first).
+ */
+async function getSnapshot(at, { windowMinutes = 0, deepestOnly = false, span = 'possible' } = {}) {
+  const instant = new Date(at).getTime();
+  const from = new Date(instant - windowMinutes * 60000);
+  const to = new Date(instant + windowMinutes * 60000);
+  const activeEvents = await databaseService.getEventsInRange(from, to, { withAncestors: true, span });
+
+  const activeIds = new Set(activeEvents.map((event) => event.event_id));
+  let events = activeEvents;
+  if (deepestOnly) {
+    const activeAncestorIds = new Set(activeEvents.flatMap((event) => event.ancestor_ids));
+    events = activeEvents.filter((event) => !activeAncestorIds.has(event.event_id));
+  }
+
+  const ancestorIds = [...new Set(events.flatMap((event) => event.ancestor_ids))];
+  const ancestorsById = new Map();
+  for (const ancestor of await databaseService.getEventsByIds(ancestorIds)) {
+    ancestorsById.set(ancestor.event_id, {
+      event_id: ancestor.event_id,
+      event_name: ancestor.event_name,
+      start_date: ancestor.start_date,
+      end_date: ancestor.end_date,
+      active: activeIds.has(ancestor.event_id),
+    });
   }
+
+  const hierarchies = new Map();
+  for (const { ancestor_ids: chainIds, ...event } of events) {
+    const ancestors = chainIds.map((id) => ancestorsById.get(id)).filter(Boolean).reverse();
+    const root = ancestors.length > 0 ? ancestors[0] : event;
+    if (!hierarchies.has(root.event_id)) {
+      hierarchies.set(root.event_id, {
+        rootEventId: root.event_id,
+        rootEventName: root.event_name,
+        rootStartDate: root.start_date,
+        events: [],
+      });
+    }
+    hierarchies.get(root.event_id).events.push({ ...event, depth: ancestors.length, ancestors });
+  }
+
+  const byStart = (a, b) => a.start_date - b.start_date || a.event_id.localeCompare(b.event_id);
+  const groups = [...hierarchies.values()]
+    .sort((a, b) => a.rootStartDate - b.rootStartDate || a.rootEventId.localeCompare(b.rootEventId))
+    .map(({ rootStartDate, events: groupEvents, ...group }) => ({
+      ...group,
+      eventCount: groupEvents.length,
+      events: groupEvents.sort(byStart),
+    }));
+
+  return {
+    at: new Date(instant).toISOString(),
+    windowMinutes,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    deepestOnly,
+    span,
+    activeEventCount: events.length,
+    hierarchyCount: groups.length,
+    hierarchies: groups,
+  };
 }
 
 module.exports = {
+  OVERLAP_SCOPES,
+  INFLUENCE_WEIGHTS,
+  INFLUENCE_DIRECTIONS,
+  MAX_INFLUENCE_PATHS,
+  DUPLICATE_SCORE_WEIGHTS,
   findOverlappingEvents,
+  findPeakConcurrency,
   findTemporalGaps,
-  findEventInfluencePath
+  findEventInfluencePath,
+  getEventHistogram,
+  getSnapshot,
+  findDuplicateEvents,
 };
 
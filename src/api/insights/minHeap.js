@@ -0,0 +1,70 @@
+/**
+ * A binary min-heap of items ordered by a numeric priority. Push and pop are O(log n), which keeps Dijkstra's
+ * algorithm at O((V + E) log V) instead of scanning every queued node for the minimum.
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Adds an item.
+   * @param {*} value The item.
+   * @param {number} priority Its priority; the lowest is popped first.
+   */
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) {
+        break;
+      }
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Removes and returns the item with the lowest priority.
+   * @returns {{value: *, priority: number}|undefined} The item and its priority, or undefined if the heap is empty.
+   */
+  pop() {
+    const items = this.items;
+    if (items.length === 0) {
+      return undefined;
+    }
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].priority < items[smallest].priority) {
+          smallest = left;
+        }
+        if (right < items.length && items[right].priority < items[smallest].priority) {
+          smallest = right;
+        }
+        if (smallest === index) {
+          break;
+        }
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+module.exports = MinHeap;
\ No newline at end of file
@@ -1,8 +1,15 @@
+// Load .env before any module reads its configuration
+require('dotenv').config();
 const express = require('express');
 const eventRoutes = require('./api/events/event.routes');
 const insightRoutes = require('./api/insights/insight.routes');
-require('dotenv').config();
+const ingestionConfig = require('./configs/ingestion');
+const { startIngestionWorker, stopIngestionWorker } = require('./jobs/ingestionWorker');
+
 
+if (!ingestionConfig.uploadsEnabled) {
+  console.warn('Uploads are disabled: set INGESTION_UPLOAD_DIR to storage shared with the ingestion workers to enable them.');
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,4 +25,16 @@ app.get('/', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server is listening on port ${PORT}`);
-});
\ No newline at end of file
+
+  if (ingestionConfig.workerEnabled) {
+    startIngestionWorker();
+  }
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    // Hand in-progress ingestion jobs back to the queue before exiting
+    await stopIngestionWorker();
+    process.exit(0);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,24 @@
+require('dotenv').config();
+const { AUDIT_CHECKS, runIntegrityAudit } = require('./jobs/integrityAudit');
+
+// Standalone integrity audit, e.g. for a nightly cron: `npm run audit -- [--fix] [--checks=a,b]`.
+// Prints the report and exits with 1 if violations remain.
+async function main() {
+  const args = process.argv.slice(2);
+  const checksArg = args.find((arg) => arg.startsWith('--checks='));
+  const checks = checksArg ? checksArg.slice('--checks='.length).split(',') : AUDIT_CHECKS;
+  const unknown = checks.find((check) => !AUDIT_CHECKS.includes(check));
+  if (unknown !== undefined) {
+    console.error(`Unknown check '${unknown}'. Available checks: ${AUDIT_CHECKS.join(', ')}.`);
+    process.exit(2);
+  }
+
+  const report = await runIntegrityAudit({ checks, fix: args.includes('--fix') });
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(report.remainingViolations > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Integrity audit failed:', error);
+  process.exit(2);
+});
\ No newline at end of file
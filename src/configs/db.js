@@ -4,4 +4,6 @@ const pool =new Pool();
 
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  // For transactions: the caller must release the client
+  getClient: () => pool.connect(),
 };
\ No newline at end of file
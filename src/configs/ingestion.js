@@ -0,0 +1,43 @@
+const os = require('os');
+const path = require('path');
+
+const MEGABYTE = 1024 * 1024;
+
+module.exports = {
+  // Directory that server-side `filePath` ingestion is confined to. When unset, filePath ingestion is disabled.
+  allowedDir: process.env.INGESTION_ALLOWED_DIR ? path.resolve(process.env.INGESTION_ALLOWED_DIR) : null,
+  // Directory that uploaded files are written to before they are processed. A worker running as a separate process
+  // reads them from there, so it must then be storage both processes share (see app.js and worker.js).
+  uploadDir: path.resolve(process.env.INGESTION_UPLOAD_DIR || path.join(os.tmpdir(), 'chronologicon-uploads')),
+  // Whether the upload endpoint stores files for ingestion. Separate workers cannot read the OS temp directory default,
+  // so with INGESTION_WORKER_ENABLED=false uploads need INGESTION_UPLOAD_DIR; filePath ingestion works either way.
+  uploadsEnabled: process.env.INGESTION_WORKER_ENABLED !== 'false' || Boolean(process.env.INGESTION_UPLOAD_DIR),
+  // How long the upload of a FAILED or CANCELLED job is kept for a retry (a COMPLETED job's is deleted by the worker's next sweep).
+  uploadRetentionHours: parseInt(process.env.INGESTION_UPLOAD_RETENTION_HOURS, 10) || 168,
+  // Limit on the request body as sent (i.e. compressed size for gzip uploads).
+  maxUploadBytes: parseInt(process.env.INGESTION_MAX_UPLOAD_MB, 10) * MEGABYTE || 512 * MEGABYTE,
+  // Limit on the decompressed size of gzip uploads.
+  maxUncompressedBytes: parseInt(process.env.INGESTION_MAX_UNCOMPRESSED_MB, 10) * MEGABYTE || 4096 * MEGABYTE,
+  // Whether the web process also runs the ingestion worker loop (set to 'false' to run `npm run worker` separately).
+  workerEnabled: process.env.INGESTION_WORKER_ENABLED !== 'false',
+  // Maximum number of files a single worker processes at once.
+  concurrency: parseInt(process.env.INGESTION_CONCURRENCY, 10) || 2,
+  // How often an idle worker polls the queue.
+  pollIntervalMs: parseInt(process.env.INGESTION_POLL_INTERVAL_MS, 10) || 2000,
+  // How long a claimed job stays owned without a heartbeat before another worker may take it over.
+  leaseSeconds: parseInt(process.env.INGESTION_LEASE_SECONDS, 10) || 60,
+  // How many times a job is attempted before an expired lease marks it FAILED instead of re-queuing it.
+  maxAttempts: parseInt(process.env.INGESTION_MAX_ATTEMPTS, 10) || 3,
+  // How often a live progress stream checks its job for changes.
+  progressPollIntervalMs: parseInt(process.env.INGESTION_PROGRESS_POLL_INTERVAL_MS, 10) || 1000,
+  // How long a webhook endpoint has to respond before the attempt counts as failed.
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  // Delay before the first webhook retry; it doubles with every further attempt.
+  webhookRetryDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_DELAY_SECONDS, 10) || 30,
+  // How many times a webhook delivery is attempted before it is marked FAILED.
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  // Webhook hosts that may resolve to private or loopback addresses, e.g. receivers on the internal network.
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean),
+  // Key that webhook secrets are encrypted with in the database. When unset, they are stored as sent.
+  webhookSecretKey: process.env.WEBHOOK_SECRET_KEY || null,
+};
\ No newline at end of file
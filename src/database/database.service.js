@@ -1,23 +1,347 @@
 const db = require('../configs/db');
+const { changedFieldsSql } = require('./eventRevisions');
+const { QUEUE_JOB_WEBHOOKS_CTE } = require('./jobWebhooks');
+const { INTEGRITY_CHECKS } = require('./integrityChecks');
+const { HIERARCHY_LOCK_QUERY, withTransaction, findAncestorChain } = require('./eventHierarchy');
+
+// For each event that job $1 overwrote (and that nothing else changed since), the version the job first replaced
+const JOB_RESTORABLE_REVISIONS_CTE = `
+  restorable AS (
+    SELECT DISTINCT ON (r.event_id) r.*
+    FROM event_revisions r
+    JOIN historical_events h ON h.event_id = r.event_id
+    WHERE r.changed_by_job_id = $1
+      AND r.change_type = 'INGESTION'
+      AND h.ingestion_job_id IS DISTINCT FROM $1
+      AND NOT EXISTS (
+        SELECT 1 FROM event_revisions later
+        WHERE later.event_id = r.event_id
+          AND later.revision_id > r.revision_id
+          AND (later.changed_by_job_id IS DISTINCT FROM $1 OR later.change_type <> 'INGESTION')
+      )
+    ORDER BY r.event_id, r.revision_id
+  )
+`;
+
+// Events that other jobs (or manual edits) attached under the events of job $1, with the nearest ancestor that survives its rollback
+const JOB_FOREIGN_CHILDREN_QUERY = `
+  WITH RECURSIVE foreign_children AS (
+    SELECT c.event_id, c.event_name, c.parent_event_id, c.ingestion_job_id
+    FROM historical_events c
+    JOIN historical_events p ON p.event_id = c.parent_event_id
+    WHERE p.ingestion_job_id = $1
+      AND c.ingestion_job_id IS DISTINCT FROM $1
+  ),
+  ancestors AS (
+    -- Climb from each child's parent while the ancestor belongs to the job being rolled back
+    SELECT fc.event_id AS child_id, p.event_id, p.parent_event_id, p.ingestion_job_id, 1 AS depth
+    FROM foreign_children fc
+    JOIN historical_events p ON p.event_id = fc.parent_event_id
+    UNION ALL
+    SELECT a.child_id, p.event_id, p.parent_event_id, p.ingestion_job_id, a.depth + 1
+    FROM ancestors a
+    JOIN historical_events p ON p.event_id = a.parent_event_id
+    WHERE a.ingestion_job_id = $1
+  )
+  SELECT fc.event_id, fc.event_name, fc.parent_event_id, fc.ingestion_job_id,
+    (
+      SELECT a.event_id FROM ancestors a
+      WHERE a.child_id = fc.event_id AND a.ingestion_job_id IS DISTINCT FROM $1
+      ORDER BY a.depth
+      LIMIT 1
+    ) AS surviving_ancestor_id
+  FROM foreign_children fc
+  ORDER BY fc.event_id
+`;
+
+// Events of other jobs anywhere below the events of job $1, which a cascading rollback removes as well
+const JOB_FOREIGN_DESCENDANTS_QUERY = `
+  WITH RECURSIVE doomed AS (
+    SELECT event_id FROM historical_events WHERE ingestion_job_id = $1
+    UNION
+    SELECT c.event_id
+    FROM historical_events c
+    INNER JOIN doomed d ON c.parent_event_id = d.event_id
+  )
+  SELECT h.event_id, h.event_name, h.parent_event_id, h.ingestion_job_id, NULL::uuid AS surviving_ancestor_id
+  FROM historical_events h
+  JOIN doomed d ON d.event_id = h.event_id
+  WHERE h.ingestion_job_id IS DISTINCT FROM $1
+  ORDER BY h.event_id
+`;
+
+// Columns returned for a single event
+const EVENT_COLUMNS = 'event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id';
+
+const LINK_COLUMNS = 'link_id, source_event_id, target_event_id, link_type, description, metadata, ingestion_job_id, created_at';
+
+// Columns returned for a merge record; merged_event and links are only read back by an undo
+const MERGE_COLUMNS = 'merge_id, survivor_event_id, merged_event_id, reparented_child_ids, repointed_link_ids, merged_at, undone_at';
+
+// Columns returned for a webhook; the secret is only returned when the webhook is created
+const WEBHOOK_COLUMNS = 'webhook_id, url, events, description, created_at';
+
+// The period an event counts for in range queries: the widest it may cover, or only the period it certainly covers
+// (which is empty, and never matches, if its latest possible start is after its earliest possible end)
+const EVENT_SPANS = {
+  possible: { start: 'start_date', end: 'end_date' },
+  certain: { start: 'COALESCE(start_date_latest, start_date)', end: 'COALESCE(end_date_earliest, end_date)' },
+};
+
+// Sortable search keys: the SQL expression ordered on and its type, for casting cursor values ('relevance' is added with a full-text query)
+const SEARCH_SORT_KEYS = {
+  start_date: { expression: 'start_date', type: 'timestamptz' },
+  end_date: { expression: 'end_date', type: 'timestamptz' },
+  event_name: { expression: 'event_name', type: 'text' },
+  duration_minutes: { expression: 'COALESCE(duration_minutes, 0)', type: 'integer' },
+};
+
+/**
+ * Builds the WHERE conditions for the event filters shared by search and the aggregations.
+ * @param {object} filters The filters, as documented on searchEvents.
+ * @param {Array<*>} [values=[]] Query values already bound; the filter values are appended after them.
+ * @returns {{ctes: Array<string>, whereClauses: Array<string>, values: Array<*>, textQuery: (string|null)}} The CTEs
+ *   the conditions rely on (for a WITH RECURSIVE clause), the conditions on historical_events, all query values,
+ *   and the tsquery expression of the full-text query, if any.
+ */
+function buildEventFilters(filters, values = []) {
+  const {
+    name, text, startDateAfter, endDateBefore, span = 'possible', metadataFilters = [], sourceFile, parentId, rootId,
+    minDuration, maxDuration, hasChildren,
+  } = filters;
+  const ctes = [];
+  const whereClauses = [];
+  const queryValues = [...values];
+  const param = (value) => {
+    queryValues.push(value);
+    return `$${queryValues.length}`;
+  };
+  let textQuery = null;
+
+  if (text) {
+    textQuery = `websearch_to_tsquery('english', ${param(text)})`;
+    whereClauses.push(`search_vector @@ ${textQuery}`);
+  }
+  if (name) {
+    whereClauses.push(`event_name ILIKE ${param(`%${name}%`)}`);
+  }
+  // An event possibly within the bounds may start as late, and end as early, as its bounds allow
+  const { start, end } = EVENT_SPANS[span === 'possible' ? 'certain' : 'possible'];
+  if (startDateAfter) {
+    whereClauses.push(`${start} >= ${param(startDateAfter)}`);
+  }
+  if (endDateBefore) {
+    whereClauses.push(`${end} <= ${param(endDateBefore)}`);
+  }
+  for (const { key, operator, value } of metadataFilters) {
+    const keyParam = `${param(key)}::text`;
+    const valueParam = param(value);
+    if (operator === '=' || operator === '!=') {
+      const comparison = operator === '=' ? '=' : 'IS DISTINCT FROM';
+      whereClauses.push(`(metadata->>${keyParam}) ${comparison} ${valueParam}::text`);
+    } else if (['<', '<=', '>', '>='].includes(operator)) {
+      // Numbers may be stored as JSON numbers or numeric strings (as parsed from delimited files)
+      whereClauses.push(`(CASE WHEN metadata->>${keyParam} ~ '^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$' THEN (metadata->>${keyParam})::numeric END) ${operator} ${valueParam}::numeric`);
+    } else {
+      throw new Error(`Unsupported metadata filter operator '${operator}'`);
+    }
+  }
+  if (sourceFile) {
+    whereClauses.push(`metadata->>'originalSourceFile' = ${param(sourceFile)}`);
+  }
+  if (parentId) {
+    whereClauses.push(`parent_event_id = ${param(parentId)}`);
+  }
+  if (rootId) {
+    ctes.push(`subtree AS (
+      SELECT event_id FROM historical_events WHERE parent_event_id = ${param(rootId)}
+      UNION
+      SELECT c.event_id
+      FROM historical_events c
+      INNER JOIN subtree s ON c.parent_event_id = s.event_id
+    )`);
+    whereClauses.push('event_id IN (SELECT event_id FROM subtree)');
+  }
+  if (minDuration !== undefined) {
+    whereClauses.push(`duration_minutes >= ${param(minDuration)}`);
+  }
+  if (maxDuration !== undefined) {
+    whereClauses.push(`duration_minutes <= ${param(maxDuration)}`);
+  }
+  if (hasChildren !== undefined) {
+    const childExists = 'EXISTS (SELECT 1 FROM historical_events c WHERE c.parent_event_id = historical_events.event_id)';
+    whereClauses.push(hasChildren ? childExists : `NOT ${childExists}`);
+  }
+
+  return { ctes, whereClauses, values: queryValues, textQuery };
+}
 
 /**
  * A service class to centralize all database interactions.
  */
 class DatabaseService {
   /**
-   * Creates a new ingestion job record in the database.
+   * Creates a new ingestion job record in the database. The job is queued as PENDING until a worker claims it.
    * @param {string} filePath The path to the file being ingested.
+   * @param {object} [options] The processing options, persisted so that any worker can run the job.
    * @returns {Promise<string>} The ID of the newly created job.
    */
-  async createIngestionJob(filePath) {
+  async createIngestionJob(filePath, options = {}) {
     const queryText = `
-      INSERT INTO ingestion_jobs (status, file_path)
-      VALUES ('PENDING', $1) RETURNING job_id;
+      INSERT INTO ingestion_jobs (status, file_path, options)
+      VALUES ('PENDING', $1, $2) RETURNING job_id;
     `;
-    const { rows } = await db.query(queryText, [filePath]);
+    const { rows } = await db.query(queryText, [filePath, options]);
     return rows[0].job_id;
   }
 
+  /**
+   * Atomically claims the next runnable ingestion job: the oldest PENDING job, or a PROCESSING job
+   * whose worker stopped renewing its lease. Concurrent workers never claim the same job.
+   * @param {string} workerId The claiming worker's ID.
+   * @param {number} leaseSeconds The lease duration.
+   * @param {number} maxAttempts Jobs that already used this many attempts are not claimed.
+   * @returns {Promise<object|null>} The claimed job, or null if the queue is empty.
+   */
+  async claimNextIngestionJob(workerId, leaseSeconds, maxAttempts) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET status = 'PROCESSING',
+          worker_id = $1,
+          lease_expires_at = NOW() + make_interval(secs => $2),
+          attempts = attempts + 1
+      WHERE job_id = (
+        SELECT job_id
+        FROM ingestion_jobs
+        WHERE (status = 'PENDING'
+           OR (status = 'PROCESSING' AND (lease_expires_at IS NULL OR lease_expires_at < NOW())))
+          AND attempts < $3
+        ORDER BY start_time
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *;
+    `;
+    const { rows } = await db.query(queryText, [workerId, leaseSeconds, maxAttempts]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Extends the lease on a job, provided the worker still owns it.
+   * @param {string} jobId The ID of the job.
+   * @param {string} workerId The worker's ID.
+   * @param {number} leaseSeconds The lease duration from now.
+   * @returns {Promise<boolean>} False if the job was taken over or is no longer processing.
+   */
+  async renewIngestionJobLease(jobId, workerId, leaseSeconds) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET lease_expires_at = NOW() + make_interval(secs => $3)
+      WHERE job_id = $1 AND worker_id = $2 AND status = 'PROCESSING';
+    `;
+    const { rowCount } = await db.query(queryText, [jobId, workerId, leaseSeconds]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Puts a job the worker owns back in the queue, e.g. when the worker shuts down mid-file.
+   * @param {string} jobId The ID of the job.
+   * @param {string} workerId The worker's ID.
+   */
+  async releaseIngestionJob(jobId, workerId) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET status = 'PENDING', worker_id = NULL, lease_expires_at = NULL, attempts = GREATEST(attempts - 1, 0)
+      WHERE job_id = $1 AND worker_id = $2 AND status = 'PROCESSING';
+    `;
+    await db.query(queryText, [jobId, workerId]);
+  }
+
+  /**
+   * Cancels a job that has not finished yet. A worker processing it notices on its next heartbeat and stops.
+   * @param {string} jobId The ID of the job.
+   * @returns {Promise<object|null>} The cancelled job, or null if it does not exist or already finished.
+   */
+  async cancelIngestionJob(jobId) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET status = 'CANCELLED', lease_expires_at = NULL, end_time = NOW()
+      WHERE job_id = $1 AND status IN ('PENDING', 'PROCESSING')
+      RETURNING *;
+    `;
+    const { rows } = await db.query(queryText, [jobId]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Re-queues a failed or cancelled job. By default it resumes from its checkpoint;
+   * with `fromStart`, the counters, errors (including per-line errors) and checkpoint are reset and the whole file is processed again.
+   * A job whose events were rolled back always starts over, since the lines before its checkpoint no longer have their events.
+   * @param {string} jobId The ID of the job.
+   * @param {boolean} fromStart Whether to discard the checkpoint.
+   * @returns {Promise<object|null>} The re-queued job, or null if it does not exist or is not FAILED/CANCELLED.
+   */
+  async retryIngestionJob(jobId, fromStart) {
+    const queryText = `
+      WITH target AS (
+        SELECT job_id, ($2 OR rolled_back_at IS NOT NULL) AS restart
+        FROM ingestion_jobs
+        WHERE job_id = $1 AND status IN ('FAILED', 'CANCELLED')
+        FOR UPDATE
+      ),
+      retried AS (
+      UPDATE ingestion_jobs j
+      SET status = 'PENDING',
+          attempts = 0,
+          worker_id = NULL,
+          lease_expires_at = NULL,
+          end_time = NULL,
+          rolled_back_at = NULL,
+          checkpoint_line = CASE WHEN t.restart THEN 0 ELSE j.checkpoint_line END,
+          total_lines = CASE WHEN t.restart THEN 0 ELSE j.total_lines END,
+          processed_lines = CASE WHEN t.restart THEN 0 ELSE j.processed_lines END,
+          error_lines = CASE WHEN t.restart THEN 0 ELSE j.error_lines END,
+          orphan_lines = 0,
+          errors = CASE WHEN t.restart THEN '[]'::jsonb ELSE j.errors END
+      FROM target t
+      WHERE j.job_id = t.job_id
+      RETURNING j.*
+      ),
+      cleared AS (
+        DELETE FROM ingestion_job_errors
+        WHERE job_id IN (SELECT job_id FROM target WHERE restart)
+      )
+      SELECT * FROM retried;
+    `;
+    const { rows } = await db.query(queryText, [jobId, fromStart]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Marks as FAILED the jobs whose lease expired after their last allowed attempt (e.g. files that crash every worker).
+   * @param {number} maxAttempts The attempt limit.
+   * @returns {Promise<number>} The number of jobs failed.
+   */
+  async failExhaustedIngestionJobs(maxAttempts) {
+    const queryText = `
+      WITH finished_jobs AS (
+        UPDATE ingestion_jobs
+        SET status = 'FAILED',
+            errors = errors || to_jsonb('Fatal Error: Job was interrupted ' || attempts || ' times and will not be retried.'),
+            lease_expires_at = NULL,
+            end_time = NOW()
+        WHERE status IN ('PENDING', 'PROCESSING')
+          AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+          AND attempts >= $1
+        RETURNING *
+      ),
+      ${QUEUE_JOB_WEBHOOKS_CTE}
+      SELECT COUNT(*) FROM finished_jobs;
+    `;
+    const { rows } = await db.query(queryText, [maxAttempts]);
+    return parseInt(rows[0].count, 10);
+  }
+
   /**
    * Retrieves a specific ingestion job from the database by its ID.
    * @param {string} jobId The ID of the job to retrieve.
@@ -30,149 +354,1421 @@ class DatabaseService {
   }
 
   /**
-   * Fetches the entire family tree of an event (all ancestors and all descendants).
+   * Retrieves the jobs that ingest any of the given files.
+   * @param {Array<string>} filePaths The file paths.
+   * @returns {Promise<Array<object>>} The jobs' file_path, status and end_time.
+   */
+  async getIngestionJobsForFiles(filePaths) {
+    const queryText = `SELECT file_path, status, end_time FROM ingestion_jobs WHERE file_path = ANY($1)`;
+    const { rows } = await db.query(queryText, [filePaths]);
+    return rows;
+  }
+
+  /**
+   * Lists ingestion jobs, most recent first, with optional status and start-time filters.
+   * @param {object} params - The filter and pagination parameters.
+   * @param {string} [params.status] - Only jobs in this status.
+   * @param {string} [params.startedAfter] - ISO date string; jobs started at or after it.
+   * @param {string} [params.startedBefore] - ISO date string; jobs started at or before it.
+   * @param {number} params.page - Page number for pagination.
+   * @param {number} params.limit - Number of jobs per page.
+   * @returns {Promise<{totalJobs: number, jobs: Array<object>}>} The matching jobs.
+   */
+  async listIngestionJobs(params) {
+    const { status, startedAfter, startedBefore, page, limit } = params;
+    const offset = (page - 1) * limit;
+
+    let whereClauses = [];
+    let queryValues = [];
+    let paramIndex = 1;
+
+    if (status) {
+      whereClauses.push(`status = $${paramIndex++}`);
+      queryValues.push(status);
+    }
+    if (startedAfter) {
+      whereClauses.push(`start_time >= $${paramIndex++}`);
+      queryValues.push(startedAfter);
+    }
+    if (startedBefore) {
+      whereClauses.push(`start_time <= $${paramIndex++}`);
+      queryValues.push(startedBefore);
+    }
+
+    const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+    const countQuery = `SELECT COUNT(*) FROM ingestion_jobs ${whereString}`;
+    const countResult = await db.query(countQuery, queryValues);
+    const totalJobs = parseInt(countResult.rows[0].count, 10);
+
+    const dataQuery = `
+      SELECT *
+      FROM ingestion_jobs
+      ${whereString}
+      ORDER BY start_time DESC, job_id
+      LIMIT $${paramIndex++}
+      OFFSET $${paramIndex++}
+    `;
+    const { rows: jobs } = await db.query(dataQuery, [...queryValues, limit, offset]);
+
+    return { totalJobs, jobs };
+  }
+
+  /**
+   * Retrieves a page of a job's per-line errors, in line order.
+   * @param {string} jobId The ID of the job.
+   * @param {object} params - The pagination parameters.
+   * @param {number} params.page - Page number for pagination.
+   * @param {number} params.limit - Number of errors per page.
+   * @param {string} [params.errorCode] - Only errors with this code.
+   * @returns {Promise<{totalErrors: number, errors: Array<object>}>} The errors.
+   */
+  async getIngestionJobErrors(jobId, { page, limit, errorCode }) {
+    const offset = (page - 1) * limit;
+    const queryValues = errorCode ? [jobId, errorCode] : [jobId];
+    const whereString = errorCode ? 'WHERE job_id = $1 AND error_code = $2' : 'WHERE job_id = $1';
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM ingestion_job_errors ${whereString}`, queryValues);
+    const totalErrors = parseInt(countResult.rows[0].count, 10);
+
+    const dataQuery = `
+      SELECT line_number, error_code, field, message, raw_line
+      FROM ingestion_job_errors
+      ${whereString}
+      ORDER BY line_number, error_id
+      LIMIT $${queryValues.length + 1}
+      OFFSET $${queryValues.length + 2}
+    `;
+    const { rows: errors } = await db.query(dataQuery, [...queryValues, limit, offset]);
+
+    return { totalErrors, errors };
+  }
+
+  /**
+   * Retrieves the next chunk of a job's rejected lines after a keyset position, for streaming downloads.
+   * A line with several errors is returned once.
+   * @param {string} jobId The ID of the job.
+   * @param {number} afterLineNumber Only lines after this line number.
+   * @param {number} limit The chunk size.
+   * @returns {Promise<Array<{line_number: number, raw_line: string}>>} The rejected lines, in line order.
+   */
+  async getRejectedLines(jobId, afterLineNumber, limit) {
+    const queryText = `
+      SELECT DISTINCT ON (line_number) line_number, raw_line
+      FROM ingestion_job_errors
+      WHERE job_id = $1 AND line_number > $2 AND raw_line IS NOT NULL
+      ORDER BY line_number, error_id
+      LIMIT $3;
+    `;
+    const { rows } = await db.query(queryText, [jobId, afterLineNumber, limit]);
+    return rows;
+  }
+
+  /**
+   * Retrieves a job's per-line errors recorded after a given error, in the order they were recorded, for live progress streams.
+   * @param {string} jobId The ID of the job.
+   * @param {string|number} afterErrorId Only errors with a higher error_id (0 for all of them).
+   * @param {number} limit The maximum number of errors.
+   * @returns {Promise<Array<object>>} The errors, with their error_id.
+   */
+  async getIngestionJobErrorsAfter(jobId, afterErrorId, limit) {
+    const queryText = `
+      SELECT error_id, line_number, error_code, field, message, raw_line
+      FROM ingestion_job_errors
+      WHERE job_id = $1 AND error_id > $2
+      ORDER BY error_id
+      LIMIT $3;
+    `;
+    const { rows } = await db.query(queryText, [jobId, afterErrorId, limit]);
+    return rows;
+  }
+
+  /**
+   * Registers a webhook for ingestion job outcomes.
+   * @param {{url: string, secret: string, events: Array<string>, description: (string|null)}} webhook The webhook, with
+   *   its secret as prepared for storage by sealWebhookSecret.
+   * @returns {Promise<object>} The stored webhook, without its secret.
+   */
+  async createWebhook({ url, secret, events, description }) {
+    const queryText = `
+      INSERT INTO ingestion_webhooks (url, secret, events, description)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${WEBHOOK_COLUMNS};
+    `;
+    const { rows } = await db.query(queryText, [url, secret, events, description]);
+    return rows[0];
+  }
+
+  /**
+   * Lists the registered webhooks, oldest first, with their delivery counts. Secrets are not returned.
+   * @returns {Promise<Array<object>>} The webhooks.
+   */
+  async listWebhooks() {
+    const queryText = `
+      SELECT ${WEBHOOK_COLUMNS},
+        (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.webhook_id AND d.status = 'PENDING') AS pending_deliveries,
+        (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.webhook_id AND d.status = 'FAILED') AS failed_deliveries
+      FROM ingestion_webhooks w
+      ORDER BY created_at, webhook_id;
+    `;
+    const { rows } = await db.query(queryText);
+    return rows;
+  }
+
+  /**
+   * Retrieves a webhook with its most recent deliveries. The secret is not returned.
+   * @param {string} webhookId The UUID of the webhook.
+   * @param {number} deliveryLimit The number of deliveries to include.
+   * @returns {Promise<object|null>} The webhook, or null if it does not exist.
+   */
+  async getWebhook(webhookId, deliveryLimit) {
+    const { rows } = await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM ingestion_webhooks w WHERE webhook_id = $1`, [webhookId]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const deliveriesQuery = `
+      SELECT delivery_id, job_id, event_type, status, attempts, next_attempt_at, last_response_status, last_error, created_at, delivered_at
+      FROM webhook_deliveries
+      WHERE webhook_id = $1
+      ORDER BY created_at DESC, delivery_id
+      LIMIT $2;
+    `;
+    const { rows: deliveries } = await db.query(deliveriesQuery, [webhookId, deliveryLimit]);
+    return { ...rows[0], recent_deliveries: deliveries };
+  }
+
+  /**
+   * Deletes a webhook and its queued deliveries.
+   * @param {string} webhookId The UUID of the webhook.
+   * @returns {Promise<boolean>} True if the webhook existed.
+   */
+  async deleteWebhook(webhookId) {
+    const { rowCount } = await db.query(`DELETE FROM ingestion_webhooks WHERE webhook_id = $1`, [webhookId]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Claims the webhook deliveries that are due, like jobs are claimed: each one is leased by pushing its next attempt
+   * into the future, so another worker only retries it if this one dies before recording the outcome.
+   * @param {number} leaseSeconds How long the deliveries stay claimed.
+   * @param {number} limit The maximum number of deliveries to claim.
+   * @returns {Promise<Array<object>>} The claimed deliveries, with their attempt count, webhook URL and secret.
+   */
+  async claimDueWebhookDeliveries(leaseSeconds, limit) {
+    const queryText = `
+      WITH due AS (
+        SELECT delivery_id
+        FROM webhook_deliveries
+        WHERE status = 'PENDING' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE webhook_deliveries d
+      SET attempts = d.attempts + 1,
+          next_attempt_at = NOW() + make_interval(secs => $1)
+      FROM due, ingestion_webhooks w
+      WHERE d.delivery_id = due.delivery_id AND w.webhook_id = d.webhook_id
+      RETURNING d.delivery_id, d.job_id, d.event_type, d.payload, d.attempts, d.created_at, w.webhook_id, w.url, w.secret;
+    `;
+    const { rows } = await db.query(queryText, [leaseSeconds, limit]);
+    return rows;
+  }
+
+  /**
+   * Records the outcome of a delivery attempt.
+   * @param {string} deliveryId The UUID of the delivery.
+   * @param {object} outcome The outcome.
+   * @param {boolean} outcome.delivered Whether the endpoint accepted the payload.
+   * @param {number|null} outcome.responseStatus The HTTP status of the response, if there was one.
+   * @param {string|null} outcome.error Why the attempt failed.
+   * @param {number|null} outcome.retryInSeconds When to try again after a failure; null marks the delivery FAILED.
+   * @returns {Promise<void>}
+   */
+  async recordWebhookDeliveryAttempt(deliveryId, { delivered, responseStatus, error, retryInSeconds }) {
+    const queryText = `
+      UPDATE webhook_deliveries
+      SET status = CASE WHEN $2::boolean THEN 'DELIVERED' WHEN $5::int IS NULL THEN 'FAILED' ELSE 'PENDING' END,
+          last_response_status = $3,
+          last_error = $4,
+          next_attempt_at = CASE WHEN $5::int IS NULL THEN next_attempt_at ELSE NOW() + make_interval(secs => $5) END,
+          delivered_at = CASE WHEN $2::boolean THEN NOW() END
+      WHERE delivery_id = $1;
+    `;
+    await db.query(queryText, [deliveryId, delivered, responseStatus, error, retryInSeconds]);
+  }
+
+  /**
+   * Returns which of the given event IDs are already stored.
+   * @param {Array<string>} eventIds The IDs to look up.
+   * @returns {Promise<Array<string>>} The IDs that exist in historical_events.
+   */
+  async findExistingEventIds(eventIds) {
+    if (eventIds.length === 0) {
+      return [];
+    }
+    const queryText = `SELECT event_id FROM historical_events WHERE event_id = ANY($1::uuid[])`;
+    const { rows } = await db.query(queryText, [eventIds]);
+    return rows.map((row) => row.event_id);
+  }
+
+  /**
+   * Describes what rolling back an ingestion job would remove.
+   * @param {string} jobId The ID of the job.
+   * @param {string} childStrategy How events of other jobs under the job's events are handled: 'detach', 'reparent', 'cascade' or 'restrict'.
+   * @param {number} sampleSize The maximum number of the job's own events to list.
+   * @returns {Promise<{eventCount: number, events: Array<object>, affectedChildren: Array<object>, restoredEventCount: number, linkCount: number}>} The plan.
+   */
+  async getIngestionJobRollbackPlan(jobId, childStrategy, sampleSize) {
+    const countResult = await db.query(`SELECT COUNT(*) FROM historical_events WHERE ingestion_job_id = $1`, [jobId]);
+
+    const eventsQuery = `
+      SELECT event_id, event_name, start_date, end_date, parent_event_id
+      FROM historical_events
+      WHERE ingestion_job_id = $1
+      ORDER BY start_date, event_id
+      LIMIT $2
+    `;
+    const { rows: events } = await db.query(eventsQuery, [jobId, sampleSize]);
+
+    const childrenQuery = childStrategy === 'cascade' ? JOB_FOREIGN_DESCENDANTS_QUERY : JOB_FOREIGN_CHILDREN_QUERY;
+    const { rows: affectedChildren } = await db.query(childrenQuery, [jobId]);
+
+    const restorableResult = await db.query(`WITH ${JOB_RESTORABLE_REVISIONS_CTE} SELECT COUNT(*) FROM restorable`, [jobId]);
+    const linkResult = await db.query(`SELECT COUNT(*) FROM event_links WHERE ingestion_job_id = $1`, [jobId]);
+
+    return {
+      eventCount: parseInt(countResult.rows[0].count, 10),
+      events,
+      affectedChildren,
+      restoredEventCount: parseInt(restorableResult.rows[0].count, 10),
+      linkCount: parseInt(linkResult.rows[0].count, 10),
+    };
+  }
+
+  /**
+   * Deletes every event an ingestion job inserted, in a single transaction, along with the links it loaded and anything it left in staging.
+   * Stored events the job overwrote are restored to the version it replaced, unless they changed again since.
+   * Events of other jobs that hang below the job's events are detached (parent set to NULL), re-parented to their
+   * nearest surviving ancestor, or deleted too, depending on `childStrategy`.
+   * @param {string} jobId The ID of the job.
+   * @param {string} childStrategy 'detach', 'reparent', 'cascade' or 'restrict' (nothing is deleted if such events exist).
+   * @returns {Promise<{deletedEvents: number, restoredEvents: number, deletedLinks: number, affectedChildren: Array<object>, blocked?: boolean}>} What was removed or restored and which foreign events were affected.
+   */
+  async rollbackIngestionJob(jobId, childStrategy) {
+    return withTransaction(async (client) => {
+      // Serialize rollbacks of the same job
+      await client.query(`SELECT job_id FROM ingestion_jobs WHERE job_id = $1 FOR UPDATE`, [jobId]);
+      await client.query('SAVEPOINT before_rollback');
+
+      // Undo the job's overwrites first, so restored parents are taken into account below
+      const restoreQuery = `
+        WITH ${JOB_RESTORABLE_REVISIONS_CTE},
+        revised AS (
+          INSERT INTO event_revisions (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, change_type, changed_by_job_id, changed_fields)
+          SELECT h.event_id, h.event_name, h.description, h.start_date, h.end_date, h.start_date_latest, h.end_date_earliest, h.start_date_precision, h.end_date_precision, h.duration_minutes, h.parent_event_id, h.metadata, h.ingestion_job_id,
+            'ROLLBACK', $1, ${changedFieldsSql('h', 'r')}
+          FROM historical_events h
+          JOIN restorable r ON r.event_id = h.event_id
+        )
+        UPDATE historical_events h
+        SET event_name = r.event_name,
+            description = r.description,
+            start_date = r.start_date,
+            end_date = r.end_date,
+            start_date_latest = r.start_date_latest,
+            end_date_earliest = r.end_date_earliest,
+            start_date_precision = r.start_date_precision,
+            end_date_precision = r.end_date_precision,
+            duration_minutes = r.duration_minutes,
+            -- The former parent may have been deleted in the meantime
+            parent_event_id = (SELECT p.event_id FROM historical_events p WHERE p.event_id = r.parent_event_id),
+            metadata = r.metadata
+        FROM restorable r
+        WHERE h.event_id = r.event_id;
+      `;
+      const restoreResult = await client.query(restoreQuery, [jobId]);
+
+      const childrenQuery = childStrategy === 'cascade' ? JOB_FOREIGN_DESCENDANTS_QUERY : JOB_FOREIGN_CHILDREN_QUERY;
+      const { rows: affectedChildren } = await client.query(childrenQuery, [jobId]);
+
+      if (childStrategy === 'restrict' && affectedChildren.length > 0) {
+        // Children were attached since the caller checked; leave everything as it was
+        await client.query('ROLLBACK TO SAVEPOINT before_rollback');
+        return { deletedEvents: 0, restoredEvents: 0, deletedLinks: 0, affectedChildren, blocked: true };
+      }
+
+      let deletedEvents = 0;
+      if (childStrategy === 'reparent' && affectedChildren.length > 0) {
+        const reparentQuery = `
+          UPDATE historical_events h
+          SET parent_event_id = c.surviving_ancestor_id
+          FROM jsonb_to_recordset($1::jsonb) AS c(event_id UUID, surviving_ancestor_id UUID)
+          WHERE h.event_id = c.event_id;
+        `;
+        await client.query(reparentQuery, [JSON.stringify(affectedChildren)]);
+      } else if (childStrategy === 'cascade' && affectedChildren.length > 0) {
+        const cascadeResult = await client.query(
+          `DELETE FROM historical_events WHERE event_id = ANY($1::uuid[])`,
+          [affectedChildren.map((child) => child.event_id)],
+        );
+        deletedEvents += cascadeResult.rowCount;
+      }
+
+      // With 'detach', fk_parent_event's ON DELETE SET NULL detaches the remaining children
+      const deleteResult = await client.query(`DELETE FROM historical_events WHERE ingestion_job_id = $1`, [jobId]);
+      deletedEvents += deleteResult.rowCount;
+
+      // Links loaded from a link file (links of deleted events went with them)
+      const linkResult = await client.query(`DELETE FROM event_links WHERE ingestion_job_id = $1`, [jobId]);
+
+      await client.query(`DELETE FROM staging_events WHERE ingestion_job_id = $1`, [jobId]);
+      await client.query(`UPDATE ingestion_jobs SET rolled_back_at = NOW() WHERE job_id = $1`, [jobId]);
+
+      return { deletedEvents, restoredEvents: restoreResult.rowCount, deletedLinks: linkResult.rowCount, affectedChildren };
+    });
+  }
+
+  /**
+   * Fetches a single event.
+   * @param {string} eventId The UUID of the event.
+   * @returns {Promise<object|null>} The event, or null if it does not exist.
+   */
+  async getEventById(eventId) {
+    const queryText = `SELECT ${EVENT_COLUMNS} FROM historical_events WHERE event_id = $1`;
+    const { rows } = await db.query(queryText, [eventId]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Fetches several events at once.
+   * @param {Array<string>} eventIds The UUIDs of the events.
+   * @returns {Promise<Array<object>>} The events that exist, in no particular order.
+   */
+  async getEventsByIds(eventIds) {
+    if (eventIds.length === 0) {
+      return [];
+    }
+    const queryText = `SELECT ${EVENT_COLUMNS} FROM historical_events WHERE event_id = ANY($1::uuid[])`;
+    const { rows } = await db.query(queryText, [eventIds]);
+    return rows;
+  }
+
+  /**
+   * Inserts a single event.
+   * @param {object} event The event columns (event_id, event_name, description, the date columns, duration_minutes, parent_event_id, metadata).
+   * @returns {Promise<object|null>} The stored event, or null if an event with that ID already exists.
+   * @throws {Error} A foreign key violation (code 23503) if the parent event does not exist.
+   */
+  async createEvent(event) {
+    const queryText = `
+      INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (event_id) DO NOTHING
+      RETURNING ${EVENT_COLUMNS};
+    `;
+    const { rows } = await db.query(queryText, [
+      event.event_id, event.event_name, event.description, event.start_date, event.end_date,
+      event.start_date_latest, event.end_date_earliest, event.start_date_precision, event.end_date_precision,
+      event.duration_minutes, event.parent_event_id, event.metadata,
+    ]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Updates a single event in a transaction, saving its previous version to event_revisions.
+   * The event is locked while `buildUpdate` computes the new version from the current one, so concurrent
+   * edits are applied one after the other. A new parent must exist and must not be the event or one of its descendants.
+   * @param {string} eventId The UUID of the event.
+   * @param {function(object): object} buildUpdate Returns the new column values (event_name, description, the date
+   *   columns, duration_minutes, parent_event_id, metadata) for the current event; may throw to abort the update.
+   * @returns {Promise<{event?: object, rejected?: string, chain?: Array<string>}|null>} The updated event, or the reason
+   *   the parent change was rejected ('PARENT_NOT_FOUND' or 'CYCLE', with the would-be cycle); null if the event does not exist.
+   */
+  async updateEvent(eventId, buildUpdate) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`SELECT ${EVENT_COLUMNS} FROM historical_events WHERE event_id = $1 FOR UPDATE`, [eventId]);
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const current = rows[0];
+      const next = buildUpdate(current);
+
+      if (next.parent_event_id && next.parent_event_id !== current.parent_event_id) {
+        await client.query(HIERARCHY_LOCK_QUERY);
+        const chain = await findAncestorChain(client, next.parent_event_id);
+        if (chain.length === 0) {
+          return { rejected: 'PARENT_NOT_FOUND' };
+        }
+        const cycleAt = chain.indexOf(eventId);
+        if (cycleAt >= 0) {
+          return { rejected: 'CYCLE', chain: [eventId, ...chain.slice(0, cycleAt + 1)] };
+        }
+      }
+
+      const updateQuery = `
+        WITH incoming AS (
+          SELECT $1::uuid AS event_id, $2::varchar AS event_name, $3::text AS description,
+            $4::timestamptz AS start_date, $5::timestamptz AS end_date,
+            $6::timestamptz AS start_date_latest, $7::timestamptz AS end_date_earliest,
+            $8::varchar AS start_date_precision, $9::varchar AS end_date_precision, $10::integer AS duration_minutes,
+            $11::uuid AS parent_event_id, $12::jsonb AS metadata
+        ),
+        revised AS (
+          INSERT INTO event_revisions (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, change_type, changed_fields)
+          SELECT h.event_id, h.event_name, h.description, h.start_date, h.end_date, h.start_date_latest, h.end_date_earliest, h.start_date_precision, h.end_date_precision, h.duration_minutes, h.parent_event_id, h.metadata, h.ingestion_job_id,
+            'UPDATE', ${changedFieldsSql('h', 'i')}
+          FROM historical_events h
+          JOIN incoming i ON i.event_id = h.event_id
+          WHERE cardinality(${changedFieldsSql('h', 'i')}) > 0
+        )
+        UPDATE historical_events h
+        SET event_name = i.event_name,
+            description = i.description,
+            start_date = i.start_date,
+            end_date = i.end_date,
+            start_date_latest = i.start_date_latest,
+            end_date_earliest = i.end_date_earliest,
+            start_date_precision = i.start_date_precision,
+            end_date_precision = i.end_date_precision,
+            duration_minutes = i.duration_minutes,
+            parent_event_id = i.parent_event_id,
+            metadata = i.metadata
+        FROM incoming i
+        WHERE h.event_id = i.event_id
+        RETURNING ${EVENT_COLUMNS.split(', ').map((column) => `h.${column}`).join(', ')};
+      `;
+      const { rows: updated } = await client.query(updateQuery, [
+        eventId, next.event_name, next.description, next.start_date, next.end_date,
+        next.start_date_latest, next.end_date_earliest, next.start_date_precision, next.end_date_precision,
+        next.duration_minutes, next.parent_event_id, next.metadata,
+      ]);
+      return { event: updated[0] };
+    });
+  }
+
+  /**
+   * Deletes a single event in a transaction, saving its last version (and that of every other event it changes)
+   * to event_revisions. Its children are detached (parent set to NULL), moved under the event's own parent, or
+   * deleted with all their descendants, depending on `childStrategy`.
+   * @param {string} eventId The UUID of the event.
+   * @param {string} childStrategy 'detach', 'reparent', 'cascade' or 'restrict' (nothing is deleted if the event has children).
+   * @returns {Promise<{deletedEvents: number, affectedChildren: Array<object>, blocked?: boolean}|null>} What was
+   *   removed and which other events were affected, or null if the event does not exist.
+   */
+  async deleteEvent(eventId, childStrategy) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(`SELECT ${EVENT_COLUMNS} FROM historical_events WHERE event_id = $1 FOR UPDATE`, [eventId]);
+      if (rows.length === 0) {
+        return null;
+      }
+      const event = rows[0];
+
+      const childrenQuery = childStrategy === 'cascade'
+        ? `
+          WITH RECURSIVE descendants AS (
+            SELECT event_id FROM historical_events WHERE parent_event_id = $1
+            UNION
+            SELECT c.event_id
+            FROM historical_events c
+            INNER JOIN descendants d ON c.parent_event_id = d.event_id
+          )
+          SELECT h.event_id, h.event_name, h.parent_event_id, h.ingestion_job_id, NULL::uuid AS surviving_ancestor_id
+          FROM historical_events h
+          JOIN descendants d ON d.event_id = h.event_id
+          WHERE h.event_id <> $1
+          ORDER BY h.event_id
+        `
+        : `
+          SELECT event_id, event_name, parent_event_id, ingestion_job_id, $2::uuid AS surviving_ancestor_id
+          FROM historical_events
+          WHERE parent_event_id = $1 AND event_id <> $1
+          ORDER BY event_id
+        `;
+      const childrenParams = childStrategy === 'cascade' ? [eventId] : [eventId, event.parent_event_id];
+      const { rows: affectedChildren } = await client.query(childrenQuery, childrenParams);
+
+      if (childStrategy === 'restrict' && affectedChildren.length > 0) {
+        return { deletedEvents: 0, affectedChildren, blocked: true };
+      }
+
+      // Save the versions about to be deleted (the event, and its descendants when cascading) or re-parented
+      const newParentId = childStrategy === 'reparent' ? event.parent_event_id : null;
+      const revisionQuery = `
+        INSERT INTO event_revisions (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, change_type, changed_fields)
+        SELECT event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id,
+          CASE WHEN event_id = $1 OR $3 THEN 'DELETE' ELSE 'UPDATE' END,
+          CASE WHEN event_id = $1 OR $3 THEN '{}'::text[] ELSE ARRAY['parent_event_id'] END
+        FROM historical_events
+        WHERE event_id = $1
+           OR (event_id = ANY($2::uuid[]) AND ($3 OR parent_event_id IS DISTINCT FROM $4::uuid));
+      `;
+      await client.query(revisionQuery, [
+        eventId, affectedChildren.map((child) => child.event_id), childStrategy === 'cascade', newParentId,
+      ]);
+
+      let deletedEvents = 0;
+      if (childStrategy === 'reparent' && affectedChildren.length > 0) {
+        await client.query(`UPDATE historical_events SET parent_event_id = $2 WHERE parent_event_id = $1 AND event_id <> $1`, [eventId, newParentId]);
+      } else if (childStrategy === 'cascade' && affectedChildren.length > 0) {
+        const cascadeResult = await client.query(
+          `DELETE FROM historical_events WHERE event_id = ANY($1::uuid[])`,
+          [affectedChildren.map((child) => child.event_id)],
+        );
+        deletedEvents += cascadeResult.rowCount;
+      }
+
+      // With 'detach', fk_parent_event's ON DELETE SET NULL detaches the children
+      const deleteResult = await client.query(`DELETE FROM historical_events WHERE event_id = $1`, [eventId]);
+      deletedEvents += deleteResult.rowCount;
+
+      return { deletedEvents, affectedChildren };
+    });
+  }
+
+  /**
+   * Merges a duplicate event into another event in a transaction. The duplicate's children are moved under the
+   * surviving event, its links are moved to it (links that would duplicate one of the survivor's or link it to
+   * itself are deleted), and the duplicate is deleted. Every changed version is saved to event_revisions, and
+   * event_merges records what is needed to undo the merge.
+   * @param {string} survivorId The UUID of the event that is kept.
+   * @param {string} mergedId The UUID of the duplicate.
+   * @param {function(object, object, object): object} buildMetadata Returns the survivor's new metadata, given the
+   *   survivor, the duplicate and the merge record; may throw to abort the merge.
+   * @returns {Promise<{merge?: object, event?: object, rejected?: string, missingId?: string}>} The merge record and
+   *   the updated survivor, or why the merge was rejected: 'NOT_FOUND' (with the missing event's ID) or 'ANCESTOR'
+   *   if the duplicate is an ancestor of the survivor.
+   */
+  async mergeEvents(survivorId, mergedId, buildMetadata) {
+    return withTransaction(async (client) => {
+      await client.query(HIERARCHY_LOCK_QUERY);
+      const { rows } = await client.query(
+        `SELECT ${EVENT_COLUMNS} FROM historical_events WHERE event_id = ANY($1::uuid[]) ORDER BY event_id FOR UPDATE`,
+        [[survivorId, mergedId]],
+      );
+      const survivor = rows.find((row) => row.event_id === survivorId);
+      const merged = rows.find((row) => row.event_id === mergedId);
+      if (!survivor || !merged) {
+        return { rejected: 'NOT_FOUND', missingId: survivor ? mergedId : survivorId };
+      }
+      // Its children would include an ancestor of the survivor, whose parent would become the survivor
+      if ((await findAncestorChain(client, survivorId)).includes(mergedId)) {
+        return { rejected: 'ANCESTOR' };
+      }
+
+      const { rows: children } = await client.query(
+        `SELECT event_id FROM historical_events WHERE parent_event_id = $1 ORDER BY event_id`,
+        [mergedId],
+      );
+      const childIds = children.map((child) => child.event_id);
+
+      // Recorded before anything changes: the duplicate's row and its links as they are
+      const { rows: merges } = await client.query(`
+        INSERT INTO event_merges (survivor_event_id, merged_event_id, merged_event, reparented_child_ids, links)
+        SELECT $1, h.event_id, to_jsonb(h) - 'search_vector', $3::uuid[],
+          (SELECT COALESCE(jsonb_agg(to_jsonb(l) ORDER BY l.link_id), '[]'::jsonb)
+           FROM event_links l
+           WHERE l.source_event_id = $2 OR l.target_event_id = $2)
+        FROM historical_events h
+        WHERE h.event_id = $2
+        RETURNING merge_id, merged_at;
+      `, [survivorId, mergedId, childIds]);
+
+      await client.query(`
+        INSERT INTO event_revisions (${EVENT_COLUMNS}, change_type, changed_fields)
+        SELECT ${EVENT_COLUMNS}, 'MERGE',
+          CASE WHEN event_id = $1 THEN ARRAY['metadata'] WHEN event_id = $2 THEN '{}'::text[] ELSE ARRAY['parent_event_id'] END
+        FROM historical_events
+        WHERE event_id = $1 OR event_id = $2 OR event_id = ANY($3::uuid[]);
+      `, [survivorId, mergedId, childIds]);
+
+      await client.query(`UPDATE historical_events SET parent_event_id = $2 WHERE event_id = ANY($1::uuid[])`, [childIds, survivorId]);
+
+      const { rows: repointed } = await client.query(`
+        WITH moved AS (
+          SELECT link_id, link_type,
+            CASE WHEN source_event_id = $1 THEN $2::uuid ELSE source_event_id END AS source_event_id,
+            CASE WHEN target_event_id = $1 THEN $2::uuid ELSE target_event_id END AS target_event_id
+          FROM event_links
+          WHERE source_event_id = $1 OR target_event_id = $1
+        )
+        UPDATE event_links l
+        SET source_event_id = m.source_event_id, target_event_id = m.target_event_id
+        FROM moved m
+        WHERE l.link_id = m.link_id
+          AND m.source_event_id <> m.target_event_id
+          AND NOT EXISTS (
+            SELECT 1 FROM event_links o
+            WHERE o.source_event_id = m.source_event_id AND o.target_event_id = m.target_event_id AND o.link_type = m.link_type
+          )
+        RETURNING l.link_id;
+      `, [mergedId, survivorId]);
+
+      // The links that were not moved go with the duplicate (fk_link_*_event cascade)
+      await client.query(`DELETE FROM historical_events WHERE event_id = $1`, [mergedId]);
+
+      const { rows: recorded } = await client.query(`
+        UPDATE event_merges SET repointed_link_ids = $2::uuid[]
+        WHERE merge_id = $1
+        RETURNING ${MERGE_COLUMNS};
+      `, [merges[0].merge_id, repointed.map((link) => link.link_id)]);
+
+      const { rows: updated } = await client.query(
+        `UPDATE historical_events SET metadata = $2 WHERE event_id = $1 RETURNING ${EVENT_COLUMNS}`,
+        [survivorId, buildMetadata(survivor, merged, recorded[0])],
+      );
+      return { merge: recorded[0], event: updated[0] };
+    });
+  }
+
+  /**
+   * Retrieves a merge record.
+   * @param {string} mergeId The UUID of the merge.
+   * @returns {Promise<object|null>} The merge, or null if it does not exist.
+   */
+  async getEventMerge(mergeId) {
+    const { rows } = await db.query(`SELECT ${MERGE_COLUMNS} FROM event_merges WHERE merge_id = $1`, [mergeId]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Undoes a merge in a transaction: the duplicate is restored from the merge record (detached if its parent has
+   * since been deleted), the children that are still under the survivor move back to it, and its links are restored
+   * where no equal link has appeared since. The survivor may have been deleted in the meantime.
+   * @param {string} mergeId The UUID of the merge.
+   * @param {function(object, object): object} buildMetadata Returns the survivor's new metadata, given the survivor and the merge record.
+   * @returns {Promise<{merge?: object, event?: object, restoredChildren?: number, restoredLinks?: number, rejected?: string}|null>}
+   *   The merge record, the restored event and what was moved back, or why the undo was rejected ('ALREADY_UNDONE',
+   *   or 'EVENT_EXISTS' if an event with the duplicate's ID has been created since); null if the merge does not exist.
+   */
+  async undoEventMerge(mergeId, buildMetadata) {
+    return withTransaction(async (client) => {
+      const { rows: merges } = await client.query(`SELECT ${MERGE_COLUMNS} FROM event_merges WHERE merge_id = $1 FOR UPDATE`, [mergeId]);
+      if (merges.length === 0) {
+        return null;
+      }
+      const merge = merges[0];
+      if (merge.undone_at) {
+        return { rejected: 'ALREADY_UNDONE' };
+      }
+
+      await client.query(HIERARCHY_LOCK_QUERY);
+      const restoredColumns = EVENT_COLUMNS.split(', ').map((column) => (column === 'parent_event_id'
+        ? 'CASE WHEN EXISTS (SELECT 1 FROM historical_events p WHERE p.event_id = r.parent_event_id) THEN r.parent_event_id END'
+        : `r.${column}`));
+      const { rows: restored } = await client.query(`
+        INSERT INTO historical_events (${EVENT_COLUMNS})
+        SELECT ${restoredColumns.join(', ')}
+        FROM event_merges m, jsonb_populate_record(NULL::historical_events, m.merged_event) r
+        WHERE m.merge_id = $1
+        ON CONFLICT (event_id) DO NOTHING
+        RETURNING ${EVENT_COLUMNS};
+      `, [mergeId]);
+      if (restored.length === 0) {
+        return { rejected: 'EVENT_EXISTS' };
+      }
+
+      const movedBack = `event_id = ANY($1::uuid[]) AND parent_event_id = $2`;
+      await client.query(`
+        INSERT INTO event_revisions (${EVENT_COLUMNS}, change_type, changed_fields)
+        SELECT ${EVENT_COLUMNS}, 'UNMERGE', ARRAY['parent_event_id']
+        FROM historical_events
+        WHERE ${movedBack};
+      `, [merge.reparented_child_ids, merge.survivor_event_id]);
+      const { rowCount: restoredChildren } = await client.query(
+        `UPDATE historical_events SET parent_event_id = $3 WHERE ${movedBack}`,
+        [merge.reparented_child_ids, merge.survivor_event_id, merge.merged_event_id],
+      );
+
+      const { rowCount: returnedLinks } = await client.query(`
+        UPDATE event_links l
+        SET source_event_id = o.source_event_id, target_event_id = o.target_event_id
+        FROM event_merges m, jsonb_populate_recordset(NULL::event_links, m.links) o
+        WHERE m.merge_id = $1 AND l.link_id = o.link_id AND o.link_id = ANY(m.repointed_link_ids)
+          AND NOT EXISTS (
+            SELECT 1 FROM event_links x
+            WHERE x.source_event_id = o.source_event_id AND x.target_event_id = o.target_event_id AND x.link_type = o.link_type
+          );
+      `, [mergeId]);
+      const { rowCount: reinsertedLinks } = await client.query(`
+        INSERT INTO event_links (${LINK_COLUMNS})
+        SELECT ${LINK_COLUMNS.split(', ').map((column) => `o.${column}`).join(', ')}
+        FROM event_merges m, jsonb_populate_recordset(NULL::event_links, m.links) o
+        WHERE m.merge_id = $1 AND NOT o.link_id = ANY(m.repointed_link_ids)
+          AND EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = o.source_event_id)
+          AND EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = o.target_event_id)
+        ON CONFLICT DO NOTHING;
+      `, [mergeId]);
+
+      const { rows: survivors } = await client.query(
+        `SELECT ${EVENT_COLUMNS} FROM historical_events WHERE event_id = $1 FOR UPDATE`,
+        [merge.survivor_event_id],
+      );
+      if (survivors.length > 0) {
+        await client.query(`
+          INSERT INTO event_revisions (${EVENT_COLUMNS}, change_type, changed_fields)
+          SELECT ${EVENT_COLUMNS}, 'UNMERGE', ARRAY['metadata']
+          FROM historical_events
+          WHERE event_id = $1;
+        `, [merge.survivor_event_id]);
+        await client.query(`UPDATE historical_events SET metadata = $2 WHERE event_id = $1`, [
+          merge.survivor_event_id, buildMetadata(survivors[0], merge),
+        ]);
+      }
+
+      const { rows: undone } = await client.query(
+        `UPDATE event_merges SET undone_at = NOW() WHERE merge_id = $1 RETURNING ${MERGE_COLUMNS}`,
+        [mergeId],
+      );
+      return {
+        merge: undone[0],
+        event: restored[0],
+        restoredChildren,
+        restoredLinks: returnedLinks + reinsertedLinks,
+      };
+    });
+  }
+
+  /**
+   * Fetches the saved previous versions of an event, most recent first.
+   * @param {string} eventId The UUID of the event.
+   * @param {object} params - Pagination parameters.
+   * @param {number} params.page - Page number for pagination.
+   * @param {number} params.limit - Number of revisions per page.
+   * @returns {Promise<{totalRevisions: number, revisions: Array<object>}>} The revisions.
+   */
+  async getEventRevisions(eventId, { page, limit }) {
+    const countResult = await db.query(`SELECT COUNT(*) FROM event_revisions WHERE event_id = $1`, [eventId]);
+
+    const dataQuery = `
+      SELECT revision_id, event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata,
+        ingestion_job_id, change_type, changed_by_job_id, changed_fields, changed_at
+      FROM event_revisions
+      WHERE event_id = $1
+      ORDER BY revision_id DESC
+      LIMIT $2
+      OFFSET $3
+    `;
+    const { rows: revisions } = await db.query(dataQuery, [eventId, limit, (page - 1) * limit]);
+
+    return { totalRevisions: parseInt(countResult.rows[0].count, 10), revisions };
+  }
+
+  /**
+   * Lists the violations found by one integrity check.
+   * @param {string} check The name of the check (a key of INTEGRITY_CHECKS).
+   * @param {number} limit The maximum number of violations to list.
+   * @returns {Promise<{count: number, items: Array<object>}>} The total number of violations and the first `limit` of them.
+   */
+  async getIntegrityViolations(check, limit) {
+    const { rows } = await db.query(INTEGRITY_CHECKS[check].query, [limit]);
+    return {
+      count: rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0,
+      items: rows.map(({ total_count: totalCount, ...item }) => item),
+    };
+  }
+
+  /**
+   * Repairs the violations of an integrity check that has a mechanical fix.
+   * @param {string} check The name of the check (a key of INTEGRITY_CHECKS).
+   * @returns {Promise<number>} The number of rows repaired.
+   */
+  async fixIntegrityViolations(check) {
+    const { rowCount } = await db.query(INTEGRITY_CHECKS[check].fix);
+    return rowCount;
+  }
+
+  /**
+   * Fetches the family tree of an event: its ancestors, its descendants and optionally the siblings of both.
    * @param {string} eventId The starting event's UUID.
-   * @returns {Promise<Array<object>>} A flat array of all related event objects.
+   * @param {object} [options]
+   * @param {number|null} [options.maxDepth=null] The deepest descendant level to include (1 = children only); null for all.
+   * @param {boolean} [options.withSiblings=false] Whether to include the other children of each ancestor.
+   * @returns {Promise<Array<object>>} A flat array of the related events, ordered by depth and start date. Each row has its
+   *   `depth` relative to the starting event (negative for ancestors), its `relation` ('root', 'ancestor', 'sibling' or
+   *   'descendant') and its number of children in the whole hierarchy (`child_count`).
    */
-  async getEventFamily(eventId) {
+  async getEventFamily(eventId, { maxDepth = null, withSiblings = false } = {}) {
     const queryText = `
       WITH RECURSIVE EventAncestors AS (
           -- Base case: Select the starting event
-          SELECT
-              event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id, metadata
-          FROM
-              historical_events
-          WHERE
-              event_id = $1
+          SELECT event_id, parent_event_id, 0 AS depth
+          FROM historical_events
+          WHERE event_id = $1
           UNION ALL
           -- Recursive step: Find the parent of the current event in the set
-          SELECT
-              e.event_id, e.event_name, e.description, e.start_date, e.end_date, e.duration_minutes, e.parent_event_id, e.metadata
-          FROM
-              historical_events e
-          INNER JOIN
-              EventAncestors ea ON e.event_id = ea.parent_event_id
+          SELECT e.event_id, e.parent_event_id, ea.depth - 1
+          FROM historical_events e
+          INNER JOIN EventAncestors ea ON e.event_id = ea.parent_event_id
       ),
       EventDescendants AS (
           -- Base case: Select the starting event
-          SELECT
-              event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id, metadata
-          FROM
-              historical_events
-          WHERE
-              event_id = $1
+          SELECT event_id, 0 AS depth
+          FROM historical_events
+          WHERE event_id = $1
+          UNION ALL
+          -- Recursive step: Find the children of the current event in the set, down to the depth limit
+          SELECT e.event_id, ed.depth + 1
+          FROM historical_events e
+          INNER JOIN EventDescendants ed ON e.parent_event_id = ed.event_id
+          WHERE $2::int IS NULL OR ed.depth < $2::int
+      ),
+      EventSiblings AS (
+          -- Other children of each ancestor's parent, at that ancestor's depth
+          SELECT e.event_id, ea.depth
+          FROM historical_events e
+          INNER JOIN EventAncestors ea ON e.parent_event_id = ea.parent_event_id AND e.event_id <> ea.event_id
+          WHERE $3
+      ),
+      EventFamily AS (
+          SELECT event_id, depth, CASE WHEN depth = 0 THEN 'root' ELSE 'ancestor' END AS relation FROM EventAncestors
+          UNION ALL
+          SELECT event_id, depth, 'descendant' FROM EventDescendants WHERE depth > 0
           UNION ALL
-          -- Recursive step: Find the children of the current event in the set
-          SELECT
-              e.event_id, e.event_name, e.description, e.start_date, e.end_date, e.duration_minutes, e.parent_event_id, e.metadata
-          FROM
-              historical_events e
-          INNER JOIN
-              EventDescendants ed ON e.parent_event_id = ed.event_id
+          SELECT event_id, depth, 'sibling' FROM EventSiblings
       )
-      -- Combine both sets, ensuring uniqueness
-      SELECT * FROM EventAncestors
-      UNION
-      SELECT * FROM EventDescendants;
+      SELECT
+          e.event_id, e.event_name, e.description, e.start_date, e.end_date, e.start_date_latest, e.end_date_earliest, e.start_date_precision, e.end_date_precision, e.duration_minutes, e.parent_event_id, e.metadata,
+          f.depth, f.relation,
+          (SELECT COUNT(*) FROM historical_events c WHERE c.parent_event_id = e.event_id)::int AS child_count
+      FROM EventFamily f
+      INNER JOIN historical_events e ON e.event_id = f.event_id
+      ORDER BY f.depth, e.start_date, e.event_id;
     `;
-    const { rows } = await db.query(queryText, [eventId]);
+    const { rows } = await db.query(queryText, [eventId, maxDepth, withSiblings]);
     return rows;
   }
 
   /**
-   * Searches for events with dynamic filtering, sorting, and pagination.
+   * Reads an event's subtree (the event and its descendants) in chunks, parents before their children, ordered by
+   * depth, start date and event ID. The subtree is walked once, through a cursor on a dedicated client that is
+   * held until the chunks are read to the end or the iteration stops early.
+   * @param {string} eventId The UUID of the subtree's top event.
+   * @param {object} [options]
+   * @param {number|null} [options.maxDepth=null] The deepest descendant level to include (1 = children only); null for all.
+   * @param {number} [options.chunkSize=1000] The number of events per chunk.
+   * @returns {AsyncGenerator<Array<object>>} The events, with their depth below the top event, a chunk at a time.
+   */
+  async *readEventSubtree(eventId, { maxDepth = null, chunkSize = 1000 } = {}) {
+    const queryText = `
+      DECLARE event_subtree NO SCROLL CURSOR FOR
+      WITH RECURSIVE EventDescendants AS (
+          SELECT event_id, 0 AS depth
+          FROM historical_events
+          WHERE event_id = $1
+          UNION ALL
+          SELECT e.event_id, ed.depth + 1
+          FROM historical_events e
+          INNER JOIN EventDescendants ed ON e.parent_event_id = ed.event_id
+          WHERE $2::int IS NULL OR ed.depth < $2::int
+      )
+      SELECT ${EVENT_COLUMNS.split(', ').map((column) => `e.${column}`).join(', ')}, d.depth
+      FROM EventDescendants d
+      INNER JOIN historical_events e ON e.event_id = d.event_id
+      ORDER BY d.depth, e.start_date, e.event_id;
+    `;
+    const client = await db.getClient();
+    let finished = false;
+    try {
+      // A cursor only lives as long as its transaction
+      await client.query('BEGIN READ ONLY');
+      await client.query(queryText, [eventId, maxDepth]);
+      while (true) {
+        const { rows } = await client.query(`FETCH ${chunkSize} FROM event_subtree`);
+        if (rows.length > 0) {
+          yield rows;
+        }
+        if (rows.length < chunkSize) {
+          break;
+        }
+      }
+      finished = true;
+    } finally {
+      try {
+        await client.query(finished ? 'COMMIT' : 'ROLLBACK');
+        client.release();
+      } catch (error) {
+        // A client whose transaction cannot be ended is not fit to return to the pool
+        client.release(error);
+      }
+    }
+  }
+
+  /**
+   * Creates a link between two events.
+   * @param {object} link The link row (source_event_id, target_event_id, link_type, description, metadata).
+   * @returns {Promise<object|null>} The stored link, or null if the same link (events and type) already exists.
+   *   A missing event surfaces as the database's foreign key violation.
+   */
+  async createEventLink(link) {
+    const queryText = `
+      INSERT INTO event_links (source_event_id, target_event_id, link_type, description, metadata)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (source_event_id, target_event_id, link_type) DO NOTHING
+      RETURNING ${LINK_COLUMNS};
+    `;
+    const { rows } = await db.query(queryText, [
+      link.source_event_id, link.target_event_id, link.link_type, link.description, link.metadata,
+    ]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Retrieves a single event link.
+   * @param {string} linkId The link's UUID.
+   * @returns {Promise<object|null>} The link, or null if it does not exist.
+   */
+  async getEventLink(linkId) {
+    const { rows } = await db.query(`SELECT ${LINK_COLUMNS} FROM event_links WHERE link_id = $1`, [linkId]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Changes the type, description or metadata of an event link (its events are fixed).
+   * @param {string} linkId The link's UUID.
+   * @param {object} changes The new link_type, description and metadata; undefined fields keep their value.
+   * @returns {Promise<object|null>} The updated link, or null if it does not exist. Changing the type to one the
+   *   same events are already linked with surfaces as the database's unique violation.
+   */
+  async updateEventLink(linkId, changes) {
+    const queryText = `
+      UPDATE event_links
+      SET link_type = COALESCE($2, link_type),
+          description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+          metadata = CASE WHEN $5::boolean THEN $6::jsonb ELSE metadata END
+      WHERE link_id = $1
+      RETURNING ${LINK_COLUMNS};
+    `;
+    const { rows } = await db.query(queryText, [
+      linkId,
+      changes.link_type === undefined ? null : changes.link_type,
+      changes.description !== undefined, changes.description === undefined ? null : changes.description,
+      changes.metadata !== undefined, changes.metadata === undefined ? null : changes.metadata,
+    ]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Deletes an event link.
+   * @param {string} linkId The link's UUID.
+   * @returns {Promise<boolean>} True if the link existed.
+   */
+  async deleteEventLink(linkId) {
+    const { rowCount } = await db.query(`DELETE FROM event_links WHERE link_id = $1`, [linkId]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Lists the links of an event, with the name of the event at the other end.
+   * @param {string} eventId The event's UUID.
+   * @param {object} [params] The listing options.
+   * @param {string} [params.direction='both'] 'outgoing' (the event is the source), 'incoming' (the target) or 'both'.
+   * @param {string} [params.linkType] Only links of this type.
+   * @returns {Promise<Array<object>>} The links, oldest first, each with linked_event_name.
+   */
+  async getEventLinks(eventId, { direction = 'both', linkType } = {}) {
+    const sides = [];
+    if (direction !== 'incoming') {
+      sides.push(`
+        SELECT l.*, e.event_name AS linked_event_name
+        FROM event_links l
+        JOIN historical_events e ON e.event_id = l.target_event_id
+        WHERE l.source_event_id = $1 AND ($2::text IS NULL OR l.link_type = $2)`);
+    }
+    if (direction !== 'outgoing') {
+      sides.push(`
+        SELECT l.*, e.event_name AS linked_event_name
+        FROM event_links l
+        JOIN historical_events e ON e.event_id = l.source_event_id
+        WHERE l.target_event_id = $1 AND ($2::text IS NULL OR l.link_type = $2)`);
+    }
+
+    const queryText = `
+      SELECT ${LINK_COLUMNS}, linked_event_name
+      FROM (${sides.join(' UNION ALL ')}) links
+      ORDER BY created_at, link_id;
+    `;
+    const { rows } = await db.query(queryText, [eventId, linkType || null]);
+    return rows;
+  }
+
+  /**
+   * Loads the part of the event graph reachable from an event: its hierarchy links (parent to child) and event links
+   * (source to target), also followed backwards with direction 'any'. The traversal is a recursive UNION, which
+   * visits every event once and so terminates on cycles.
+   * @param {string} sourceEventId The event to start from.
+   * @param {object} options The traversal options.
+   * @param {string} options.direction 'down' to follow links forwards only, 'any' to follow them both ways.
+   * @param {Array<string>} options.linkTypes The event link types to follow (none to stay within the hierarchy).
+   * @returns {Promise<{events: Array<object>, links: Array<object>}>} The reachable events (with parent_event_id,
+   *   dates and duration) and the event links between them; events is empty if the source does not exist.
+   */
+  async getEventGraph(sourceEventId, { direction, linkTypes }) {
+    const queryText = `
+      WITH RECURSIVE reachable AS (
+        SELECT event_id FROM historical_events WHERE event_id = $1
+        UNION
+        SELECT next.event_id
+        FROM reachable r
+        CROSS JOIN LATERAL (
+          SELECT c.event_id FROM historical_events c WHERE c.parent_event_id = r.event_id
+          UNION ALL
+          SELECT p.parent_event_id FROM historical_events p
+          WHERE $2 AND p.event_id = r.event_id AND p.parent_event_id IS NOT NULL
+          UNION ALL
+          SELECT l.target_event_id FROM event_links l
+          WHERE l.source_event_id = r.event_id AND l.link_type = ANY($3::text[])
+          UNION ALL
+          SELECT l.source_event_id FROM event_links l
+          WHERE $2 AND l.target_event_id = r.event_id AND l.link_type = ANY($3::text[])
+        ) next
+      )
+      SELECT event_id, event_name, duration_minutes, parent_event_id, start_date, end_date
+      FROM historical_events
+      WHERE event_id IN (SELECT event_id FROM reachable);
+    `;
+    const { rows: events } = await db.query(queryText, [sourceEventId, direction === 'any', linkTypes]);
+    if (events.length === 0 || linkTypes.length === 0) {
+      return { events, links: [] };
+    }
+
+    const linksQuery = `
+      SELECT link_id, source_event_id, target_event_id, link_type
+      FROM event_links
+      WHERE source_event_id = ANY($1::uuid[]) AND link_type = ANY($2::text[])
+    `;
+    const { rows: links } = await db.query(linksQuery, [events.map((event) => event.event_id), linkTypes]);
+    return { events, links };
+  }
+
+  /**
+   * Searches for events with dynamic filtering, multi-key sorting and keyset pagination.
+   * Rows are always ordered by event_id after the requested keys, so the order is total and a page boundary
+   * can be described by the sort values of a single row.
    * @param {object} params - The search parameters.
    * @param {string} [params.name] - Partial name to filter by.
-   * @param {string} [params.startDateAfter] - ISO date string.
-   * @param {string} [params.endDateBefore] - ISO date string.
-   * @param {string} [params.sortBy] - Column to sort by.
-   * @param {string} [params.sortOrder] - 'asc' or 'desc'.
-   * @param {number} [params.page] - Page number for pagination.
-   * @param {number} [params.limit] - Number of items per page.
-   * @returns {Promise<{totalEvents: number, events: Array<object>}>} The search results.
+   * @param {string} [params.text] - Full-text query over name and description (web search syntax: quotes, OR, -word).
+   * @param {Date|string} [params.startDateAfter] - Only events starting at or after this instant.
+   * @param {Date|string} [params.endDateBefore] - Only events ending at or before this instant.
+   * @param {string} [params.span='possible'] - 'possible' keeps events that may lie within the date bounds, 'certain'
+   *   only those that surely do (see EVENT_SPANS).
+   * @param {Array<{key: string, operator: string, value: (string|number)}>} [params.metadataFilters] - Conditions on metadata keys;
+   *   '=' and '!=' compare text, '<', '<=', '>' and '>=' compare numbers (non-numeric values never match).
+   * @param {string} [params.sourceFile] - Only events ingested from this source file.
+   * @param {string} [params.parentId] - Only direct children of this event.
+   * @param {string} [params.rootId] - Only descendants of this event, at any depth.
+   * @param {number} [params.minDuration] - Minimum duration in minutes.
+   * @param {number} [params.maxDuration] - Maximum duration in minutes.
+   * @param {boolean} [params.hasChildren] - Only events with (true) or without (false) children.
+   * @param {Array<{key: string, direction: string}>} params.sort - Sort keys (see SEARCH_SORT_KEYS), each 'asc' or 'desc'.
+   * @param {{values: Array<*>, backward: boolean}} [params.cursor] - Start after (or, going backward, before) the row
+   *   with these sort values, the last of which is its event_id.
+   * @param {number} params.limit - Number of items per page.
+   * @param {string} [params.count='none'] - 'exact' for a COUNT(*), 'estimate' for the planner's row estimate, 'none' to skip counting.
+   * @returns {Promise<{events: Array<object>, hasMore: boolean, totalEvents?: number, estimatedTotalEvents?: number}>}
+   *   The page, in display order, and whether more rows follow it in the direction of travel. Each event carries its
+   *   sort_values; with a full-text query, also its rank and the matches highlighted in name_highlight and description_snippet.
    */
   async searchEvents(params) {
-    const { name, startDateAfter, endDateBefore, sortBy, sortOrder, page, limit } = params;
+    const { sort, cursor, limit, count = 'none' } = params;
 
-    const allowedSortBy = ['event_name', 'start_date', 'end_date'];
-    const sortColumn = allowedSortBy.includes(sortBy) ? `"${sortBy}"` : 'start_date';
-    const order = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-    const offset = (page - 1) * limit;
+    const filters = buildEventFilters(params);
+    let whereClauses = [...filters.whereClauses];
+    let queryValues = [...filters.values];
+    let paramIndex = queryValues.length + 1;
+    const withClause = filters.ctes.length > 0 ? `WITH RECURSIVE ${filters.ctes.join(', ')}` : '';
+    let rankColumns = '';
+    let rankExpression = null;
 
-    let whereClauses = [];
-    let queryValues = [];
-    let paramIndex = 1;
-
-    if (name) {
-      whereClauses.push(`event_name ILIKE $${paramIndex++}`);
-      queryValues.push(`%${name}%`);
+    if (filters.textQuery) {
+      // float8, so the rank survives the round trip through a cursor exactly
+      rankExpression = `ts_rank_cd(search_vector, ${filters.textQuery})::float8`;
+      rankColumns = `,
+        ${rankExpression} AS rank,
+        ts_headline('english', event_name, ${filters.textQuery}, 'HighlightAll=true') AS name_highlight,
+        ts_headline('english', COALESCE(description, ''), ${filters.textQuery}, 'MaxFragments=2, MaxWords=20, MinWords=5') AS description_snippet`;
     }
-    if (startDateAfter) {
-      whereClauses.push(`start_date >= $${paramIndex++}`);
-      queryValues.push(startDateAfter);
-    }
-    if (endDateBefore) {
-      whereClauses.push(`end_date <= $${paramIndex++}`);
-      queryValues.push(endDateBefore);
+
+    const filterString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const filterValues = [...queryValues];
+
+    // Sort keys as SQL expressions, with the unique tiebreaker last
+    const orderKeys = sort.map(({ key, direction }) => {
+      const { expression, type } = key === 'relevance'
+        ? { expression: rankExpression, type: 'float8' }
+        : SEARCH_SORT_KEYS[key];
+      if (!expression) {
+        throw new Error(`Unsupported sort key '${key}'`);
+      }
+      return { expression, type, descending: direction === 'desc' };
+    });
+    orderKeys.push({ expression: 'event_id', type: 'uuid', descending: false });
+
+    // Going backward, read the rows before the cursor in reverse order, then flip them back
+    const backward = Boolean(cursor && cursor.backward);
+    const effectiveKeys = orderKeys.map((key) => ({ ...key, descending: key.descending !== backward }));
+
+    if (cursor) {
+      // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., with each comparison following its key's direction
+      const cursorParams = effectiveKeys.map((key, index) => {
+        queryValues.push(cursor.values[index]);
+        return `$${paramIndex++}::${key.type}`;
+      });
+      const alternatives = effectiveKeys.map((key, index) => {
+        const equalities = effectiveKeys.slice(0, index).map((previous, i) => `${previous.expression} = ${cursorParams[i]}`);
+        const comparison = `${key.expression} ${key.descending ? '<' : '>'} ${cursorParams[index]}`;
+        return `(${[...equalities, comparison].join(' AND ')})`;
+      });
+      whereClauses.push(`(${alternatives.join(' OR ')})`);
     }
 
     const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const orderString = effectiveKeys.map((key) => `${key.expression} ${key.descending ? 'DESC' : 'ASC'}`).join(', ');
 
-    const countQuery = `SELECT COUNT(*) FROM historical_events ${whereString}`;
-    const countResult = await db.query(countQuery, queryValues);
-    const totalEvents = parseInt(countResult.rows[0].count, 10);
-
+    // The row's sort values as JSON, which keeps timestamps at full precision for the cursors built from them
+    const sortValuesColumn = `json_build_array(${orderKeys.map((key) => key.expression).join(', ')}) AS sort_values`;
     const dataQuery = `
-      SELECT event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id
+      ${withClause}
+      SELECT event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata${rankColumns},
+        ${sortValuesColumn}
       FROM historical_events
       ${whereString}
-      ORDER BY ${sortColumn} ${order}
+      ORDER BY ${orderString}
       LIMIT $${paramIndex++}
-      OFFSET $${paramIndex++}
     `;
-    
-    const finalQueryValues = [...queryValues, limit, offset];
-    const { rows: events } = await db.query(dataQuery, finalQueryValues);
 
-    return { totalEvents, events };
+    // One extra row tells whether another page follows
+    const { rows } = await db.query(dataQuery, [...queryValues, limit + 1]);
+    const hasMore = rows.length > limit;
+    const events = rows.slice(0, limit);
+    if (backward) {
+      events.reverse();
+    }
+
+    const result = { events, hasMore };
+    if (count === 'exact') {
+      const countResult = await db.query(`${withClause} SELECT COUNT(*) FROM historical_events ${filterString}`, filterValues);
+      result.totalEvents = parseInt(countResult.rows[0].count, 10);
+    } else if (count === 'estimate') {
+      const { rows: plan } = await db.query(`EXPLAIN (FORMAT JSON) ${withClause} SELECT 1 FROM historical_events ${filterString}`, filterValues);
+      result.estimatedTotalEvents = Math.round(plan[0]['QUERY PLAN'][0].Plan['Plan Rows']);
+    }
+
+    return result;
   }
 
   /**
    * Retrieves all events that occur within a given date range.
-   * @param {string} startDate - The start of the date range (ISO 8601).
-   * @param {string} endDate - The end of the date range (ISO 8601).
+   * @param {Date|string} startDate - The start of the date range.
+   * @param {Date|string} endDate - The end of the date range.
+   * @param {object} [options] - Query options.
+   * @param {boolean} [options.withAncestors=false] - Also return each event's ancestor_ids, nearest first (the last one is its root).
+   * @param {string} [options.span='possible'] - Which period of an event with uncertain dates counts (see EVENT_SPANS);
+   *   it is returned as the event's start_date and end_date.
    * @returns {Promise<Array<object>>} An array of event objects.
    */
-  async getEventsInRange(startDate, endDate) {
+  async getEventsInRange(startDate, endDate, { withAncestors = false, span = 'possible' } = {}) {
+    const { start, end } = EVENT_SPANS[span];
+    if (withAncestors) {
+      const ancestorsQuery = `
+        WITH RECURSIVE in_range AS (
+          SELECT event_id, event_name, ${start} AS start_date, ${end} AS end_date, start_date_precision, end_date_precision,
+            duration_minutes, parent_event_id
+          FROM historical_events
+          WHERE ${start} <= $2 AND ${end} >= $1 AND ${start} <= ${end}
+        ), ancestry AS (
+          SELECT event_id, parent_event_id AS next_id, ARRAY[]::uuid[] AS ancestor_ids, ARRAY[event_id] AS path
+          FROM in_range
+          UNION ALL
+          SELECT a.event_id, p.parent_event_id, a.ancestor_ids || p.event_id, a.path || p.event_id
+          FROM ancestry a
+          JOIN historical_events p ON p.event_id = a.next_id
+          WHERE NOT p.event_id = ANY(a.path)
+        )
+        SELECT DISTINCT ON (r.event_id) r.event_id, r.event_name, r.start_date, r.end_date, r.start_date_precision, r.end_date_precision,
+          r.duration_minutes, a.ancestor_ids
+        FROM in_range r
+        JOIN ancestry a ON a.event_id = r.event_id
+        ORDER BY r.event_id, cardinality(a.path) DESC;
+      `;
+      const { rows } = await db.query(ancestorsQuery, [startDate, endDate]);
+      return rows;
+    }
+
     const queryText = `
       SELECT
         event_id,
         event_name,
-        start_date,
-        end_date
+        ${start} AS start_date,
+        ${end} AS end_date
       FROM
         historical_events
       WHERE
-        start_date <= $2 AND end_date >= $1; -- Corrected logic for any overlap
+        ${start} <= $2 AND ${end} >= $1 AND ${start} <= ${end}; -- Corrected logic for any overlap
     `;
     const { rows } = await db.query(queryText, [startDate, endDate]);
     return rows;
   }
 
+  /**
+   * Retrieves the events within a date range with what duplicate detection compares: names, dates, parents and
+   * sources, sorted by start date.
+   * @param {Date|string} startDate - The start of the date range.
+   * @param {Date|string} endDate - The end of the date range.
+   * @param {string} [rootEventId] - Only this event and its descendants.
+   * @param {string} [span='possible'] - Which period of an event with uncertain dates counts (see EVENT_SPANS).
+   * @returns {Promise<Array<object>>} The events, each with its source_file and ingestion_job_id.
+   */
+  async getDuplicateCandidates(startDate, endDate, rootEventId = null, span = 'possible') {
+    const { start, end } = EVENT_SPANS[span];
+    const queryText = `
+      WITH RECURSIVE subtree AS (
+        SELECT event_id FROM historical_events WHERE event_id = $3
+        UNION
+        SELECT c.event_id
+        FROM historical_events c
+        INNER JOIN subtree s ON c.parent_event_id = s.event_id
+      )
+      SELECT event_id, event_name, ${start} AS start_date, ${end} AS end_date, parent_event_id, ingestion_job_id,
+        metadata->>'originalSourceFile' AS source_file
+      FROM historical_events
+      WHERE ${start} <= $2 AND ${end} >= $1 AND ${start} <= ${end}
+        AND ($3::uuid IS NULL OR event_id IN (SELECT event_id FROM subtree))
+      ORDER BY start_date, event_id;
+    `;
+    const { rows } = await db.query(queryText, [startDate, endDate, rootEventId]);
+    return rows;
+  }
+
   /**
    * Retrieves events within a date range, sorted by their start date.
-   * @param {string} startDate - The start of the date range (ISO 8601).
-   * @param {string} endDate - The end of the date range (ISO 8601).
+   * @param {Date|string} startDate - The start of the date range.
+   * @param {Date|string} endDate - The end of the date range.
+   * @param {string} [rootEventId] - Only this event and its descendants.
+   * @param {string} [span='possible'] - Which period of an event with uncertain dates counts (see EVENT_SPANS).
    * @returns {Promise<Array<object>>} A sorted array of event objects.
    */
-  async getSortedEventsInRange(startDate, endDate) {
+  async getSortedEventsInRange(startDate, endDate, rootEventId = null, span = 'possible') {
+    const { start, end } = EVENT_SPANS[span];
+    if (!rootEventId) {
+      const queryText = `
+        SELECT event_id, event_name, ${start} AS start_date, ${end} AS end_date
+        FROM historical_events
+        WHERE ${start} <= $2 AND ${end} >= $1 AND ${start} <= ${end} -- Corrected logic for any overlap
+        ORDER BY start_date;
+      `;
+      const { rows } = await db.query(queryText, [startDate, endDate]);
+      return rows;
+    }
+
     const queryText = `
-      SELECT event_id, event_name, start_date, end_date
+      WITH RECURSIVE subtree AS (
+        SELECT event_id FROM historical_events WHERE event_id = $3
+        UNION
+        SELECT c.event_id
+        FROM historical_events c
+        INNER JOIN subtree s ON c.parent_event_id = s.event_id
+      )
+      SELECT event_id, event_name, ${start} AS start_date, ${end} AS end_date
       FROM historical_events
-      WHERE start_date <= $2 AND end_date >= $1 -- Corrected logic for any overlap
+      WHERE ${start} <= $2 AND ${end} >= $1 AND ${start} <= ${end}
+        AND event_id IN (SELECT event_id FROM subtree)
       ORDER BY start_date;
     `;
-    const { rows } = await db.query(queryText, [startDate, endDate]);
+    const { rows } = await db.query(queryText, [startDate, endDate, rootEventId]);
+    return rows;
+  }
+
+  /**
+   * Aggregates the events overlapping a date range into time buckets: the event count, the total duration and
+   * the number of events with a duration, per bucket and optionally per group. Like getEventsInRange, an event
+   * belongs to the range if the period filters.span selects (see EVENT_SPANS) overlaps it; it is counted once, in the
+   * bucket where that period starts (or the first bucket, if it started before the range). Buckets are aligned in UTC,
+   * weeks starting on Monday.
+   * @param {object} params The aggregation parameters.
+   * @param {string} params.startDate - The start of the date range (ISO 8601).
+   * @param {string} params.endDate - The end of the date range (ISO 8601).
+   * @param {string} params.interval - The bucket size: 'hour', 'day', 'week', 'month' or 'year'.
+   * @param {string} [params.groupBy] - 'root' to group by each event's root ancestor, 'metadata' to group by the value of metadataKey.
+   * @param {string} [params.metadataKey] - The metadata key to group by.
+   * @param {object} [params.filters] - Further filters, as documented on searchEvents.
+   * @returns {Promise<Array<object>>} One row per bucket and group (bucket_start, group_key, group_label, event_count,
+   *   total_duration_minutes, timed_event_count), ordered by bucket; buckets without events have a single row with a zero count.
+   */
+  async getEventHistogram({ startDate, endDate, interval, groupBy, metadataKey, filters = {} }) {
+    const { ctes, whereClauses, values } = buildEventFilters(filters, [startDate, endDate, interval]);
+    const { start, end } = EVENT_SPANS[filters.span || 'possible'];
+    const conditions = [`${start} <= $2`, `${end} >= $1`, `${start} <= ${end}`, ...whereClauses];
+
+    let groupJoin = '';
+    let groupKey = 'NULL::text';
+    let groupLabel = 'NULL::text';
+    ctes.push(`filtered AS (
+      SELECT event_id, ${start} AS start_date, duration_minutes, metadata
+      FROM historical_events
+      WHERE ${conditions.join(' AND ')}
+    )`);
+
+    if (groupBy === 'root') {
+      // Walk up from each matching event; the last ancestor reached is its root
+      ctes.push(`ancestry AS (
+        SELECT event_id, event_id AS ancestor_id, parent_event_id, ARRAY[event_id] AS path
+        FROM historical_events
+        WHERE event_id IN (SELECT event_id FROM filtered)
+        UNION ALL
+        SELECT a.event_id, p.event_id, p.parent_event_id, a.path || p.event_id
+        FROM ancestry a
+        JOIN historical_events p ON p.event_id = a.parent_event_id
+        WHERE NOT p.event_id = ANY(a.path)
+      )`, `roots AS (
+        SELECT DISTINCT ON (event_id) event_id, ancestor_id AS root_id
+        FROM ancestry
+        ORDER BY event_id, cardinality(path) DESC
+      )`);
+      groupJoin = `
+        JOIN roots r ON r.event_id = f.event_id
+        JOIN historical_events root ON root.event_id = r.root_id`;
+      groupKey = 'r.root_id::text';
+      groupLabel = 'root.event_name';
+    } else if (groupBy === 'metadata') {
+      values.push(metadataKey);
+      groupKey = `f.metadata->>$${values.length}::text`;
+    }
+
+    ctes.push(`buckets AS (
+      SELECT generate_series(
+        date_trunc($3, $1::timestamptz AT TIME ZONE 'UTC'),
+        $2::timestamptz AT TIME ZONE 'UTC',
+        ('1 ' || $3)::interval
+      ) AT TIME ZONE 'UTC' AS bucket_start
+    )`, `counts AS (
+      SELECT
+        date_trunc($3, GREATEST(f.start_date, $1::timestamptz) AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS bucket_start,
+        ${groupKey} AS group_key,
+        ${groupLabel} AS group_label,
+        COUNT(*)::int AS event_count,
+        COALESCE(SUM(f.duration_minutes), 0)::bigint AS total_duration_minutes,
+        COUNT(f.duration_minutes)::int AS timed_event_count
+      FROM filtered f${groupJoin}
+      GROUP BY 1, 2, 3
+    )`);
+
+    const queryText = `
+      WITH RECURSIVE ${ctes.join(', ')}
+      SELECT
+        b.bucket_start,
+        c.group_key,
+        c.group_label,
+        COALESCE(c.event_count, 0) AS event_count,
+        COALESCE(c.total_duration_minutes, 0) AS total_duration_minutes,
+        COALESCE(c.timed_event_count, 0) AS timed_event_count
+      FROM buckets b
+      LEFT JOIN counts c ON c.bucket_start = b.bucket_start
+      ORDER BY b.bucket_start, c.group_key;
+    `;
+    const { rows } = await db.query(queryText, values);
     return rows;
   }
 
@@ -186,7 +1782,7 @@ class DatabaseService {
       WITH RECURSIVE event_hierarchy AS (
         -- Base case: Select the root event
         SELECT
-          event_id, event_name, duration_minutes, parent_event_id
+          event_id, event_name, duration_minutes, parent_event_id, start_date, end_date
         FROM
           historical_events
         WHERE
@@ -196,7 +1792,7 @@ class DatabaseService {
 
         -- Recursive step: Find the direct children of events in the hierarchy
         SELECT
-          e.event_id, e.event_name, e.duration_minutes, e.parent_event_id
+          e.event_id, e.event_name, e.duration_minutes, e.parent_event_id, e.start_date, e.end_date
         FROM
           historical_events e
         INNER JOIN
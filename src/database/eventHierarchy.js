@@ -0,0 +1,55 @@
+const db = require('../configs/db');
+
+// Serializes parent changes, so two concurrent moves cannot form a cycle that neither would form alone
+const HIERARCHY_LOCK_QUERY = `SELECT pg_advisory_xact_lock(hashtext('historical_events.parent_event_id'))`;
+
+/**
+ * Runs `work` in a transaction on a dedicated client: committed if it resolves, rolled back if it throws.
+ * @param {function(import('pg').PoolClient): Promise<*>} work The transaction body.
+ * @returns {Promise<*>} What `work` resolved to.
+ */
+async function withTransaction(work) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lists an event's ancestors, nearest first, stopping if the chain loops.
+ * @param {import('pg').PoolClient} client The transaction's client.
+ * @param {string} eventId The event whose ancestors to list (it is included first).
+ * @returns {Promise<Array<string>>} The chain of event IDs, starting with eventId; empty if the event does not exist.
+ */
+async function findAncestorChain(client, eventId) {
+  const queryText = `
+    WITH RECURSIVE ancestors AS (
+      SELECT event_id, parent_event_id, 0 AS depth, ARRAY[event_id] AS path
+      FROM historical_events
+      WHERE event_id = $1
+      UNION ALL
+      SELECT p.event_id, p.parent_event_id, a.depth + 1, a.path || p.event_id
+      FROM historical_events p
+      JOIN ancestors a ON p.event_id = a.parent_event_id
+      WHERE NOT p.event_id = ANY(a.path)
+    )
+    SELECT event_id FROM ancestors ORDER BY depth;
+  `;
+  const { rows } = await client.query(queryText, [eventId]);
+  return rows.map((row) => row.event_id);
+}
+
+module.exports = {
+  HIERARCHY_LOCK_QUERY,
+  withTransaction,
+  findAncestorChain,
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Columns of an event version, as stored in both historical_events and event_revisions.
+const EVENT_VERSION_COLUMNS = [
+  'event_name', 'description', 'start_date', 'end_date', 'start_date_latest', 'end_date_earliest',
+  'start_date_precision', 'end_date_precision', 'duration_minutes', 'parent_event_id', 'metadata',
+];
+
+// Metadata keys that record where a version came from rather than what it says; they never count as a change.
+const BOOKKEEPING_METADATA_KEYS = ['originalSourceFile', 'lineNumber'];
+
+/**
+ * Builds a SQL expression listing the event columns that differ between two versions of an event.
+ * duration_minutes is derived from the dates, so it is not compared on its own.
+ * @param {string} before The alias of the old version.
+ * @param {string} after The alias of the new version.
+ * @returns {string} A TEXT[] expression, empty when the versions are equivalent.
+ */
+function changedFieldsSql(before, after) {
+  const strip = (alias) => `(${alias}.metadata${BOOKKEEPING_METADATA_KEYS.map((key) => ` - '${key}'`).join('')})`;
+  const comparisons = EVENT_VERSION_COLUMNS
+    .filter((column) => column !== 'duration_minutes')
+    .map((column) => {
+      const [left, right] = column === 'metadata'
+        ? [strip(before), strip(after)]
+        : [`${before}.${column}`, `${after}.${column}`];
+      return `CASE WHEN ${left} IS DISTINCT FROM ${right} THEN '${column}' END`;
+    });
+
+  return `array_remove(ARRAY[${comparisons.join(', ')}]::text[], NULL)`;
+}
+
+module.exports = {
+  EVENT_VERSION_COLUMNS,
+  BOOKKEEPING_METADATA_KEYS,
+  changedFieldsSql,
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+// duration_minutes as ingestion and the API compute it from the dates
+const EXPECTED_DURATION_SQL = 'ROUND(EXTRACT(EPOCH FROM (end_date - start_date)) / 60)::integer';
+
+// Staging rows that no ingestion job will pick up again: their job is gone or rolled back, or it completed and no
+// event file is left being ingested to collect them. FAILED and CANCELLED jobs may still be resumed, and resolve
+// their deferred events when they finish.
+const STRANDED_STAGING_CONDITION = `
+  NOT EXISTS (
+    SELECT 1 FROM ingestion_jobs j
+    WHERE j.job_id = s.ingestion_job_id AND j.rolled_back_at IS NULL
+      AND (
+        j.status <> 'COMPLETED'
+        OR EXISTS (
+          SELECT 1 FROM ingestion_jobs a
+          WHERE a.status IN ('PENDING', 'PROCESSING') AND COALESCE(a.options->>'target', 'events') = 'events'
+        )
+      )
+  )
+`;
+
+/**
+ * The checks of the integrity audit. `query` lists the violations ($1 is the row limit), each row carrying
+ * the total number of violations in `total_count`. Checks with a mechanical repair also have a `fix` statement,
+ * which reports the rows it repaired.
+ */
+const INTEGRITY_CHECKS = {
+  child_starts_before_parent: {
+    description: 'Events that start before their parent event.',
+    query: `
+      SELECT c.event_id, c.event_name, c.start_date, c.parent_event_id, p.start_date AS parent_start_date,
+        COUNT(*) OVER () AS total_count
+      FROM historical_events c
+      JOIN historical_events p ON p.event_id = c.parent_event_id
+      WHERE c.start_date < p.start_date
+      ORDER BY c.event_id
+      LIMIT $1
+    `,
+  },
+  child_ends_after_parent: {
+    description: 'Events that end after their parent event.',
+    query: `
+      SELECT c.event_id, c.event_name, c.end_date, c.parent_event_id, p.end_date AS parent_end_date,
+        COUNT(*) OVER () AS total_count
+      FROM historical_events c
+      JOIN historical_events p ON p.event_id = c.parent_event_id
+      WHERE c.end_date > p.end_date
+      ORDER BY c.event_id
+      LIMIT $1
+    `,
+  },
+  duration_mismatch: {
+    description: 'Events whose duration_minutes does not match their dates.',
+    query: `
+      SELECT event_id, event_name, start_date, end_date, duration_minutes,
+        ${EXPECTED_DURATION_SQL} AS expected_duration_minutes,
+        COUNT(*) OVER () AS total_count
+      FROM historical_events
+      WHERE duration_minutes IS DISTINCT FROM ${EXPECTED_DURATION_SQL}
+      ORDER BY event_id
+      LIMIT $1
+    `,
+    // The drifted versions are saved to the revision history in the same statement as the repair
+    fix: `
+      WITH drifted AS (
+        SELECT event_id, ${EXPECTED_DURATION_SQL} AS expected_duration_minutes
+        FROM historical_events
+        WHERE duration_minutes IS DISTINCT FROM ${EXPECTED_DURATION_SQL}
+        FOR UPDATE
+      ),
+      saved AS (
+        INSERT INTO event_revisions (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, change_type, changed_fields)
+        SELECT h.event_id, h.event_name, h.description, h.start_date, h.end_date, h.start_date_latest, h.end_date_earliest, h.start_date_precision, h.end_date_precision, h.duration_minutes, h.parent_event_id, h.metadata, h.ingestion_job_id,
+          'AUDIT', ARRAY['duration_minutes']
+        FROM historical_events h
+        JOIN drifted d ON d.event_id = h.event_id
+      )
+      UPDATE historical_events h
+      SET duration_minutes = d.expected_duration_minutes
+      FROM drifted d
+      WHERE h.event_id = d.event_id
+    `,
+  },
+  stranded_staging: {
+    description: 'Deferred events left in staging_events that no ingestion job will resolve.',
+    query: `
+      SELECT s.event_id, s.event_name, s.parent_event_id, s.ingestion_job_id, j.status AS job_status,
+        COUNT(*) OVER () AS total_count
+      FROM staging_events s
+      LEFT JOIN ingestion_jobs j ON j.job_id = s.ingestion_job_id
+      WHERE ${STRANDED_STAGING_CONDITION}
+      ORDER BY s.event_id
+      LIMIT $1
+    `,
+    fix: `DELETE FROM staging_events s WHERE ${STRANDED_STAGING_CONDITION}`,
+  },
+  parent_cycle: {
+    description: 'Chains of parent_event_id that loop back on themselves.',
+    // Chains that reach a root are walked down from it first, each event once, so that only the events on a cycle
+    // or below one are walked up. Each cycle is reported once, from its smallest event ID.
+    query: `
+      WITH RECURSIVE rooted AS (
+        SELECT event_id
+        FROM historical_events
+        WHERE parent_event_id IS NULL
+        UNION ALL
+        SELECT c.event_id
+        FROM historical_events c
+        JOIN rooted r ON c.parent_event_id = r.event_id
+      ),
+      unrooted AS (
+        SELECT h.event_id, h.parent_event_id
+        FROM historical_events h
+        WHERE NOT EXISTS (SELECT 1 FROM rooted r WHERE r.event_id = h.event_id)
+      ),
+      walk AS (
+        SELECT event_id AS start_id, parent_event_id AS next_id, ARRAY[event_id] AS path
+        FROM unrooted
+        UNION ALL
+        SELECT w.start_id, u.parent_event_id, w.path || u.event_id
+        FROM walk w
+        JOIN unrooted u ON u.event_id = w.next_id
+        WHERE NOT u.event_id = ANY(w.path)
+      )
+      SELECT w.start_id AS event_id, w.path AS cycle_event_ids, COUNT(*) OVER () AS total_count
+      FROM walk w
+      WHERE w.next_id = w.start_id
+        AND w.start_id::text = (SELECT MIN(id::text) FROM unnest(w.path) AS id)
+      ORDER BY w.start_id
+      LIMIT $1
+    `,
+  },
+  duplicate_events: {
+    description: 'Different events with the same name (ignoring case and spacing) and the same dates.',
+    query: `
+      SELECT lower(btrim(regexp_replace(event_name, '\\s+', ' ', 'g'))) AS normalized_name, start_date, end_date,
+        array_agg(event_id ORDER BY event_id) AS event_ids,
+        COUNT(*) OVER () AS total_count
+      FROM historical_events
+      GROUP BY 1, start_date, end_date
+      HAVING COUNT(*) > 1
+      ORDER BY 1, start_date
+      LIMIT $1
+    `,
+  },
+};
+
+module.exports = {
+  INTEGRITY_CHECKS,
+};
\ No newline at end of file
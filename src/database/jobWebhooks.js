@@ -0,0 +1,34 @@
+// Job outcomes a webhook can subscribe to, named after the status the job ends in.
+const WEBHOOK_EVENTS = ['job.completed', 'job.failed'];
+
+// Queues a delivery to every webhook subscribed to the outcome of the jobs in a `finished_jobs` CTE (ingestion_jobs
+// rows, e.g. from UPDATE ... RETURNING *). Queuing in the statement that finishes the job means a delivery is never
+// lost to a crash in between; jobs that end in another status (e.g. PENDING again) match no webhook.
+const QUEUE_JOB_WEBHOOKS_CTE = `
+  queued_webhooks AS (
+    INSERT INTO webhook_deliveries (webhook_id, job_id, event_type, payload)
+    SELECT w.webhook_id, f.job_id, 'job.' || lower(f.status), jsonb_build_object(
+      'jobId', f.job_id,
+      'status', f.status,
+      'filePath', f.file_path,
+      'sourceName', COALESCE(f.options->>'sourceName', f.file_path),
+      'format', COALESCE(f.options->>'format', 'pipe'),
+      'processedLines', f.processed_lines,
+      'errorLines', f.error_lines,
+      'orphanLines', f.orphan_lines,
+      'totalLines', f.total_lines,
+      'attempts', f.attempts,
+      'jobErrors', f.errors,
+      'startTime', f.start_time,
+      'endTime', f.end_time
+    )
+    FROM finished_jobs f
+    JOIN ingestion_webhooks w ON 'job.' || lower(f.status) = ANY(w.events)
+    RETURNING delivery_id
+  )
+`;
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  QUEUE_JOB_WEBHOOKS_CTE,
+};
\ No newline at end of file
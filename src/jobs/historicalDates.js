@@ -0,0 +1,293 @@
+// How precisely a date is known: a whole year, a month, a day, or an exact timestamp.
+const DATE_PRECISIONS = ['year', 'month', 'day', 'exact'];
+
+// The calendar unit that margins of each precision are counted in
+const PRECISION_UNITS = { year: 'year', month: 'month', day: 'day', exact: 'day' };
+
+// How far "circa" widens a date on either side, in its precision's unit
+const CIRCA_MARGINS = { year: 10, month: 3, day: 7, exact: 1 };
+
+// Which period of an event with uncertain dates counts: every moment it may have covered, or only the ones it surely did
+const DATE_SPANS = ['possible', 'certain'];
+
+// PostgreSQL timestamps begin in 4713 BCE, astronomical year -4712
+const MIN_YEAR = -4712;
+
+// duration_minutes is an INTEGER column, which holds a little over 4,000 years
+const MAX_DURATION_MINUTES = 2147483647;
+
+const APPROXIMATE_PREFIX = /^(?:circa|ca\.?|c\.|~)\s*/i;
+const APPROXIMATE_SUFFIX = /\s*[~?]$/;
+const MARGIN_SUFFIX = /\s*(?:±|\+\/-|\+-)\s*(\d+)$/;
+const ERA_SUFFIX = /\s*(BCE|BC|B\.C\.E\.|B\.C\.|CE|AD|A\.D\.)$/i;
+const ERA_PREFIX = /^(AD|A\.D\.)\s*/i;
+// A year, year-month or year-month-day; a signed year is astronomical (0 is 1 BCE, -1 is 2 BCE)
+const PARTIAL_DATE = /^([+-]?\d{1,6})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+/**
+ * Builds a UTC midnight. Unlike Date.UTC, setUTCFullYear does not map years 0-99 to 1900-1999.
+ * @param {number} year The astronomical year.
+ * @param {number} monthIndex The 0-based month.
+ * @param {number} day The day of the month.
+ * @returns {Date} The date.
+ */
+function utcMidnight(year, monthIndex, day) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, monthIndex, day);
+  return date;
+}
+
+/**
+ * Moves a date by a number of calendar units.
+ * @param {Date} date The date.
+ * @param {string} unit 'year', 'month' or 'day'.
+ * @param {number} amount The number of units, negative to move back.
+ * @returns {Date} The moved date.
+ */
+function shiftDate(date, unit, amount) {
+  const shifted = new Date(date.getTime());
+  if (unit === 'year') {
+    shifted.setUTCFullYear(shifted.getUTCFullYear() + amount);
+  } else if (unit === 'month') {
+    shifted.setUTCMonth(shifted.getUTCMonth() + amount);
+  } else {
+    shifted.setUTCDate(shifted.getUTCDate() + amount);
+  }
+  return shifted;
+}
+
+/**
+ * Parses a historical date, which may be partial, approximate or BCE, into the range of instants it may denote.
+ * Accepted forms:
+ * - an exact timestamp, e.g. '2023-01-05T12:00:00Z' (or '-000299-03-15T00:00:00Z' for 300 BCE);
+ * - a year, month or day: '1450', '1450-03', '1450-03-15';
+ * - an era: '300 BCE', '300 BC', '-0299' (astronomical), 'AD 79', '79 CE';
+ * - an approximation: 'circa 1450', 'c. 1450', 'ca. 1450', '~1450', '1450~' or '1450?' widen the date by
+ *   CIRCA_MARGINS, and '1450 ±5' by 5 units of its precision (years, months or days; days for timestamps).
+ * @param {string|number} value The date as written.
+ * @returns {{earliest: Date, latest: Date, precision: string, approximate: boolean}|null} The range (latest is the
+ *   start of the next period for partial dates), the date's precision (one of DATE_PRECISIONS) and whether it was
+ *   widened; null if the value is not a date or lies before 4713 BCE.
+ */
+function parseHistoricalDate(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  let text = String(value).trim();
+
+  let approximate = false;
+  let margin = null;
+  if (APPROXIMATE_PREFIX.test(text)) {
+    approximate = true;
+    text = text.replace(APPROXIMATE_PREFIX, '');
+  }
+  const marginMatch = text.match(MARGIN_SUFFIX);
+  if (marginMatch) {
+    margin = parseInt(marginMatch[1], 10);
+    text = text.slice(0, marginMatch.index);
+  }
+  if (APPROXIMATE_SUFFIX.test(text)) {
+    approximate = true;
+    text = text.replace(APPROXIMATE_SUFFIX, '');
+  }
+
+  let era = null;
+  const eraMatch = text.match(ERA_SUFFIX) || text.match(ERA_PREFIX);
+  if (eraMatch) {
+    era = eraMatch[1].toUpperCase().startsWith('B') ? 'BCE' : 'CE';
+    text = text.replace(eraMatch[0], '').trim();
+  }
+
+  let earliest;
+  let latest;
+  let precision;
+  const partial = text.match(PARTIAL_DATE);
+  if (partial) {
+    const [, yearText, monthText, dayText] = partial;
+    let year = parseInt(yearText, 10);
+    if (era !== null) {
+      // Eras count from 1, and a signed year is already astronomical
+      if (/^[+-]/.test(yearText) || year < 1) {
+        return null;
+      }
+      if (era === 'BCE') {
+        year = 1 - year;
+      }
+    }
+    const month = monthText === undefined ? 1 : parseInt(monthText, 10);
+    const day = dayText === undefined ? 1 : parseInt(dayText, 10);
+    if (month < 1 || month > 12) {
+      return null;
+    }
+
+    earliest = utcMidnight(year, month - 1, day);
+    if (earliest.getUTCDate() !== day) {
+      return null;
+    }
+    precision = dayText !== undefined ? 'day' : monthText !== undefined ? 'month' : 'year';
+    latest = shiftDate(earliest, precision, 1);
+  } else {
+    if (era !== null) {
+      return null;
+    }
+    earliest = new Date(text);
+    if (isNaN(earliest.getTime())) {
+      return null;
+    }
+    latest = earliest;
+    precision = 'exact';
+  }
+
+  const widenBy = margin !== null ? margin : approximate ? CIRCA_MARGINS[precision] : 0;
+  if (widenBy > 0) {
+    earliest = shiftDate(earliest, PRECISION_UNITS[precision], -widenBy);
+    latest = shiftDate(latest, PRECISION_UNITS[precision], widenBy);
+  }
+
+  if (isNaN(earliest.getTime()) || isNaN(latest.getTime()) || earliest.getUTCFullYear() < MIN_YEAR) {
+    return null;
+  }
+  return { earliest, latest, precision, approximate: widenBy > 0 };
+}
+
+/**
+ * Parses a historical date used as one end of a query range: a start bound is the earliest instant it denotes,
+ * and an end bound the latest, so that `1450` to `1450` covers the whole year.
+ * @param {string} value The date as written (see parseHistoricalDate).
+ * @param {string} bound 'start' or 'end'.
+ * @returns {Date|null} The instant, or null if the value is not a date.
+ */
+function parseDateBound(value, bound) {
+  const parsed = parseHistoricalDate(value);
+  if (!parsed) {
+    return null;
+  }
+  return bound === 'start' ? parsed.earliest : parsed.latest;
+}
+
+/**
+ * Rebuilds the range of one end of a stored event from its date columns, so that it can be combined with a new
+ * value for the other end.
+ * @param {object} event The event, with its date columns.
+ * @param {string} side 'start' or 'end'.
+ * @returns {{earliest: Date, latest: Date, precision: string}} The range.
+ */
+function toStoredDateRange(event, side) {
+  if (side === 'start') {
+    return { earliest: event.start_date, latest: event.start_date_latest || event.start_date, precision: event.start_date_precision };
+  }
+  return { earliest: event.end_date_earliest || event.end_date, latest: event.end_date, precision: event.end_date_precision };
+}
+
+/**
+ * Converts the start and end of an event, as written, into its date columns. start_date and end_date hold
+ * the widest period the event may cover; start_date_latest and end_date_earliest narrow it to the period
+ * it certainly covers, and are null when the date is exact.
+ * @param {string|object} startValue The start date as written, or a range from parseHistoricalDate or toStoredDateRange.
+ * @param {string|object} endValue The end date as written, or a range.
+ * @returns {{columns: (object|undefined), code: (string|undefined), error: (string|undefined), field: (string|undefined)}}
+ *   The columns (start_date, start_date_latest, start_date_precision, end_date, end_date_earliest, end_date_precision
+ *   and duration_minutes), or a validation error: its code (INVALID_DATE, DATE_ORDER or DATE_RANGE), message and field.
+ */
+function toEventDateColumns(startValue, endValue) {
+  const toRange = (value) => (value && typeof value === 'object' && value.earliest ? value : parseHistoricalDate(value));
+  const start = toRange(startValue);
+  const end = toRange(endValue);
+  if (!start || !end) {
+    return {
+      code: 'INVALID_DATE',
+      error: `Invalid date format. Start: '${startValue}', End: '${endValue}'`,
+      field: start ? 'end_date' : 'start_date',
+    };
+  }
+  // A partial end's latest instant is the start of the next period, which the event cannot start at
+  if (start.earliest > end.latest || (end.precision !== 'exact' && start.earliest.getTime() === end.latest.getTime())) {
+    return { code: 'DATE_ORDER', error: 'start_date cannot be after end_date.', field: 'start_date' };
+  }
+  const durationMinutes = Math.round((end.latest - start.earliest) / (1000 * 60));
+  if (durationMinutes > MAX_DURATION_MINUTES) {
+    return { code: 'DATE_RANGE', error: 'An event cannot span more than 4,000 years.', field: 'end_date' };
+  }
+
+  // An event cannot start after it ends, nor end before it starts
+  const startLatest = new Date(Math.min(start.latest, end.latest));
+  const endEarliest = new Date(Math.max(end.earliest, start.earliest));
+  return {
+    columns: {
+      start_date: start.earliest,
+      start_date_latest: startLatest.getTime() === start.earliest.getTime() ? null : startLatest,
+      start_date_precision: start.precision,
+      end_date: end.latest,
+      end_date_earliest: endEarliest.getTime() === end.latest.getTime() ? null : endEarliest,
+      end_date_precision: end.precision,
+      duration_minutes: durationMinutes,
+    },
+  };
+}
+
+/**
+ * Writes a date range back out in the form parseHistoricalDate reads, so exported events can be re-ingested:
+ * '1450', '1450-03 ±2', '300 BCE' or a timestamp. Ranges that no such form describes (an end clipped to the other
+ * end of its event) are written with the nearest margin.
+ * @param {{earliest: Date, latest: Date, precision: string}} range The range (see toStoredDateRange).
+ * @returns {string} The date as written.
+ */
+function formatHistoricalDate({ earliest, latest, precision }) {
+  const unit = PRECISION_UNITS[precision];
+  let periods;
+  if (unit === 'year') {
+    periods = latest.getUTCFullYear() - earliest.getUTCFullYear();
+  } else if (unit === 'month') {
+    periods = (latest.getUTCFullYear() - earliest.getUTCFullYear()) * 12 + latest.getUTCMonth() - earliest.getUTCMonth();
+  } else {
+    periods = Math.round((latest - earliest) / (24 * 60 * 60 * 1000));
+  }
+  // A partial date covers one period before it is widened, a timestamp none
+  const margin = Math.max(0, Math.round((periods - (precision === 'exact' ? 0 : 1)) / 2));
+  const date = shiftDate(earliest, unit, margin);
+  const marginSuffix = margin > 0 ? ` ±${margin}` : '';
+
+  if (precision === 'exact') {
+    return `${date.toISOString()}${marginSuffix}`;
+  }
+  const year = date.getUTCFullYear();
+  let text = String(year < 1 ? 1 - year : year);
+  if (precision !== 'year') {
+    text += `-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+  if (precision === 'day') {
+    text += `-${String(date.getUTCDate()).padStart(2, '0')}`;
+  }
+  return `${text}${year < 1 ? ' BCE' : ''}${marginSuffix}`;
+}
+
+/**
+ * Formats a date as a PostgreSQL timestamp literal, for dates that do not go through the driver's own
+ * serialization (e.g. inside JSON). Years before 1 CE use PostgreSQL's BC notation.
+ * @param {Date|null} date The date.
+ * @returns {string|null} The literal, e.g. '0300-01-01T00:00:00.000+00:00 BC'; null for null.
+ */
+function toSqlTimestamp(date) {
+  if (date === null || date === undefined) {
+    return null;
+  }
+  const year = date.getUTCFullYear();
+  if (year >= 1) {
+    return date.toISOString();
+  }
+  // Astronomical year 0 is 1 BC
+  const bcDate = new Date(date.getTime());
+  bcDate.setUTCFullYear(1 - year);
+  return `${bcDate.toISOString().replace('Z', '+00:00')} BC`;
+}
+
+module.exports = {
+  DATE_PRECISIONS,
+  DATE_SPANS,
+  parseHistoricalDate,
+  parseDateBound,
+  toStoredDateRange,
+  toEventDateColumns,
+  formatHistoricalDate,
+  toSqlTimestamp,
+};
\ No newline at end of file
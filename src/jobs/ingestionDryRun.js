@@ -0,0 +1,319 @@
+const readline = require('readline');
+const databaseService = require('../database/database.service');
+const { createRecordParser, readRecordLines } = require('./inputFormats');
+const { toEventRow, toLinkRow, toLineError } = require('./ingestionProcessor');
+
+const LOOKUP_CHUNK_SIZE = 1000;
+const ERROR_SAMPLE_LIMIT = 100;
+
+/**
+ * Looks up which of the given event IDs are already stored, in chunks.
+ * @param {Array<string>} eventIds The IDs to look up.
+ * @returns {Promise<Set<string>>} The IDs that exist in historical_events (lower-cased).
+ */
+async function findExistingIds(eventIds) {
+  const existing = new Set();
+  for (let i = 0; i < eventIds.length; i += LOOKUP_CHUNK_SIZE) {
+    const found = await databaseService.findExistingEventIds(eventIds.slice(i, i + LOOKUP_CHUNK_SIZE));
+    for (const id of found) {
+      existing.add(id);
+    }
+  }
+  return existing;
+}
+
+/**
+ * Builds the dry-run report from the rejected lines.
+ * @param {number} totalLines The number of lines read.
+ * @param {number} skippedLines The number of lines that carry no record (blank lines, the header, and the further lines
+ *   of a CSV record with quoted line breaks).
+ * @param {Array<object>} errors Error records (see toLineError) for the rejected lines.
+ * @param {object} details Report fields specific to the kind of input, placed before the error breakdown.
+ * @returns {object} The report.
+ */
+function toDryRunReport(totalLines, skippedLines, errors, details) {
+  errors.sort((a, b) => a.line_number - b.line_number);
+
+  const errorsByCode = {};
+  for (const error of errors) {
+    errorsByCode[error.error_code] = (errorsByCode[error.error_code] || 0) + 1;
+  }
+
+  return {
+    dryRun: true,
+    totalLines,
+    skippedLines,
+    validLines: totalLines - skippedLines - errors.length,
+    rejectedLines: errors.length,
+    ...details,
+    errorsByCode,
+    errors: errors.slice(0, ERROR_SAMPLE_LIMIT).map((error) => ({
+      lineNumber: error.line_number,
+      code: error.error_code,
+      field: error.field,
+      message: error.message,
+      rawLine: error.raw_line,
+    })),
+    errorsTruncated: errors.length > ERROR_SAMPLE_LIMIT,
+  };
+}
+
+/**
+ * Validates a link file without writing anything: every line goes through the same parsing and validation as
+ * processFile, then both linked events are checked against historical_events.
+ * @param {import('stream').Readable} input The source stream.
+ * @param {string} sourceName The source name, as it would be recorded in the links' metadata.
+ * @param {object} options The format options (format, columnMapping, hasHeader).
+ * @returns {Promise<object>} The dry-run report.
+ */
+async function dryRunLinkIngestion(input, sourceName, options) {
+  const records = readRecordLines(readline.createInterface({
+    input,
+    crlfDelay: Infinity,
+  }), options.format);
+  const parser = createRecordParser({
+    format: options.format,
+    columnMapping: options.columnMapping,
+    hasHeader: options.hasHeader,
+    target: 'links',
+  });
+
+  let lineNumber = 0;
+  let skippedLines = 0;
+  const errors = [];
+  const validRows = [];
+  const linkKeys = new Set();
+  let repeatedLines = 0;
+
+  for await (const { text: line, lineNumber: lastLineNumber } of records) {
+    // The further lines of a record that spans lines carry no record of their own
+    skippedLines += lastLineNumber - lineNumber - 1;
+    lineNumber = lastLineNumber;
+
+    try {
+      const record = parser.parse(line);
+      if (!record) {
+        skippedLines++;
+        continue;
+      }
+
+      const row = toLinkRow(record, lineNumber, sourceName);
+      const sourceId = row.source_event_id.toLowerCase();
+      const targetId = row.target_event_id.toLowerCase();
+      const key = `${sourceId}|${targetId}|${row.link_type}`;
+      if (linkKeys.has(key)) {
+        // Stored once; the repeats are no-ops
+        repeatedLines++;
+      }
+      linkKeys.add(key);
+      validRows.push({ lineNumber, sourceId, targetId, rawLine: line });
+    } catch (error) {
+      if (error.fatal) {
+        throw error;
+      }
+      errors.push(toLineError(lineNumber, error, line));
+    }
+  }
+
+  const eventIds = new Set(validRows.flatMap((row) => [row.sourceId, row.targetId]));
+  const existing = await findExistingIds([...eventIds]);
+  for (const row of validRows) {
+    const [field, eventId] = existing.has(row.sourceId)
+      ? ['target_event_id', row.targetId]
+      : ['source_event_id', row.sourceId];
+    if (!existing.has(eventId)) {
+      errors.push({
+        line_number: row.lineNumber,
+        error_code: 'UNKNOWN_EVENT',
+        field,
+        message: `Linked event '${eventId}' (${field}) does not exist.`,
+        raw_line: row.rawLine,
+      });
+    }
+  }
+
+  return toDryRunReport(lineNumber, skippedLines, errors, { target: 'links', repeatedLines });
+}
+
+/**
+ * Validates an ingestion input without writing anything: every line goes through the same parsing and
+ * validation as processFile, then event IDs are checked for duplicates within the input and against
+ * historical_events, and parent references are checked against both (following chains of parents
+ * that only appear in the input, as the staging resolution would).
+ * With the 'skip' conflict policy, stored and repeated event IDs are rejected; with the overwrite policies they
+ * are counted as overwrites instead, and a repeated ID takes the values of its last line.
+ * @param {import('stream').Readable} input The source stream.
+ * @param {string} sourceName The source name, as it would be recorded in the events' metadata.
+ * Link files (target 'links') are validated by dryRunLinkIngestion instead.
+ * @param {object} [options] The format options (format, columnMapping, hasHeader), the conflictPolicy and the target.
+ * @returns {Promise<object>} The dry-run report: line counts, rejected lines per error code and a sample of the errors.
+ */
+async function dryRunIngestion(input, sourceName, options = {}) {
+  if (options.target === 'links') {
+    return dryRunLinkIngestion(input, sourceName, options);
+  }
+
+  const overwrites = (options.conflictPolicy || 'skip') !== 'skip';
+  const records = readRecordLines(readline.createInterface({
+    input,
+    crlfDelay: Infinity,
+  }), options.format);
+  const parser = createRecordParser({
+    format: options.format,
+    columnMapping: options.columnMapping,
+    hasHeader: options.hasHeader,
+  });
+
+  let lineNumber = 0;
+  let skippedLines = 0;
+  const errors = [];
+  // eventId -> { lineNumber, parentId, rawLine } for every valid line
+  const validRows = new Map();
+  let pendingIds = [];
+  // Stored events the input would overwrite; they keep existing even if their new parent never resolves
+  const overwrittenIds = new Set();
+  let repeatedLines = 0;
+
+  const checkExistingIds = async () => {
+    const existing = await findExistingIds(pendingIds);
+    pendingIds = [];
+    if (overwrites) {
+      existing.forEach((id) => overwrittenIds.add(id));
+      return;
+    }
+
+    for (const id of existing) {
+      const row = validRows.get(id);
+      validRows.delete(id);
+      errors.push({
+        line_number: row.lineNumber,
+        error_code: 'EXISTING_ID',
+        field: 'event_id',
+        message: `Event '${id}' already exists and would be skipped.`,
+        raw_line: row.rawLine,
+      });
+    }
+  };
+
+  for await (const { text: line, lineNumber: lastLineNumber } of records) {
+    // The further lines of a record that spans lines carry no record of their own
+    skippedLines += lastLineNumber - lineNumber - 1;
+    lineNumber = lastLineNumber;
+
+    try {
+      const record = parser.parse(line);
+      if (!record) {
+        skippedLines++;
+        continue;
+      }
+
+      const row = toEventRow(record, lineNumber, sourceName, line);
+      const eventId = row.event_id.toLowerCase();
+      const firstOccurrence = validRows.get(eventId);
+      if (firstOccurrence && overwrites) {
+        // The later line overwrites the earlier one
+        repeatedLines++;
+        validRows.set(eventId, {
+          lineNumber,
+          parentId: row.parent_event_id ? row.parent_event_id.toLowerCase() : null,
+          rawLine: line,
+        });
+        continue;
+      }
+      if (firstOccurrence) {
+        errors.push({
+          line_number: lineNumber,
+          error_code: 'DUPLICATE_ID',
+          field: 'event_id',
+          message: `Event '${row.event_id}' is a duplicate of line ${firstOccurrence.lineNumber} and would be skipped.`,
+          raw_line: line,
+        });
+        continue;
+      }
+
+      validRows.set(eventId, {
+        lineNumber,
+        parentId: row.parent_event_id ? row.parent_event_id.toLowerCase() : null,
+        rawLine: line,
+      });
+      pendingIds.push(eventId);
+    } catch (error) {
+      if (error.fatal) {
+        throw error;
+      }
+      errors.push(toLineError(lineNumber, error, line));
+    }
+
+    if (pendingIds.length >= LOOKUP_CHUNK_SIZE) {
+      await checkExistingIds();
+    }
+  }
+  await checkExistingIds();
+
+  // Parents that are not in the input must already be stored
+  const externalParentIds = new Set();
+  for (const { parentId } of validRows.values()) {
+    if (parentId && !validRows.has(parentId)) {
+      externalParentIds.add(parentId);
+    }
+  }
+  const existingParents = await findExistingIds([...externalParentIds]);
+
+  // A line resolves if its parent is stored, or is a line of the input that resolves itself
+  const resolution = new Map();
+  const resolves = (eventId) => {
+    const chain = [];
+    const inChain = new Set();
+    let currentId = eventId;
+    let result;
+
+    while (result === undefined) {
+      if (currentId !== eventId && overwrittenIds.has(currentId)) {
+        result = true;
+      } else if (resolution.has(currentId)) {
+        result = resolution.get(currentId);
+      } else if (!validRows.has(currentId)) {
+        result = existingParents.has(currentId);
+      } else if (inChain.has(currentId)) {
+        // Parent cycle within the input: none of its members can be inserted
+        result = false;
+      } else {
+        chain.push(currentId);
+        inChain.add(currentId);
+        const { parentId } = validRows.get(currentId);
+        if (!parentId) {
+          result = true;
+        } else {
+          currentId = parentId;
+        }
+      }
+    }
+
+    for (const id of chain) {
+      resolution.set(id, result);
+    }
+    return result;
+  };
+
+  for (const [eventId, row] of validRows) {
+    if (row.parentId && !resolves(eventId)) {
+      errors.push({
+        line_number: row.lineNumber,
+        error_code: 'ORPHAN_EVENT',
+        field: 'parent_event_id',
+        message: `Parent event '${row.parentId}' is neither stored nor a valid line of this file; the event would be reported as an unresolved orphan.`,
+        raw_line: row.rawLine,
+      });
+    }
+  }
+
+  return toDryRunReport(lineNumber, skippedLines, errors, {
+    conflictPolicy: options.conflictPolicy || 'skip',
+    // Lines that would replace a stored event or an earlier line (only if their values differ, with overwrite_if_changed)
+    overwritingLines: overwrittenIds.size + repeatedLines,
+  });
+}
+
+module.exports = {
+  dryRunIngestion,
+};
\ No newline at end of file
@@ -1,158 +1,911 @@
 const fs = require('fs');
 const readline = require('readline');
 const db = require('../configs/db');
+const { UUID_REGEX, LINK_TYPES, createLineError, createRecordParser, readRecordLines } = require('./inputFormats');
+const { changedFieldsSql } = require('../database/eventRevisions');
+const { QUEUE_JOB_WEBHOOKS_CTE } = require('../database/jobWebhooks');
+const { HIERARCHY_LOCK_QUERY, withTransaction, findAncestorChain } = require('../database/eventHierarchy');
+const { toEventDateColumns, toSqlTimestamp } = require('./historicalDates');
 
-// Regular expression to validate if a string is a UUID
-const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 const FK_VIOLATION_CODE = '23503';
 
-async function processFile(jobId, filePath) {
-  let hasUpdatedStatusToProcessing = false;
+const INGESTION_MODES = ['standard', 'bulk'];
+// What happens when a line carries an event that is already stored
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'overwrite_if_changed'];
+const DEFAULT_BATCH_SIZE = 1000;
+const DEFAULT_PROGRESS_INTERVAL = 10000;
+
+/**
+ * Validates a canonical event record and converts it into an event row.
+ * @param {{fields: object, extra: object}} record The record produced by the input format parser.
+ * @param {number} lineNumber The 1-based line number, recorded in the event metadata.
+ * @param {string} filePath The source file, recorded in the event metadata.
+ * @param {string} rawLine The original line, kept on staged rows so unresolved orphans can be reported with it.
+ * @returns {object} The event row, ready to be inserted.
+ * @throws {Error} A line error (see createLineError) if the record fails validation.
+ */
+function toEventRow({ fields, extra }, lineNumber, filePath, rawLine) {
+  const { eventId, eventName, startDate: startDateValue, endDate: endDateValue, parentId, researchValue } = fields;
+  const description = fields.description === undefined ? null : fields.description;
+
+  if (typeof eventId !== 'string' || !UUID_REGEX.test(eventId)) {
+    throw createLineError('INVALID_UUID', `Invalid UUID format for event_id: '${eventId}'`, 'event_id');
+  }
+
+  if (eventName === undefined || eventName === null || String(eventName).trim() === '') {
+    throw createLineError('MISSING_VALUE', 'event_name cannot be empty.', 'event_name');
+  }
+
+  const parentIdText = parentId === undefined || parentId === null ? '' : String(parentId).trim();
+  const parentEventId = parentIdText === '' || parentIdText.toUpperCase() === 'NULL' ? null : parentIdText;
+
+  if (parentEventId && !UUID_REGEX.test(parentEventId)) {
+    throw createLineError('INVALID_UUID', `Invalid UUID format for parent_event_id: '${parentEventId}'`, 'parent_event_id');
+  }
+
+  const dates = toEventDateColumns(startDateValue, endDateValue);
+  if (dates.error) {
+    throw createLineError(dates.code, dates.error, dates.field);
+  }
+
+  return {
+    event_id: eventId,
+    event_name: String(eventName),
+    description: description === null ? null : String(description),
+    ...dates.columns,
+    parent_event_id: parentEventId,
+    // Extra source columns are kept alongside the ingestion bookkeeping, which takes precedence.
+    metadata: { ...extra, originalSourceFile: filePath, lineNumber, researchValue },
+    raw_line: rawLine,
+  };
+}
+
+/**
+ * Validates a canonical link record and converts it into an event_links row.
+ * @param {{fields: object, extra: object}} record The record produced by the input format parser (for the 'links' target).
+ * @param {number} lineNumber The 1-based line number, recorded in the link metadata.
+ * @param {string} filePath The source file, recorded in the link metadata.
+ * @returns {object} The link row, ready to be inserted.
+ * @throws {Error} A line error (see createLineError) if the record fails validation.
+ */
+function toLinkRow({ fields, extra }, lineNumber, filePath) {
+  const { sourceEventId, targetEventId } = fields;
+  const linkType = typeof fields.linkType === 'string' ? fields.linkType.trim().toLowerCase() : fields.linkType;
+
+  for (const [field, value] of [['source_event_id', sourceEventId], ['target_event_id', targetEventId]]) {
+    if (typeof value !== 'string' || !UUID_REGEX.test(value.trim())) {
+      throw createLineError('INVALID_UUID', `Invalid UUID format for ${field}: '${value}'`, field);
+    }
+  }
+
+  if (!LINK_TYPES.includes(linkType)) {
+    throw createLineError('INVALID_LINK_TYPE', `Invalid link type '${fields.linkType}'. Allowed types: ${LINK_TYPES.join(', ')}.`, 'link_type');
+  }
+
+  if (sourceEventId.trim().toLowerCase() === targetEventId.trim().toLowerCase()) {
+    throw createLineError('SELF_LINK', 'An event cannot be linked to itself.', 'target_event_id');
+  }
+
+  return {
+    source_event_id: sourceEventId.trim(),
+    target_event_id: targetEventId.trim(),
+    link_type: linkType,
+    description: fields.description === undefined || fields.description === null ? null : String(fields.description),
+    metadata: { ...extra, originalSourceFile: filePath, lineNumber },
+  };
+}
+
+/**
+ * Converts an error raised while ingesting a line into a structured error record.
+ * @param {number} lineNumber The 1-based line number.
+ * @param {Error} error A line error from validation, or a database error.
+ * @param {string} rawLine The original line.
+ * @returns {{line_number: number, error_code: string, field: (string|null), message: string, raw_line: string}} The error record.
+ */
+function toLineError(lineNumber, error, rawLine) {
+  let errorCode = error.errorCode;
+  if (!errorCode) {
+    errorCode = error.code ? 'DATABASE_ERROR' : 'INVALID_LINE';
+  }
+
+  return {
+    line_number: lineNumber,
+    error_code: errorCode,
+    field: error.field || error.column || null,
+    message: error.message,
+    raw_line: rawLine,
+  };
+}
+
+// Applies the conflict policy to the rows of an "incoming" CTE (at most one row per event_id, with the event
+// columns, ingestion_job_id and conflict_policy): stored events are overwritten, as the policy allows, after
+// their current version is saved to event_revisions. New events are left to the statement's own INSERT.
+const OVERWRITE_EXISTING_CTES = `
+  compared AS (
+    SELECT h.*, i.ingestion_job_id AS changed_by_job_id, i.conflict_policy, ${changedFieldsSql('h', 'i')} AS changed_fields
+    FROM historical_events h
+    JOIN incoming i ON i.event_id = h.event_id
+    WHERE i.conflict_policy <> 'skip'
+  ),
+  replaced AS (
+    SELECT *
+    FROM compared
+    WHERE conflict_policy = 'overwrite' OR cardinality(changed_fields) > 0
+  ),
+  revised AS (
+    INSERT INTO event_revisions (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, change_type, changed_by_job_id, changed_fields)
+    SELECT event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, 'INGESTION', changed_by_job_id, changed_fields
+    FROM replaced
+  ),
+  overwritten AS (
+    UPDATE historical_events h
+    SET event_name = i.event_name,
+        description = i.description,
+        start_date = i.start_date,
+        end_date = i.end_date,
+        start_date_latest = i.start_date_latest,
+        end_date_earliest = i.end_date_earliest,
+        start_date_precision = i.start_date_precision,
+        end_date_precision = i.end_date_precision,
+        duration_minutes = i.duration_minutes,
+        parent_event_id = i.parent_event_id,
+        metadata = i.metadata
+    FROM incoming i
+    WHERE h.event_id = i.event_id
+      AND h.event_id IN (SELECT event_id FROM replaced)
+  )
+`;
+
+/**
+ * Rejects an overwrite that would move a stored event under itself or one of its descendants.
+ * Must run in a transaction: the event row and the hierarchy stay locked until it ends, as in updateEvent.
+ * @param {import('pg').PoolClient} client The transaction's client.
+ * @param {object} row The event row produced by toEventRow.
+ * @throws {Error} A PARENT_CYCLE line error if the move would create a cycle.
+ */
+async function checkParentCycle(client, row) {
+  const { rows } = await client.query('SELECT parent_event_id FROM historical_events WHERE event_id = $1 FOR UPDATE', [row.event_id]);
+  if (rows.length === 0 || rows[0].parent_event_id === row.parent_event_id) {
+    return;
+  }
+
+  await client.query(HIERARCHY_LOCK_QUERY);
+  // A parent that is not stored yet leaves the row to staging, where resolveDeferredEvents checks it
+  const chain = await findAncestorChain(client, row.parent_event_id);
+  const cycleAt = chain.indexOf(row.event_id);
+  if (cycleAt >= 0) {
+    const cycle = [row.event_id, ...chain.slice(0, cycleAt + 1)];
+    throw createLineError('PARENT_CYCLE', `Moving event '${row.event_id}' under '${row.parent_event_id}' would create a cycle: ${cycle.join(' -> ')}.`, 'parent_event_id');
+  }
+}
+
+/**
+ * Inserts a single event row, or applies the conflict policy if the event is already stored.
+ * Rows whose parent does not exist yet are parked in staging_events.
+ * @param {string} jobId The ID of the job, recorded on the inserted or staged row.
+ * @param {object} row The event row produced by toEventRow.
+ * @param {string} conflictPolicy One of CONFLICT_POLICIES.
+ * @throws {Error} A PARENT_CYCLE line error if overwriting the event would make it its own ancestor.
+ */
+async function insertEvent(jobId, row, conflictPolicy) {
+  const queryParams = [
+    row.event_id, row.event_name, row.description, row.start_date, row.end_date,
+    row.start_date_latest, row.end_date_earliest, row.start_date_precision, row.end_date_precision,
+    row.duration_minutes, row.parent_event_id, row.metadata, jobId,
+  ];
 
   try {
-    // Set initial status to PROCESSING in the DB
-    await db.query(`UPDATE ingestion_jobs SET status = 'PROCESSING' WHERE job_id = $1`, [jobId]);
-    hasUpdatedStatusToProcessing = true;
+    const queryText = `
+      WITH incoming AS (
+        SELECT $1::uuid AS event_id, $2::varchar AS event_name, $3::text AS description,
+          $4::timestamptz AS start_date, $5::timestamptz AS end_date,
+          $6::timestamptz AS start_date_latest, $7::timestamptz AS end_date_earliest,
+          $8::varchar AS start_date_precision, $9::varchar AS end_date_precision, $10::integer AS duration_minutes,
+          $11::uuid AS parent_event_id, $12::jsonb AS metadata, $13::uuid AS ingestion_job_id, $14::text AS conflict_policy
+      ),
+      ${OVERWRITE_EXISTING_CTES}
+      INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id)
+      SELECT event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id
+      FROM incoming i
+      WHERE NOT EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = i.event_id)
+      ON CONFLICT (event_id) DO NOTHING;
+    `;
+    if (conflictPolicy === 'skip' || !row.parent_event_id) {
+      await db.query(queryText, [...queryParams, conflictPolicy]);
+    } else {
+      // The overwrite may move a stored event, so it is checked and written under the hierarchy lock
+      await withTransaction(async (client) => {
+        await checkParentCycle(client, row);
+        await client.query(queryText, [...queryParams, conflictPolicy]);
+      });
+    }
+  } catch (error) {
+    if (error.code !== FK_VIOLATION_CODE) {
+      throw error;
+    }
 
-    const fileStream = fs.createReadStream(filePath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity,
-    });
+    // The new parent (of a new or an overwritten event) is not stored yet
+    const insertQuery = `
+      INSERT INTO staging_events (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, raw_line)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ON CONFLICT (event_id) DO NOTHING;
+    `;
+    await db.query(insertQuery, [...queryParams, row.raw_line]);
+  }
+}
 
-    let lineNumber = 0;
-    let localErrorCount = 0;
-    let localSuccessCount = 0;
-    let queryParams = [];
+/**
+ * Inserts a single link row; a link that is already stored (same events and type) is left as it is.
+ * Links are not staged: both events must already be stored.
+ * @param {string} jobId The ID of the job, recorded on the inserted row.
+ * @param {object} row The link row produced by toLinkRow.
+ * @throws {Error} An UNKNOWN_EVENT line error if either event does not exist.
+ */
+async function insertLink(jobId, row) {
+  const queryText = `
+    INSERT INTO event_links (source_event_id, target_event_id, link_type, description, metadata, ingestion_job_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (source_event_id, target_event_id, link_type) DO NOTHING;
+  `;
 
-    for await (const line of rl) {
-      lineNumber++;
+  try {
+    await db.query(queryText, [row.source_event_id, row.target_event_id, row.link_type, row.description, row.metadata, jobId]);
+  } catch (error) {
+    if (error.code !== FK_VIOLATION_CODE) {
+      throw error;
+    }
+    const field = error.constraint === 'fk_link_source_event' ? 'source_event_id' : 'target_event_id';
+    throw createLineError('UNKNOWN_EVENT', `Linked event '${row[field]}' (${field}) does not exist.`, field);
+  }
+}
 
-      try {
-        const parts = line.split('|');
-        if (parts.length !== 7) {
-          throw new Error(`Invalid number of fields. Expected 7, got ${parts.length}.`);
-        }
+/**
+ * Inserts a batch of event rows in a single statement, applying the conflict policy to events that are already stored.
+ * Rows whose parent is already stored, or is itself resolvable within the batch, go to historical_events;
+ * everything else is parked in staging_events, mirroring the per-line foreign key deferral.
+ * Overwrites that would move a stored event to another parent are left out of the statement, so that the caller
+ * can write them with insertEvent, which checks them for cycles.
+ * @param {string} jobId The ID of the job, recorded on inserted and staged rows.
+ * @param {Array<object>} rows The event rows produced by toEventRow.
+ * @param {string} conflictPolicy One of CONFLICT_POLICIES.
+ * @returns {Promise<Array<string>>} The IDs of the events left out; all of their rows in the batch still need writing.
+ */
+async function insertEventBatch(jobId, rows, conflictPolicy) {
+  const queryText = `
+    WITH RECURSIVE batch AS (
+      SELECT *
+      FROM jsonb_to_recordset($1::jsonb) AS r(
+        event_id UUID, event_name VARCHAR(255), description TEXT, start_date TIMESTAMPTZ, end_date TIMESTAMPTZ,
+        start_date_latest TIMESTAMPTZ, end_date_earliest TIMESTAMPTZ, start_date_precision VARCHAR(5), end_date_precision VARCHAR(5),
+        duration_minutes INTEGER, parent_event_id UUID, metadata JSONB, raw_line TEXT
+      )
+    ),
+    moved AS (
+      SELECT DISTINCT b.event_id
+      FROM batch b
+      JOIN historical_events h ON h.event_id = b.event_id
+      WHERE $3 <> 'skip'
+        AND b.parent_event_id IS NOT NULL
+        AND h.parent_event_id IS DISTINCT FROM b.parent_event_id
+    ),
+    resolvable AS (
+      -- Base case: roots, and children of events that are already stored
+      SELECT b.event_id
+      FROM batch b
+      WHERE b.parent_event_id IS NULL
+         OR EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = b.parent_event_id)
+      UNION
+      -- Recursive step: children of resolvable events within the same batch
+      SELECT b.event_id
+      FROM batch b
+      INNER JOIN resolvable r ON b.parent_event_id = r.event_id
+    ),
+    incoming AS (
+      -- An event repeated within the batch keeps its first line when skipping, and its last line when overwriting, as line-by-line ingestion would
+      SELECT DISTINCT ON (b.event_id) b.*, $2::uuid AS ingestion_job_id, $3::text AS conflict_policy
+      FROM batch b
+      WHERE b.event_id IN (SELECT event_id FROM resolvable)
+        AND b.event_id NOT IN (SELECT event_id FROM moved)
+      ORDER BY b.event_id, (b.metadata->>'lineNumber')::integer * (CASE WHEN $3 = 'skip' THEN 1 ELSE -1 END)
+    ),
+    ${OVERWRITE_EXISTING_CTES},
+    inserted AS (
+      INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id)
+      SELECT i.event_id, i.event_name, i.description, i.start_date, i.end_date, i.start_date_latest, i.end_date_earliest, i.start_date_precision, i.end_date_precision, i.duration_minutes, i.parent_event_id, i.metadata, i.ingestion_job_id
+      FROM incoming i
+      WHERE NOT EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = i.event_id)
+      ON CONFLICT (event_id) DO NOTHING
+    ),
+    staged AS (
+      INSERT INTO staging_events (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id, raw_line)
+      SELECT b.event_id, b.event_name, b.description, b.start_date, b.end_date, b.start_date_latest, b.end_date_earliest, b.start_date_precision, b.end_date_precision, b.duration_minutes, b.parent_event_id, b.metadata, $2, b.raw_line
+      FROM batch b
+      WHERE b.event_id NOT IN (SELECT event_id FROM resolvable)
+        AND b.event_id NOT IN (SELECT event_id FROM moved)
+        -- Stored events only wait in staging if the policy may overwrite them once their new parent arrives
+        AND ($3 <> 'skip' OR NOT EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = b.event_id))
+      ON CONFLICT (event_id) DO NOTHING
+    )
+    SELECT event_id FROM moved;
+  `;
+  // JSON dates are ISO 8601, whose signed BCE years PostgreSQL does not read
+  const jsonRows = rows.map((row) => ({
+    ...row,
+    start_date: toSqlTimestamp(row.start_date),
+    end_date: toSqlTimestamp(row.end_date),
+    start_date_latest: toSqlTimestamp(row.start_date_latest),
+    end_date_earliest: toSqlTimestamp(row.end_date_earliest),
+  }));
+  const { rows: moved } = await db.query(queryText, [JSON.stringify(jsonRows), jobId, conflictPolicy]);
+  return moved.map((row) => row.event_id);
+}
 
-        const [eventId, eventName, startDateIso, endDateIso, parentIdOrNull, researchValue, ...rest] = parts;
-        const description = rest.join('|');
+// Staged rows, with the conflict policy of the job that staged them
+const STAGED_EVENTS_CTE = `
+  staged AS (
+    SELECT s.*, COALESCE(j.options->>'conflictPolicy', 'skip') AS conflict_policy
+    FROM staging_events s
+    LEFT JOIN ingestion_jobs j ON j.job_id = s.ingestion_job_id
+  )
+`;
 
-        if (!UUID_REGEX.test(eventId)) {
-          throw new Error(`Invalid UUID format for event_id: '${eventId}'`);
-        }
-        
-        const parentEventId = parentIdOrNull.toUpperCase() === 'NULL' ? null : parentIdOrNull;
+// Staged events whose ancestor chain is complete, at any depth, leaving out those listed in $1 (held back)
+const RESOLVABLE_EVENTS_CTE = `
+  resolvable AS (
+    -- Base case: staged events whose parent is already stored
+    SELECT s.event_id
+    FROM staging_events s
+    JOIN historical_events h
+      ON h.event_id = s.parent_event_id
+    WHERE NOT s.event_id = ANY($1::uuid[])
+    UNION
+    -- Recursive step: staged events whose parent is itself being promoted
+    SELECT s.event_id
+    FROM staging_events s
+    INNER JOIN resolvable r
+      ON r.event_id = s.parent_event_id
+    WHERE NOT s.event_id = ANY($1::uuid[])
+  )
+`;
 
-        if (parentEventId && !UUID_REGEX.test(parentEventId)) {
-          throw new Error(`Invalid UUID format for parent_event_id: '${parentEventId}'`);
-        }
+/**
+ * Finds the staged overwrites that would close a parent cycle if the resolvable staged events were promoted.
+ * Each stored event that would be moved is followed up its would-be ancestors (the staged parent of events being
+ * promoted, the stored parent of every other event) until the walk ends or comes back to it.
+ * @param {import('pg').PoolClient} client The transaction's client, holding the hierarchy lock.
+ * @param {Array<string>} heldBackIds Staged events already known to close a cycle; they keep their stored parent.
+ * @returns {Promise<Array<string>>} The IDs of further staged events that would close a cycle.
+ */
+async function findStagedParentCycles(client, heldBackIds) {
+  const queryText = `
+    WITH RECURSIVE ${STAGED_EVENTS_CTE},
+    ${RESOLVABLE_EVENTS_CTE},
+    promoted_parents AS (
+      SELECT st.event_id, st.parent_event_id
+      FROM staged st
+      WHERE st.event_id IN (SELECT event_id FROM resolvable)
+        AND (st.conflict_policy <> 'skip' OR NOT EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = st.event_id))
+    ),
+    walk AS (
+      SELECT p.event_id AS start_id, p.parent_event_id AS current_id, ARRAY[p.event_id] AS path
+      FROM promoted_parents p
+      JOIN historical_events h ON h.event_id = p.event_id
+      WHERE h.parent_event_id IS DISTINCT FROM p.parent_event_id
+      UNION ALL
+      SELECT w.start_id,
+        COALESCE(
+          (SELECT p.parent_event_id FROM promoted_parents p WHERE p.event_id = w.current_id),
+          (SELECT h.parent_event_id FROM historical_events h WHERE h.event_id = w.current_id)
+        ),
+        w.path || w.current_id
+      FROM walk w
+      -- The path only stops walks that run into a cycle the start event is not part of
+      WHERE w.current_id IS NOT NULL
+        AND w.current_id <> w.start_id
+        AND NOT w.current_id = ANY(w.path)
+    )
+    SELECT DISTINCT start_id AS event_id
+    FROM walk
+    WHERE current_id = start_id;
+  `;
+  const { rows } = await client.query(queryText, [heldBackIds]);
+  return rows.map((row) => row.event_id);
+}
 
-        const startDate = new Date(startDateIso);
-        const endDate = new Date(endDateIso);
+// Staged rows whose job will not resolve them itself: the given job ($1), and jobs that already completed
+const SETTLED_STAGING_CONDITION = `
+  (s.ingestion_job_id = $1 OR s.ingestion_job_id IN (SELECT job_id FROM ingestion_jobs WHERE status = 'COMPLETED'))
+`;
 
-        if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-          throw new Error(`Invalid date format. Start: '${startDateIso}', End: '${endDateIso}'`);
-        }
+/**
+ * Promotes deferred events from staging_events whose ancestor chain is now complete, at any depth.
+ * Chains are inserted (stored events are overwritten according to the conflict policy of the job that staged them),
+ * then removed from staging. A staged overwrite that would make an event its own ancestor is held back: the given
+ * job's, and those of jobs that already completed, are removed and returned as parent cycles; other jobs' stay staged
+ * until their own job resolves them.
+ * A row whose parent is still missing may get it from another event file that is still being ingested, so orphans
+ * are only collected once no other such job is PENDING or PROCESSING: the last job to finish removes and returns
+ * its own and every completed job's remaining rows, so that a later job does not pick them up.
+ * Must run in a transaction that also completes the job, so that a job finishing at the same time sees it completed.
+ * @param {import('pg').PoolClient} client The transaction's client.
+ * @param {string} jobId The ID of the job being completed.
+ * @returns {Promise<{orphans: Array<object>, cycles: Array<object>}>} The unresolved orphans and rejected parent
+ *   cycles (ingestion_job_id, event_id, parent_event_id, metadata, raw_line), of this job and of completed jobs.
+ */
+async function resolveDeferredEvents(client, jobId) {
+  const deferredQuery = `
+      WITH RECURSIVE ${STAGED_EVENTS_CTE},
+      ${RESOLVABLE_EVENTS_CTE},
+      incoming AS (
+        SELECT s.event_id, s.event_name, s.description, s.start_date, s.end_date, s.start_date_latest, s.end_date_earliest, s.start_date_precision, s.end_date_precision, s.duration_minutes,
+          s.parent_event_id, s.metadata, s.ingestion_job_id, s.conflict_policy
+        FROM staged s
+        WHERE s.event_id IN (SELECT event_id FROM resolvable)
+      ),
+      ${OVERWRITE_EXISTING_CTES},
+      promoted AS (
+        INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, start_date_latest, end_date_earliest, start_date_precision, end_date_precision, duration_minutes, parent_event_id, metadata, ingestion_job_id)
+        SELECT i.event_id, i.event_name, i.description, i.start_date, i.end_date, i.start_date_latest, i.end_date_earliest, i.start_date_precision, i.end_date_precision, i.duration_minutes, i.parent_event_id, i.metadata, i.ingestion_job_id
+        FROM incoming i
+        WHERE NOT EXISTS (SELECT 1 FROM historical_events h WHERE h.event_id = i.event_id)
+        ON CONFLICT (event_id) DO NOTHING
+      )
+      DELETE FROM staging_events s
+      WHERE s.event_id IN (SELECT event_id FROM resolvable)
+         OR s.event_id IN (
+           SELECT st.event_id
+           FROM staged st
+           JOIN historical_events h ON h.event_id = st.event_id
+           WHERE st.conflict_policy = 'skip'
+         );
+  `;
 
-        if (startDate > endDate) {
-          throw new Error('start_date cannot be after end_date.');
-        }
+  await client.query(HIERARCHY_LOCK_QUERY);
+
+  // Holding an overwrite back leaves its event under its stored parent, which can close another cycle
+  const heldBackIds = [];
+  let found = await findStagedParentCycles(client, heldBackIds);
+  while (found.length > 0) {
+    heldBackIds.push(...found);
+    found = await findStagedParentCycles(client, heldBackIds);
+  }
+
+  const cycleQuery = `
+      DELETE FROM staging_events s
+      WHERE s.event_id = ANY($2::uuid[]) AND ${SETTLED_STAGING_CONDITION}
+      RETURNING s.ingestion_job_id, s.event_id, s.parent_event_id, s.metadata, s.raw_line;
+  `;
+  const { rows: cycles } = await client.query(cycleQuery, [jobId, heldBackIds]);
+  await client.query(deferredQuery, [heldBackIds]);
+
+  const orphanQuery = `
+      DELETE FROM staging_events s
+      WHERE ${SETTLED_STAGING_CONDITION}
+        AND NOT EXISTS (
+          SELECT 1 FROM ingestion_jobs j
+          WHERE j.job_id <> $1
+            AND j.status IN ('PENDING', 'PROCESSING')
+            AND COALESCE(j.options->>'target', 'events') = 'events'
+        )
+      RETURNING s.ingestion_job_id, s.event_id, s.parent_event_id, s.metadata, s.raw_line;
+  `;
+  const { rows: orphans } = await client.query(orphanQuery, [jobId]);
+  return { orphans, cycles };
+}
+
+/**
+ * Records unresolved orphans and rejected parent cycles as per-line errors of the jobs that staged them.
+ * Lines of other jobs, which already completed, no longer count as processed.
+ * @param {import('pg').PoolClient} client The client of the transaction that completes the job.
+ * @param {string} jobId The ID of the job being completed.
+ * @param {{orphans: Array<object>, cycles: Array<object>}} unresolved The rows returned by resolveDeferredEvents.
+ */
+async function reportUnresolvedEvents(client, jobId, { orphans, cycles }) {
+  if (orphans.length === 0 && cycles.length === 0) {
+    return;
+  }
+
+  const errors = [
+    ...orphans.map((orphan) => ({
+      job_id: orphan.ingestion_job_id,
+      line_number: orphan.metadata.lineNumber,
+      error_code: 'ORPHAN_EVENT',
+      field: 'parent_event_id',
+      message: `Unresolved orphan event '${orphan.event_id}': parent event '${orphan.parent_event_id}' was never found.`,
+      raw_line: orphan.raw_line,
+    })),
+    ...cycles.map((cycle) => ({
+      job_id: cycle.ingestion_job_id,
+      line_number: cycle.metadata.lineNumber,
+      error_code: 'PARENT_CYCLE',
+      field: 'parent_event_id',
+      message: `Moving event '${cycle.event_id}' under '${cycle.parent_event_id}' would make it its own ancestor.`,
+      raw_line: cycle.raw_line,
+    })),
+  ].sort((a, b) => a.line_number - b.line_number);
+
+  const unresolvedQuery = `
+    WITH recorded AS (
+      INSERT INTO ingestion_job_errors (job_id, line_number, error_code, field, message, raw_line)
+      SELECT e.job_id, e.line_number, e.error_code, e.field, e.message, e.raw_line
+      FROM jsonb_to_recordset($1::jsonb) AS e(job_id UUID, line_number INTEGER, error_code TEXT, field TEXT, message TEXT, raw_line TEXT)
+      RETURNING job_id, error_code
+    ),
+    counted AS (
+      SELECT job_id, COUNT(*) AS error_count, COUNT(*) FILTER (WHERE error_code = 'ORPHAN_EVENT') AS orphan_count
+      FROM recorded
+      GROUP BY job_id
+    )
+    UPDATE ingestion_jobs j
+    SET error_lines = j.error_lines + c.error_count,
+        orphan_lines = j.orphan_lines + c.orphan_count,
+        -- The job being completed sets its processed lines itself
+        processed_lines = CASE WHEN j.job_id = $2 THEN j.processed_lines ELSE j.processed_lines - c.error_count END
+    FROM counted c
+    WHERE j.job_id = c.job_id;
+  `;
+  await client.query(unresolvedQuery, [JSON.stringify(errors), jobId]);
+}
+
+/**
+ * Commits the job's progress: counters, new per-line errors and the checkpoint line.
+ * Every line up to the checkpoint has been written (or rejected), so a resumed job starts right after it.
+ * @param {string} jobId The ID of the job.
+ * @param {object} progress The progress to commit.
+ * @param {number} progress.processedLines The number of lines ingested (or deferred) so far.
+ * @param {number} progress.lineNumber The last line whose effects are committed.
+ * @param {Array<object>} [progress.errors] Error records (see toLineError) for lines since the previous checkpoint.
+ * @param {string|null} [progress.headerLine] The source header line, once detected.
+ */
+async function saveCheckpoint(jobId, { processedLines, lineNumber, errors = [], headerLine = null }) {
+  const updateQuery = `
+    WITH recorded AS (
+      INSERT INTO ingestion_job_errors (job_id, line_number, error_code, field, message, raw_line)
+      SELECT $5, e.line_number, e.error_code, e.field, e.message, e.raw_line
+      FROM jsonb_to_recordset($4::jsonb) AS e(line_number INTEGER, error_code TEXT, field TEXT, message TEXT, raw_line TEXT)
+    )
+    UPDATE ingestion_jobs
+    SET processed_lines = $1,
+    total_lines = $2,
+    checkpoint_line = $2,
+    error_lines = error_lines + $3,
+    header_line = COALESCE($6, header_line)
+    WHERE job_id = $5
+  `;
+  await db.query(updateQuery, [processedLines, lineNumber, errors.length, JSON.stringify(errors), jobId, headerLine]);
+}
+
+/**
+ * Stops processing if the worker gave up the job (cancelled, lease lost or shutdown).
+ * @param {AbortSignal} [signal] The job's abort signal.
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason;
+  }
+}
+
+/**
+ * Ingests the file one line at a time, writing each event and the job checkpoint as it goes.
+ * @param {string} jobId The ID of the job.
+ * @param {AsyncIterable<{text: string, lineNumber: number}>} records The records of the source file (see readRecordLines).
+ * @param {object} parser The input format parser from createRecordParser.
+ * @param {string} sourceName The source file name recorded in the event metadata.
+ * @param {string} conflictPolicy What to do with events that are already stored (see CONFLICT_POLICIES).
+ * @param {{line: number, processedLines: number}} checkpoint Where a resumed job left off.
+ * @param {AbortSignal} [signal] Aborts processing between lines.
+ * @returns {Promise<{lineNumber: number, successCount: number}>} The final counters.
+ */
+async function ingestLineByLine(jobId, records, parser, sourceName, conflictPolicy, checkpoint, signal) {
+  let lineNumber = 0;
+  let localSuccessCount = checkpoint.processedLines;
+
+  for await (const { text: line, lineNumber: lastLineNumber } of records) {
+    throwIfAborted(signal);
+    lineNumber = lastLineNumber;
+
+    if (lineNumber <= checkpoint.line) {
+      parser.skip(line);
+      continue;
+    }
 
-        const durationMinutes = Math.round((endDate - startDate) / (1000 * 60));
-
-        const queryText = `
-          INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id, metadata)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          ON CONFLICT (event_id) DO NOTHING;
-        `;
-        const metadata = { originalSourceFile: filePath, lineNumber, researchValue };
-        queryParams = [eventId, eventName, description, startDate, endDate, durationMinutes, parentEventId, metadata];
-        
-        await db.query(queryText, queryParams);
+    try {
+      const record = parser.parse(line);
+      if (record) {
+        await insertEvent(jobId, toEventRow(record, lineNumber, sourceName, line), conflictPolicy);
         localSuccessCount++;
+      }
 
-        const updateQuery = `
-          UPDATE ingestion_jobs
-          SET processed_lines = $1,
-          total_lines = $2
-          WHERE job_id = $3
-        `;
+      await saveCheckpoint(jobId, { processedLines: localSuccessCount, lineNumber, headerLine: parser.headerLine });
+    } catch (error) {
+      if (error.fatal) {
+        throw error;
+      }
+      await saveCheckpoint(jobId, {
+        processedLines: localSuccessCount,
+        lineNumber,
+        errors: [toLineError(lineNumber, error, line)],
+        headerLine: parser.headerLine,
+      });
+    }
+  }
 
-        await db.query(updateQuery, [localSuccessCount, lineNumber, jobId]);
+  return { lineNumber, successCount: localSuccessCount };
+}
 
-      } catch (error) {
-        if(error.code == FK_VIOLATION_CODE){  
-          localSuccessCount++;
+/**
+ * Ingests a link file one line at a time, writing each link and the job checkpoint as it goes.
+ * @param {string} jobId The ID of the job.
+ * @param {AsyncIterable<{text: string, lineNumber: number}>} records The records of the source file (see readRecordLines).
+ * @param {object} parser The input format parser from createRecordParser, for the 'links' target.
+ * @param {string} sourceName The source file name recorded in the link metadata.
+ * @param {{line: number, processedLines: number}} checkpoint Where a resumed job left off.
+ * @param {AbortSignal} [signal] Aborts processing between lines.
+ * @returns {Promise<{lineNumber: number, successCount: number}>} The final counters.
+ */
+async function ingestLinks(jobId, records, parser, sourceName, checkpoint, signal) {
+  let lineNumber = 0;
+  let localSuccessCount = checkpoint.processedLines;
+
+  for await (const { text: line, lineNumber: lastLineNumber } of records) {
+    throwIfAborted(signal);
+    lineNumber = lastLineNumber;
+
+    if (lineNumber <= checkpoint.line) {
+      parser.skip(line);
+      continue;
+    }
+
+    try {
+      const record = parser.parse(line);
+      if (record) {
+        await insertLink(jobId, toLinkRow(record, lineNumber, sourceName));
+        localSuccessCount++;
+      }
 
-          const insertQuery = `
-          INSERT INTO staging_events (event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id, metadata)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-          ON CONFLICT (event_id) DO NOTHING;
-          `;
-          
-          await db.query(insertQuery, queryParams);
-        }else{
-          localErrorCount++;
-          
-          console.log(`Error: Line ${lineNumber} : ${error.message}`);
-
-          const updateErrorQuery = `
-              UPDATE ingestion_jobs
-              SET error_lines = error_lines + 1,
-                  errors = errors || $1::jsonb
-              WHERE job_id = $2;
-          `;
-          await db.query(updateErrorQuery, [JSON.stringify(`Line ${lineNumber}: ${error.message}`), jobId]);
+      await saveCheckpoint(jobId, { processedLines: localSuccessCount, lineNumber, headerLine: parser.headerLine });
+    } catch (error) {
+      if (error.fatal) {
+        throw error;
+      }
+      await saveCheckpoint(jobId, {
+        processedLines: localSuccessCount,
+        lineNumber,
+        errors: [toLineError(lineNumber, error, line)],
+        headerLine: parser.headerLine,
+      });
+    }
+  }
+
+  return { lineNumber, successCount: localSuccessCount };
+}
+
+/**
+ * Ingests the file in batches: lines are validated in memory, written with one statement per batch,
+ * and the job checkpoint is only saved every `progressInterval` lines.
+ * If a batch is rejected by the database, it is replayed line by line so that errors are still reported per line.
+ * @param {string} jobId The ID of the job.
+ * @param {AsyncIterable<{text: string, lineNumber: number}>} records The records of the source file (see readRecordLines).
+ * @param {object} parser The input format parser from createRecordParser.
+ * @param {string} sourceName The source file name recorded in the event metadata.
+ * @param {object} options The bulk options.
+ * @param {number} options.batchSize The number of rows written per statement.
+ * @param {number} options.progressInterval The number of lines between checkpoints.
+ * @param {string} options.conflictPolicy What to do with events that are already stored (see CONFLICT_POLICIES).
+ * @param {{line: number, processedLines: number}} checkpoint Where a resumed job left off.
+ * @param {AbortSignal} [signal] Aborts processing between lines.
+ * @returns {Promise<{lineNumber: number, successCount: number}>} The final counters.
+ */
+async function ingestInBatches(jobId, records, parser, sourceName, { batchSize, progressInterval, conflictPolicy }, checkpoint, signal) {
+  let lineNumber = 0;
+  let localSuccessCount = checkpoint.processedLines;
+  let lastReportedLine = checkpoint.line;
+  let batch = [];
+  let pendingErrors = [];
+
+  const flushBatch = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+
+    const writeLineByLine = async (rows) => {
+      for (const row of rows) {
+        try {
+          await insertEvent(jobId, row, conflictPolicy);
+          localSuccessCount++;
+        } catch (rowError) {
+          pendingErrors.push(toLineError(row.metadata.lineNumber, rowError, row.raw_line));
         }
       }
+    };
+
+    try {
+      const movedIds = await insertEventBatch(jobId, batch, conflictPolicy);
+      const movedRows = batch.filter((row) => movedIds.includes(row.event_id));
+      localSuccessCount += batch.length - movedRows.length;
+      await writeLineByLine(movedRows);
+    } catch (error) {
+      // A rejected batch writes nothing; replaying it line by line records the failing lines' errors
+      await writeLineByLine(batch);
     }
+    batch = [];
+  };
 
-    const deferredQuery = `
-        WITH first_part AS (
-          SELECT s.event_id, s.event_name, s.description, s.start_date, s.end_date, s.duration_minutes, s.parent_event_id, s.metadata
-          FROM staging_events s
-          JOIN historical_events h
-            ON h.event_id = s.parent_event_id
-        ),
-        second_part AS (
-          SELECT s.event_id, s.event_name, s.description, s.start_date, s.end_date, s.duration_minutes, s.parent_event_id, s.metadata
-          FROM staging_events s
-          INNER JOIN first_part fp
-            ON fp.event_id = s.parent_event_id
-        )
-        INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id, metadata)
-        SELECT event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id, metadata FROM first_part
-        UNION ALL
-        SELECT event_id, event_name, description, start_date, end_date, duration_minutes, parent_event_id, metadata FROM second_part;
+  const reportProgress = async () => {
+    await saveCheckpoint(jobId, {
+      processedLines: localSuccessCount,
+      lineNumber,
+      errors: pendingErrors,
+      headerLine: parser.headerLine,
+    });
+    pendingErrors = [];
+    lastReportedLine = lineNumber;
+  };
+
+  for await (const { text: line, lineNumber: lastLineNumber } of records) {
+    throwIfAborted(signal);
+    lineNumber = lastLineNumber;
+
+    if (lineNumber <= checkpoint.line) {
+      parser.skip(line);
+      continue;
+    }
+
+    try {
+      const record = parser.parse(line);
+      if (record) {
+        batch.push(toEventRow(record, lineNumber, sourceName, line));
+      }
+    } catch (error) {
+      if (error.fatal) {
+        throw error;
+      }
+      pendingErrors.push(toLineError(lineNumber, error, line));
+    }
+
+    if (batch.length >= batchSize) {
+      await flushBatch();
+    }
+
+    if (lineNumber - lastReportedLine >= progressInterval) {
+      await flushBatch();
+      await reportProgress();
+    }
+  }
+
+  await flushBatch();
+  await reportProgress();
+
+  return { lineNumber, successCount: localSuccessCount };
+}
+
+/**
+ * Processes an ingestion job: streams the file, ingests every line and finalizes the job record.
+ * @param {string} jobId The ID of the job.
+ * @param {string} filePath The path of the file to ingest.
+ * @param {object} [options] Processing options.
+ * @param {string} [options.mode='standard'] 'standard' for line-by-line writes, 'bulk' for batched writes.
+ * @param {number} [options.batchSize] Rows per statement in bulk mode.
+ * @param {number} [options.progressInterval] Lines between progress updates in bulk mode.
+ * @param {string} [options.format='pipe'] The input format (see INPUT_FORMATS).
+ * @param {object} [options.columnMapping] Maps canonical event fields to source columns.
+ * @param {boolean} [options.hasHeader] Forces header handling on or off instead of detecting it.
+ * @param {string} [options.sourceName] The name recorded as the events' originalSourceFile; defaults to filePath.
+ * @param {string} [options.conflictPolicy='skip'] What to do with events that are already stored (see CONFLICT_POLICIES).
+ * @param {string} [options.target='events'] What the file describes (see INGESTION_TARGETS): events, or links between stored events (always ingested line by line).
+ * @param {object} [context] Runtime context supplied by the worker.
+ * @param {AbortSignal} [context.signal] Signals that the worker no longer owns the job (e.g. it was cancelled); processing stops without touching the job record.
+ */
+async function processFile(jobId, filePath, options = {}, { signal } = {}) {
+  let hasUpdatedStatusToProcessing = false;
+  let fileStream = null;
+
+  try {
+    // Set status to PROCESSING and load the checkpoint, so a resumed or retried job skips the lines already committed
+    const startQuery = `
+        UPDATE ingestion_jobs
+        SET status = 'PROCESSING'
+        WHERE job_id = $1 AND status IN ('PENDING', 'PROCESSING')
+        RETURNING checkpoint_line, processed_lines;
     `;
+    const { rows } = await db.query(startQuery, [jobId]);
+    if (rows.length === 0) {
+      console.warn(`[Job ${jobId}] Job is no longer runnable, skipping.`);
+      return;
+    }
+    hasUpdatedStatusToProcessing = true;
 
-    await db.query(deferredQuery, []);
-    // Final update for the completed job
+    const checkpoint = { line: rows[0].checkpoint_line, processedLines: rows[0].processed_lines };
+    fileStream = fs.createReadStream(filePath);
+    const records = readRecordLines(readline.createInterface({
+      input: fileStream,
+      crlfDelay: Infinity,
+    }), options.format);
+
+    const parser = createRecordParser({
+      format: options.format,
+      columnMapping: options.columnMapping,
+      hasHeader: options.hasHeader,
+      target: options.target,
+    });
+
+    const sourceName = options.sourceName || filePath;
+    const conflictPolicy = options.conflictPolicy || 'skip';
+    let counters;
+    if (options.target === 'links') {
+      counters = await ingestLinks(jobId, records, parser, sourceName, checkpoint, signal);
+    } else if (options.mode === 'bulk') {
+      counters = await ingestInBatches(jobId, records, parser, sourceName, {
+        batchSize: options.batchSize || DEFAULT_BATCH_SIZE,
+        progressInterval: options.progressInterval || DEFAULT_PROGRESS_INTERVAL,
+        conflictPolicy,
+      }, checkpoint, signal);
+    } else {
+      counters = await ingestLineByLine(jobId, records, parser, sourceName, conflictPolicy, checkpoint, signal);
+    }
+    const { lineNumber, successCount } = counters;
+    throwIfAborted(signal);
+
+    // Final update for the completed job, queuing its webhook deliveries
     const finalUpdateQuery = `
-        UPDATE ingestion_jobs
-        SET status = 'COMPLETED',
-            total_lines = $1,
-            processed_lines = $2,
-            end_time = NOW()
-        WHERE job_id = $3;
+        WITH finished_jobs AS (
+          UPDATE ingestion_jobs
+          SET status = 'COMPLETED',
+              total_lines = $1,
+              processed_lines = $2,
+              lease_expires_at = NULL,
+              end_time = NOW()
+          WHERE job_id = $3 AND status = 'PROCESSING'
+          RETURNING *
+        ),
+        ${QUEUE_JOB_WEBHOOKS_CTE}
+        SELECT COUNT(*) FROM finished_jobs;
     `;
-    await db.query(finalUpdateQuery, [lineNumber, localSuccessCount, jobId]);
+    // Deferred events are resolved in the transaction that completes the job, so that a job finishing at the
+    // same time sees this one completed and collects the orphans it leaves behind
+    await withTransaction(async (client) => {
+      // Links are never staged, so only event files can leave orphans behind
+      const { orphans, cycles } = options.target === 'links' ? { orphans: [], cycles: [] } : await resolveDeferredEvents(client, jobId);
+      await reportUnresolvedEvents(client, jobId, { orphans, cycles });
+      const unresolvedLines = [...orphans, ...cycles].filter((row) => row.ingestion_job_id === jobId).length;
+      await client.query(finalUpdateQuery, [lineNumber, successCount - unresolvedLines, jobId]);
+    });
 
   } catch (err) {
+    if (signal && signal.aborted) {
+      console.warn(`[Job ${jobId}] Processing stopped: ${err.message}`);
+      return;
+    }
+
     console.error(`[Job ${jobId}] Failed to process file:`, err);
     // If a fatal error occurs, update the job status to FAILED.
     const status = hasUpdatedStatusToProcessing ? 'FAILED' : 'PENDING';
     const failUpdateQuery = `
-        UPDATE ingestion_jobs
-        SET status = $1,
-            errors = errors || $2::jsonb,
-            end_time = NOW()
-        WHERE job_id = $3;
+        WITH finished_jobs AS (
+          UPDATE ingestion_jobs
+          SET status = $1,
+              errors = errors || $2::jsonb,
+              lease_expires_at = NULL,
+              end_time = NOW()
+          WHERE job_id = $3 AND status IN ('PENDING', 'PROCESSING')
+          RETURNING *
+        ),
+        ${QUEUE_JOB_WEBHOOKS_CTE}
+        SELECT COUNT(*) FROM finished_jobs;
     `;
     await db.query(failUpdateQuery, [status, JSON.stringify(`Fatal Error: ${err.message}`), jobId]);
+  } finally {
+    if (fileStream) {
+      fileStream.destroy();
+    }
   }
 }
 
 module.exports = {
+  INGESTION_MODES,
+  CONFLICT_POLICIES,
   processFile,
+  toEventRow,
+  toLinkRow,
+  toLineError,
 };
\ No newline at end of file
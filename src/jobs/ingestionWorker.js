@@ -0,0 +1,145 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { processFile } = require('./ingestionProcessor');
+const { deliverDueWebhooks } = require('./webhookDelivery');
+const { removeExpiredUploads } = require('./uploadRetention');
+const databaseService = require('../database/database.service');
+const ingestionConfig = require('../configs/ingestion');
+
+// Identifies this process in ingestion_jobs.worker_id; unique per boot so a restarted worker never trusts stale leases.
+const WORKER_ID = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+
+// How often the worker looks for uploads that no job needs any more
+const UPLOAD_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// jobId -> AbortController for the jobs this worker is currently processing
+const runningJobs = new Map();
+let isRunning = false;
+let pollTimer = null;
+let isPolling = false;
+let lastUploadSweepAt = 0;
+
+/**
+ * Processes a claimed job while keeping its lease alive. If the lease is lost (the job was cancelled,
+ * or another worker took it over), processing is aborted so the job is never worked on twice.
+ * @param {object} job The claimed ingestion_jobs row.
+ */
+async function runJob(job) {
+  const { leaseSeconds } = ingestionConfig;
+  const controller = new AbortController();
+  runningJobs.set(job.job_id, controller);
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const stillOwned = await databaseService.renewIngestionJobLease(job.job_id, WORKER_ID, leaseSeconds);
+      if (!stillOwned) {
+        controller.abort(new Error('Job was cancelled or taken over by another worker'));
+      }
+    } catch (error) {
+      console.error(`[Job ${job.job_id}] Failed to renew lease:`, error);
+    }
+  }, (leaseSeconds * 1000) / 3);
+
+  try {
+    console.log(`[Job ${job.job_id}] Claimed by ${WORKER_ID} (attempt ${job.attempts}).`);
+    await processFile(job.job_id, job.file_path, job.options, { signal: controller.signal });
+  } finally {
+    clearInterval(heartbeat);
+    runningJobs.delete(job.job_id);
+  }
+}
+
+/**
+ * Claims and starts jobs until the concurrency limit is reached or the queue is empty, then sends the webhook deliveries
+ * that are due and, every UPLOAD_SWEEP_INTERVAL_MS, deletes the uploads no job needs any more.
+ */
+async function poll() {
+  if (!isRunning || isPolling) {
+    return;
+  }
+  isPolling = true;
+
+  try {
+    const { concurrency, leaseSeconds, maxAttempts } = ingestionConfig;
+    await databaseService.failExhaustedIngestionJobs(maxAttempts);
+
+    while (isRunning && runningJobs.size < concurrency) {
+      const job = await databaseService.claimNextIngestionJob(WORKER_ID, leaseSeconds, maxAttempts);
+      if (!job) {
+        break;
+      }
+
+      runJob(job)
+        .catch((error) => console.error(`[Job ${job.job_id}] Worker error:`, error))
+        .finally(() => wakeUp());
+    }
+
+    // Not awaited: a slow webhook endpoint must not hold up claiming jobs
+    deliverDueWebhooks().catch((error) => console.error('Ingestion worker failed to deliver webhooks:', error));
+
+    if (Date.now() - lastUploadSweepAt >= UPLOAD_SWEEP_INTERVAL_MS) {
+      lastUploadSweepAt = Date.now();
+      removeExpiredUploads().catch((error) => console.error('Ingestion worker failed to remove expired uploads:', error));
+    }
+  } catch (error) {
+    console.error('Ingestion worker failed to poll the job queue:', error);
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Polls the queue immediately instead of waiting for the next interval, e.g. right after a job is created.
+ */
+function wakeUp() {
+  setImmediate(poll);
+}
+
+/**
+ * Stops processing a job immediately if this worker is running it (other workers notice on their next heartbeat).
+ * @param {string} jobId The ID of the job.
+ * @param {string} reason Why the job is being stopped.
+ */
+function abortJob(jobId, reason) {
+  const controller = runningJobs.get(jobId);
+  if (controller) {
+    controller.abort(new Error(reason));
+  }
+}
+
+/**
+ * Starts the worker loop. Jobs left PENDING, or PROCESSING by a worker that died, are picked up automatically.
+ */
+function startIngestionWorker() {
+  if (isRunning) {
+    return;
+  }
+  isRunning = true;
+
+  pollTimer = setInterval(poll, ingestionConfig.pollIntervalMs);
+  wakeUp();
+  console.log(`Ingestion worker ${WORKER_ID} started (concurrency ${ingestionConfig.concurrency}).`);
+}
+
+/**
+ * Stops claiming new jobs and hands the jobs in progress back to the queue for another worker.
+ */
+async function stopIngestionWorker() {
+  if (!isRunning) {
+    return;
+  }
+  isRunning = false;
+  clearInterval(pollTimer);
+
+  for (const [jobId, controller] of runningJobs) {
+    controller.abort(new Error('Worker shutting down'));
+    await databaseService.releaseIngestionJob(jobId, WORKER_ID);
+  }
+}
+
+module.exports = {
+  startIngestionWorker,
+  stopIngestionWorker,
+  abortJob,
+  wakeUp,
+};
\ No newline at end of file
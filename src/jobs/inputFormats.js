@@ -0,0 +1,386 @@
+// Regular expression to validate if a string is a UUID
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const INPUT_FORMATS = ['pipe', 'csv', 'jsonl'];
+
+// The canonical event fields, in the order of the original pipe-delimited layout.
+const EVENT_FIELDS = ['eventId', 'eventName', 'startDate', 'endDate', 'parentId', 'researchValue', 'description'];
+const REQUIRED_FIELDS = ['eventId', 'eventName', 'startDate', 'endDate'];
+
+// Column names recognised for each canonical field when no explicit mapping is given.
+const FIELD_ALIASES = {
+  eventId: ['eventid', 'event_id', 'id'],
+  eventName: ['eventname', 'event_name', 'name'],
+  startDate: ['startdate', 'start_date', 'start'],
+  endDate: ['enddate', 'end_date', 'end'],
+  parentId: ['parentid', 'parent_id', 'parent', 'parenteventid', 'parent_event_id'],
+  researchValue: ['researchvalue', 'research_value'],
+  description: ['description'],
+};
+
+// How one event relates to another through an event link (see event_links)
+const LINK_TYPES = ['caused', 'preceded', 'references'];
+
+// The fields of event link files, in the order of their headerless layout.
+const LINK_FIELDS = ['sourceEventId', 'targetEventId', 'linkType', 'description'];
+
+// What an input file describes: its canonical fields, the required ones and their column aliases.
+const RECORD_SCHEMAS = {
+  events: { fields: EVENT_FIELDS, required: REQUIRED_FIELDS, aliases: FIELD_ALIASES },
+  links: {
+    fields: LINK_FIELDS,
+    required: ['sourceEventId', 'targetEventId', 'linkType'],
+    aliases: {
+      sourceEventId: ['sourceeventid', 'source_event_id', 'source', 'from'],
+      targetEventId: ['targeteventid', 'target_event_id', 'target', 'to'],
+      linkType: ['linktype', 'link_type', 'type'],
+      description: ['description'],
+    },
+  },
+};
+const INGESTION_TARGETS = Object.keys(RECORD_SCHEMAS);
+
+// The most lines a CSV record with quoted line breaks may span
+const MAX_RECORD_LINES = 100;
+
+/**
+ * Creates a validation error for a single line, carrying a machine-readable code and the offending field.
+ * @param {string} errorCode The error code, e.g. 'INVALID_UUID'.
+ * @param {string} message The human-readable message.
+ * @param {string|null} [field] The event field at fault, if any.
+ * @returns {Error} The error.
+ */
+function createLineError(errorCode, message, field = null) {
+  const error = new Error(message);
+  error.errorCode = errorCode;
+  error.field = field;
+  return error;
+}
+
+/**
+ * Splits a record of RFC 4180 style CSV. Quoted fields may contain commas, doubled quotes and line breaks
+ * (see readRecordLines), but must be closed by the end of the record.
+ * @param {string} line The raw record.
+ * @returns {Array<string>} The field values.
+ */
+function splitCsvLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw createLineError('UNTERMINATED_QUOTE', 'Unterminated quoted field.');
+  }
+
+  values.push(current);
+  return values;
+}
+
+/**
+ * Groups the lines of an input into records. A record is one line, except in CSV, where a quoted field may hold
+ * line breaks: its record runs on until the quote is closed, or for at most MAX_RECORD_LINES lines, so that a
+ * stray quote cannot swallow the rest of the file. A record left unclosed is passed on as it is, for the parser
+ * to reject as UNTERMINATED_QUOTE.
+ * @param {AsyncIterable<string>} lines The lines of the input, e.g. a readline interface.
+ * @param {string} [format='pipe'] One of INPUT_FORMATS.
+ * @returns {AsyncIterable<{text: string, lineNumber: number}>} The text of each record, with its line breaks, and
+ *   the number of its last line.
+ */
+async function* readRecordLines(lines, format = 'pipe') {
+  let lineNumber = 0;
+  let pending = [];
+  let quoteOpen = false;
+
+  for await (const line of lines) {
+    lineNumber++;
+    pending.push(line);
+    // A doubled quote within a quoted field toggles twice, so the parity of the quotes tells whether one is open
+    if (format === 'csv' && (line.split('"').length - 1) % 2 === 1) {
+      quoteOpen = !quoteOpen;
+    }
+
+    if (!quoteOpen || pending.length >= MAX_RECORD_LINES) {
+      yield { text: pending.join('\n'), lineNumber };
+      pending = [];
+      quoteOpen = false;
+    }
+  }
+
+  if (pending.length > 0) {
+    yield { text: pending.join('\n'), lineNumber };
+  }
+}
+
+/**
+ * Finds the column that holds a canonical field, either from the mapping or by its known aliases.
+ * @param {string} field The canonical field name.
+ * @param {Array<string>} columns The header column names.
+ * @param {object} columnMapping The caller-supplied mapping.
+ * @param {object} schema The record schema (see RECORD_SCHEMAS).
+ * @returns {number} The column index, or -1 if absent.
+ */
+function findColumn(field, columns, columnMapping, schema) {
+  const source = columnMapping[field];
+  if (typeof source === 'number') {
+    return source;
+  }
+
+  const normalized = columns.map((column) => column.trim().toLowerCase());
+  if (typeof source === 'string') {
+    return normalized.indexOf(source.trim().toLowerCase());
+  }
+
+  return normalized.findIndex((column) => schema.aliases[field].includes(column));
+}
+
+/**
+ * Heuristic header detection: a header carries no UUIDs and names at least one known or mapped column.
+ * @param {Array<string>} values The values of the first line.
+ * @param {object} columnMapping The caller-supplied mapping.
+ * @param {object} schema The record schema (see RECORD_SCHEMAS).
+ * @returns {boolean} True if the line looks like a header.
+ */
+function looksLikeHeader(values, columnMapping, schema) {
+  if (values.some((value) => UUID_REGEX.test(value.trim()))) {
+    return false;
+  }
+
+  const knownNames = new Set(Object.values(schema.aliases).flat());
+  for (const source of Object.values(columnMapping)) {
+    if (typeof source === 'string') {
+      knownNames.add(source.trim().toLowerCase());
+    }
+  }
+
+  return values.some((value) => knownNames.has(value.trim().toLowerCase()));
+}
+
+/**
+ * Builds a column layout (field -> index, plus extra columns) for delimited input.
+ * @param {Array<string>|null} header The header column names, or null for headerless input.
+ * @param {object} columnMapping The caller-supplied mapping.
+ * @param {object} schema The record schema (see RECORD_SCHEMAS).
+ * @returns {{fieldIndexes: object, extraColumns: Array<{name: string, index: number}>, expectedFields: number|null}}
+ */
+function buildLayout(header, columnMapping, schema) {
+  const fieldIndexes = {};
+
+  if (header) {
+    for (const field of schema.fields) {
+      const index = findColumn(field, header, columnMapping, schema);
+      if (index >= header.length) {
+        const error = createLineError('MISSING_COLUMN', `columnMapping.${field} is column ${index}, but the header has ${header.length} column(s).`, field);
+        error.fatal = true;
+        throw error;
+      }
+      if (index >= 0) {
+        fieldIndexes[field] = index;
+      }
+    }
+  } else {
+    schema.fields.forEach((field, index) => {
+      fieldIndexes[field] = typeof columnMapping[field] === 'number' ? columnMapping[field] : index;
+    });
+  }
+
+  const missing = schema.required.filter((field) => fieldIndexes[field] === undefined);
+  if (missing.length > 0) {
+    // A broken layout affects every line, so it fails the whole job rather than a single line.
+    const error = createLineError('MISSING_COLUMN', `Header is missing required column(s): ${missing.join(', ')}. Provide a columnMapping.`);
+    error.fatal = true;
+    throw error;
+  }
+
+  const mappedIndexes = new Set(Object.values(fieldIndexes));
+  const extraColumns = header
+    ? header
+      .map((name, index) => ({ name: name.trim(), index }))
+      .filter(({ name, index }) => name && !mappedIndexes.has(index))
+    : [];
+
+  // Headerless input keeps the strict layout (7 fields for events) unless the caller remapped the columns.
+  let expectedFields = null;
+  if (header) {
+    expectedFields = header.length;
+  } else if (Object.keys(columnMapping).length === 0) {
+    expectedFields = schema.fields.length;
+  }
+
+  return { fieldIndexes, extraColumns, expectedFields };
+}
+
+/**
+ * Creates a stateful parser that turns raw lines (records, see readRecordLines) of the given format into canonical
+ * event (or link) records. The parser skips blank lines and, for delimited formats, the header line. `skip`
+ * consumes a line without producing a record, for lines before a resume checkpoint.
+ * @param {object} [options] The format options.
+ * @param {string} [options.format='pipe'] One of INPUT_FORMATS.
+ * @param {object} [options.columnMapping] Maps canonical fields to a source column name (or a 0-based index for headerless input).
+ * @param {boolean} [options.hasHeader] Forces header handling on or off; detected from the first line when omitted.
+ * @param {string} [options.target='events'] What the file describes, one of INGESTION_TARGETS.
+ * @returns {{parse: function(string): (object|null), skip: function(string): void, headerLine: (string|null)}} The parser. `parse` returns `{ fields, extra }`, or null for lines that carry no record.
+ */
+function createRecordParser({ format = 'pipe', columnMapping = {}, hasHeader, target = 'events' } = {}) {
+  const schema = RECORD_SCHEMAS[target];
+
+  if (format === 'jsonl') {
+    return {
+      parse(line) {
+        if (line.trim() === '') {
+          return null;
+        }
+
+        let object;
+        try {
+          object = JSON.parse(line);
+        } catch (error) {
+          throw createLineError('INVALID_JSON', `Invalid JSON: ${error.message}`);
+        }
+        if (!object || typeof object !== 'object' || Array.isArray(object)) {
+          throw createLineError('INVALID_JSON', 'Each JSONL line must be a JSON object.');
+        }
+
+        const keys = Object.keys(object);
+        const fields = {};
+        const usedKeys = new Set();
+        for (const field of schema.fields) {
+          const index = findColumn(field, keys, columnMapping, schema);
+          if (index >= 0) {
+            fields[field] = object[keys[index]];
+            usedKeys.add(keys[index]);
+          }
+        }
+
+        const extra = {};
+        for (const key of keys) {
+          if (!usedKeys.has(key)) {
+            extra[key] = object[key];
+          }
+        }
+
+        return { fields, extra };
+      },
+      headerLine: null,
+      skip() {},
+    };
+  }
+
+  const split = format === 'csv' ? splitCsvLine : (line) => line.split('|');
+  let layout = null;
+
+  return {
+    // The raw header line once detected, so rejected lines can be written back out in the source layout
+    headerLine: null,
+    parse(line) {
+      if (line.trim() === '') {
+        return null;
+      }
+
+      const values = split(line);
+
+      if (!layout) {
+        const isHeader = hasHeader === undefined ? looksLikeHeader(values, columnMapping, schema) : hasHeader;
+        layout = buildLayout(isHeader ? values : null, columnMapping, schema);
+        if (isHeader) {
+          this.headerLine = line;
+          return null;
+        }
+      }
+
+      const { fieldIndexes, extraColumns, expectedFields } = layout;
+      if (expectedFields !== null && values.length !== expectedFields) {
+        throw createLineError('INVALID_FIELD_COUNT', `Invalid number of fields. Expected ${expectedFields}, got ${values.length}.`);
+      }
+
+      const fields = {};
+      for (const [field, index] of Object.entries(fieldIndexes)) {
+        if (index >= values.length) {
+          throw createLineError('MISSING_COLUMN', `Missing column ${index} for field '${field}'.`, field);
+        }
+        fields[field] = values[index];
+      }
+
+      const extra = {};
+      for (const { name, index } of extraColumns) {
+        extra[name] = values[index];
+      }
+
+      return { fields, extra };
+    },
+    skip(line) {
+      // Lines skipped on resume still establish the layout, since the header is among them
+      if (layout || line.trim() === '') {
+        return;
+      }
+      try {
+        this.parse(line);
+      } catch (error) {
+        if (error.fatal) {
+          throw error;
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Validates a caller-supplied column mapping.
+ * @param {*} columnMapping The mapping to validate.
+ * @param {string} [target='events'] What the file describes, one of INGESTION_TARGETS.
+ * @returns {string|null} An error message, or null if the mapping is valid.
+ */
+function validateColumnMapping(columnMapping, target = 'events') {
+  const { fields } = RECORD_SCHEMAS[target];
+  if (columnMapping === undefined) {
+    return null;
+  }
+  if (!columnMapping || typeof columnMapping !== 'object' || Array.isArray(columnMapping)) {
+    return 'columnMapping must be an object.';
+  }
+
+  for (const [field, source] of Object.entries(columnMapping)) {
+    if (!fields.includes(field)) {
+      return `Unknown field '${field}' in columnMapping. Allowed fields: ${fields.join(', ')}.`;
+    }
+    const isIndex = Number.isInteger(source) && source >= 0;
+    if (!isIndex && (typeof source !== 'string' || source.trim() === '')) {
+      return `columnMapping.${field} must be a column name or a 0-based column index.`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  UUID_REGEX,
+  INPUT_FORMATS,
+  INGESTION_TARGETS,
+  LINK_TYPES,
+  EVENT_FIELDS,
+  createLineError,
+  createRecordParser,
+  readRecordLines,
+  validateColumnMapping,
+};
\ No newline at end of file
@@ -0,0 +1,193 @@
+const { EVENT_FIELDS } = require('./inputFormats');
+const { toStoredDateRange, formatHistoricalDate } = require('./historicalDates');
+const { BOOKKEEPING_METADATA_KEYS } = require('../database/eventRevisions');
+
+// File extension and content type of each export format; every format but ics can be ingested again
+const EXPORT_FORMATS = {
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  pipe: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  ics: { extension: 'ics', contentType: 'text/calendar; charset=utf-8' },
+};
+
+// Metadata keys left out of JSONL records: ingestion sets them again when the export is ingested, and researchValue
+// is written as its own field
+const OMITTED_METADATA_KEYS = [...BOOKKEEPING_METADATA_KEYS, 'researchValue'];
+
+// iCalendar lines are folded at 75 octets (RFC 5545, section 3.1)
+const ICS_LINE_OCTETS = 75;
+const ICS_UID_DOMAIN = 'chronologicon';
+
+/**
+ * Converts a stored event into the canonical ingestion fields (see EVENT_FIELDS). The dates are written in the
+ * form they are read in, so their precision and uncertainty survive a round trip.
+ * @param {object} event The historical_events row.
+ * @returns {object} The fields, keyed by their canonical name.
+ */
+function toEventFields(event) {
+  const metadata = event.metadata || {};
+  return {
+    eventId: event.event_id,
+    eventName: event.event_name,
+    startDate: formatHistoricalDate(toStoredDateRange(event, 'start')),
+    endDate: formatHistoricalDate(toStoredDateRange(event, 'end')),
+    parentId: event.parent_event_id,
+    researchValue: metadata.researchValue === undefined ? null : metadata.researchValue,
+    description: event.description,
+  };
+}
+
+/**
+ * Flattens a value onto a single line, since every delimited input format reads one record per line.
+ * @param {*} value The value.
+ * @returns {string} The text, with line breaks replaced by spaces; empty for null.
+ */
+function toSingleLine(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/\r\n|[\r\n]/g, ' ');
+}
+
+/**
+ * Quotes a CSV value when it holds a comma, a quote or surrounding spaces (RFC 4180).
+ * @param {*} value The value.
+ * @returns {string} The field.
+ */
+function toCsvField(value) {
+  const text = toSingleLine(value);
+  return /[",]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes an iCalendar TEXT value (RFC 5545, section 3.3.11).
+ * @param {*} value The value.
+ * @returns {string} The escaped text.
+ */
+function toIcsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r\n|[\r\n]/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line into lines of at most 75 octets, never splitting a character.
+ * @param {string} line The content line.
+ * @returns {string} The folded line, CRLF-terminated.
+ */
+function foldIcsLine(line) {
+  let folded = '';
+  let octets = 0;
+  for (const char of line) {
+    const charOctets = Buffer.byteLength(char);
+    if (octets + charOctets > ICS_LINE_OCTETS) {
+      folded += '\r\n ';
+      // The leading space of a continuation line counts towards its length
+      octets = 1;
+    }
+    folded += char;
+    octets += charOctets;
+  }
+  return `${folded}\r\n`;
+}
+
+/**
+ * Formats an instant as an iCalendar UTC DATE-TIME or, for whole days, a DATE.
+ * @param {Date} date The instant.
+ * @param {boolean} wholeDays Whether to write a DATE.
+ * @returns {string} The value, e.g. '20230105T120000Z' or '20230105'.
+ */
+function toIcsDate(date, wholeDays) {
+  const compact = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return wholeDays ? compact.slice(0, 8) : compact;
+}
+
+/**
+ * Writes an event as an iCalendar VEVENT spanning the widest period it may cover. Dates without a time are
+ * written as DATE values, so calendars show them as all-day events.
+ * @param {object} event The historical_events row.
+ * @param {string} stamp The DTSTAMP of the export.
+ * @returns {string|null} The VEVENT, or null if a date lies outside the years 1 to 9999 that iCalendar can express.
+ */
+function toIcsEvent(event, stamp) {
+  const start = new Date(event.start_date);
+  const end = new Date(event.end_date);
+  if (start.getUTCFullYear() < 1 || end.getUTCFullYear() > 9999) {
+    return null;
+  }
+
+  const isMidnight = (date) => date.getTime() % (24 * 60 * 60 * 1000) === 0;
+  const wholeDays = event.start_date_precision !== 'exact' && event.end_date_precision !== 'exact' && isMidnight(start) && isMidnight(end);
+  const dateType = wholeDays ? ';VALUE=DATE' : '';
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.event_id}@${ICS_UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART${dateType}:${toIcsDate(start, wholeDays)}`,
+    `DTEND${dateType}:${toIcsDate(end, wholeDays)}`,
+    `SUMMARY:${toIcsText(event.event_name)}`,
+  ];
+  if (event.description) {
+    lines.push(`DESCRIPTION:${toIcsText(event.description)}`);
+  }
+  if (event.parent_event_id) {
+    lines.push(`RELATED-TO;RELTYPE=PARENT:${event.parent_event_id}@${ICS_UID_DOMAIN}`);
+  }
+  lines.push('END:VEVENT');
+  return lines.map(foldIcsLine).join('');
+}
+
+/**
+ * Creates a writer that turns stored events into the lines of an export file.
+ * - jsonl: one object per event with the ingestion fields and the event's own metadata keys, which ingestion
+ *   stores in the metadata again;
+ * - csv and pipe: a header and the seven ingestion fields, in the order of the original pipe-delimited layout.
+ *   Line breaks in values become spaces, and so do pipes in pipe files, which cannot escape them;
+ * - ics: an iCalendar file with one VEVENT per event. Events before 1 CE are left out.
+ * @param {string} format One of the keys of EXPORT_FORMATS.
+ * @returns {{header: (string|null), write: function(object): (string|null), footer: (string|null)}} The writer.
+ *   `write` returns the text of one event (null if the format cannot hold it); header and footer wrap the file.
+ */
+function createEventWriter(format) {
+  if (format === 'jsonl') {
+    return {
+      header: null,
+      write(event) {
+        // The event fields come first, so ingestion finds them before any metadata key that looks like one
+        const record = toEventFields(event);
+        for (const [key, value] of Object.entries(event.metadata || {})) {
+          if (!OMITTED_METADATA_KEYS.includes(key) && !(key in record)) {
+            record[key] = value;
+          }
+        }
+        return `${JSON.stringify(record)}\n`;
+      },
+      footer: null,
+    };
+  }
+
+  if (format === 'ics') {
+    const stamp = toIcsDate(new Date(), false);
+    return {
+      header: ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//ArchaeoData Inc.//Chronologicon Engine//EN', 'CALSCALE:GREGORIAN']
+        .map(foldIcsLine).join(''),
+      write: (event) => toIcsEvent(event, stamp),
+      footer: foldIcsLine('END:VCALENDAR'),
+    };
+  }
+
+  const toField = format === 'csv' ? toCsvField : (value) => toSingleLine(value).replace(/\|/g, ' ');
+  const delimiter = format === 'csv' ? ',' : '|';
+  return {
+    header: `${EVENT_FIELDS.join(delimiter)}\n`,
+    write(event) {
+      const fields = toEventFields(event);
+      // The pipe layout spells a missing parent NULL
+      if (format === 'pipe' && fields.parentId === null) {
+        fields.parentId = 'NULL';
+      }
+      return `${EVENT_FIELDS.map((field) => toField(fields[field])).join(delimiter)}\n`;
+    },
+    footer: null,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createEventWriter,
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('../database/database.service');
+const ingestionConfig = require('../configs/ingestion');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let isRemoving = false;
+
+/**
+ * Tells whether a job's file is an upload (stored in the upload directory) rather than a server-side file.
+ * @param {string} filePath The job's file_path.
+ * @returns {boolean} Whether the file is an upload, which the worker deletes once it is no longer needed.
+ */
+function isUploadedFile(filePath) {
+  return path.dirname(filePath) === ingestionConfig.uploadDir && filePath.endsWith('.upload');
+}
+
+/**
+ * Tells whether an upload can be deleted: its job COMPLETED (and cannot be retried), or it has been kept for the
+ * retention period since its job FAILED or was CANCELLED. An upload no job refers to (e.g. left by a crash between
+ * storing it and creating the job) is deleted once it is older than the retention period.
+ * @param {string} filePath The upload's path.
+ * @param {object|undefined} job The job that ingests it (file_path, status, end_time), if any.
+ * @param {number} expiresBefore Uploads kept since before this time (in milliseconds) have expired.
+ * @returns {Promise<boolean>} Whether the upload can be deleted.
+ */
+async function isUploadExpired(filePath, job, expiresBefore) {
+  if (job) {
+    return job.status === 'COMPLETED'
+      || (['FAILED', 'CANCELLED'].includes(job.status) && job.end_time.getTime() < expiresBefore);
+  }
+
+  try {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    return mtimeMs < expiresBefore;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes the uploads that no job will read again (see isUploadExpired). Does nothing while a previous sweep is still running.
+ */
+async function removeExpiredUploads() {
+  if (isRemoving) {
+    return;
+  }
+  isRemoving = true;
+
+  try {
+    const { uploadDir, uploadRetentionHours } = ingestionConfig;
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(uploadDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const filePaths = fileNames.map((fileName) => path.join(uploadDir, fileName)).filter(isUploadedFile);
+    if (filePaths.length === 0) {
+      return;
+    }
+
+    const jobs = await databaseService.getIngestionJobsForFiles(filePaths);
+    const jobsByPath = new Map(jobs.map((job) => [job.file_path, job]));
+    const expiresBefore = Date.now() - uploadRetentionHours * HOUR_MS;
+
+    for (const filePath of filePaths) {
+      if (await isUploadExpired(filePath, jobsByPath.get(filePath), expiresBefore)) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    }
+  } finally {
+    isRemoving = false;
+  }
+}
+
+module.exports = {
+  isUploadedFile,
+  removeExpiredUploads,
+};
\ No newline at end of file
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const databaseService = require('../database/database.service');
+const ingestionConfig = require('../configs/ingestion');
+const { checkAddressHost, lookupWebhookAddress } = require('./webhookTargets');
+
+// Deliveries claimed at a time; they are sent concurrently
+const DELIVERY_BATCH_SIZE = 10;
+// Kept for the delivery record, so a chatty endpoint cannot bloat webhook_deliveries
+const MAX_RECORDED_ERROR_LENGTH = 500;
+// How a stored webhook secret begins: as sent, or encrypted with WEBHOOK_SECRET_KEY (IV, auth tag and ciphertext in base64)
+const PLAIN_SECRET_PREFIX = 'plain:';
+const SEALED_SECRET_PREFIX = 'aes-256-gcm:';
+
+let isDelivering = false;
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC over the same string and compare, and reject old timestamps to stop replays.
+ * @param {string} secret The webhook's secret.
+ * @param {number} timestamp The X-Chronologicon-Timestamp header (Unix seconds).
+ * @param {string} body The raw request body.
+ * @returns {string} The X-Chronologicon-Signature header value: 'sha256=' and the hex HMAC-SHA256 of `${timestamp}.${body}`.
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Derives the AES-256 key from WEBHOOK_SECRET_KEY.
+ * @returns {Buffer} The key.
+ */
+function secretEncryptionKey() {
+  return crypto.createHash('sha256').update(ingestionConfig.webhookSecretKey).digest();
+}
+
+/**
+ * Prepares a webhook secret for storage: encrypted with AES-256-GCM when WEBHOOK_SECRET_KEY is set, as sent otherwise.
+ * @param {string} secret The secret.
+ * @returns {string} The value to store in ingestion_webhooks.secret.
+ */
+function sealWebhookSecret(secret) {
+  if (!ingestionConfig.webhookSecretKey) {
+    return `${PLAIN_SECRET_PREFIX}${secret}`;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return `${SEALED_SECRET_PREFIX}${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+}
+
+/**
+ * Recovers a webhook secret stored by sealWebhookSecret.
+ * @param {string} stored The value of ingestion_webhooks.secret.
+ * @returns {string} The secret.
+ * @throws {Error} If the secret is encrypted and WEBHOOK_SECRET_KEY is missing or is not the key it was encrypted with.
+ */
+function openWebhookSecret(stored) {
+  if (stored.startsWith(PLAIN_SECRET_PREFIX)) {
+    return stored.slice(PLAIN_SECRET_PREFIX.length);
+  }
+  if (!stored.startsWith(SEALED_SECRET_PREFIX) || !ingestionConfig.webhookSecretKey) {
+    throw new Error('The webhook secret is encrypted, but WEBHOOK_SECRET_KEY is not set.');
+  }
+  const sealed = Buffer.from(stored.slice(SEALED_SECRET_PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretEncryptionKey(), sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * POSTs a request body, connecting only to public addresses unless the host is allow-listed (see webhookTargets).
+ * @param {string} url The webhook URL.
+ * @param {object} headers The request headers.
+ * @param {string} body The request body.
+ * @returns {Promise<number>} The response status; the response body is discarded.
+ */
+function postWebhook(url, headers, body) {
+  const target = new URL(url);
+  const rejection = checkAddressHost(target);
+  if (rejection) {
+    return Promise.reject(new Error(rejection));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupWebhookAddress,
+      signal: AbortSignal.timeout(ingestionConfig.webhookTimeoutMs),
+    }, (response) => {
+      // The response body is not used; discard it so the connection is released
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * POSTs a claimed delivery to its webhook. Any 2xx response counts as delivered; redirects are not followed.
+ * @param {object} delivery The claimed delivery (see databaseService.claimDueWebhookDeliveries).
+ * @returns {Promise<{delivered: boolean, responseStatus: (number|null), error: (string|null)}>} The outcome.
+ */
+async function sendDelivery(delivery) {
+  const body = JSON.stringify({
+    deliveryId: delivery.delivery_id,
+    event: delivery.event_type,
+    createdAt: delivery.created_at,
+    job: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const status = await postWebhook(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Chronologicon-Webhooks',
+      'X-Chronologicon-Event': delivery.event_type,
+      'X-Chronologicon-Delivery': delivery.delivery_id,
+      'X-Chronologicon-Timestamp': String(timestamp),
+      'X-Chronologicon-Signature': signWebhookPayload(openWebhookSecret(delivery.secret), timestamp, body),
+    }, body);
+
+    return status >= 200 && status < 300
+      ? { delivered: true, responseStatus: status, error: null }
+      : { delivered: false, responseStatus: status, error: `Endpoint responded with HTTP ${status}` };
+  } catch (error) {
+    return { delivered: false, responseStatus: null, error: error.message.slice(0, MAX_RECORDED_ERROR_LENGTH) };
+  }
+}
+
+/**
+ * Makes one attempt at a delivery and records it, scheduling a retry with exponential backoff after a failure.
+ * @param {object} delivery The claimed delivery.
+ */
+async function attemptDelivery(delivery) {
+  const { webhookRetryDelaySeconds, webhookMaxAttempts } = ingestionConfig;
+  const outcome = await sendDelivery(delivery);
+
+  let retryInSeconds = null;
+  if (!outcome.delivered && delivery.attempts < webhookMaxAttempts) {
+    retryInSeconds = webhookRetryDelaySeconds * 2 ** (delivery.attempts - 1);
+  }
+  if (!outcome.delivered) {
+    const next = retryInSeconds === null ? 'giving up' : `retrying in ${retryInSeconds}s`;
+    console.warn(`[Webhook ${delivery.webhook_id}] Delivery ${delivery.delivery_id} failed (attempt ${delivery.attempts}, ${next}): ${outcome.error}`);
+  }
+
+  await databaseService.recordWebhookDeliveryAttempt(delivery.delivery_id, { ...outcome, retryInSeconds });
+}
+
+/**
+ * Sends the webhook deliveries that are due, batch by batch, until none are left. Does nothing if a previous call
+ * is still sending, so a slow endpoint never has two attempts in flight from the same worker.
+ */
+async function deliverDueWebhooks() {
+  if (isDelivering) {
+    return;
+  }
+  isDelivering = true;
+
+  try {
+    while (true) {
+      const deliveries = await databaseService.claimDueWebhookDeliveries(ingestionConfig.leaseSeconds, DELIVERY_BATCH_SIZE);
+      await Promise.all(deliveries.map(attemptDelivery));
+      if (deliveries.length < DELIVERY_BATCH_SIZE) {
+        return;
+      }
+    }
+  } finally {
+    isDelivering = false;
+  }
+}
+
+module.exports = {
+  signWebhookPayload,
+  sealWebhookSecret,
+  deliverDueWebhooks,
+};
\ No newline at end of file
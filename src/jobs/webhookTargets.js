@@ -0,0 +1,115 @@
+const dns = require('dns');
+const net = require('net');
+const ingestionConfig = require('../configs/ingestion');
+
+// Addresses a webhook must not reach unless its host is allow-listed: loopback, private, link-local (including the
+// cloud metadata endpoint), shared, reserved and multicast ranges. IPv4-mapped IPv6 addresses match the IPv4 rules.
+const NON_PUBLIC_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const nonPublicAddresses = new net.BlockList();
+for (const [prefix, length, type] of NON_PUBLIC_SUBNETS) {
+  nonPublicAddresses.addSubnet(prefix, length, type);
+}
+
+/**
+ * Tells whether an IP address is on the public internet (see NON_PUBLIC_SUBNETS).
+ * @param {string} address An IPv4 or IPv6 address.
+ * @returns {boolean} Whether the address is public.
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !nonPublicAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Tells whether a host may be reached whatever it resolves to, because it is listed in WEBHOOK_ALLOWED_HOSTS.
+ * @param {string} hostname The host name or IP address, as in a URL (IPv6 addresses in brackets).
+ * @returns {boolean} Whether the host is allow-listed.
+ */
+function isAllowedHost(hostname) {
+  return ingestionConfig.webhookAllowedHosts.includes(hostname.toLowerCase());
+}
+
+/**
+ * Checks a URL whose host is an IP address, which requests connect to without a lookup.
+ * @param {URL} url The webhook URL.
+ * @returns {string|null} Why the URL is rejected, or null if its host is a public or allow-listed address, or a host name.
+ */
+function checkAddressHost(url) {
+  const address = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (!net.isIP(address) || isPublicAddress(address) || isAllowedHost(url.hostname)) {
+    return null;
+  }
+  return `${url.hostname} is a private, loopback or reserved address; add it to WEBHOOK_ALLOWED_HOSTS to allow it.`;
+}
+
+/**
+ * Resolves a host like dns.lookup, but fails unless the host is allow-listed or resolves only to public addresses.
+ * Webhook requests use it as their `lookup`, so the address checked is the address connected to: a host cannot pass
+ * the check and then resolve to an internal address for the request itself.
+ * @param {string} hostname The host name.
+ * @param {object} options The dns.lookup options.
+ * @param {function(?Error, (string|Array<object>), number=): void} callback Called as dns.lookup would call it.
+ */
+function lookupWebhookAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!isAllowedHost(hostname) && !addresses.every((entry) => isPublicAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a private, loopback or reserved address; add it to WEBHOOK_ALLOWED_HOSTS to allow it.`);
+      blocked.code = 'EWEBHOOKTARGET';
+      return callback(blocked);
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Checks that a webhook URL points to a public host (or an allow-listed one). An IP address host is checked as it is,
+ * a host name by resolving it; deliveries check the address they connect to again (see lookupWebhookAddress).
+ * @param {URL} url The webhook URL.
+ * @returns {Promise<string|null>} Why the URL is rejected, or null if it may be used.
+ */
+async function checkWebhookTarget(url) {
+  if (net.isIP(url.hostname.replace(/^\[(.*)\]$/, '$1'))) {
+    return checkAddressHost(url);
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      lookupWebhookAddress(url.hostname, { all: true }, (error) => (error ? reject(error) : resolve()));
+    });
+    return null;
+  } catch (error) {
+    return error.code === 'EWEBHOOKTARGET' ? error.message : `${url.hostname} could not be resolved.`;
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  checkAddressHost,
+  lookupWebhookAddress,
+  checkWebhookTarget,
+};
\ No newline at end of file
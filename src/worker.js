@@ -0,0 +1,18 @@
+require('dotenv').config();
+const { startIngestionWorker, stopIngestionWorker } = require('./jobs/ingestionWorker');
+
+// Standalone ingestion worker, for running ingestion separately from the API (INGESTION_WORKER_ENABLED=false).
+// It reads uploads from INGESTION_UPLOAD_DIR, which must be storage the API server shares, not the OS temp directory default.
+if (!process.env.INGESTION_UPLOAD_DIR) {
+  console.warn('INGESTION_UPLOAD_DIR is not set: this worker can only ingest filePath jobs, since the API server accepts no uploads without it.');
+}
+
+startIngestionWorker();
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    // Hand in-progress ingestion jobs back to the queue before exiting
+    await stopIngestionWorker();
+    process.exit(0);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const eventService = require('../../../src/api/events/event.service');
+const eventController = require('../../../src/api/events/event.controller');
+
+/**
+ * Stands in for an Express response, recording the status and body sent.
+ * @returns {object} The response.
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Runs a controller with a query.
+ * @param {Function} handler The controller function.
+ * @param {object} query The request query.
+ * @param {object} [request] Further request fields.
+ * @returns {Promise<object>} The response.
+ */
+async function send(handler, query, request = {}) {
+  const res = createResponse();
+  await handler({ query, params: {}, body: {}, ...request }, res);
+  return res;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('searchEvents', () => {
+  let searchCalls;
+
+  beforeEach(() => {
+    searchCalls = [];
+    mock.method(eventService, 'searchEvents', async (params) => {
+      searchCalls.push(params);
+      return { totalEvents: 0, events: [], nextCursor: null, prevCursor: null };
+    });
+  });
+
+  it('counts the matching events unless asked not to', async () => {
+    await send(eventController.searchEvents, {});
+    await send(eventController.searchEvents, { count: 'none' });
+    assert.deepEqual(searchCalls.map((params) => params.count), ['exact', 'none']);
+  });
+
+  it('reads sort directions in any case', async () => {
+    const res = await send(eventController.searchEvents, { sortBy: 'event_name', sortOrder: 'DESC' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(searchCalls[0].sort, [{ key: 'event_name', direction: 'desc' }]);
+
+    await send(eventController.searchEvents, { sort: 'start_date:Asc,duration_minutes:DESC' });
+    assert.deepEqual(searchCalls[1].sort, [
+      { key: 'start_date', direction: 'asc' },
+      { key: 'duration_minutes', direction: 'desc' },
+    ]);
+  });
+
+  it('rejects unknown sort directions', async () => {
+    const res = await send(eventController.searchEvents, { sortOrder: 'up' });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Invalid sort direction 'up' for 'start_date'; use asc or desc.");
+  });
+
+  it('points clients of the former page parameter to cursors', async () => {
+    assert.equal((await send(eventController.searchEvents, { page: '1' })).statusCode, 200);
+
+    const res = await send(eventController.searchEvents, { page: '2' });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /nextCursor/);
+    assert.equal(searchCalls.length, 1);
+  });
+});
+
+describe('searchEvents filters', () => {
+  beforeEach(() => {
+    mock.method(eventService, 'searchEvents', async () => ({ totalEvents: 0, events: [] }));
+  });
+
+  it('rejects text filters given more than once', async () => {
+    for (const name of ['q', 'name', 'source_file']) {
+      const res = await send(eventController.searchEvents, { [name]: ['a', 'b'] });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, `${name} must be given once.`);
+    }
+    assert.equal(eventService.searchEvents.mock.callCount(), 0);
+  });
+});
+
+describe('getIngestionStatus', () => {
+  it('rejects job IDs that are not UUIDs before looking them up', async () => {
+    mock.method(eventService, 'getJobStatus', async () => null);
+    const res = await send(eventController.getIngestionStatus, {}, { params: { jobId: 'not-a-job' } });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { message: 'jobId must be a UUID.' });
+    assert.equal(eventService.getJobStatus.mock.callCount(), 0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const databaseService = require('../../../src/database/database.service');
+const eventService = require('../../../src/api/events/event.service');
+const ingestionConfig = require('../../../src/configs/ingestion');
+
+const EVENT_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const SORT = [{ key: 'start_date', direction: 'asc' }, { key: 'duration_minutes', direction: 'desc' }];
+
+/**
+ * Encodes a cursor the way searchEvents does, with arbitrary values.
+ * @param {Array<*>} values The sort values.
+ * @param {string} [sortSpec] The sort the cursor claims to belong to.
+ * @returns {string} The cursor.
+ */
+function cursorOf(values, sortSpec = 'start_date:asc,duration_minutes:desc') {
+  return Buffer.from(JSON.stringify({ s: sortSpec, v: values, d: 'next' })).toString('base64url');
+}
+
+let savedConfig = null;
+
+/**
+ * Overrides ingestion settings until restoreConfig is called.
+ * @param {object} values The settings to override.
+ */
+function configure(values) {
+  savedConfig = savedConfig || { ...ingestionConfig };
+  Object.assign(ingestionConfig, values);
+}
+
+/**
+ * Restores the ingestion settings that configure overrode.
+ */
+function restoreConfig() {
+  if (savedConfig) {
+    Object.assign(ingestionConfig, savedConfig);
+    savedConfig = null;
+  }
+}
+
+describe('searchEvents cursors', () => {
+  let searchCalls;
+
+  beforeEach(() => {
+    searchCalls = [];
+    mock.method(databaseService, 'searchEvents', async (params) => {
+      searchCalls.push(params);
+      return {
+        events: [{ event_id: EVENT_ID, sort_values: ['0300-01-01T00:00:00+00:00 BC', 60, EVENT_ID] }],
+        hasMore: true,
+      };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('continues from the values of the cursor it issued', async () => {
+    const first = await eventService.searchEvents({ sort: SORT, limit: 1 });
+    assert.equal(first.events[0].sort_values, undefined);
+
+    await eventService.searchEvents({ sort: SORT, limit: 1, cursor: first.nextCursor });
+    assert.deepEqual(searchCalls[1].cursor, { values: ['0300-01-01T00:00:00+00:00 BC', 60, EVENT_ID], backward: false });
+  });
+
+  it('accepts timestamps with offsets and fractions', async () => {
+    await eventService.searchEvents({ sort: SORT, limit: 1, cursor: cursorOf(['2023-01-05T12:00:00.123456-03:30', 0, EVENT_ID]) });
+    assert.equal(searchCalls.length, 1);
+  });
+
+  it('rejects cursors for another sort', async () => {
+    await assert.rejects(
+      eventService.searchEvents({ sort: SORT, limit: 1, cursor: cursorOf(['2023-01-05T12:00:00+00:00', 0, EVENT_ID], 'end_date:asc') }),
+      { statusCode: 400, message: 'The cursor belongs to a different sort order; restart from the first page.' },
+    );
+  });
+
+  for (const [description, values] of [
+    ['a start date that is not a timestamp', ['soon', 0, EVENT_ID]],
+    ['a start date that is not in the calendar', ['2023-02-29T00:00:00+00:00', 0, EVENT_ID]],
+    ['a start date before 4713 BC', ['4714-01-01T00:00:00+00:00 BC', 0, EVENT_ID]],
+    ['a duration that is not an integer', ['2023-01-05T12:00:00+00:00', 1.5, EVENT_ID]],
+    ['a duration beyond the integer column', ['2023-01-05T12:00:00+00:00', 2147483648, EVENT_ID]],
+    ['a duration given as a string', ['2023-01-05T12:00:00+00:00', '60', EVENT_ID]],
+    ['an event ID that is not a UUID', ['2023-01-05T12:00:00+00:00', 0, 42]],
+    ['too few values', ['2023-01-05T12:00:00+00:00', EVENT_ID]],
+  ]) {
+    it(`rejects a cursor with ${description} before querying`, async () => {
+      await assert.rejects(
+        eventService.searchEvents({ sort: SORT, limit: 1, cursor: cursorOf(values) }),
+        { statusCode: 400, message: 'Invalid cursor.' },
+      );
+      assert.equal(searchCalls.length, 0);
+    });
+  }
+
+  it('checks names and relevance by their own types', async () => {
+    const sort = [{ key: 'relevance', direction: 'desc' }, { key: 'event_name', direction: 'asc' }];
+    const cursor = (values) => cursorOf(values, 'relevance:desc,event_name:asc');
+
+    await eventService.searchEvents({ sort, limit: 1, cursor: cursor([0.25, 'Founding', EVENT_ID]) });
+    await assert.rejects(eventService.searchEvents({ sort, limit: 1, cursor: cursor(['0.25', 'Founding', EVENT_ID]) }), { statusCode: 400 });
+    await assert.rejects(eventService.searchEvents({ sort, limit: 1, cursor: cursor([0.25, null, EVENT_ID]) }), { statusCode: 400 });
+  });
+});
+
+describe('saveUploadedFile', () => {
+  let uploadDir;
+
+  beforeEach(async () => {
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'uploads-test-'));
+    configure({ uploadDir, maxUploadBytes: 64, maxUncompressedBytes: 128 });
+  });
+
+  afterEach(async () => {
+    restoreConfig();
+    await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  });
+
+  it('stores the upload, decompressed, in the upload directory', async () => {
+    const storedPath = await eventService.saveUploadedFile(Readable.from([zlib.gzipSync('a|b\n')]), { gzip: true });
+    assert.equal(path.dirname(storedPath), uploadDir);
+    assert.equal(await fs.promises.readFile(storedPath, 'utf8'), 'a|b\n');
+  });
+
+  it('rejects uploads over the limits and keeps nothing of them', async () => {
+    await assert.rejects(
+      eventService.saveUploadedFile(Readable.from(['x']), { gzip: false, declaredBytes: 65 }),
+      { statusCode: 413 },
+    );
+    await assert.rejects(
+      eventService.saveUploadedFile(Readable.from(['x'.repeat(40), 'x'.repeat(40)]), { gzip: false }),
+      { statusCode: 413, message: 'Upload exceeds the limit of 64 bytes.' },
+    );
+    await assert.rejects(
+      eventService.saveUploadedFile(Readable.from([zlib.gzipSync('x'.repeat(200))]), { gzip: true }),
+      { statusCode: 413, message: 'Decompressed upload exceeds the limit of 128 bytes.' },
+    );
+    assert.deepEqual(await fs.promises.readdir(uploadDir), []);
+  });
+
+  it('rejects bodies that are not gzip', async () => {
+    await assert.rejects(
+      eventService.saveUploadedFile(Readable.from(['plain text']), { gzip: true }),
+      { statusCode: 400 },
+    );
+  });
+
+  it('refuses uploads when they are disabled', async () => {
+    configure({ uploadsEnabled: false });
+    await assert.rejects(
+      eventService.saveUploadedFile(Readable.from(['a|b']), { gzip: false }),
+      { statusCode: 403 },
+    );
+  });
+});
+
+describe('resolveIngestionPath', () => {
+  let allowedDir;
+
+  beforeEach(async () => {
+    allowedDir = await fs.promises.realpath(await fs.promises.mkdtemp(path.join(os.tmpdir(), 'imports-test-')));
+    await fs.promises.writeFile(path.join(allowedDir, 'events.txt'), '');
+    configure({ allowedDir });
+  });
+
+  afterEach(async () => {
+    restoreConfig();
+    await fs.promises.rm(allowedDir, { recursive: true, force: true });
+  });
+
+  it('resolves paths within the allowed directory', async () => {
+    assert.equal(await eventService.resolveIngestionPath('events.txt'), path.join(allowedDir, 'events.txt'));
+  });
+
+  it('rejects paths and links that lead out of it, and missing files', async () => {
+    await fs.promises.symlink(__filename, path.join(allowedDir, 'outside.txt'));
+    await assert.rejects(eventService.resolveIngestionPath('../events.txt'), { statusCode: 403 });
+    await assert.rejects(eventService.resolveIngestionPath('/etc/passwd'), { statusCode: 403 });
+    await assert.rejects(eventService.resolveIngestionPath('outside.txt'), { statusCode: 403 });
+    await assert.rejects(eventService.resolveIngestionPath('missing.txt'), { statusCode: 404 });
+  });
+
+  it('is disabled without an allowed directory', async () => {
+    configure({ allowedDir: null });
+    await assert.rejects(eventService.resolveIngestionPath('events.txt'), { statusCode: 403 });
+  });
+});
\ No newline at end of file
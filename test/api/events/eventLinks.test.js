@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../../helpers/testDatabase');
+const eventService = require('../../../src/api/events/event.service');
+const insightService = require('../../../src/api/insights/insight.service');
+const { processFile } = require('../../../src/jobs/ingestionProcessor');
+const { dryRunIngestion } = require('../../../src/jobs/ingestionDryRun');
+
+const FIRST_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const SECOND_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const THIRD_ID = 'a1b2c3d4-0000-4000-8000-000000000003';
+const MISSING_ID = 'a1b2c3d4-0000-4000-8000-0000000000ff';
+
+let workDir;
+
+/**
+ * Creates a link between two of the stored events.
+ * @param {string} sourceEventId The source event's ID.
+ * @param {string} targetEventId The target event's ID.
+ * @param {string} [linkType='caused'] The link type.
+ * @returns {Promise<object>} The stored link.
+ */
+function link(sourceEventId, targetEventId, linkType = 'caused') {
+  return eventService.createEventLink({ sourceEventId, targetEventId, linkType });
+}
+
+/**
+ * Lists the stored links.
+ * @returns {Promise<Array<Array<string>>>} The source IDs, target IDs and types.
+ */
+async function storedLinks() {
+  const { rows } = await query('SELECT source_event_id, target_event_id, link_type FROM event_links ORDER BY source_event_id, target_event_id');
+  return rows.map((row) => [row.source_event_id, row.target_event_id, row.link_type]);
+}
+
+before(async () => {
+  await startTestDatabase();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-links-test-'));
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  for (const [eventId, start, end] of [
+    [FIRST_ID, '2023-01-01T10:00:00Z', '2023-01-01T11:00:00Z'],
+    [SECOND_ID, '2023-01-01T12:00:00Z', '2023-01-01T12:30:00Z'],
+    [THIRD_ID, '2023-01-01T13:00:00Z', '2023-01-01T13:10:00Z'],
+  ]) {
+    await eventService.createEvent({ eventId, eventName: `Event ${eventId.slice(-1)}`, startDate: start, endDate: end });
+  }
+});
+
+after(async () => {
+  await stopTestDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('event links', () => {
+  it('creates, reads, changes and deletes a link', async () => {
+    const created = await link(FIRST_ID.toUpperCase(), SECOND_ID);
+    assert.deepEqual([created.source_event_id, created.target_event_id, created.link_type], [FIRST_ID, SECOND_ID, 'caused']);
+    assert.deepEqual(await eventService.getEventLink(created.link_id), created);
+
+    const updated = await eventService.updateEventLink(created.link_id, { linkType: 'preceded', description: 'Shortly before' });
+    assert.deepEqual([updated.link_type, updated.description], ['preceded', 'Shortly before']);
+
+    assert.equal(await eventService.deleteEventLink(created.link_id), true);
+    assert.equal(await eventService.deleteEventLink(created.link_id), false);
+    assert.equal(await eventService.getEventLink(created.link_id), null);
+  });
+
+  it('rejects links to missing events, to the event itself and repeated links', async () => {
+    await link(FIRST_ID, SECOND_ID);
+
+    await assert.rejects(link(FIRST_ID, MISSING_ID), { statusCode: 400, message: /does not exist/ });
+    await assert.rejects(link(FIRST_ID, FIRST_ID), { statusCode: 400, message: /itself/ });
+    await assert.rejects(link(FIRST_ID, SECOND_ID), { statusCode: 409 });
+    await assert.rejects(link(FIRST_ID, SECOND_ID, 'inspired'), { statusCode: 400, message: /linkType must be one of/ });
+  });
+
+  it('refuses to change a link to a type the events are already linked with', async () => {
+    await link(FIRST_ID, SECOND_ID);
+    const other = await link(FIRST_ID, SECOND_ID, 'references');
+
+    await assert.rejects(eventService.updateEventLink(other.link_id, { linkType: 'caused' }), { statusCode: 409 });
+  });
+
+  it('lists an event\'s links by direction and type', async () => {
+    await link(FIRST_ID, SECOND_ID);
+    await link(SECOND_ID, THIRD_ID, 'references');
+
+    const both = await eventService.getEventLinks(SECOND_ID, { direction: 'both' });
+    assert.deepEqual(both.map((row) => row.linked_event_name), ['Event 1', 'Event 3']);
+    const outgoing = await eventService.getEventLinks(SECOND_ID, { direction: 'outgoing', linkType: 'references' });
+    assert.deepEqual(outgoing.map((row) => row.target_event_id), [THIRD_ID]);
+    assert.deepEqual(await eventService.getEventLinks(SECOND_ID, { direction: 'incoming', linkType: 'references' }), []);
+    assert.equal(await eventService.getEventLinks(MISSING_ID, { direction: 'both' }), null);
+  });
+
+  it('goes away with either of its events', async () => {
+    await link(FIRST_ID, SECOND_ID);
+    await eventService.deleteEvent(SECOND_ID);
+
+    assert.deepEqual(await storedLinks(), []);
+  });
+});
+
+describe('link files', () => {
+  const lines = [
+    'source_event_id,target_event_id,link_type,description',
+    `${FIRST_ID},${SECOND_ID},caused,First caused second`,
+    `${FIRST_ID},${SECOND_ID},caused,Repeated`,
+    `${SECOND_ID},${MISSING_ID},preceded,`,
+    `${SECOND_ID},${SECOND_ID},references,`,
+  ];
+
+  it('stores the links of a file and reports lines with missing events', async () => {
+    const filePath = path.join(workDir, 'links.csv');
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+    const options = { format: 'csv', target: 'links' };
+    const jobId = await eventService.startIngestionJob(filePath, options);
+    await processFile(jobId, filePath, options);
+
+    const job = await eventService.getJobStatus(jobId);
+    assert.equal(job.status, 'COMPLETED');
+    assert.deepEqual(job.errors.map((error) => [error.lineNumber, error.code]), [[4, 'UNKNOWN_EVENT'], [5, 'SELF_LINK']]);
+    assert.deepEqual(await storedLinks(), [[FIRST_ID, SECOND_ID, 'caused']]);
+  });
+
+  it('reports the same lines in a dry run', async () => {
+    const report = await dryRunIngestion(Readable.from([`${lines.join('\n')}\n`]), 'links.csv', { format: 'csv', target: 'links' });
+
+    assert.equal(report.target, 'links');
+    assert.equal(report.repeatedLines, 1);
+    assert.deepEqual(report.errors.map((error) => [error.lineNumber, error.code, error.field]), [
+      [4, 'UNKNOWN_EVENT', 'target_event_id'],
+      [5, 'SELF_LINK', 'target_event_id'],
+    ]);
+    assert.deepEqual(await storedLinks(), []);
+  });
+});
+
+describe('influence paths over links', () => {
+  it('follows links of the chosen types through cycles', async () => {
+    await link(FIRST_ID, SECOND_ID);
+    await link(SECOND_ID, FIRST_ID, 'references');
+    await link(SECOND_ID, THIRD_ID, 'preceded');
+
+    const result = await insightService.findEventInfluencePath(FIRST_ID, THIRD_ID, { weight: 'hops', direction: 'down' });
+    assert.deepEqual(result.shortestPath.map((step) => [step.event_id, step.linkType]), [
+      [FIRST_ID, undefined],
+      [SECOND_ID, 'caused'],
+      [THIRD_ID, 'preceded'],
+    ]);
+
+    const causedOnly = await insightService.findEventInfluencePath(FIRST_ID, THIRD_ID, { direction: 'down', linkTypes: ['caused'] });
+    assert.deepEqual(causedOnly.paths, []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../../helpers/testDatabase');
+const eventService = require('../../../src/api/events/event.service');
+
+const SURVIVOR_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const DUPLICATE_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const CHILD_ID = 'a1b2c3d4-0000-4000-8000-000000000003';
+const OTHER_ID = 'a1b2c3d4-0000-4000-8000-000000000004';
+const MISSING_ID = 'a1b2c3d4-0000-4000-8000-0000000000ff';
+
+/**
+ * Lists the stored events with their parents.
+ * @returns {Promise<Array<Array<string|null>>>} The IDs and parent IDs, by ID.
+ */
+async function storedParents() {
+  const { rows } = await query('SELECT event_id, parent_event_id FROM historical_events ORDER BY event_id');
+  return rows.map((row) => [row.event_id, row.parent_event_id]);
+}
+
+/**
+ * Lists the stored links.
+ * @returns {Promise<Array<Array<string>>>} The source IDs, target IDs and types.
+ */
+async function storedLinks() {
+  const { rows } = await query('SELECT source_event_id, target_event_id, link_type FROM event_links ORDER BY source_event_id, target_event_id');
+  return rows.map((row) => [row.source_event_id, row.target_event_id, row.link_type]);
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  const dates = { startDate: '2023-01-01T10:00:00Z', endDate: '2023-01-01T11:00:00Z' };
+  await eventService.createEvent({ eventId: SURVIVOR_ID, eventName: 'Battle of Hastings', metadata: { originalSourceFile: 'a.txt' }, ...dates });
+  await eventService.createEvent({ eventId: DUPLICATE_ID, eventName: 'Battle at Hastings', metadata: { originalSourceFile: 'b.txt', lineNumber: 7 }, ...dates });
+  await eventService.createEvent({ eventId: CHILD_ID, eventName: 'Shield wall', parentId: DUPLICATE_ID, ...dates });
+  await eventService.createEvent({ eventId: OTHER_ID, eventName: 'Coronation', ...dates });
+  // The duplicate's 'caused' link repeats the survivor's; its 'references' link is its own
+  await eventService.createEventLink({ sourceEventId: SURVIVOR_ID, targetEventId: OTHER_ID, linkType: 'caused' });
+  await eventService.createEventLink({ sourceEventId: DUPLICATE_ID, targetEventId: OTHER_ID, linkType: 'caused' });
+  await eventService.createEventLink({ sourceEventId: OTHER_ID, targetEventId: DUPLICATE_ID, linkType: 'references' });
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('mergeEvents', () => {
+  it('moves the duplicate\'s children and links to the survivor and records where it came from', async () => {
+    const { merge, event } = await eventService.mergeEvents({ survivorId: SURVIVOR_ID, duplicateId: DUPLICATE_ID.toUpperCase() });
+
+    assert.deepEqual([merge.survivor_event_id, merge.merged_event_id], [SURVIVOR_ID, DUPLICATE_ID]);
+    assert.equal(event.metadata.originalSourceFile, 'a.txt');
+    assert.deepEqual(event.metadata.mergedEvents.map((entry) => [entry.mergeId, entry.eventId, entry.eventName, entry.originalSourceFile, entry.lineNumber]), [
+      [merge.merge_id, DUPLICATE_ID, 'Battle at Hastings', 'b.txt', 7],
+    ]);
+    assert.deepEqual(await storedParents(), [[SURVIVOR_ID, null], [CHILD_ID, SURVIVOR_ID], [OTHER_ID, null]]);
+    assert.deepEqual(await storedLinks(), [[SURVIVOR_ID, OTHER_ID, 'caused'], [OTHER_ID, SURVIVOR_ID, 'references']]);
+    assert.deepEqual(await eventService.getEventMerge(merge.merge_id), merge);
+  });
+
+  it('rejects invalid bodies, missing events and merging an ancestor into its descendant', async () => {
+    await assert.rejects(eventService.mergeEvents({ survivorId: SURVIVOR_ID }), { statusCode: 400 });
+    await assert.rejects(eventService.mergeEvents({ survivorId: SURVIVOR_ID, duplicateId: SURVIVOR_ID }), { statusCode: 400 });
+    await assert.rejects(eventService.mergeEvents({ survivorId: SURVIVOR_ID, duplicateId: MISSING_ID }), { statusCode: 404, message: new RegExp(MISSING_ID) });
+    await assert.rejects(eventService.mergeEvents({ survivorId: CHILD_ID, duplicateId: DUPLICATE_ID }), { statusCode: 409, message: /ancestor/ });
+    assert.equal((await storedParents()).length, 4);
+  });
+});
+
+describe('undoEventMerge', () => {
+  it('restores the duplicate with its children and links', async () => {
+    const { merge } = await eventService.mergeEvents({ survivorId: SURVIVOR_ID, duplicateId: DUPLICATE_ID });
+    const result = await eventService.undoEventMerge(merge.merge_id);
+
+    assert.ok(result.merge.undone_at);
+    assert.equal(result.event.event_name, 'Battle at Hastings');
+    assert.deepEqual([result.restoredChildren, result.restoredLinks], [1, 2]);
+    assert.deepEqual(await storedParents(), [[SURVIVOR_ID, null], [DUPLICATE_ID, null], [CHILD_ID, DUPLICATE_ID], [OTHER_ID, null]]);
+    assert.deepEqual(await storedLinks(), [
+      [SURVIVOR_ID, OTHER_ID, 'caused'],
+      [DUPLICATE_ID, OTHER_ID, 'caused'],
+      [OTHER_ID, DUPLICATE_ID, 'references'],
+    ]);
+    assert.equal((await eventService.getEvent(SURVIVOR_ID)).metadata.mergedEvents, undefined);
+  });
+
+  it('refuses to undo a merge twice, or once the duplicate\'s ID is taken again', async () => {
+    const first = await eventService.mergeEvents({ survivorId: SURVIVOR_ID, duplicateId: DUPLICATE_ID });
+    await eventService.undoEventMerge(first.merge.merge_id);
+    await assert.rejects(eventService.undoEventMerge(first.merge.merge_id), { statusCode: 409, message: /already been undone/ });
+
+    const second = await eventService.mergeEvents({ survivorId: SURVIVOR_ID, duplicateId: DUPLICATE_ID });
+    await eventService.createEvent({ eventId: DUPLICATE_ID, eventName: 'New event', startDate: '2023-01-02', endDate: '2023-01-03' });
+    await assert.rejects(eventService.undoEventMerge(second.merge.merge_id), { statusCode: 409, message: /created since the merge/ });
+    assert.equal(await eventService.undoEventMerge(MISSING_ID), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../../helpers/testDatabase');
+const databaseService = require('../../../src/database/database.service');
+const eventService = require('../../../src/api/events/event.service');
+const ingestionConfig = require('../../../src/configs/ingestion');
+const { processFile } = require('../../../src/jobs/ingestionProcessor');
+
+const MISSING_JOB_ID = 'a1b2c3d4-0000-4000-8000-0000000000ff';
+
+let workDir;
+
+/**
+ * Builds the ID of a test event.
+ * @param {number} index The event's index.
+ * @returns {string} The event ID.
+ */
+function eventId(index) {
+  return `a1b2c3d4-0000-4000-8000-${String(index).padStart(12, '0')}`;
+}
+
+/**
+ * Builds a line of the pipe format.
+ * @param {number} index Makes the event ID and name.
+ * @param {number|null} [parentIndex] The index of the parent event, if any.
+ * @param {string} [name] The event name, if not made from the index.
+ * @returns {string} The line.
+ */
+function eventLine(index, parentIndex = null, name = `Event ${index}`) {
+  const parentId = parentIndex === null ? 'NULL' : eventId(parentIndex);
+  return `${eventId(index)}|${name}|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|${parentId}|5|Event ${index} description`;
+}
+
+/**
+ * Writes lines to a file in the test's work directory.
+ * @param {string} name The file name.
+ * @param {Array<string>} lines The lines.
+ * @returns {string} The file's path.
+ */
+function writeLines(name, lines) {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+}
+
+/**
+ * Queues an ingestion job and runs it to the end, as a worker would.
+ * @param {string} filePath The file to ingest.
+ * @param {object} [options] The processing options.
+ * @returns {Promise<string>} The job's ID.
+ */
+async function runJob(filePath, options = {}) {
+  const jobId = await eventService.startIngestionJob(filePath, options);
+  await processFile(jobId, filePath, options);
+  return jobId;
+}
+
+/**
+ * Lists the names of the stored events.
+ * @returns {Promise<Array<string>>} The names, in order.
+ */
+async function storedEventNames() {
+  const { rows } = await query('SELECT event_name FROM historical_events ORDER BY event_name');
+  return rows.map((row) => row.event_name);
+}
+
+before(async () => {
+  await startTestDatabase();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-jobs-test-'));
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+});
+
+after(async () => {
+  await stopTestDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('cancelIngestionJob', () => {
+  it('cancels a job that has not finished', async () => {
+    const jobId = await eventService.startIngestionJob(writeLines('events.txt', [eventLine(1)]));
+    const status = await eventService.cancelIngestionJob(jobId);
+
+    assert.equal(status.status, 'CANCELLED');
+    assert.ok(status.endTime);
+    // A worker that picks the job up anyway leaves it alone
+    await processFile(jobId, path.join(workDir, 'events.txt'));
+    assert.deepEqual(await storedEventNames(), []);
+  });
+
+  it('refuses finished jobs and reports missing ones', async () => {
+    const jobId = await runJob(writeLines('events.txt', [eventLine(1)]));
+    await assert.rejects(eventService.cancelIngestionJob(jobId), { statusCode: 409 });
+    assert.equal(await eventService.cancelIngestionJob(MISSING_JOB_ID), null);
+  });
+});
+
+describe('retryIngestionJob', () => {
+  /**
+   * Leaves a job CANCELLED after its checkpoint at line 1, with line 1 rejected.
+   * @returns {Promise<{jobId: string, filePath: string}>} The job and its file.
+   */
+  const cancelAfterFirstLine = async () => {
+    const filePath = writeLines('events.txt', ['not|an|event', eventLine(2), eventLine(3)]);
+    const jobId = await eventService.startIngestionJob(filePath);
+    await query(`
+      UPDATE ingestion_jobs SET status = 'CANCELLED', checkpoint_line = 1, total_lines = 1, error_lines = 1, end_time = NOW()
+      WHERE job_id = $1
+    `, [jobId]);
+    await query(`
+      INSERT INTO ingestion_job_errors (job_id, line_number, error_code, message, raw_line)
+      VALUES ($1, 1, 'INVALID_FIELD_COUNT', 'Invalid number of fields.', 'not|an|event')
+    `, [jobId]);
+    return { jobId, filePath };
+  };
+
+  it('resumes from the checkpoint', async () => {
+    const { jobId, filePath } = await cancelAfterFirstLine();
+    const status = await eventService.retryIngestionJob(jobId);
+    assert.deepEqual([status.status, status.checkpointLine, status.errorLines], ['PENDING', 1, 1]);
+
+    await processFile(jobId, filePath);
+    const job = await eventService.getJobStatus(jobId);
+    assert.deepEqual([job.status, job.processedLines, job.errorLines, job.totalLines], ['COMPLETED', 2, 1, 3]);
+    assert.deepEqual(job.errors.map((error) => error.lineNumber), [1]);
+  });
+
+  it('starts over from the first line when asked', async () => {
+    const { jobId, filePath } = await cancelAfterFirstLine();
+    const status = await eventService.retryIngestionJob(jobId, true);
+    assert.deepEqual([status.checkpointLine, status.errorLines, status.errors], [0, 0, []]);
+
+    await processFile(jobId, filePath);
+    const job = await eventService.getJobStatus(jobId);
+    assert.deepEqual([job.status, job.processedLines, job.errorLines], ['COMPLETED', 2, 1]);
+  });
+
+  it('refuses jobs that did not fail or get cancelled', async () => {
+    const jobId = await runJob(writeLines('events.txt', [eventLine(1)]));
+    await assert.rejects(eventService.retryIngestionJob(jobId), { statusCode: 409 });
+    assert.equal(await eventService.retryIngestionJob(MISSING_JOB_ID), null);
+  });
+
+  it('refuses uploads that were already deleted', async () => {
+    const jobId = await databaseService.createIngestionJob(path.join(ingestionConfig.uploadDir, 'deleted.upload'));
+    await query(`UPDATE ingestion_jobs SET status = 'FAILED' WHERE job_id = $1`, [jobId]);
+    await assert.rejects(eventService.retryIngestionJob(jobId), { statusCode: 409, message: /upload it again/ });
+  });
+});
+
+describe('ingestion job reports', () => {
+  const rejectedLines = [
+    'not|enough|fields',
+    'a1b2c3d4-0000-4000-8000-000000000002|Late|2023-01-02T10:00:00Z|2023-01-01T10:00:00Z|NULL|5|Ends before it starts',
+    'a1b2c3d4-0000-4000-8000-000000000003|Undated|someday|2023-01-01T10:00:00Z|NULL|5|No date',
+  ];
+
+  it('records a structured error for every rejected line', async () => {
+    const jobId = await runJob(writeLines('events.txt', [eventLine(1), ...rejectedLines]));
+
+    const report = await eventService.getJobErrors(jobId, { page: 1, limit: 2 });
+    assert.equal(report.totalErrors, 3);
+    assert.deepEqual(report.errors.map((error) => [error.lineNumber, error.code]), [[2, 'INVALID_FIELD_COUNT'], [3, 'DATE_ORDER']]);
+    assert.equal(report.errors[1].rawLine, rejectedLines[1]);
+
+    const filtered = await eventService.getJobErrors(jobId, { page: 1, limit: 10, errorCode: 'INVALID_DATE' });
+    assert.deepEqual(filtered.errors.map((error) => [error.lineNumber, error.field]), [[4, 'start_date']]);
+    assert.equal(await eventService.getJobErrors(MISSING_JOB_ID, { page: 1, limit: 10 }), null);
+  });
+
+  it('downloads the rejected lines in the source format, after its header', async () => {
+    const csvLines = ['event_id,name,start_date,end_date', 'bad-id,Broken,2023-01-01,2023-01-02', 'a1b2c3d4-0000-4000-8000-000000000001,Fine,2023-01-01,2023-01-02'];
+    const jobId = await runJob(writeLines('events.csv', csvLines), { format: 'csv' });
+
+    const download = await eventService.getRejectedLinesExport(jobId);
+    const lines = [];
+    for await (const line of download.lines) {
+      lines.push(line);
+    }
+    assert.equal(download.fileName, `rejected-${jobId}.csv`);
+    assert.equal(download.contentType, 'text/csv; charset=utf-8');
+    assert.deepEqual(lines, ['event_id,name,start_date,end_date\n', 'bad-id,Broken,2023-01-01,2023-01-02\n']);
+  });
+
+  it('lists jobs most recent first, by status', async () => {
+    const olderId = await runJob(writeLines('older.txt', [eventLine(1)]));
+    await query(`UPDATE ingestion_jobs SET start_time = start_time - INTERVAL '1 day' WHERE job_id = $1`, [olderId]);
+    const newerId = await runJob(writeLines('newer.txt', [eventLine(2)]));
+    const pendingId = await eventService.startIngestionJob(writeLines('pending.txt', [eventLine(3)]));
+    await query(`UPDATE ingestion_jobs SET start_time = start_time - INTERVAL '1 hour' WHERE job_id = $1`, [pendingId]);
+
+    const completed = await eventService.listIngestionJobs({ status: 'COMPLETED', page: 1, limit: 10 });
+    assert.equal(completed.totalJobs, 2);
+    assert.deepEqual(completed.jobs.map((job) => job.jobId), [newerId, olderId]);
+
+    const secondPage = await eventService.listIngestionJobs({ page: 2, limit: 2 });
+    assert.equal(secondPage.totalJobs, 3);
+    assert.deepEqual(secondPage.jobs.map((job) => job.jobId), [olderId]);
+  });
+});
+
+describe('rollbackIngestionJob', () => {
+  /**
+   * Lists the stored events with their parents.
+   * @returns {Promise<Array<Array<string|null>>>} The names and parent IDs, by name.
+   */
+  const storedParents = async () => {
+    const { rows } = await query('SELECT event_name, parent_event_id FROM historical_events ORDER BY event_name');
+    return rows.map((row) => [row.event_name, row.parent_event_id]);
+  };
+
+  /**
+   * Stores event 1, event 2 under it (the job to roll back) and event 3 under event 2 (another job's child).
+   * @returns {Promise<string>} The ID of the job that stored event 2.
+   */
+  const storeFamily = async () => {
+    await runJob(writeLines('root.txt', [eventLine(1)]));
+    const jobId = await runJob(writeLines('middle.txt', [eventLine(2, 1)]));
+    await runJob(writeLines('child.txt', [eventLine(3, 2), eventLine(4, 3)]));
+    return jobId;
+  };
+
+  it('previews what a rollback would remove without changing anything', async () => {
+    const jobId = await storeFamily();
+    const report = await eventService.rollbackIngestionJob(jobId, { preview: true });
+
+    assert.equal(report.preview, true);
+    assert.equal(report.eventCount, 1);
+    assert.deepEqual(report.events.map((event) => event.eventId), [eventId(2)]);
+    assert.deepEqual(report.affectedChildren.map((child) => [child.eventId, child.action]), [[eventId(3), 'DETACHED']]);
+    assert.equal(report.rolledBackAt, null);
+    assert.deepEqual(await storedEventNames(), ['Event 1', 'Event 2', 'Event 3', 'Event 4']);
+  });
+
+  it('detaches the children of other jobs by default', async () => {
+    const jobId = await storeFamily();
+    const report = await eventService.rollbackIngestionJob(jobId);
+
+    assert.equal(report.eventCount, 1);
+    assert.ok(report.rolledBackAt);
+    assert.deepEqual(await storedParents(), [['Event 1', null], ['Event 3', null], ['Event 4', eventId(3)]]);
+  });
+
+  it('moves the children of other jobs under the nearest surviving ancestor', async () => {
+    const jobId = await storeFamily();
+    const report = await eventService.rollbackIngestionJob(jobId, { children: 'reparent' });
+
+    assert.deepEqual(report.affectedChildren.map((child) => [child.action, child.newParentEventId]), [['REPARENTED', eventId(1)]]);
+    assert.deepEqual(await storedParents(), [['Event 1', null], ['Event 3', eventId(1)], ['Event 4', eventId(3)]]);
+  });
+
+  it('deletes the descendants of other jobs with cascade', async () => {
+    const jobId = await storeFamily();
+    const report = await eventService.rollbackIngestionJob(jobId, { children: 'cascade' });
+
+    assert.equal(report.eventCount, 3);
+    assert.deepEqual(await storedEventNames(), ['Event 1']);
+  });
+
+  it('refuses to remove events other jobs depend on with restrict', async () => {
+    const jobId = await storeFamily();
+    await assert.rejects(eventService.rollbackIngestionJob(jobId, { children: 'restrict' }), (error) => {
+      assert.equal(error.statusCode, 409);
+      assert.deepEqual(error.details.affectedChildren.map((child) => [child.eventId, child.action]), [[eventId(3), 'BLOCKING']]);
+      return true;
+    });
+    assert.deepEqual(await storedEventNames(), ['Event 1', 'Event 2', 'Event 3', 'Event 4']);
+  });
+
+  it('restores the events a job overwrote', async () => {
+    await runJob(writeLines('original.txt', [eventLine(1)]));
+    const jobId = await runJob(writeLines('update.txt', [eventLine(1, null, 'Renamed'), eventLine(2)]), { conflictPolicy: 'overwrite' });
+    assert.deepEqual(await storedEventNames(), ['Event 2', 'Renamed']);
+
+    const report = await eventService.rollbackIngestionJob(jobId);
+    assert.deepEqual([report.eventCount, report.restoredEventCount], [1, 1]);
+    assert.deepEqual(await storedEventNames(), ['Event 1']);
+  });
+
+  it('refuses running jobs and reports missing ones', async () => {
+    const jobId = await eventService.startIngestionJob(writeLines('events.txt', [eventLine(1)]));
+    await assert.rejects(eventService.rollbackIngestionJob(jobId), { statusCode: 409, message: /cancel it first/ });
+    assert.equal(await eventService.rollbackIngestionJob(MISSING_JOB_ID), null);
+  });
+
+  it('starts a rolled-back job over from the first line on retry', async () => {
+    const filePath = writeLines('events.txt', [eventLine(1), eventLine(2)]);
+    const jobId = await runJob(filePath);
+    await query(`UPDATE ingestion_jobs SET status = 'CANCELLED' WHERE job_id = $1`, [jobId]);
+    await eventService.rollbackIngestionJob(jobId);
+    assert.deepEqual(await storedEventNames(), []);
+
+    const status = await eventService.retryIngestionJob(jobId);
+    assert.deepEqual([status.status, status.checkpointLine, status.rolledBackAt], ['PENDING', 0, undefined]);
+
+    await processFile(jobId, filePath);
+    assert.deepEqual(await storedEventNames(), ['Event 1', 'Event 2']);
+  });
+});
+
+describe('watchIngestionJob', () => {
+  /**
+   * Reads a job's progress stream to its end.
+   * @param {string} jobId The job's ID.
+   * @param {object} [options] The stream options.
+   * @returns {Promise<Array<object>>} The messages.
+   */
+  const readMessages = async (jobId, options) => {
+    const messages = [];
+    for await (const message of await eventService.watchIngestionJob(jobId, options)) {
+      messages.push(message);
+    }
+    return messages;
+  };
+
+  it('sends the rejected lines, then completes with the final status', async () => {
+    const jobId = await runJob(writeLines('events.txt', [eventLine(1), 'not|an|event', eventLine(3), 'nor|this']));
+    const messages = await readMessages(jobId);
+
+    assert.deepEqual(messages.map((message) => message.event), ['line-errors', 'complete']);
+    assert.deepEqual(messages[0].data.errors.map((error) => error.lineNumber), [2, 4]);
+    assert.deepEqual([messages[1].data.status, messages[1].data.processedLines, messages[1].data.errorLines], ['COMPLETED', 2, 2]);
+
+    // A reconnecting client only gets the rejected lines after the last one it saw
+    const resumed = await readMessages(jobId, { afterErrorId: messages[0].id });
+    assert.deepEqual(resumed.map((message) => message.event), ['complete']);
+  });
+
+  it('reports progress until the job finishes', async () => {
+    const filePath = writeLines('events.txt', [eventLine(1)]);
+    const jobId = await eventService.startIngestionJob(filePath);
+    const originalInterval = ingestionConfig.progressPollIntervalMs;
+    ingestionConfig.progressPollIntervalMs = 10;
+
+    try {
+      const messages = await eventService.watchIngestionJob(jobId);
+      const first = await messages.next();
+      assert.deepEqual([first.value.event, first.value.data.status], ['progress', 'PENDING']);
+
+      await processFile(jobId, filePath);
+      const rest = [];
+      for await (const message of messages) {
+        rest.push(message);
+      }
+      assert.deepEqual(rest.map((message) => [message.event, message.data.status]), [['complete', 'COMPLETED']]);
+    } finally {
+      ingestionConfig.progressPollIntervalMs = originalInterval;
+    }
+  });
+
+  it('stops when the client goes away, and reports missing jobs', async () => {
+    const jobId = await eventService.startIngestionJob(writeLines('events.txt', [eventLine(1)]));
+    const controller = new AbortController();
+    const messages = await eventService.watchIngestionJob(jobId, { signal: controller.signal });
+    assert.equal((await messages.next()).value.event, 'progress');
+
+    controller.abort();
+    assert.equal((await messages.next()).done, true);
+    assert.equal(await eventService.watchIngestionJob(MISSING_JOB_ID), null);
+  });
+});
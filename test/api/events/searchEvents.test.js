@@ -0,0 +1,96 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase } = require('../../helpers/testDatabase');
+const eventService = require('../../../src/api/events/event.service');
+const { readSearchFilters } = require('../../../src/api/events/searchFilters');
+
+const ROOT_ID = 'a1b2c3d4-0000-4000-8000-000000000010';
+
+/**
+ * Creates an event.
+ * @param {number} index Makes the event ID.
+ * @param {object} fields The remaining fields of the request body.
+ * @returns {Promise<object>} The stored event.
+ */
+function createEvent(index, fields) {
+  return eventService.createEvent({ eventId: `a1b2c3d4-0000-4000-8000-${String(index).padStart(12, '0')}`, ...fields });
+}
+
+/**
+ * Searches the stored events as the search endpoint would.
+ * @param {object} query The filter parameters of the request query.
+ * @param {object} [options] The sort keys, page size, count mode and cursor.
+ * @returns {Promise<object>} The search result.
+ */
+function search(query, { sort = [{ key: 'start_date', direction: 'asc' }], limit = 10, count = 'exact', cursor } = {}) {
+  const { filters, error } = readSearchFilters(query);
+  assert.equal(error, undefined);
+  return eventService.searchEvents({ ...filters, sort, limit, count, cursor });
+}
+
+/**
+ * Lists the names of the events found.
+ * @param {object} result The search result.
+ * @returns {Array<string>} The names, in order.
+ */
+function names(result) {
+  return result.events.map((event) => event.event_name);
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  await createEvent(10, { eventName: 'Siege of Orleans', description: 'The English besiege the city', startDate: '1428-10-12', endDate: '1429-05-08', metadata: { site: 'Orleans', researchValue: 9 } });
+  await createEvent(11, { eventName: 'Relief of Orleans', description: 'Joan of Arc lifts the siege', startDate: '1429-04-29', endDate: '1429-05-08', parentId: ROOT_ID, metadata: { site: 'Orleans', researchValue: 7 } });
+  await createEvent(12, { eventName: 'Battle of Patay', description: 'French victory over the English', startDate: '1429-06-18', endDate: '1429-06-18', metadata: { site: 'Patay', researchValue: 5 } });
+  await createEvent(13, { eventName: 'Coronation at Reims', startDate: '1429-07-17', endDate: '1429-07-17', metadata: { site: 'Reims' } });
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('searchEvents', () => {
+  it('filters by name, dates, duration and metadata', async () => {
+    assert.deepEqual(names(await search({ name: 'orleans' })), ['Siege of Orleans', 'Relief of Orleans']);
+    assert.deepEqual(names(await search({ start_date_after: '1429-06', end_date_before: '1429' })), ['Battle of Patay', 'Coronation at Reims']);
+    assert.deepEqual(names(await search({ min_duration: '100000' })), ['Siege of Orleans']);
+    assert.deepEqual(names(await search({ meta: ['site=Orleans', 'researchValue<8'] })), ['Relief of Orleans']);
+  });
+
+  it('filters by place in the hierarchy', async () => {
+    assert.deepEqual(names(await search({ parent_id: ROOT_ID })), ['Relief of Orleans']);
+    assert.deepEqual(names(await search({ root_id: ROOT_ID })), ['Relief of Orleans']);
+    assert.deepEqual(names(await search({ has_children: 'true' })), ['Siege of Orleans']);
+  });
+
+  it('ranks full-text matches by relevance', async () => {
+    const result = await search({ q: 'siege' }, { sort: [{ key: 'relevance', direction: 'desc' }] });
+
+    assert.deepEqual(names(result), ['Siege of Orleans', 'Relief of Orleans']);
+    assert.ok(result.events[0].rank >= result.events[1].rank);
+    assert.match(result.events[0].name_highlight, /<b>Siege<\/b>/);
+  });
+
+  it('pages through the results with cursors in both directions', async () => {
+    const first = await search({}, { limit: 3 });
+    assert.equal(first.totalEvents, 4);
+    assert.deepEqual(names(first), ['Siege of Orleans', 'Relief of Orleans', 'Battle of Patay']);
+    assert.equal(first.prevCursor, null);
+
+    const second = await search({}, { limit: 3, cursor: first.nextCursor });
+    assert.deepEqual(names(second), ['Coronation at Reims']);
+    assert.equal(second.nextCursor, null);
+
+    const back = await search({}, { limit: 3, cursor: second.prevCursor });
+    assert.deepEqual(names(back), names(first));
+  });
+
+  it('rejects cursors from a search with a different sort order', async () => {
+    const first = await search({}, { limit: 1 });
+    await assert.rejects(search({}, { limit: 1, sort: [{ key: 'event_name', direction: 'asc' }], cursor: first.nextCursor }), { statusCode: 400 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,168 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../../helpers/testDatabase');
+const eventService = require('../../../src/api/events/event.service');
+
+const ROOT_ID = 'a1b2c3d4-0000-4000-8000-000000000010';
+const CHILD_ID = 'a1b2c3d4-0000-4000-8000-000000000011';
+const GRANDCHILD_ID = 'a1b2c3d4-0000-4000-8000-000000000012';
+const MISSING_ID = 'a1b2c3d4-0000-4000-8000-0000000000ff';
+
+/**
+ * Creates an event one hour long.
+ * @param {string} eventId The event ID.
+ * @param {string} eventName The event name.
+ * @param {string|null} [parentId] The parent's ID.
+ * @returns {Promise<object>} The stored event.
+ */
+function createEvent(eventId, eventName, parentId = null) {
+  return eventService.createEvent({
+    eventId,
+    eventName,
+    startDate: '2023-01-01T10:00:00Z',
+    endDate: '2023-01-01T11:00:00Z',
+    parentId,
+  });
+}
+
+/**
+ * Stores a root event, a child under it and a grandchild under the child.
+ * @returns {Promise<void>}
+ */
+async function createFamily() {
+  await createEvent(ROOT_ID, 'Root');
+  await createEvent(CHILD_ID, 'Child', ROOT_ID);
+  await createEvent(GRANDCHILD_ID, 'Grandchild', CHILD_ID);
+}
+
+/**
+ * Lists the stored events with their parents.
+ * @returns {Promise<Array<Array<string|null>>>} The names and parent IDs, by ID.
+ */
+async function storedParents() {
+  const { rows } = await query('SELECT event_name, parent_event_id FROM historical_events ORDER BY event_id');
+  return rows.map((row) => [row.event_name, row.parent_event_id]);
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('createEvent', () => {
+  it('stores the event with its computed duration', async () => {
+    const created = await createEvent(ROOT_ID, 'Root');
+
+    assert.equal(created.event_id, ROOT_ID);
+    assert.equal(created.duration_minutes, 60);
+    assert.deepEqual(await eventService.getEvent(ROOT_ID.toUpperCase()), created);
+    assert.equal(await eventService.getEvent(MISSING_ID), null);
+  });
+
+  it('generates an ID when none is given', async () => {
+    const created = await eventService.createEvent({ eventName: 'Unnamed', startDate: '2023-01-01', endDate: '2023-01-02' });
+    assert.match(created.event_id, /^[0-9a-f-]{36}$/);
+  });
+
+  it('rejects missing parents, taken IDs and invalid bodies', async () => {
+    await createEvent(ROOT_ID, 'Root');
+
+    await assert.rejects(createEvent(CHILD_ID, 'Child', MISSING_ID), { statusCode: 400, message: /does not exist/ });
+    await assert.rejects(createEvent(ROOT_ID, 'Again'), { statusCode: 409 });
+    await assert.rejects(eventService.createEvent({ eventName: 'Undated' }), { statusCode: 400, message: /startDate, endDate/ });
+    await assert.rejects(eventService.createEvent({ eventName: 'Late', startDate: '2023-01-02', endDate: '2023-01-01' }), { statusCode: 400 });
+  });
+});
+
+describe('updateEvent', () => {
+  it('applies the changes, recomputes the duration and keeps the previous version', async () => {
+    await createEvent(ROOT_ID, 'Root');
+    const updated = await eventService.updateEvent(ROOT_ID, { eventName: 'Renamed', endDate: '2023-01-01T12:30:00Z' });
+
+    assert.equal(updated.event_name, 'Renamed');
+    assert.equal(updated.duration_minutes, 150);
+
+    const history = await eventService.getEventRevisions(ROOT_ID, { page: 1, limit: 10 });
+    assert.equal(history.totalRevisions, 1);
+    assert.equal(history.revisions[0].changeType, 'UPDATE');
+    assert.equal(history.revisions[0].previousVersion.event_name, 'Root');
+  });
+
+  it('moves the event to another parent', async () => {
+    await createFamily();
+    await eventService.updateEvent(GRANDCHILD_ID, { parentId: ROOT_ID });
+
+    assert.deepEqual(await storedParents(), [['Root', null], ['Child', ROOT_ID], ['Grandchild', ROOT_ID]]);
+  });
+
+  it('rejects moves under the event itself or one of its descendants', async () => {
+    await createFamily();
+
+    await assert.rejects(eventService.updateEvent(ROOT_ID, { parentId: GRANDCHILD_ID }), { statusCode: 409, message: /cycle/ });
+    await assert.rejects(eventService.updateEvent(ROOT_ID, { parentId: ROOT_ID }), { statusCode: 400 });
+    await assert.rejects(eventService.updateEvent(ROOT_ID, { parentId: MISSING_ID }), { statusCode: 400, message: /does not exist/ });
+    assert.deepEqual(await storedParents(), [['Root', null], ['Child', ROOT_ID], ['Grandchild', CHILD_ID]]);
+  });
+
+  it('refuses to change the event ID and reports missing events', async () => {
+    await createEvent(ROOT_ID, 'Root');
+
+    await assert.rejects(eventService.updateEvent(ROOT_ID, { eventId: CHILD_ID }), { statusCode: 400, message: /Unknown field 'eventId'/ });
+    assert.equal(await eventService.updateEvent(MISSING_ID, { eventName: 'Missing' }), null);
+  });
+});
+
+describe('deleteEvent', () => {
+  it('detaches the children by default', async () => {
+    await createFamily();
+    const report = await eventService.deleteEvent(CHILD_ID);
+
+    assert.equal(report.deletedEvents, 1);
+    assert.deepEqual(report.affectedChildren.map((child) => [child.eventId, child.action]), [[GRANDCHILD_ID, 'DETACHED']]);
+    assert.deepEqual(await storedParents(), [['Root', null], ['Grandchild', null]]);
+  });
+
+  it('moves the children under the event\'s parent with reparent', async () => {
+    await createFamily();
+    const report = await eventService.deleteEvent(CHILD_ID, 'reparent');
+
+    assert.deepEqual(report.affectedChildren.map((child) => child.newParentEventId), [ROOT_ID]);
+    assert.deepEqual(await storedParents(), [['Root', null], ['Grandchild', ROOT_ID]]);
+  });
+
+  it('deletes all descendants with cascade', async () => {
+    await createFamily();
+    const report = await eventService.deleteEvent(ROOT_ID, 'cascade');
+
+    assert.equal(report.deletedEvents, 3);
+    assert.deepEqual(await storedParents(), []);
+  });
+
+  it('refuses to delete an event with children with restrict', async () => {
+    await createFamily();
+
+    await assert.rejects(eventService.deleteEvent(CHILD_ID, 'restrict'), (error) => {
+      assert.equal(error.statusCode, 409);
+      assert.deepEqual(error.details.affectedChildren.map((child) => child.action), ['BLOCKING']);
+      return true;
+    });
+    assert.equal((await storedParents()).length, 3);
+    assert.equal(await eventService.deleteEvent(MISSING_ID), null);
+  });
+
+  it('keeps the deleted version in the revision history', async () => {
+    await createEvent(ROOT_ID, 'Root');
+    await eventService.deleteEvent(ROOT_ID);
+
+    const history = await eventService.getEventRevisions(ROOT_ID, { page: 1, limit: 10 });
+    assert.equal(history.current, null);
+    assert.deepEqual(history.revisions.map((revision) => revision.changeType), ['DELETE']);
+  });
+});
\ No newline at end of file
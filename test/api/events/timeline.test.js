@@ -0,0 +1,103 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase } = require('../../helpers/testDatabase');
+const eventService = require('../../../src/api/events/event.service');
+
+/**
+ * Builds the ID of a test event.
+ * @param {number} index The event's index.
+ * @returns {string} The event ID.
+ */
+function eventId(index) {
+  return `a1b2c3d4-0000-4000-8000-${String(index).padStart(12, '0')}`;
+}
+
+// E1 > E2 > E3 > E4 > E5, with E8 a second child of E3, E7 a sibling of E3 and E6 a sibling of E2
+const FAMILY = [
+  [1, null, '10:00', '18:00'],
+  [2, 1, '11:00', '17:00'],
+  [3, 2, '12:00', '16:00'],
+  [4, 3, '13:00', '15:00'],
+  [5, 4, '13:30', '14:00'],
+  [6, 1, '10:30', '11:00'],
+  [7, 2, '11:30', '12:00'],
+  [8, 3, '15:00', '15:30'],
+];
+
+/**
+ * Lists the names of a node's children, recursively.
+ * @param {object} node The timeline node.
+ * @returns {Array<*>} The node's name, followed by the trees of its children.
+ */
+function tree(node) {
+  return [node.event_name, ...node.children.map(tree)];
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  for (const [index, parentIndex, start, end] of FAMILY) {
+    await eventService.createEvent({
+      eventId: eventId(index),
+      eventName: `E${index}`,
+      parentId: parentIndex === null ? null : eventId(parentIndex),
+      startDate: `2023-01-01T${start}:00Z`,
+      endDate: `2023-01-01T${end}:00Z`,
+    });
+  }
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('getTimelineByRootEventId', () => {
+  it('nests the whole subtree, with the ancestor chain attached through parent', async () => {
+    const timeline = await eventService.getTimelineByRootEventId(eventId(3).toUpperCase());
+
+    assert.deepEqual(tree(timeline), ['E3', ['E4', ['E5']], ['E8']]);
+    assert.deepEqual([timeline.parent.event_name, timeline.parent.parent.event_name], ['E2', 'E1']);
+    assert.equal(timeline.parent.children, undefined);
+    assert.equal(timeline.siblings, undefined);
+  });
+
+  it('stops at the maximum depth, keeping the child counts of the cut-off nodes', async () => {
+    const timeline = await eventService.getTimelineByRootEventId(eventId(3), { maxDepth: 1 });
+
+    assert.deepEqual(tree(timeline), ['E3', ['E4'], ['E8']]);
+    assert.deepEqual(timeline.children.map((child) => child.child_count), [1, 0]);
+  });
+
+  it('lists the siblings of the event and of each ancestor', async () => {
+    const timeline = await eventService.getTimelineByRootEventId(eventId(3), { siblings: true });
+
+    assert.deepEqual(timeline.siblings.map((sibling) => sibling.event_name), ['E7']);
+    assert.deepEqual(timeline.parent.siblings.map((sibling) => sibling.event_name), ['E6']);
+    assert.deepEqual(timeline.parent.parent.siblings, []);
+  });
+
+  it('flattens the family into Gantt rows with depths, paths and offsets from the event\'s start', async () => {
+    const result = await eventService.getTimelineByRootEventId(eventId(3), { format: 'gantt', siblings: true });
+
+    assert.deepEqual(result.rows.map((row) => [
+      row.event_name, row.relation, row.depth, row.path.length, row.start_offset_minutes, row.end_offset_minutes, row.child_count,
+    ]), [
+      ['E1', 'ancestor', -2, 1, -120, 360, 2],
+      ['E6', 'sibling', -1, 2, -90, -60, 0],
+      ['E2', 'ancestor', -1, 2, -60, 300, 2],
+      ['E7', 'sibling', 0, 3, -30, 0, 0],
+      ['E3', 'root', 0, 3, 0, 240, 2],
+      ['E4', 'descendant', 1, 4, 60, 180, 1],
+      ['E5', 'descendant', 2, 5, 90, 120, 0],
+      ['E8', 'descendant', 1, 4, 180, 210, 0],
+    ]);
+    assert.deepEqual(result.rows[6].path, [1, 2, 3, 4, 5].map(eventId));
+  });
+
+  it('returns null for an event that does not exist', async () => {
+    assert.equal(await eventService.getTimelineByRootEventId(eventId(99)), null);
+  });
+});
\ No newline at end of file
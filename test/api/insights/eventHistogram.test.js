@@ -0,0 +1,94 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase } = require('../../helpers/testDatabase');
+const eventService = require('../../../src/api/events/event.service');
+const insightService = require('../../../src/api/insights/insight.service');
+
+const ROOT_A_ID = 'a1b2c3d4-0000-4000-8000-000000000010';
+const CHILD_A_ID = 'a1b2c3d4-0000-4000-8000-000000000011';
+const ROOT_B_ID = 'a1b2c3d4-0000-4000-8000-000000000020';
+const ROOT_C_ID = 'a1b2c3d4-0000-4000-8000-000000000030';
+
+const RANGE = { startDate: '2023-01-01T00:00:00Z', endDate: '2023-01-03T23:59:59Z', interval: 'day' };
+
+/**
+ * Builds a histogram over RANGE.
+ * @param {object} [params] Further histogram parameters.
+ * @returns {Promise<object>} The histogram.
+ */
+function histogram(params = {}) {
+  return insightService.getEventHistogram({ ...RANGE, ...params });
+}
+
+/**
+ * Lists the buckets' starts and event counts.
+ * @param {object} result The histogram.
+ * @returns {Array<Array<*>>} The bucket starts and counts.
+ */
+function bucketCounts(result) {
+  return result.buckets.map((bucket) => [bucket.start, bucket.eventCount]);
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  // Root C starts before the range, so it is counted in the range's first bucket
+  await eventService.createEvent({ eventId: ROOT_C_ID, eventName: 'Root C', startDate: '2022-12-31T22:00:00Z', endDate: '2023-01-01T01:00:00Z', metadata: { site: 'Z' } });
+  await eventService.createEvent({ eventId: ROOT_A_ID, eventName: 'Root A', startDate: '2023-01-01T10:00:00Z', endDate: '2023-01-01T12:00:00Z', metadata: { site: 'X' } });
+  await eventService.createEvent({ eventId: CHILD_A_ID, eventName: 'Child A', startDate: '2023-01-01T11:00:00Z', endDate: '2023-01-01T11:30:00Z', parentId: ROOT_A_ID, metadata: { site: 'Y' } });
+  await eventService.createEvent({ eventId: ROOT_B_ID, eventName: 'Root B', startDate: '2023-01-03T09:00:00Z', endDate: '2023-01-03T10:00:00Z', metadata: { site: 'X' } });
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('getEventHistogram', () => {
+  it('counts events and sums their durations per bucket, including empty buckets', async () => {
+    const result = await histogram();
+
+    assert.deepEqual(result.totals, { eventCount: 4, totalDurationMinutes: 390, averageDurationMinutes: 97.5 });
+    assert.deepEqual(result.buckets, [
+      { start: '2023-01-01T00:00:00.000Z', eventCount: 3, totalDurationMinutes: 330, averageDurationMinutes: 110 },
+      { start: '2023-01-02T00:00:00.000Z', eventCount: 0, totalDurationMinutes: 0, averageDurationMinutes: null },
+      { start: '2023-01-03T00:00:00.000Z', eventCount: 1, totalDurationMinutes: 60, averageDurationMinutes: 60 },
+    ]);
+  });
+
+  it('applies the search filters', async () => {
+    const result = await histogram({ filters: { name: 'root', minDuration: 100 } });
+    assert.deepEqual(bucketCounts(result), [['2023-01-01T00:00:00.000Z', 2], ['2023-01-02T00:00:00.000Z', 0], ['2023-01-03T00:00:00.000Z', 0]]);
+  });
+
+  it('breaks the counts down by root hierarchy, folding the smallest groups together', async () => {
+    const result = await histogram({ groupBy: 'root', groupLimit: 1 });
+
+    assert.deepEqual(result.groups.map((group) => [group.key, group.label, group.eventCount]), [
+      [ROOT_A_ID, 'Root A', 2],
+      [null, null, 2],
+    ]);
+    assert.equal(result.groups[1].groupCount, 2);
+    assert.deepEqual(result.buckets[0].groups.map((group) => [group.label, group.eventCount, group.other]), [
+      ['Root A', 2, undefined],
+      [null, 1, true],
+    ]);
+  });
+
+  it('breaks the counts down by a metadata value', async () => {
+    const result = await histogram({ groupBy: 'metadata', metadataKey: 'site' });
+
+    assert.equal(result.metadataKey, 'site');
+    assert.deepEqual(result.groups.map((group) => [group.key, group.eventCount]), [['X', 2], ['Y', 1], ['Z', 1]]);
+    assert.deepEqual(result.buckets[2].groups.map((group) => group.key), ['X']);
+  });
+
+  it('counts events with uncertain dates by the chosen span', async () => {
+    await eventService.createEvent({ eventName: 'Sometime in January', startDate: '2023-01', endDate: '2023-02' });
+
+    assert.equal((await histogram()).totals.eventCount, 5);
+    assert.equal((await histogram({ filters: { span: 'certain' } })).totals.eventCount, 4);
+  });
+});
\ No newline at end of file
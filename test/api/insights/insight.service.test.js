@@ -0,0 +1,289 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const databaseService = require('../../../src/database/database.service');
+const insightService = require('../../../src/api/insights/insight.service');
+
+/**
+ * Builds an event as the range queries return it.
+ * @param {string} id The event ID.
+ * @param {string} start The start time, as HH:MM on 2023-01-01.
+ * @param {string} end The end time, as HH:MM on 2023-01-01.
+ * @param {object} [columns] Further columns.
+ * @returns {object} The event.
+ */
+function event(id, start, end, columns = {}) {
+  return {
+    event_id: id,
+    event_name: `Event ${id}`,
+    start_date: new Date(`2023-01-01T${start}:00Z`),
+    end_date: new Date(`2023-01-01T${end}:00Z`),
+    parent_event_id: null,
+    ...columns,
+  };
+}
+
+const RANGE_START = '2023-01-01T00:00:00Z';
+const RANGE_END = '2023-01-01T08:00:00Z';
+
+// a [00:00, 03:00) holds b and half of c; d stands alone
+const EVENTS = [
+  event('a', '00:00', '03:00'),
+  event('b', '01:00', '02:00'),
+  event('c', '01:30', '04:00'),
+  event('d', '05:00', '06:00'),
+];
+
+afterEach(() => {
+  mock.restoreAll();
+});
+describe('findOverlappingEvents', () => {
+  beforeEach(() => {
+    mock.method(databaseService, 'getEventsInRange', async () => EVENTS);
+  });
+
+  const pairIds = (result) => result.pairs.map((pair) => [
+    pair.overlappingEventPairs.map((pairEvent) => pairEvent.event_id).join('-'),
+    pair.overlap_duration_minutes,
+  ]);
+
+  it('finds every overlapping pair once', async () => {
+    const result = await insightService.findOverlappingEvents(RANGE_START, RANGE_END);
+    assert.deepEqual(pairIds(result), [['b-a', 60], ['c-a', 90], ['c-b', 30]]);
+    assert.equal(result.nextCursor, null);
+  });
+
+  it('only reports pairs that overlap long enough', async () => {
+    const result = await insightService.findOverlappingEvents(RANGE_START, RANGE_END, { minOverlapMinutes: 45 });
+    assert.deepEqual(pairIds(result), [['b-a', 60], ['c-a', 90]]);
+  });
+
+  it('resumes from the cursor within the pairs of one start point', async () => {
+    const first = await insightService.findOverlappingEvents(RANGE_START, RANGE_END, { limit: 2 });
+    assert.deepEqual(pairIds(first), [['b-a', 60], ['c-a', 90]]);
+    assert.ok(first.nextCursor);
+
+    const second = await insightService.findOverlappingEvents(RANGE_START, RANGE_END, { limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(pairIds(second), [['c-b', 30]]);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('rejects cursors issued for other parameters, or not issued at all', async () => {
+    const { nextCursor } = await insightService.findOverlappingEvents(RANGE_START, RANGE_END, { limit: 1 });
+    await assert.rejects(
+      insightService.findOverlappingEvents(RANGE_START, RANGE_END, { limit: 1, minOverlapMinutes: 45, cursor: nextCursor }),
+      { statusCode: 400 },
+    );
+    await assert.rejects(
+      insightService.findOverlappingEvents(RANGE_START, RANGE_END, { cursor: 'not-a-cursor' }),
+      { statusCode: 400 },
+    );
+  });
+});
+
+describe('findPeakConcurrency', () => {
+  beforeEach(() => {
+    mock.method(databaseService, 'getEventsInRange', async () => EVENTS);
+  });
+
+  it('ranks periods by concurrency, then by length', async () => {
+    const result = await insightService.findPeakConcurrency(RANGE_START, RANGE_END, { limit: 2 });
+
+    assert.equal(result.peakConcurrency, 3);
+    assert.deepEqual(result.periods.map((period) => ({
+      start: period.start.toISOString(),
+      durationMinutes: period.durationMinutes,
+      events: period.events.map((periodEvent) => periodEvent.event_id),
+    })), [
+      { start: '2023-01-01T01:30:00.000Z', durationMinutes: 30, events: ['a', 'b', 'c'] },
+      { start: '2023-01-01T02:00:00.000Z', durationMinutes: 60, events: ['a', 'c'] },
+    ]);
+  });
+
+  it('clips periods to the range', async () => {
+    const result = await insightService.findPeakConcurrency('2023-01-01T05:30:00Z', RANGE_END, { limit: 1 });
+    assert.equal(result.periods[0].start.toISOString(), '2023-01-01T05:30:00.000Z');
+    assert.equal(result.periods[0].durationMinutes, 30);
+  });
+});
+
+describe('findTemporalGaps', () => {
+  beforeEach(() => {
+    mock.method(databaseService, 'getSortedEventsInRange', async () => EVENTS);
+  });
+
+  it('merges overlapping events and reports the gaps around them, longest first', async () => {
+    const result = await insightService.findTemporalGaps(RANGE_START, RANGE_END);
+
+    assert.deepEqual(result.gaps.map((gap) => ({
+      rank: gap.rank,
+      durationMinutes: gap.durationMinutes,
+      preceding: gap.precedingEvent && gap.precedingEvent.event_id,
+      succeeding: gap.succeedingEvent && gap.succeedingEvent.event_id,
+    })), [
+      { rank: 1, durationMinutes: 120, preceding: 'd', succeeding: null },
+      { rank: 2, durationMinutes: 60, preceding: 'c', succeeding: 'd' },
+    ]);
+    assert.deepEqual(result.coverage, {
+      eventCount: 4,
+      windowMinutes: 480,
+      coveredMinutes: 300,
+      uncoveredMinutes: 180,
+      coveragePercent: 62.5,
+    });
+  });
+
+  it('leaves out gaps shorter than the minimum', async () => {
+    const result = await insightService.findTemporalGaps(RANGE_START, RANGE_END, { minDurationMinutes: 90 });
+    assert.equal(result.gaps.length, 1);
+    assert.equal(result.largestGap.durationMinutes, 120);
+  });
+
+  it('returns null for a root event that does not exist', async () => {
+    mock.method(databaseService, 'getEventById', async () => null);
+    assert.equal(await insightService.findTemporalGaps(RANGE_START, RANGE_END, { rootEventId: 'missing' }), null);
+  });
+});
+
+describe('findEventInfluencePath', () => {
+  // s reaches t directly, through a, and through b and c
+  const graph = {
+    events: [
+      event('s', '00:00', '00:10', { duration_minutes: 10 }),
+      event('a', '00:00', '01:40', { duration_minutes: 100 }),
+      event('b', '00:00', '00:05', { duration_minutes: 5 }),
+      event('c', '00:00', '00:05', { duration_minutes: 5 }),
+      event('t', '00:00', '00:10', { duration_minutes: 10 }),
+    ],
+    links: [
+      ['s', 't'], ['s', 'a'], ['a', 't'], ['s', 'b'], ['b', 'c'], ['c', 't'],
+    ].map(([source, target]) => ({ source_event_id: source, target_event_id: target, link_type: 'caused' })),
+  };
+
+  beforeEach(() => {
+    mock.method(databaseService, 'getEventGraph', async () => graph);
+  });
+
+  const route = (path) => path.events.map((pathEvent) => pathEvent.event_id).join('>');
+
+  it('returns the k cheapest loopless paths, cheapest first', async () => {
+    const result = await insightService.findEventInfluencePath('s', 't', { k: 3 });
+
+    assert.deepEqual(result.paths.map((path) => [route(path), path.totalWeight]), [
+      ['s>t', 20],
+      ['s>b>c>t', 30],
+      ['s>a>t', 120],
+    ]);
+    assert.deepEqual(result.shortestPath[1], {
+      event_id: 't',
+      event_name: 'Event t',
+      duration_minutes: 10,
+      step: 'link',
+      linkType: 'caused',
+    });
+  });
+
+  it('weighs paths by the chosen weight and stops when no paths are left', async () => {
+    const result = await insightService.findEventInfluencePath('s', 't', { weight: 'hops', direction: 'down', k: 5 });
+    assert.deepEqual(result.paths.map((path) => [route(path), path.hops]), [
+      ['s>t', 1],
+      ['s>a>t', 2],
+      ['s>b>c>t', 3],
+    ]);
+  });
+
+  it('reports when the target cannot be reached', async () => {
+    const result = await insightService.findEventInfluencePath('s', 'elsewhere');
+    assert.deepEqual(result.paths, []);
+    assert.equal(result.message, 'No temporal path found from source to target event.');
+  });
+
+  it('returns null for a source event that does not exist', async () => {
+    mock.method(databaseService, 'getEventGraph', async () => ({ events: [], links: [] }));
+    assert.equal(await insightService.findEventInfluencePath('missing', 't'), null);
+  });
+});
+
+describe('findDuplicateEvents', () => {
+  const candidate = (id, name, start, end, columns) => event(id, start, end, {
+    event_name: name, parent_event_id: 'p', source_file: 'archive.csv', ...columns,
+  });
+
+  beforeEach(() => {
+    mock.method(databaseService, 'getDuplicateCandidates', async () => [
+      candidate('x', 'Battle of Hastings', '09:00', '17:00'),
+      candidate('y', 'battle of HASTINGS!', '09:00', '17:00'),
+      candidate('w', 'Hastings market day', '12:00', '18:00', { parent_event_id: null, source_file: 'ledger.csv' }),
+    ]);
+  });
+
+  it('scores names by trigram similarity, dates by proximity and a shared parent', async () => {
+    const result = await insightService.findDuplicateEvents(RANGE_START, RANGE_END);
+
+    assert.equal(result.comparedPairs, 3);
+    assert.equal(result.matchingPairs, 1);
+    const [pair] = result.pairs;
+    assert.deepEqual(pair.events.map((pairEvent) => pairEvent.event_id), ['x', 'y']);
+    assert.deepEqual(
+      { score: pair.score, nameSimilarity: pair.nameSimilarity, timeProximity: pair.timeProximity, sharedParent: pair.sharedParent },
+      { score: 1, nameSimilarity: 1, timeProximity: 1, sharedParent: true },
+    );
+  });
+
+  it('compares only events from different sources when asked', async () => {
+    const result = await insightService.findDuplicateEvents(RANGE_START, RANGE_END, { minScore: 0.4, crossSourceOnly: true });
+
+    assert.equal(result.comparedPairs, 2);
+    for (const pair of result.pairs) {
+      assert.equal(pair.events[1].event_id, 'w');
+      // 9 shared trigrams ('hastings') of 30; the starts are 3 of the allowed 24 hours apart
+      assert.equal(pair.nameSimilarity, 0.3);
+      assert.equal(pair.timeProximity, 0.875);
+      assert.equal(pair.sharedParent, false);
+    }
+  });
+
+  it('keeps only the best pairs up to the limit', async () => {
+    const result = await insightService.findDuplicateEvents(RANGE_START, RANGE_END, { minScore: 0.4, limit: 1 });
+    assert.equal(result.matchingPairs, 3);
+    assert.equal(result.pairs.length, 1);
+    assert.equal(result.pairs[0].score, 1);
+  });
+
+  it('compares the dates of the chosen span', async () => {
+    const result = await insightService.findDuplicateEvents(RANGE_START, RANGE_END, { span: 'certain' });
+    assert.equal(result.span, 'certain');
+    assert.deepEqual(databaseService.getDuplicateCandidates.mock.calls[0].arguments, [RANGE_START, RANGE_END, null, 'certain']);
+  });
+});
+
+describe('getSnapshot', () => {
+  // r holds m, which holds g; d is a root of its own
+  const active = [
+    event('r', '00:00', '08:00', { ancestor_ids: [] }),
+    event('m', '01:00', '03:00', { parent_event_id: 'r', ancestor_ids: ['r'] }),
+    event('g', '01:30', '02:00', { parent_event_id: 'm', ancestor_ids: ['m', 'r'] }),
+    event('d', '01:40', '06:00', { ancestor_ids: [] }),
+  ];
+
+  beforeEach(() => {
+    mock.method(databaseService, 'getEventsInRange', async () => active);
+    mock.method(databaseService, 'getEventsByIds', async (ids) => active.filter((activeEvent) => ids.includes(activeEvent.event_id)));
+  });
+
+  it('groups the active events by their root, with their ancestor chains root first', async () => {
+    const result = await insightService.getSnapshot('2023-01-01T01:45:00Z', { windowMinutes: 5 });
+
+    assert.equal(result.from, '2023-01-01T01:40:00.000Z');
+    assert.equal(result.to, '2023-01-01T01:50:00.000Z');
+    assert.equal(result.activeEventCount, 4);
+    assert.deepEqual(result.hierarchies.map((hierarchy) => [hierarchy.rootEventId, hierarchy.eventCount]), [['r', 3], ['d', 1]]);
+    const grandchild = result.hierarchies[0].events.find((activeEvent) => activeEvent.event_id === 'g');
+    assert.equal(grandchild.depth, 2);
+    assert.deepEqual(grandchild.ancestors.map((ancestor) => [ancestor.event_id, ancestor.active]), [['r', true], ['m', true]]);
+  });
+
+  it('keeps only the most specific active events when asked', async () => {
+    const result = await insightService.getSnapshot('2023-01-01T01:45:00Z', { deepestOnly: true });
+    assert.deepEqual(result.hierarchies.map((hierarchy) => hierarchy.events.map((activeEvent) => activeEvent.event_id)), [['g'], ['d']]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MinHeap = require('../../../src/api/insights/minHeap');
+
+describe('MinHeap', () => {
+  it('pops items lowest priority first', () => {
+    const heap = new MinHeap();
+    const priorities = [5, 3, 9, 1, 7, 3, 0, 8, 2, 6];
+    priorities.forEach((priority, index) => heap.push(`item${index}`, priority));
+    assert.equal(heap.size, priorities.length);
+
+    const popped = [];
+    while (heap.size > 0) {
+      popped.push(heap.pop().priority);
+    }
+    assert.deepEqual(popped, [...priorities].sort((a, b) => a - b));
+  });
+
+  it('returns the value with its priority', () => {
+    const heap = new MinHeap();
+    heap.push({ id: 'b' }, 2);
+    heap.push({ id: 'a' }, 1);
+    assert.deepEqual(heap.pop(), { value: { id: 'a' }, priority: 1 });
+    assert.equal(heap.size, 1);
+  });
+
+  it('returns undefined when empty', () => {
+    assert.equal(new MinHeap().pop(), undefined);
+  });
+});
\ No newline at end of file
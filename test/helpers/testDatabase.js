@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite, types } = require('@electric-sql/pglite');
+const { uuid_ossp: uuidOssp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+const db = require('../../src/configs/db');
+
+const SCHEMA_PATH = path.join(__dirname, '..', '..', 'init.sql');
+
+// pg returns BIGINT and NUMERIC values as strings, since they may not fit a JavaScript number
+const PG_COMPATIBLE_PARSERS = {
+  [types.INT8]: (value) => value,
+  [types.NUMERIC]: (value) => value,
+};
+
+let database = null;
+let originalConnection = null;
+// The database has a single session, so transactions take turns
+let clientQueue = Promise.resolve();
+
+/**
+ * Runs a statement the way pg's pool does, returning `rows` and `rowCount`.
+ * Statements without parameters may be several, as with pg's simple query protocol; the last one's result is returned.
+ * @param {string} text The SQL.
+ * @param {Array<*>} [params] The parameter values.
+ * @returns {Promise<{rows: Array<object>, rowCount: number}>} The result.
+ */
+async function query(text, params) {
+  let result;
+  if (params === undefined || params.length === 0) {
+    const results = await database.exec(text);
+    result = results[results.length - 1] || { rows: [] };
+  } else {
+    result = await database.query(text, params);
+  }
+  return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+}
+
+/**
+ * Hands out the session as a pool client, once the previous client has been released.
+ * @returns {Promise<{query: Function, release: Function}>} The client.
+ */
+function getClient() {
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  const turn = clientQueue.then(() => ({ query, release: () => release() }));
+  clientQueue = turn.then(() => released);
+  return turn;
+}
+
+/**
+ * Creates an in-memory database with the schema of init.sql and points the app's database connection at it.
+ * Call it from a `before` hook; it takes a few seconds.
+ * @returns {Promise<void>}
+ */
+async function startTestDatabase() {
+  database = new PGlite({ extensions: { uuid_ossp: uuidOssp }, parsers: PG_COMPATIBLE_PARSERS });
+  await database.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  originalConnection = { query: db.query, getClient: db.getClient };
+  Object.assign(db, { query, getClient });
+}
+
+/**
+ * Empties every table, for a `beforeEach` hook.
+ * @returns {Promise<void>}
+ */
+async function resetTestDatabase() {
+  const { rows } = await database.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public'`);
+  await database.exec(`TRUNCATE ${rows.map((row) => `"${row.tablename}"`).join(', ')} CASCADE`);
+}
+
+/**
+ * Closes the database and restores the app's database connection, for an `after` hook.
+ * @returns {Promise<void>}
+ */
+async function stopTestDatabase() {
+  Object.assign(db, originalConnection);
+  await database.close();
+  database = null;
+}
+
+module.exports = {
+  query,
+  startTestDatabase,
+  resetTestDatabase,
+  stopTestDatabase,
+};
\ No newline at end of file
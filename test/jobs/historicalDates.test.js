@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseHistoricalDate,
+  parseDateBound,
+  toEventDateColumns,
+  formatHistoricalDate,
+  toSqlTimestamp,
+} = require('../../src/jobs/historicalDates');
+
+const iso = (date) => date.toISOString();
+
+describe('parseHistoricalDate', () => {
+  it('reads a year as the whole year', () => {
+    const range = parseHistoricalDate('1450');
+    assert.equal(iso(range.earliest), '1450-01-01T00:00:00.000Z');
+    assert.equal(iso(range.latest), '1451-01-01T00:00:00.000Z');
+    assert.equal(range.precision, 'year');
+    assert.equal(range.approximate, false);
+  });
+
+  it('reads exact timestamps', () => {
+    const range = parseHistoricalDate('2023-01-05T12:00:00Z');
+    assert.equal(iso(range.earliest), '2023-01-05T12:00:00.000Z');
+    assert.equal(range.latest.getTime(), range.earliest.getTime());
+    assert.equal(range.precision, 'exact');
+  });
+
+  it('reads BCE and CE eras as astronomical years', () => {
+    assert.equal(iso(parseHistoricalDate('300 BCE').earliest), '-000299-01-01T00:00:00.000Z');
+    assert.equal(iso(parseHistoricalDate('-0299').earliest), '-000299-01-01T00:00:00.000Z');
+    assert.equal(iso(parseHistoricalDate('AD 79').earliest), '0079-01-01T00:00:00.000Z');
+    assert.equal(parseHistoricalDate('0 BCE'), null);
+  });
+
+  it('widens approximate dates by the circa margin or an explicit one', () => {
+    const circa = parseHistoricalDate('circa 1450');
+    assert.equal(iso(circa.earliest), '1440-01-01T00:00:00.000Z');
+    assert.equal(iso(circa.latest), '1461-01-01T00:00:00.000Z');
+    assert.equal(circa.approximate, true);
+
+    const margin = parseHistoricalDate('1450-03 ±2');
+    assert.equal(iso(margin.earliest), '1450-01-01T00:00:00.000Z');
+    assert.equal(iso(margin.latest), '1450-06-01T00:00:00.000Z');
+    assert.equal(margin.precision, 'month');
+  });
+
+  it('rejects impossible dates and dates before 4713 BCE', () => {
+    for (const value of ['1450-13', '1450-02-30', 'soon', '5000 BCE', null]) {
+      assert.equal(parseHistoricalDate(value), null, String(value));
+    }
+  });
+});
+
+describe('parseDateBound', () => {
+  it('takes the earliest instant for a start bound and the latest for an end bound', () => {
+    assert.equal(iso(parseDateBound('1450', 'start')), '1450-01-01T00:00:00.000Z');
+    assert.equal(iso(parseDateBound('1450', 'end')), '1451-01-01T00:00:00.000Z');
+    assert.equal(parseDateBound('never', 'end'), null);
+  });
+});
+
+describe('toEventDateColumns', () => {
+  it('stores the widest period and narrows each end to what is certain', () => {
+    const { columns } = toEventDateColumns('1450', '1450-06');
+    assert.equal(iso(columns.start_date), '1450-01-01T00:00:00.000Z');
+    assert.equal(iso(columns.start_date_latest), '1450-07-01T00:00:00.000Z');
+    assert.equal(iso(columns.end_date), '1450-07-01T00:00:00.000Z');
+    assert.equal(iso(columns.end_date_earliest), '1450-06-01T00:00:00.000Z');
+    assert.equal(columns.start_date_precision, 'year');
+    assert.equal(columns.end_date_precision, 'month');
+    assert.equal(columns.duration_minutes, 181 * 24 * 60);
+  });
+
+  it('leaves the narrowed columns null for exact dates', () => {
+    const { columns } = toEventDateColumns('2023-01-01T10:00:00Z', '2023-01-01T11:30:00Z');
+    assert.equal(columns.start_date_latest, null);
+    assert.equal(columns.end_date_earliest, null);
+    assert.equal(columns.duration_minutes, 90);
+  });
+
+  it('reports invalid, reversed and overlong ranges', () => {
+    assert.deepEqual(toEventDateColumns('1450', 'later'), {
+      code: 'INVALID_DATE',
+      error: "Invalid date format. Start: '1450', End: 'later'",
+      field: 'end_date',
+    });
+    assert.equal(toEventDateColumns('2023-01-05T00:00:00Z', '2023-01-01T00:00:00Z').code, 'DATE_ORDER');
+    assert.equal(toEventDateColumns('3000 BCE', '2000').code, 'DATE_RANGE');
+  });
+
+  it('rejects a start on the day after a partial end', () => {
+    assert.equal(toEventDateColumns('2023-01-02', '2023-01-01').code, 'DATE_ORDER');
+    assert.equal(toEventDateColumns('1451', '1450').code, 'DATE_ORDER');
+    assert.equal(toEventDateColumns('2023-01-01', '2023-01-01').columns.duration_minutes, 24 * 60);
+  });
+
+  it('allows an event to start and end at the same exact instant', () => {
+    assert.equal(toEventDateColumns('2023-01-01T10:00:00Z', '2023-01-01T10:00:00Z').columns.duration_minutes, 0);
+  });
+});
+
+describe('formatHistoricalDate', () => {
+  it('writes dates back in the form they are read', () => {
+    for (const value of ['1450', '1450-03 ±2', '1450-03-15', '300 BCE', '2023-01-05T12:00:00.000Z']) {
+      assert.equal(formatHistoricalDate(parseHistoricalDate(value)), value);
+    }
+  });
+
+  it('writes circa dates with their margin', () => {
+    assert.equal(formatHistoricalDate(parseHistoricalDate('c. 1450')), '1450 ±10');
+  });
+});
+
+describe('toSqlTimestamp', () => {
+  it('uses the BC notation before 1 CE', () => {
+    assert.equal(toSqlTimestamp(parseDateBound('300 BCE', 'start')), '0300-01-01T00:00:00.000+00:00 BC');
+    assert.equal(toSqlTimestamp(new Date('2023-01-05T12:00:00Z')), '2023-01-05T12:00:00.000Z');
+    assert.equal(toSqlTimestamp(null), null);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,133 @@
+const { Readable } = require('stream');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../helpers/testDatabase');
+const { dryRunIngestion } = require('../../src/jobs/ingestionDryRun');
+
+const STORED_ID = 'a1b2c3d4-0000-4000-8000-000000000010';
+const FIRST_ID = 'a1b2c3d4-0000-4000-8000-000000000011';
+const SECOND_ID = 'a1b2c3d4-0000-4000-8000-000000000012';
+const MISSING_ID = 'a1b2c3d4-0000-4000-8000-0000000000ff';
+
+/**
+ * Builds a line of the pipe format.
+ * @param {string} eventId The event ID.
+ * @param {string} name The event name.
+ * @param {string|null} [parentId] The parent's ID.
+ * @returns {string} The line.
+ */
+function eventLine(eventId, name, parentId = null) {
+  return `${eventId}|${name}|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|${parentId || 'NULL'}|5|${name} description`;
+}
+
+/**
+ * Dry-runs the given lines.
+ * @param {Array<string>} lines The input lines.
+ * @param {object} [options] The dry-run options.
+ * @returns {Promise<object>} The dry-run report.
+ */
+function dryRun(lines, options) {
+  return dryRunIngestion(Readable.from([`${lines.join('\n')}\n`]), 'events.txt', options);
+}
+
+/**
+ * Lists a report's sampled errors.
+ * @param {object} report The dry-run report.
+ * @returns {Array<Array<*>>} The line numbers and error codes.
+ */
+function errorCodes(report) {
+  return report.errors.map((error) => [error.lineNumber, error.code]);
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  await query(`
+    INSERT INTO historical_events (event_id, event_name, start_date, end_date, duration_minutes)
+    VALUES ('${STORED_ID}', 'Stored', '2023-01-01T10:00:00Z', '2023-01-01T11:00:00Z', 60)
+  `);
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('dryRunIngestion', () => {
+  it('reports repeated, stored and orphaned event IDs without writing anything', async () => {
+    const report = await dryRun([
+      eventLine(FIRST_ID, 'First', STORED_ID),
+      '',
+      eventLine(FIRST_ID, 'First again'),
+      eventLine(STORED_ID, 'Stored again'),
+      eventLine(SECOND_ID, 'Second', MISSING_ID),
+      'not-a-uuid|Broken|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|NULL|5|Broken',
+    ]);
+
+    assert.equal(report.dryRun, true);
+    assert.equal(report.conflictPolicy, 'skip');
+    assert.equal(report.totalLines, 6);
+    assert.equal(report.skippedLines, 1);
+    assert.equal(report.validLines, 1);
+    assert.equal(report.rejectedLines, 4);
+    assert.equal(report.overwritingLines, 0);
+    assert.deepEqual(report.errorsByCode, { DUPLICATE_ID: 1, EXISTING_ID: 1, ORPHAN_EVENT: 1, INVALID_UUID: 1 });
+    assert.deepEqual(errorCodes(report), [[3, 'DUPLICATE_ID'], [4, 'EXISTING_ID'], [5, 'ORPHAN_EVENT'], [6, 'INVALID_UUID']]);
+    assert.equal(report.errorsTruncated, false);
+
+    const { rows } = await query('SELECT count(*)::int AS count FROM historical_events');
+    assert.equal(rows[0].count, 1);
+  });
+
+  it('accepts parents that appear later in the input', async () => {
+    const report = await dryRun([
+      eventLine(SECOND_ID, 'Second', FIRST_ID),
+      eventLine(FIRST_ID, 'First', MISSING_ID),
+    ]);
+
+    assert.deepEqual(errorCodes(report), [[1, 'ORPHAN_EVENT'], [2, 'ORPHAN_EVENT']]);
+
+    const resolved = await dryRun([
+      eventLine(SECOND_ID, 'Second', FIRST_ID),
+      eventLine(FIRST_ID, 'First', STORED_ID),
+    ]);
+
+    assert.equal(resolved.validLines, 2);
+    assert.deepEqual(resolved.errors, []);
+  });
+
+  it('rejects parent cycles within the input', async () => {
+    const report = await dryRun([
+      eventLine(FIRST_ID, 'First', SECOND_ID),
+      eventLine(SECOND_ID, 'Second', FIRST_ID),
+    ]);
+
+    assert.deepEqual(errorCodes(report), [[1, 'ORPHAN_EVENT'], [2, 'ORPHAN_EVENT']]);
+  });
+
+  it('counts stored and repeated IDs as overwrites with an overwrite policy', async () => {
+    const report = await dryRun([
+      eventLine(FIRST_ID, 'First'),
+      eventLine(FIRST_ID, 'First again'),
+      eventLine(STORED_ID, 'Stored again'),
+    ], { conflictPolicy: 'overwrite' });
+
+    assert.equal(report.conflictPolicy, 'overwrite');
+    assert.equal(report.rejectedLines, 0);
+    assert.equal(report.overwritingLines, 2);
+  });
+
+  it('counts the further lines of a multi-line CSV record as skipped', async () => {
+    const report = await dryRun([
+      'event_id,event_name,description,start_date,end_date',
+      `${FIRST_ID},First,"Spans`,
+      `two lines",2023-01-01T10:00:00Z,2023-01-01T11:00:00Z`,
+    ], { format: 'csv', hasHeader: true });
+
+    assert.equal(report.totalLines, 3);
+    assert.equal(report.skippedLines, 2);
+    assert.equal(report.validLines, 1);
+  });
+});
\ No newline at end of file
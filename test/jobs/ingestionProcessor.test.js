@@ -0,0 +1,275 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, beforeEach, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../helpers/testDatabase');
+const db = require('../../src/configs/db');
+const databaseService = require('../../src/database/database.service');
+const { processFile } = require('../../src/jobs/ingestionProcessor');
+
+const SAMPLE_FILE = path.join(__dirname, '..', '..', 'historical_data.csv');
+const ROOT_ID = 'a1b2c3d4-0000-4000-8000-000000000010';
+const CHILD_ID = 'a1b2c3d4-0000-4000-8000-000000000011';
+const GRANDCHILD_ID = 'a1b2c3d4-0000-4000-8000-000000000012';
+const MISSING_ID = 'a1b2c3d4-0000-4000-8000-0000000000ff';
+
+/**
+ * Builds a line of the pipe format.
+ * @param {string} eventId The event ID.
+ * @param {string} name The event name.
+ * @param {string|null} [parentId] The parent's ID.
+ * @returns {string} The line.
+ */
+function eventLine(eventId, name, parentId = null) {
+  return `${eventId}|${name}|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|${parentId || 'NULL'}|5|${name} description`;
+}
+
+let workDir;
+
+/**
+ * Queues and runs an ingestion job.
+ * @param {string} filePath The file to ingest.
+ * @param {object} [options] The processing options.
+ * @returns {Promise<object>} The finished job record.
+ */
+async function ingest(filePath, options = {}) {
+  const jobId = await databaseService.createIngestionJob(filePath, options);
+  await processFile(jobId, filePath, options);
+  return databaseService.getIngestionJob(jobId);
+}
+
+/**
+ * Writes lines to a file in the test's work directory.
+ * @param {string} name The file name.
+ * @param {Array<string>} lines The lines.
+ * @returns {string} The file's path.
+ */
+function writeLines(name, lines) {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+}
+
+/**
+ * Lists the stored events, for comparing ingestion results.
+ * @returns {Promise<Array<object>>} The events' IDs, names, parents and durations, by ID.
+ */
+async function storedEvents() {
+  const { rows } = await query(`
+    SELECT event_id, event_name, parent_event_id, duration_minutes, metadata->>'lineNumber' AS line_number
+    FROM historical_events ORDER BY event_id
+  `);
+  return rows;
+}
+
+/**
+ * Lists a job's per-line errors.
+ * @param {string} jobId The job's ID.
+ * @returns {Promise<Array<Array<*>>>} The line numbers and error codes.
+ */
+async function lineErrors(jobId) {
+  const { rows } = await query('SELECT line_number, error_code FROM ingestion_job_errors WHERE job_id = $1 ORDER BY line_number', [jobId]);
+  return rows.map((row) => [row.line_number, row.error_code]);
+}
+
+before(async () => {
+  await startTestDatabase();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-test-'));
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(async () => {
+  await stopTestDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('bulk ingestion', () => {
+  it('stores the same events as standard ingestion', async () => {
+    const standardJob = await ingest(SAMPLE_FILE);
+    const standardEvents = await storedEvents();
+
+    await resetTestDatabase();
+    const bulkJob = await ingest(SAMPLE_FILE, { mode: 'bulk', batchSize: 4, progressInterval: 5 });
+
+    assert.deepEqual(await storedEvents(), standardEvents);
+    for (const job of [standardJob, bulkJob]) {
+      assert.equal(job.status, 'COMPLETED');
+      assert.equal(job.total_lines, 36);
+      assert.equal(job.processed_lines, standardEvents.length);
+    }
+    assert.equal(bulkJob.error_lines, standardJob.error_lines);
+  });
+
+  it('replays a batch the database rejects line by line', async () => {
+    const runQuery = db.query;
+    let rejectedBatches = 0;
+    mock.method(db, 'query', async (text, params) => {
+      if (text.includes('jsonb_to_recordset') && rejectedBatches === 0) {
+        rejectedBatches++;
+        throw new Error('batch rejected');
+      }
+      return runQuery(text, params);
+    });
+
+    const filePath = writeLines('events.txt', [
+      'a1b2c3d4-0000-4000-8000-000000000001|First|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|NULL|5|One',
+      'a1b2c3d4-0000-4000-8000-000000000002|Second|2023-01-02T10:00:00Z|2023-01-02T11:00:00Z|a1b2c3d4-0000-4000-8000-000000000001|5|Two',
+      'a1b2c3d4-0000-4000-8000-000000000003|Third|2023-01-03T10:00:00Z|2023-01-03T11:00:00Z|NULL|5|Three',
+    ]);
+    const job = await ingest(filePath, { mode: 'bulk', batchSize: 2 });
+
+    assert.equal(rejectedBatches, 1);
+    assert.equal(job.status, 'COMPLETED');
+    assert.equal(job.processed_lines, 3);
+    assert.deepEqual((await storedEvents()).map((event) => [event.event_name, event.line_number]), [
+      ['First', '1'], ['Second', '2'], ['Third', '3'],
+    ]);
+  });
+});
+
+describe('deferred parents', () => {
+  for (const options of [{}, { mode: 'bulk', batchSize: 1 }]) {
+    it(`stores children listed before their ancestors, at any depth (${options.mode || 'standard'} mode)`, async () => {
+      const filePath = writeLines('family.txt', [
+        eventLine(GRANDCHILD_ID, 'Grandchild', CHILD_ID),
+        eventLine(CHILD_ID, 'Child', ROOT_ID),
+        eventLine(ROOT_ID, 'Root'),
+      ]);
+      const job = await ingest(filePath, options);
+
+      assert.equal(job.processed_lines, 3);
+      assert.deepEqual((await storedEvents()).map((event) => [event.event_name, event.parent_event_id]), [
+        ['Root', null], ['Child', ROOT_ID], ['Grandchild', CHILD_ID],
+      ]);
+      assert.equal((await query('SELECT COUNT(*)::int AS count FROM staging_events')).rows[0].count, 0);
+    });
+  }
+
+  it('reports orphans whose parent never arrives', async () => {
+    const filePath = writeLines('orphans.txt', [
+      eventLine(GRANDCHILD_ID, 'Grandchild', CHILD_ID),
+      eventLine(CHILD_ID, 'Child', MISSING_ID),
+      eventLine(ROOT_ID, 'Root'),
+    ]);
+    const job = await ingest(filePath);
+
+    assert.equal(job.status, 'COMPLETED');
+    assert.equal(job.processed_lines, 1);
+    assert.equal(job.orphan_lines, 2);
+    assert.deepEqual(await lineErrors(job.job_id), [[1, 'ORPHAN_EVENT'], [2, 'ORPHAN_EVENT']]);
+    assert.deepEqual((await storedEvents()).map((event) => event.event_name), ['Root']);
+  });
+
+  it('keeps orphans while another event file may still bring their parent', async () => {
+    const parentFile = writeLines('parent.txt', [eventLine(ROOT_ID, 'Root')]);
+    const parentJobId = await databaseService.createIngestionJob(parentFile, {});
+    const childJob = await ingest(writeLines('child.txt', [eventLine(CHILD_ID, 'Child', ROOT_ID)]));
+
+    assert.equal(childJob.orphan_lines, 0);
+    assert.deepEqual(await storedEvents(), []);
+
+    await processFile(parentJobId, parentFile, {});
+    assert.deepEqual((await storedEvents()).map((event) => [event.event_name, event.parent_event_id]), [
+      ['Root', null], ['Child', ROOT_ID],
+    ]);
+    assert.deepEqual(await lineErrors(childJob.job_id), []);
+  });
+});
+
+describe('checkpoints', () => {
+  const lines = [1, 2, 3, 4].map((index) => eventLine(`a1b2c3d4-0000-4000-8000-00000000000${index}`, `Event ${index}`));
+
+  for (const options of [{}, { mode: 'bulk', batchSize: 2, progressInterval: 2 }]) {
+    it(`resumes a stopped job after its last checkpoint (${options.mode || 'standard'} mode)`, async () => {
+      const filePath = writeLines('events.txt', lines);
+      const jobId = await databaseService.createIngestionJob(filePath, options);
+
+      // Stop the job as soon as the checkpoint after line 2 is committed
+      const runQuery = db.query;
+      const controller = new AbortController();
+      mock.method(db, 'query', async (text, params) => {
+        const result = await runQuery(text, params);
+        if (text.includes('checkpoint_line = $2') && params[1] === 2) {
+          controller.abort(new Error('Job was cancelled'));
+        }
+        return result;
+      });
+      await processFile(jobId, filePath, options, { signal: controller.signal });
+      mock.restoreAll();
+
+      const stopped = await databaseService.getIngestionJob(jobId);
+      assert.deepEqual([stopped.status, stopped.checkpoint_line, stopped.processed_lines], ['PROCESSING', 2, 2]);
+
+      // A line before the checkpoint is not read again, so its event stays deleted
+      await query('DELETE FROM historical_events WHERE event_name = $1', ['Event 1']);
+      await processFile(jobId, filePath, options);
+
+      const job = await databaseService.getIngestionJob(jobId);
+      assert.deepEqual([job.status, job.checkpoint_line, job.processed_lines], ['COMPLETED', 4, 4]);
+      assert.deepEqual((await storedEvents()).map((event) => event.event_name), ['Event 2', 'Event 3', 'Event 4']);
+    });
+  }
+});
+
+describe('conflict policies', () => {
+  /**
+   * Lists the stored revisions.
+   * @returns {Promise<Array<Array<*>>>} The previous names, change types and changed fields, oldest first.
+   */
+  const revisions = async () => {
+    const { rows } = await query('SELECT event_name, change_type, changed_fields FROM event_revisions ORDER BY revision_id');
+    return rows.map((row) => [row.event_name, row.change_type, row.changed_fields]);
+  };
+
+  for (const options of [{}, { mode: 'bulk', batchSize: 2 }]) {
+    const mode = options.mode || 'standard';
+
+    it(`leaves stored events as they are with skip (${mode} mode)`, async () => {
+      await ingest(writeLines('original.txt', [eventLine(ROOT_ID, 'Root')]));
+      const job = await ingest(writeLines('update.txt', [eventLine(ROOT_ID, 'Renamed')]), options);
+
+      assert.equal(job.status, 'COMPLETED');
+      assert.deepEqual((await storedEvents()).map((event) => event.event_name), ['Root']);
+      assert.deepEqual(await revisions(), []);
+    });
+
+    it(`replaces stored events and keeps their previous version with overwrite (${mode} mode)`, async () => {
+      await ingest(writeLines('original.txt', [eventLine(ROOT_ID, 'Root'), eventLine(CHILD_ID, 'Child')]));
+      await ingest(writeLines('update.txt', [eventLine(ROOT_ID, 'Renamed'), eventLine(CHILD_ID, 'Child', ROOT_ID)]), { ...options, conflictPolicy: 'overwrite' });
+
+      assert.deepEqual((await storedEvents()).map((event) => [event.event_name, event.parent_event_id]), [
+        ['Renamed', null], ['Child', ROOT_ID],
+      ]);
+      assert.deepEqual(await revisions(), [
+        ['Root', 'INGESTION', ['event_name', 'description']],
+        ['Child', 'INGESTION', ['parent_event_id']],
+      ]);
+    });
+
+    it(`only replaces events whose values differ with overwrite_if_changed (${mode} mode)`, async () => {
+      await ingest(writeLines('original.txt', [eventLine(ROOT_ID, 'Root'), eventLine(CHILD_ID, 'Child')]));
+      await ingest(writeLines('update.txt', [eventLine(ROOT_ID, 'Root'), eventLine(CHILD_ID, 'Renamed')]), { ...options, conflictPolicy: 'overwrite_if_changed' });
+
+      assert.deepEqual((await storedEvents()).map((event) => event.event_name), ['Root', 'Renamed']);
+      assert.deepEqual((await revisions()).map(([name]) => name), ['Child']);
+    });
+
+    it(`rejects overwrites that would move an event under its own descendant (${mode} mode)`, async () => {
+      await ingest(writeLines('original.txt', [eventLine(ROOT_ID, 'Root'), eventLine(CHILD_ID, 'Child', ROOT_ID)]));
+      const job = await ingest(writeLines('update.txt', [eventLine(ROOT_ID, 'Root', CHILD_ID)]), { ...options, conflictPolicy: 'overwrite' });
+
+      assert.deepEqual(await lineErrors(job.job_id), [[1, 'PARENT_CYCLE']]);
+      assert.deepEqual((await storedEvents()).map((event) => [event.event_name, event.parent_event_id]), [
+        ['Root', null], ['Child', ROOT_ID],
+      ]);
+    });
+  }
+});
\ No newline at end of file
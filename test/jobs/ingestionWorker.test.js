@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../helpers/testDatabase');
+const databaseService = require('../../src/database/database.service');
+const ingestionConfig = require('../../src/configs/ingestion');
+const { startIngestionWorker, stopIngestionWorker } = require('../../src/jobs/ingestionWorker');
+
+const LEASE_SECONDS = 60;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Lets a job's lease run out, as if its worker had died.
+ * @param {string} jobId The job's ID.
+ * @returns {Promise<void>}
+ */
+async function expireLease(jobId) {
+  await query(`UPDATE ingestion_jobs SET lease_expires_at = NOW() - INTERVAL '1 second' WHERE job_id = $1`, [jobId]);
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('ingestion job queue', () => {
+  it('hands out the oldest pending job, to one worker only', async () => {
+    const firstId = await databaseService.createIngestionJob('first.txt');
+    const secondId = await databaseService.createIngestionJob('second.txt');
+    await query(`UPDATE ingestion_jobs SET start_time = start_time - INTERVAL '1 minute' WHERE job_id = $1`, [firstId]);
+
+    const first = await databaseService.claimNextIngestionJob('worker-a', LEASE_SECONDS, MAX_ATTEMPTS);
+    const second = await databaseService.claimNextIngestionJob('worker-b', LEASE_SECONDS, MAX_ATTEMPTS);
+
+    assert.deepEqual([first.job_id, first.worker_id, first.status, first.attempts], [firstId, 'worker-a', 'PROCESSING', 1]);
+    assert.equal(second.job_id, secondId);
+    assert.equal(await databaseService.claimNextIngestionJob('worker-c', LEASE_SECONDS, MAX_ATTEMPTS), null);
+  });
+
+  it('lets another worker take over a job whose lease ran out', async () => {
+    const jobId = await databaseService.createIngestionJob('events.txt');
+    await databaseService.claimNextIngestionJob('worker-a', LEASE_SECONDS, MAX_ATTEMPTS);
+    assert.equal(await databaseService.renewIngestionJobLease(jobId, 'worker-a', LEASE_SECONDS), true);
+
+    await expireLease(jobId);
+    const takenOver = await databaseService.claimNextIngestionJob('worker-b', LEASE_SECONDS, MAX_ATTEMPTS);
+
+    assert.deepEqual([takenOver.job_id, takenOver.worker_id, takenOver.attempts], [jobId, 'worker-b', 2]);
+    assert.equal(await databaseService.renewIngestionJobLease(jobId, 'worker-a', LEASE_SECONDS), false);
+  });
+
+  it('puts a released job back without counting the attempt', async () => {
+    const jobId = await databaseService.createIngestionJob('events.txt');
+    await databaseService.claimNextIngestionJob('worker-a', LEASE_SECONDS, MAX_ATTEMPTS);
+    await databaseService.releaseIngestionJob(jobId, 'worker-a');
+
+    const job = await databaseService.getIngestionJob(jobId);
+    assert.deepEqual([job.status, job.worker_id, job.attempts], ['PENDING', null, 0]);
+  });
+
+  it('fails a job once every attempt has run out', async () => {
+    const jobId = await databaseService.createIngestionJob('events.txt');
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      assert.ok(await databaseService.claimNextIngestionJob(`worker-${attempt}`, LEASE_SECONDS, MAX_ATTEMPTS));
+      assert.equal(await databaseService.failExhaustedIngestionJobs(MAX_ATTEMPTS), 0);
+      await expireLease(jobId);
+    }
+
+    assert.equal(await databaseService.claimNextIngestionJob('worker-4', LEASE_SECONDS, MAX_ATTEMPTS), null);
+    assert.equal(await databaseService.failExhaustedIngestionJobs(MAX_ATTEMPTS), 1);
+    const job = await databaseService.getIngestionJob(jobId);
+    assert.equal(job.status, 'FAILED');
+    assert.deepEqual(job.errors, ['Fatal Error: Job was interrupted 3 times and will not be retried.']);
+  });
+});
+
+describe('ingestion worker', () => {
+  let workDir;
+  let savedPollInterval;
+
+  before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-test-'));
+    savedPollInterval = ingestionConfig.pollIntervalMs;
+    ingestionConfig.pollIntervalMs = 20;
+  });
+
+  after(async () => {
+    await stopIngestionWorker();
+    ingestionConfig.pollIntervalMs = savedPollInterval;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('claims queued jobs and processes them', async () => {
+    const filePath = path.join(workDir, 'events.txt');
+    fs.writeFileSync(filePath, 'a1b2c3d4-0000-4000-8000-000000000001|Founding|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|NULL|5|First\n');
+    const jobId = await databaseService.createIngestionJob(filePath, {});
+
+    startIngestionWorker();
+    let job = await databaseService.getIngestionJob(jobId);
+    for (let waited = 0; job.status !== 'COMPLETED' && waited < 5000; waited += 20) {
+      await sleep(20);
+      job = await databaseService.getIngestionJob(jobId);
+    }
+
+    assert.equal(job.status, 'COMPLETED');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.processed_lines, 1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRecordParser, readRecordLines, validateColumnMapping } = require('../../src/jobs/inputFormats');
+
+const EVENT_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const PARENT_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+
+/**
+ * Reads all records of some lines.
+ * @param {Array<string>} lines The lines.
+ * @param {string} format The input format.
+ * @returns {Promise<Array<{text: string, lineNumber: number}>>} The records.
+ */
+async function readAll(lines, format) {
+  const records = [];
+  for await (const record of readRecordLines(lines, format)) {
+    records.push(record);
+  }
+  return records;
+}
+
+describe('createRecordParser', () => {
+  it('reads the headerless pipe layout in field order', () => {
+    const parser = createRecordParser();
+    const record = parser.parse(`${EVENT_ID}|Founding|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|${PARENT_ID}|High|The founding.`);
+
+    assert.deepEqual(record, {
+      fields: {
+        eventId: EVENT_ID,
+        eventName: 'Founding',
+        startDate: '2023-01-01T10:00:00Z',
+        endDate: '2023-01-01T11:00:00Z',
+        parentId: PARENT_ID,
+        researchValue: 'High',
+        description: 'The founding.',
+      },
+      extra: {},
+    });
+    assert.equal(parser.headerLine, null);
+  });
+
+  it('skips blank lines', () => {
+    assert.equal(createRecordParser().parse('   '), null);
+  });
+
+  it('rejects headerless lines with the wrong number of fields', () => {
+    const parser = createRecordParser();
+    assert.throws(() => parser.parse(`${EVENT_ID}|Founding|2023`), { errorCode: 'INVALID_FIELD_COUNT' });
+  });
+
+  it('detects a CSV header, finds columns by alias and keeps unknown columns as extra', () => {
+    const parser = createRecordParser({ format: 'csv' });
+    const header = 'event_id,name,start,end,region';
+
+    assert.equal(parser.parse(header), null);
+    assert.equal(parser.headerLine, header);
+    assert.deepEqual(parser.parse(`${EVENT_ID},"Treaty, ""signed""",1450,1451,Europe`), {
+      fields: { eventId: EVENT_ID, eventName: 'Treaty, "signed"', startDate: '1450', endDate: '1451' },
+      extra: { region: 'Europe' },
+    });
+  });
+
+  it('fails the whole file when the header lacks a required column', () => {
+    const parser = createRecordParser({ format: 'csv' });
+    assert.throws(() => parser.parse('id,name,start'), { errorCode: 'MISSING_COLUMN', fatal: true });
+  });
+
+  it('fails the whole file when a mapped column index lies past the header', () => {
+    const parser = createRecordParser({ format: 'csv', columnMapping: { description: 7 } });
+    assert.throws(() => parser.parse('id,name,start,end'), {
+      errorCode: 'MISSING_COLUMN',
+      fatal: true,
+      field: 'description',
+      message: 'columnMapping.description is column 7, but the header has 4 column(s).',
+    });
+  });
+
+  it('rejects an unterminated quoted CSV field', () => {
+    const parser = createRecordParser({ format: 'csv', hasHeader: false });
+    assert.throws(() => parser.parse(`${EVENT_ID},"Founding,1450,1451,,,`), { errorCode: 'UNTERMINATED_QUOTE' });
+  });
+
+  it('establishes the layout from a skipped header line', () => {
+    const parser = createRecordParser({ format: 'csv' });
+    parser.skip('id,name,start,end');
+    assert.deepEqual(parser.parse(`${EVENT_ID},Founding,1450,1451`).fields.eventName, 'Founding');
+  });
+
+  it('maps JSONL keys through the column mapping', () => {
+    const parser = createRecordParser({ format: 'jsonl', columnMapping: { eventName: 'title' } });
+    const line = JSON.stringify({ id: EVENT_ID, title: 'Founding', start: '1450', end: '1451', region: 'Europe' });
+
+    assert.deepEqual(parser.parse(line), {
+      fields: { eventId: EVENT_ID, eventName: 'Founding', startDate: '1450', endDate: '1451' },
+      extra: { region: 'Europe' },
+    });
+  });
+
+  it('rejects JSONL lines that are not JSON objects', () => {
+    const parser = createRecordParser({ format: 'jsonl' });
+    assert.throws(() => parser.parse('{"id":'), { errorCode: 'INVALID_JSON' });
+    assert.throws(() => parser.parse('[1, 2]'), { errorCode: 'INVALID_JSON' });
+  });
+
+  it('reads link files by their own aliases', () => {
+    const parser = createRecordParser({ format: 'csv', target: 'links' });
+    assert.equal(parser.parse('from,to,type'), null);
+    assert.deepEqual(parser.parse(`${EVENT_ID},${PARENT_ID},caused`).fields, {
+      sourceEventId: EVENT_ID, targetEventId: PARENT_ID, linkType: 'caused',
+    });
+  });
+});
+
+describe('readRecordLines', () => {
+  it('joins the lines of a quoted CSV field that holds line breaks', async () => {
+    const lines = ['id,name,start_date,end_date,description', `${EVENT_ID},Founding,1450,1451,"First line`, 'second, with ""quotes""', 'third"', ''];
+    assert.deepEqual(await readAll(lines, 'csv'), [
+      { text: 'id,name,start_date,end_date,description', lineNumber: 1 },
+      { text: `${EVENT_ID},Founding,1450,1451,"First line\nsecond, with ""quotes""\nthird"`, lineNumber: 4 },
+      { text: '', lineNumber: 5 },
+    ]);
+
+    const parser = createRecordParser({ format: 'csv' });
+    const [header, record] = await readAll(lines, 'csv');
+    parser.parse(header.text);
+    assert.equal(parser.parse(record.text).fields.description, 'First line\nsecond, with "quotes"\nthird');
+  });
+
+  it('keeps every line a record in the other formats', async () => {
+    const lines = ['a"|b', 'c|d'];
+    assert.deepEqual(await readAll(lines, 'pipe'), [{ text: 'a"|b', lineNumber: 1 }, { text: 'c|d', lineNumber: 2 }]);
+  });
+
+  it('passes on a quote left open at the end of the file, for the parser to reject', async () => {
+    const records = await readAll([`${EVENT_ID},"Founding,1450,1451`, 'more'], 'csv');
+    assert.deepEqual(records, [{ text: `${EVENT_ID},"Founding,1450,1451\nmore`, lineNumber: 2 }]);
+
+    const parser = createRecordParser({ format: 'csv', hasHeader: false });
+    assert.throws(() => parser.parse(records[0].text), { errorCode: 'UNTERMINATED_QUOTE' });
+  });
+
+  it('stops a record that stays open for 100 lines', async () => {
+    const lines = ['"open', ...Array.from({ length: 150 }, (value, index) => `line ${index}`)];
+    const records = await readAll(lines, 'csv');
+    assert.equal(records.length, 52);
+    assert.equal(records[0].lineNumber, 100);
+    assert.deepEqual(records[1], { text: 'line 99', lineNumber: 101 });
+  });
+});
+
+describe('validateColumnMapping', () => {
+  it('accepts column names and 0-based indexes', () => {
+    assert.equal(validateColumnMapping({ eventName: 'title', startDate: 2 }), null);
+    assert.equal(validateColumnMapping(undefined), null);
+  });
+
+  it('rejects unknown fields and invalid sources', () => {
+    assert.match(validateColumnMapping({ title: 'name' }), /Unknown field 'title'/);
+    assert.match(validateColumnMapping({ eventName: -1 }), /must be a column name or a 0-based column index/);
+    assert.equal(validateColumnMapping([]), 'columnMapping must be an object.');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../helpers/testDatabase');
+const databaseService = require('../../src/database/database.service');
+const { AUDIT_CHECKS, runIntegrityAudit } = require('../../src/jobs/integrityAudit');
+
+/**
+ * Builds the ID of a test event.
+ * @param {number} index The event's index.
+ * @returns {string} The event ID.
+ */
+function eventId(index) {
+  return `a1b2c3d4-0000-4000-8000-${String(index).padStart(12, '0')}`;
+}
+
+/**
+ * Stores an event as is, bypassing the checks of ingestion and the API.
+ * @param {number} index Makes the event ID.
+ * @param {string} name The event name.
+ * @param {string} start The start time, as HH:MM on 2023-01-01.
+ * @param {string} end The end time, as HH:MM on 2023-01-01.
+ * @param {number|null} [parentIndex] The index of the parent event, if any.
+ * @returns {Promise<void>}
+ */
+async function storeEvent(index, name, start, end, parentIndex = null) {
+  await query(`
+    INSERT INTO historical_events (event_id, event_name, start_date, end_date, duration_minutes, parent_event_id)
+    VALUES ($1, $2, $3::timestamptz, $4::timestamptz, EXTRACT(EPOCH FROM ($4::timestamptz - $3::timestamptz)) / 60, $5)
+  `, [eventId(index), name, `2023-01-01T${start}:00Z`, `2023-01-01T${end}:00Z`, parentIndex === null ? null : eventId(parentIndex)]);
+}
+
+/**
+ * Lists the IDs of the violations a check found.
+ * @param {object} report The audit report.
+ * @param {string} check The check.
+ * @returns {Array<string>} The event IDs of the listed violations.
+ */
+function violationIds(report, check) {
+  return report.checks[check].items.map((item) => item.event_id);
+}
+
+before(async () => {
+  await startTestDatabase();
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  await storeEvent(1, 'Parent', '10:00', '12:00');
+  await storeEvent(2, 'Early child', '09:00', '11:00', 1);
+  await storeEvent(3, 'Late child', '11:00', '13:00', 1);
+  await storeEvent(4, 'Drifted', '10:00', '11:00');
+  await query('UPDATE historical_events SET duration_minutes = 5 WHERE event_id = $1', [eventId(4)]);
+  await storeEvent(5, 'Same  Event', '14:00', '15:00');
+  await storeEvent(6, 'same event', '14:00', '15:00');
+  await storeEvent(7, 'Loop A', '10:00', '11:00');
+  await storeEvent(8, 'Loop B', '10:00', '11:00', 7);
+  await query('UPDATE historical_events SET parent_event_id = $2 WHERE event_id = $1', [eventId(7), eventId(8)]);
+
+  // Deferred by a job that completed with no event file left to bring its parent
+  const jobId = await databaseService.createIngestionJob('/data/events.txt', {});
+  await query(`UPDATE ingestion_jobs SET status = 'COMPLETED' WHERE job_id = $1`, [jobId]);
+  await query(`
+    INSERT INTO staging_events (event_id, event_name, start_date, end_date, parent_event_id, ingestion_job_id)
+    VALUES ($1, 'Stranded', '2023-01-01T10:00:00Z', '2023-01-01T11:00:00Z', $2, $3)
+  `, [eventId(9), eventId(99), jobId]);
+});
+
+after(async () => {
+  await stopTestDatabase();
+});
+
+describe('runIntegrityAudit', () => {
+  it('reports the violations of every check', async () => {
+    const report = await runIntegrityAudit();
+
+    assert.deepEqual(Object.keys(report.checks), AUDIT_CHECKS);
+    assert.deepEqual(violationIds(report, 'child_starts_before_parent'), [eventId(2)]);
+    assert.deepEqual(violationIds(report, 'child_ends_after_parent'), [eventId(3)]);
+    assert.deepEqual(violationIds(report, 'duration_mismatch'), [eventId(4)]);
+    assert.equal(report.checks.duration_mismatch.items[0].expected_duration_minutes, 60);
+    assert.deepEqual(violationIds(report, 'stranded_staging'), [eventId(9)]);
+    assert.deepEqual(report.checks.parent_cycle.items.map((item) => item.cycle_event_ids), [[eventId(7), eventId(8)]]);
+    assert.deepEqual(report.checks.duplicate_events.items.map((item) => item.event_ids), [[eventId(5), eventId(6)]]);
+    assert.deepEqual([report.totalViolations, report.remainingViolations], [6, 6]);
+    assert.equal(report.fix, false);
+  });
+
+  it('limits the listed violations to the sample size', async () => {
+    await storeEvent(10, 'Another early child', '09:30', '10:30', 1);
+    const report = await runIntegrityAudit({ checks: ['child_starts_before_parent'], sampleSize: 1 });
+
+    assert.deepEqual(Object.keys(report.checks), ['child_starts_before_parent']);
+    assert.equal(report.checks.child_starts_before_parent.count, 2);
+    assert.equal(report.checks.child_starts_before_parent.items.length, 1);
+    assert.equal(report.checks.child_starts_before_parent.itemsTruncated, true);
+  });
+
+  it('repairs drifted durations and stranded staging rows, and only reports the rest', async () => {
+    const report = await runIntegrityAudit({ fix: true });
+
+    assert.equal(report.checks.duration_mismatch.fixedCount, 1);
+    assert.equal(report.checks.stranded_staging.fixedCount, 1);
+    assert.equal(report.checks.parent_cycle.fixable, false);
+    assert.equal(report.checks.parent_cycle.fixedCount, undefined);
+    assert.deepEqual([report.totalViolations, report.remainingViolations], [6, 4]);
+
+    const { rows } = await query('SELECT duration_minutes FROM historical_events WHERE event_id = $1', [eventId(4)]);
+    assert.equal(rows[0].duration_minutes, 60);
+    const { rows: revisions } = await query('SELECT duration_minutes, change_type FROM event_revisions WHERE event_id = $1', [eventId(4)]);
+    assert.deepEqual(revisions.map((revision) => [revision.duration_minutes, revision.change_type]), [[5, 'AUDIT']]);
+    assert.equal((await query('SELECT COUNT(*)::int AS count FROM staging_events')).rows[0].count, 0);
+
+    const rerun = await runIntegrityAudit({ checks: ['duration_mismatch', 'stranded_staging'] });
+    assert.equal(rerun.totalViolations, 0);
+  });
+
+  it('leaves staging rows that a pending event file may still resolve', async () => {
+    await databaseService.createIngestionJob('/data/parents.txt', {});
+    const report = await runIntegrityAudit({ checks: ['stranded_staging'] });
+
+    assert.equal(report.checks.stranded_staging.count, 0);
+  });
+});
\ No newline at end of file
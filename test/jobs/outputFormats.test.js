@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventWriter } = require('../../src/jobs/outputFormats');
+const { createRecordParser } = require('../../src/jobs/inputFormats');
+const { toEventDateColumns } = require('../../src/jobs/historicalDates');
+
+const EVENT_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+/**
+ * Builds a stored event the way ingestion writes it.
+ * @param {object} [overrides] Columns to replace.
+ * @returns {object} The historical_events row.
+ */
+function storedEvent(overrides = {}) {
+  return {
+    event_id: EVENT_ID,
+    event_name: 'Fall, of "Rome" | West',
+    description: 'First line\nsecond line',
+    parent_event_id: null,
+    metadata: { originalSourceFile: 'archive.csv', lineNumber: 3, researchValue: 'High', region: 'Europe' },
+    ...toEventDateColumns('300 BCE', 'circa 1450').columns,
+    ...overrides,
+  };
+}
+
+/**
+ * Writes an event and reads it back with the parser of the same format.
+ * @param {string} format The export format.
+ * @param {object} event The stored event.
+ * @returns {object} The parsed record.
+ */
+function roundTrip(format, event) {
+  const writer = createEventWriter(format);
+  const parser = createRecordParser({ format });
+  if (writer.header) {
+    assert.equal(parser.parse(writer.header.trimEnd()), null);
+  }
+  return parser.parse(writer.write(event).trimEnd());
+}
+
+describe('createEventWriter', () => {
+  for (const format of ['jsonl', 'csv', 'pipe']) {
+    it(`writes ${format} that ingestion reads back into the same date columns`, () => {
+      const event = storedEvent();
+      const { fields } = roundTrip(format, event);
+
+      assert.equal(fields.eventId, EVENT_ID);
+      assert.equal(fields.researchValue, 'High');
+      assert.equal(fields.startDate, '300 BCE');
+      assert.equal(fields.endDate, '1450 ±10');
+      const { columns } = toEventDateColumns(fields.startDate, fields.endDate);
+      for (const column of ['start_date', 'start_date_latest', 'end_date', 'end_date_earliest', 'duration_minutes']) {
+        assert.deepEqual(columns[column], event[column], column);
+      }
+    });
+  }
+
+  it('keeps quotes and commas in CSV and flattens line breaks', () => {
+    const { fields } = roundTrip('csv', storedEvent());
+    assert.equal(fields.eventName, 'Fall, of "Rome" | West');
+    assert.equal(fields.description, 'First line second line');
+    assert.equal(fields.parentId, '');
+  });
+
+  it('replaces pipes in pipe files and spells a missing parent NULL', () => {
+    const { fields } = roundTrip('pipe', storedEvent());
+    assert.equal(fields.eventName, 'Fall, of "Rome"   West');
+    assert.equal(fields.parentId, 'NULL');
+  });
+
+  it('exports metadata in JSONL except the keys ingestion sets itself', () => {
+    const { extra } = roundTrip('jsonl', storedEvent());
+    assert.deepEqual(extra, { region: 'Europe' });
+  });
+
+  it('writes iCalendar events and leaves out those before 1 CE', () => {
+    const writer = createEventWriter('ics');
+    assert.equal(writer.write(storedEvent()), null);
+
+    const vevent = writer.write(storedEvent(toEventDateColumns('1450-03-15', '1450-03-16').columns));
+    assert.match(vevent, /^BEGIN:VEVENT\r\n/);
+    assert.match(vevent, new RegExp(`\r\nUID:${EVENT_ID}@chronologicon\r\n`));
+    assert.match(vevent, /\r\nSUMMARY:Fall\\, of "Rome" \| West\r\n/);
+    assert.match(vevent, /\r\nEND:VEVENT\r\n$/);
+    assert.match(writer.header, /^BEGIN:VCALENDAR\r\n/);
+  });
+});
\ No newline at end of file
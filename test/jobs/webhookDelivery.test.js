@@ -0,0 +1,168 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, beforeEach, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestDatabase, resetTestDatabase, stopTestDatabase, query } = require('../helpers/testDatabase');
+const eventService = require('../../src/api/events/event.service');
+const ingestionConfig = require('../../src/configs/ingestion');
+const { processFile } = require('../../src/jobs/ingestionProcessor');
+const { signWebhookPayload, deliverDueWebhooks } = require('../../src/jobs/webhookDelivery');
+
+const SECRET = 'a-webhook-secret-of-some-length';
+
+let workDir;
+let server;
+let hookUrl;
+// The requests the endpoint received, and the status it answers with
+let received;
+let responseStatus;
+let savedConfig = null;
+
+/**
+ * Overrides ingestion settings until restoreConfig is called.
+ * @param {object} values The settings to override.
+ */
+function configure(values) {
+  savedConfig = savedConfig || { ...ingestionConfig };
+  Object.assign(ingestionConfig, values);
+}
+
+/**
+ * Restores the ingestion settings that configure overrode.
+ */
+function restoreConfig() {
+  if (savedConfig) {
+    Object.assign(ingestionConfig, savedConfig);
+    savedConfig = null;
+  }
+}
+
+/**
+ * Runs an ingestion job over a one-line file to the end, queuing its webhook deliveries.
+ * @returns {Promise<string>} The job's ID.
+ */
+async function runJob() {
+  const filePath = path.join(workDir, 'events.txt');
+  fs.writeFileSync(filePath, 'a1b2c3d4-0000-4000-8000-000000000001|Event|2023-01-01T10:00:00Z|2023-01-01T11:00:00Z|NULL|5|Event\n');
+  const jobId = await eventService.startIngestionJob(filePath);
+  await processFile(jobId, filePath);
+  return jobId;
+}
+
+/**
+ * Lists the stored deliveries.
+ * @returns {Promise<Array<object>>} The deliveries' status, attempts, last response status and error.
+ */
+async function deliveries() {
+  const { rows } = await query('SELECT status, attempts, last_response_status, last_error FROM webhook_deliveries');
+  return rows;
+}
+
+/**
+ * Makes the pending deliveries due now, as if their retry delay had passed.
+ * @returns {Promise<void>}
+ */
+async function makeDeliveriesDue() {
+  await query(`UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 second' WHERE status = 'PENDING'`);
+}
+
+before(async () => {
+  await startTestDatabase();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-delivery-test-'));
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      received.push({ headers: request.headers, body });
+      response.writeHead(responseStatus).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  hookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+beforeEach(async () => {
+  await resetTestDatabase();
+  received = [];
+  responseStatus = 204;
+  // The test endpoint listens on the loopback address, which webhooks may only reach when allow-listed
+  configure({ webhookAllowedHosts: ['127.0.0.1'], webhookRetryDelaySeconds: 30, webhookMaxAttempts: 3 });
+});
+
+afterEach(() => {
+  restoreConfig();
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await stopTestDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('webhook delivery', () => {
+  it('POSTs a signed payload when a job completes', async () => {
+    const webhook = await eventService.createWebhook({ url: hookUrl, secret: SECRET });
+    assert.equal(webhook.secret, SECRET);
+    const jobId = await runJob();
+    await deliverDueWebhooks();
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-chronologicon-event'], 'job.completed');
+    assert.equal(headers['x-chronologicon-signature'], signWebhookPayload(SECRET, Number(headers['x-chronologicon-timestamp']), body));
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'job.completed');
+    assert.deepEqual([payload.job.jobId, payload.job.status, payload.job.processedLines], [jobId, 'COMPLETED', 1]);
+
+    assert.deepEqual((await deliveries()).map((delivery) => [delivery.status, delivery.attempts, delivery.last_response_status]), [
+      ['DELIVERED', 1, 204],
+    ]);
+  });
+
+  it('only queues deliveries for the outcomes a webhook subscribed to', async () => {
+    await eventService.createWebhook({ url: hookUrl, secret: SECRET, events: ['job.failed'] });
+    await runJob();
+
+    assert.deepEqual(await deliveries(), []);
+  });
+
+  it('signs with secrets stored encrypted', async () => {
+    configure({ webhookSecretKey: 'a-key-for-webhook-secrets' });
+    await eventService.createWebhook({ url: hookUrl, secret: SECRET });
+    const { rows } = await query('SELECT secret FROM ingestion_webhooks');
+    assert.ok(!rows[0].secret.includes(SECRET));
+
+    await runJob();
+    await deliverDueWebhooks();
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-chronologicon-signature'], signWebhookPayload(SECRET, Number(headers['x-chronologicon-timestamp']), body));
+  });
+
+  it('retries failed deliveries with a growing delay, then gives up', async () => {
+    responseStatus = 500;
+    await eventService.createWebhook({ url: hookUrl, secret: SECRET });
+    await runJob();
+
+    const retryDelays = [];
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      await deliverDueWebhooks();
+      const { rows } = await query(`SELECT ROUND(EXTRACT(EPOCH FROM (next_attempt_at - NOW())))::int AS delay FROM webhook_deliveries WHERE status = 'PENDING'`);
+      retryDelays.push(rows.map((row) => row.delay));
+      await makeDeliveriesDue();
+    }
+
+    assert.equal(received.length, 3);
+    assert.deepEqual(retryDelays, [[30], [60], []]);
+    assert.deepEqual(await deliveries(), [{ status: 'FAILED', attempts: 3, last_response_status: 500, last_error: 'Endpoint responded with HTTP 500' }]);
+  });
+
+  it('refuses to register webhooks for non-public hosts', async () => {
+    configure({ webhookAllowedHosts: [] });
+    await assert.rejects(eventService.createWebhook({ url: hookUrl }), { statusCode: 400, message: /must point to a public host/ });
+    await assert.rejects(eventService.createWebhook({ url: 'ftp://example.com/hook' }), { statusCode: 400, message: /http or https/ });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+const dns = require('dns');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ingestionConfig = require('../../src/configs/ingestion');
+const { isPublicAddress, checkAddressHost, checkWebhookTarget } = require('../../src/jobs/webhookTargets');
+
+const { webhookAllowedHosts } = ingestionConfig;
+
+/**
+ * Makes host name lookups answer with the given addresses.
+ * @param {Array<string>} addresses The addresses every host resolves to.
+ */
+function resolveTo(addresses) {
+  mock.method(dns, 'lookup', (hostname, options, callback) => {
+    callback(null, addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 })));
+  });
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  ingestionConfig.webhookAllowedHosts = webhookAllowedHosts;
+});
+
+describe('isPublicAddress', () => {
+  it('tells public addresses from private, loopback and reserved ones', () => {
+    for (const address of ['93.184.216.34', '2606:4700::1111']) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+});
+
+describe('checkAddressHost', () => {
+  it('rejects non-public IP hosts unless they are allow-listed', () => {
+    assert.match(checkAddressHost(new URL('http://10.0.0.5/hook')), /private, loopback or reserved/);
+    assert.match(checkAddressHost(new URL('http://[::1]:8080/hook')), /private, loopback or reserved/);
+    assert.equal(checkAddressHost(new URL('https://93.184.216.34/hook')), null);
+    assert.equal(checkAddressHost(new URL('https://hooks.example.com/hook')), null);
+
+    ingestionConfig.webhookAllowedHosts = ['10.0.0.5'];
+    assert.equal(checkAddressHost(new URL('http://10.0.0.5/hook')), null);
+  });
+});
+
+describe('checkWebhookTarget', () => {
+  it('accepts host names that resolve only to public addresses', async () => {
+    resolveTo(['93.184.216.34']);
+    assert.equal(await checkWebhookTarget(new URL('https://hooks.example.com/hook')), null);
+  });
+
+  it('rejects host names that resolve to any non-public address, unless allow-listed', async () => {
+    resolveTo(['93.184.216.34', '127.0.0.1']);
+    assert.match(await checkWebhookTarget(new URL('https://hooks.example.com/hook')), /resolves to a private, loopback or reserved address/);
+
+    ingestionConfig.webhookAllowedHosts = ['hooks.example.com'];
+    assert.equal(await checkWebhookTarget(new URL('https://Hooks.Example.com/hook')), null);
+  });
+
+  it('rejects host names that do not resolve', async () => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => callback(Object.assign(new Error('not found'), { code: 'ENOTFOUND' })));
+    assert.equal(await checkWebhookTarget(new URL('https://nowhere.invalid/hook')), 'nowhere.invalid could not be resolved.');
+  });
+
+  it('checks IP hosts without a lookup', async () => {
+    mock.method(dns, 'lookup', () => assert.fail('lookup'));
+    assert.match(await checkWebhookTarget(new URL('http://169.254.169.254/latest/meta-data')), /private, loopback or reserved/);
+  });
+});
\ No newline at end of file